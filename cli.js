@@ -11,12 +11,36 @@ import { chromium } from 'playwright';
 import path from 'path';
 import fs from 'fs-extra';
 import { FullLibraryScraper } from './src/scrapers/fullLibraryScraper.js';
+import { LibrarySync } from './src/scrapers/librarySync.js';
+import { FailedSongRetrier, ERROR_CATEGORIES } from './src/scrapers/failedSongRetrier.js';
 import { CSVExporter } from './src/exporters/csvExporter.js';
-import { logger } from './src/utils/logger.js';
+import { SiteExporter } from './src/exporters/siteExporter.js';
+import { PodcastExporter } from './src/exporters/podcastExporter.js';
+import { LyricsExporter } from './src/exporters/lyricsExporter.js';
+import { LYRICS_FORMATS } from './src/utils/syncedLyrics.js';
+import { PlaylistExporter, PLAYLIST_FORMATS } from './src/exporters/playlistExporter.js';
+import { SelectorDoctor } from './src/utils/selectorDoctor.js';
+import { LibraryManifest } from './src/utils/libraryManifest.js';
+import { LibraryReorganizer } from './src/utils/libraryReorganizer.js';
+import { AudioVerifier } from './src/utils/audioVerifier.js';
+import { MetadataTagger, TAG_FORMATS } from './src/utils/metadataTagger.js';
+import { StemExtractor } from './src/utils/stemExtractor.js';
+import { LibraryServer } from './src/utils/libraryServer.js';
+import { SearchIndex } from './src/utils/searchIndex.js';
+import { RemixLineage, LINEAGE_FORMATS } from './src/utils/remixLineage.js';
+import { VariationGrouper } from './src/utils/variationGrouper.js';
+import { activePathTemplate, validatePathTemplate } from './src/utils/pathTemplate.js';
+import { SyncDaemon } from './src/scrapers/syncDaemon.js';
+import { RunLock } from './src/utils/runLock.js';
+import { notifier } from './src/utils/notifier.js';
+import { output } from './src/utils/cliOutput.js';
+import { loadSelectorProfile, applySelectorProfile, getActiveSelectorProfile } from './src/utils/selectorProfile.js';
+import { logger, setMachineOutput } from './src/utils/logger.js';
 import scraperConfig from './config/scraper.config.js';
 
 const program = new Command();
 const SUPPORTED_AUDIO_FORMATS = new Set(['mp3', 'wav', 'm4a', 'stems']);
+const DOWNLOAD_STRATEGIES = ['menu', 'network', 'auto'];
 const SPEED_MULTIPLIERS = {
   slow: 1.5,
   normal: 1,
@@ -35,6 +59,16 @@ function normalizeFormat(format) {
   return normalized;
 }
 
+function normalizeStrategy(strategy) {
+  const normalized = String(strategy || scraperConfig.behavior.downloads.strategy || 'menu').toLowerCase();
+  if (!DOWNLOAD_STRATEGIES.includes(normalized)) {
+    throw new Error(
+      `Unsupported strategy "${strategy}". Use one of: ${DOWNLOAD_STRATEGIES.join(', ')}`
+    );
+  }
+  return normalized;
+}
+
 function normalizeSpeed(speed) {
   const normalized = String(speed || 'normal').toLowerCase();
   if (!Object.prototype.hasOwnProperty.call(SPEED_MULTIPLIERS, normalized)) {
@@ -53,6 +87,13 @@ function parsePositiveInteger(value, optionName) {
   return parsed;
 }
 
+function resolveConcurrency(value) {
+  if (value === undefined || value === null) {
+    return Math.max(1, scraperConfig.behavior.downloads.concurrent || 1);
+  }
+  return parsePositiveInteger(value, '--concurrency');
+}
+
 function applySpeedSettings(speed, betweenSongsMs) {
   const normalizedSpeed = normalizeSpeed(speed);
   const multiplier = SPEED_MULTIPLIERS[normalizedSpeed];
@@ -74,38 +115,81 @@ function applySpeedSettings(speed, betweenSongsMs) {
   };
 }
 
-async function countMetadataJsonFiles(dir) {
-  if (!await fs.pathExists(dir)) {
-    return 0;
+// Lock the profile, output dir and checkpoints so two runs cannot share them
+async function acquireRunLock(dirs, command) {
+  try {
+    return await new RunLock(dirs, command).acquire();
+  } catch (error) {
+    output.error(chalk.red('\n✗ Error:'), error.message);
+    output.exit(1);
   }
+}
 
-  const entries = await fs.readdir(dir, { withFileTypes: true });
-  let total = 0;
+function printDoctorReport(report) {
+  const label = report.type.charAt(0).toUpperCase() + report.type.slice(1);
+  const status = report.ok ? chalk.green('✓') : chalk.red('✗');
+  output.log(`${status} ${chalk.white.bold(`${label} page`)} ${chalk.gray(report.url || '')}`);
 
-  for (const entry of entries) {
-    const fullPath = path.join(dir, entry.name);
-    if (entry.isDirectory()) {
-      total += await countMetadataJsonFiles(fullPath);
-      continue;
-    }
+  if (report.skipped) {
+    output.log(chalk.yellow(`    ⊘ Skipped: ${report.skipped}\n`));
+    return;
+  }
 
-    if (
-      entry.name.endsWith('.json')
-      && !entry.name.includes('checkpoint')
-      && !entry.name.includes('report')
-      && entry.name !== '_ai-review-pending.json'
-    ) {
-      total++;
-    }
+  for (const check of report.checks) {
+    const mark = check.ok ? chalk.green('✓') : (check.required ? chalk.red('✗') : chalk.yellow('⚠'));
+    const detail = check.error ? chalk.red(check.error) : chalk.gray(`${check.count} match${check.count === 1 ? '' : 'es'}`);
+    output.log(`    ${mark} ${check.name} ${detail}`);
   }
 
-  return total;
+  for (const pattern of report.patterns) {
+    const mark = pattern.ok ? chalk.green('✓') : chalk.yellow('⚠');
+    const detail = pattern.ok ? chalk.gray(`"${pattern.sample}"`) : chalk.gray('no match');
+    output.log(`    ${mark} Pattern ${pattern.name} ${detail}`);
+  }
+
+  const extraction = report.extraction || {};
+  if ('songCount' in extraction) {
+    output.log(chalk.gray(`    Extracted songs: ${extraction.songCount}`));
+  } else {
+    const found = Object.entries(extraction).filter(([, value]) => value !== null && value !== '');
+    output.log(chalk.gray(`    Extracted fields: ${found.map(([field]) => field).join(', ') || 'none'}`));
+  }
+
+  for (const { field, expected, actual } of report.regressions || []) {
+    const short = value => JSON.stringify(value)?.slice(0, 60);
+    output.log(chalk.red(`    ✗ ${field} changed: ${short(expected)} → ${short(actual)}`));
+  }
+
+  output.log();
 }
 
 program
   .name('producer-ai-scraper')
   .description('Download your Producer.AI music library with metadata')
-  .version('1.0.0');
+  .version('1.0.0')
+  .option('--selectors <file>', 'Selector profile (JSON or YAML) overriding the built-in selectors')
+  .option('--json', 'Machine-readable output: NDJSON progress events, then one JSON result document', false)
+  .hook('preAction', async (thisCommand, actionCommand) => {
+    const { selectors, json } = thisCommand.opts();
+    if (json) {
+      // Subcommands report as "lyrics export"
+      const parent = actionCommand.parent === thisCommand ? null : actionCommand.parent;
+      output.enableJson(parent ? `${parent.name()} ${actionCommand.name()}` : actionCommand.name());
+    }
+    if (!selectors) return;
+
+    try {
+      const profile = applySelectorProfile(await loadSelectorProfile(selectors));
+      output.log(chalk.gray(`Selector profile: ${profile.name} (${profile.version})`));
+    } catch (error) {
+      output.error(chalk.red('\n✗ Error:'), error.message);
+      output.exit(1);
+    }
+  })
+  .hook('postAction', () => {
+    // Commands that failed before writing their result still end with one
+    output.finish();
+  });
 
 // Login command
 program
@@ -113,9 +197,9 @@ program
   .description('Open browser to log in to Producer.AI')
   .option('-p, --profile <path>', 'Browser profile path', './.browser-profile')
   .action(async (options) => {
-    console.log(chalk.cyan('\n═══════════════════════════════════════════════════'));
-    console.log(chalk.cyan.bold('        Producer.ai Login Helper                  '));
-    console.log(chalk.cyan('═══════════════════════════════════════════════════\n'));
+    output.log(chalk.cyan('\n═══════════════════════════════════════════════════'));
+    output.log(chalk.cyan.bold('        Producer.ai Login Helper                  '));
+    output.log(chalk.cyan('═══════════════════════════════════════════════════\n'));
 
     const profilePath = path.resolve(options.profile);
 
@@ -130,14 +214,15 @@ program
     // Hide webdriver flag so Google OAuth doesn't block login
     await page.addInitScript(() => { Object.defineProperty(navigator, 'webdriver', { get: () => undefined }); });
 
-    console.log(chalk.yellow('Navigating to Producer.ai...\n'));
+    output.log(chalk.yellow('Navigating to Producer.ai...\n'));
     await page.goto(scraperConfig.urls.base);
 
-    console.log(chalk.green('✓ Browser opened!\n'));
-    console.log(chalk.white('Please log in and then close the browser window.\n'));
+    output.log(chalk.green('✓ Browser opened!\n'));
+    output.log(chalk.white('Please log in and then close the browser window.\n'));
 
     await context.waitForEvent('close', { timeout: 300000 }); // 5 min to log in
-    console.log(chalk.green('\n✓ Login session saved!\n'));
+    output.log(chalk.green('\n✓ Login session saved!\n'));
+    output.result({ profile: profilePath });
   });
 
 // Download command
@@ -150,6 +235,8 @@ program
   .option('--include-stems', 'Also download stems ZIP when available', false)
   .option('--speed <mode>', 'Speed preset: slow, normal, fast, turbo', 'normal')
   .option('--between-songs-ms <ms>', 'Custom delay between songs (overrides speed preset)')
+  .option('--concurrency <n>', 'Number of pages downloading in parallel (default: config downloads.concurrent)')
+  .option('--strategy <mode>', 'Asset download strategy: menu, network, auto (default: config downloads.strategy)')
   .option('-o, --output <path>', 'Output directory', './output')
   .option('-p, --profile <path>', 'Browser profile path', './.browser-profile')
   .option('--headless', 'Run browser in headless mode', false)
@@ -158,35 +245,44 @@ program
   .option('--end-id <id>', 'Stop downloading at this song ID (inclusive)')
   .option('--from-json <file>', 'Download specific songs from a JSON file (array of {id,url,title} or URL strings)')
   .action(async (options) => {
-    console.log(chalk.cyan('\n═══════════════════════════════════════════════════'));
-    console.log(chalk.cyan.bold('     Producer.AI Library Downloader              '));
-    console.log(chalk.cyan('═══════════════════════════════════════════════════\n'));
+    output.log(chalk.cyan('\n═══════════════════════════════════════════════════'));
+    output.log(chalk.cyan.bold('     Producer.AI Library Downloader              '));
+    output.log(chalk.cyan('═══════════════════════════════════════════════════\n'));
 
     const profilePath = path.resolve(options.profile);
     const outputPath = path.resolve(options.output);
     let format;
     let maxSongs;
     let speedSettings;
+    let concurrency;
+    let strategy;
     try {
       format = normalizeFormat(options.format);
       maxSongs = options.all ? null : parsePositiveInteger(options.num, '--num');
       speedSettings = applySpeedSettings(options.speed, options.betweenSongsMs);
+      concurrency = resolveConcurrency(options.concurrency);
+      strategy = normalizeStrategy(options.strategy);
     } catch (error) {
-      console.error(chalk.red('\n✗ Error:'), error.message);
-      process.exit(1);
+      output.error(chalk.red('\n✗ Error:'), error.message);
+      output.exit(1);
     }
 
-    console.log(chalk.gray(`Profile: ${profilePath}`));
-    console.log(chalk.gray(`Output: ${outputPath}`));
-    console.log(chalk.gray(`Format: ${format === 'stems' ? 'STEMS (ZIP)' : format.toUpperCase()}`));
-    console.log(chalk.gray(`Include stems: ${options.includeStems ? 'Yes' : 'No'}`));
-    console.log(chalk.gray(`Speed: ${speedSettings.speed}`));
-    console.log(chalk.gray(`Between songs delay: ${speedSettings.betweenSongsMs}ms`));
-    console.log(chalk.gray(`Headless: ${options.headless ? 'Yes' : 'No'}`));
+    output.log(chalk.gray(`Profile: ${profilePath}`));
+    output.log(chalk.gray(`Output: ${outputPath}`));
+    output.log(chalk.gray(`Format: ${format === 'stems' ? 'STEMS (ZIP)' : format.toUpperCase()}`));
+    output.log(chalk.gray(`Include stems: ${options.includeStems ? 'Yes' : 'No'}`));
+    output.log(chalk.gray(`Speed: ${speedSettings.speed}`));
+    output.log(chalk.gray(`Between songs delay: ${speedSettings.betweenSongsMs}ms`));
+    output.log(chalk.gray(`Workers: ${concurrency}`));
+    output.log(chalk.gray(`Strategy: ${strategy}`));
+    output.log(chalk.gray(`Headless: ${options.headless ? 'Yes' : 'No'}`));
     if (options.startId || options.endId) {
-      console.log(chalk.gray(`Range: ${options.startId || 'start'} → ${options.endId || 'end'}`));
+      output.log(chalk.gray(`Range: ${options.startId || 'start'} → ${options.endId || 'end'}`));
     }
-    console.log();
+    output.log();
+
+    const lock = await acquireRunLock([profilePath, outputPath], 'download');
+    notifier.startRun('download', { output: outputPath });
 
     const context = await chromium.launchPersistentContext(profilePath, {
       headless: options.headless,
@@ -197,11 +293,11 @@ program
     const page = context.pages()[0] || await context.newPage();
 
     try {
-      const scraper = new FullLibraryScraper(page, outputPath);
+      const scraper = new FullLibraryScraper(page, outputPath, { concurrency, onEvent: output.event.bind(output) });
 
       if (options.reset) {
         await scraper.resetCheckpoint();
-        console.log(chalk.yellow('Checkpoint reset\n'));
+        output.log(chalk.yellow('Checkpoint reset\n'));
       }
 
       let results;
@@ -212,11 +308,12 @@ program
         }
         const songList = JSON.parse(await fs.readFile(jsonPath, 'utf8'));
         if (!Array.isArray(songList)) throw new Error('--from-json file must contain a JSON array');
-        console.log(chalk.gray(`Loading ${songList.length} songs from ${path.basename(jsonPath)}\n`));
+        output.log(chalk.gray(`Loading ${songList.length} songs from ${path.basename(jsonPath)}\n`));
         results = await scraper.downloadGivenSongs(songList, {
           format,
           includeStems: options.includeStems,
-          reset: options.reset
+          reset: options.reset,
+          strategy
         });
       } else {
         results = await scraper.downloadAllSongs({
@@ -224,24 +321,33 @@ program
           includeStems: options.includeStems,
           maxSongs,
           startId: options.startId,
-          endId: options.endId
+          endId: options.endId,
+          strategy
         });
       }
 
-      console.log(chalk.green('\n✓ Download complete!\n'));
-      console.log(chalk.white('Results:'));
-      console.log(chalk.green(`  ✓ Successful: ${results.successful}`));
-      console.log(chalk.yellow(`  ⊘ Skipped: ${results.skipped}`));
-      console.log(chalk.red(`  ✗ Failed: ${results.failed}`));
-      console.log(chalk.gray(`  Total: ${results.total}\n`));
+      output.log(chalk.green('\n✓ Download complete!\n'));
+      output.log(chalk.white('Results:'));
+      output.log(chalk.green(`  ✓ Successful: ${results.successful}`));
+      if (results.linked) {
+        output.log(chalk.gray(`    (${results.linked} linked from the store)`));
+      }
+      output.log(chalk.yellow(`  ⊘ Skipped: ${results.skipped}`));
+      output.log(chalk.red(`  ✗ Failed: ${results.failed}`));
+      output.log(chalk.gray(`  Total: ${results.total}\n`));
+
+      const report = await scraper.generateReport();
 
-      await scraper.generateReport();
+      await notifier.finishRun(results.failed > 0 ? 'partial' : 'success', { results });
+      output.result({ results, report });
 
     } catch (error) {
-      console.error(chalk.red('\n✗ Error:'), error.message);
-      process.exit(1);
+      output.error(chalk.red('\n✗ Error:'), error.message);
+      await notifier.finishRun('failed', { error });
+      output.exit(1);
     } finally {
       await context.close();
+      await lock.release();
     }
   });
 
@@ -254,37 +360,48 @@ program
   .option('--include-stems', 'Also download stems ZIP when available', false)
   .option('--speed <mode>', 'Speed preset: slow, normal, fast, turbo', 'normal')
   .option('--between-songs-ms <ms>', 'Custom delay between songs (overrides speed preset)')
+  .option('--concurrency <n>', 'Number of pages downloading in parallel (default: config downloads.concurrent)')
+  .option('--strategy <mode>', 'Asset download strategy: menu, network, auto (default: config downloads.strategy)')
   .option('-o, --output <path>', 'Output directory', './output')
   .option('-p, --profile <path>', 'Browser profile path', './.browser-profile')
   .option('--headless', 'Run browser in headless mode', false)
   .option('--reset', 'Reset checkpoint for this playlist', false)
   .action(async (url, options) => {
-    console.log(chalk.cyan('\n═══════════════════════════════════════════════════'));
-    console.log(chalk.cyan.bold('     Producer.AI Playlist Downloader             '));
-    console.log(chalk.cyan('═══════════════════════════════════════════════════\n'));
+    output.log(chalk.cyan('\n═══════════════════════════════════════════════════'));
+    output.log(chalk.cyan.bold('     Producer.AI Playlist Downloader             '));
+    output.log(chalk.cyan('═══════════════════════════════════════════════════\n'));
 
     const profilePath = path.resolve(options.profile);
     const outputPath = path.resolve(options.output);
     let format;
     let speedSettings;
+    let concurrency;
+    let strategy;
     try {
       format = normalizeFormat(options.format);
       speedSettings = applySpeedSettings(options.speed, options.betweenSongsMs);
+      concurrency = resolveConcurrency(options.concurrency);
+      strategy = normalizeStrategy(options.strategy);
       if (!/\/playlist\/[a-f0-9-]{36}/i.test(url)) {
         throw new Error('Invalid playlist URL. Expected: https://www.producer.ai/playlist/<UUID>');
       }
     } catch (error) {
-      console.error(chalk.red('\n✗ Error:'), error.message);
-      process.exit(1);
+      output.error(chalk.red('\n✗ Error:'), error.message);
+      output.exit(1);
     }
 
-    console.log(chalk.gray(`Playlist: ${url}`));
-    console.log(chalk.gray(`Profile:  ${profilePath}`));
-    console.log(chalk.gray(`Output:   ${outputPath}`));
-    console.log(chalk.gray(`Format:   ${format === 'stems' ? 'STEMS (ZIP)' : format.toUpperCase()}`));
-    console.log(chalk.gray(`Include stems: ${options.includeStems ? 'Yes' : 'No'}`));
-    console.log(chalk.gray(`Speed:    ${speedSettings.speed}`));
-    console.log(chalk.gray(`Delay:    ${speedSettings.betweenSongsMs}ms\n`));
+    output.log(chalk.gray(`Playlist: ${url}`));
+    output.log(chalk.gray(`Profile:  ${profilePath}`));
+    output.log(chalk.gray(`Output:   ${outputPath}`));
+    output.log(chalk.gray(`Format:   ${format === 'stems' ? 'STEMS (ZIP)' : format.toUpperCase()}`));
+    output.log(chalk.gray(`Include stems: ${options.includeStems ? 'Yes' : 'No'}`));
+    output.log(chalk.gray(`Speed:    ${speedSettings.speed}`));
+    output.log(chalk.gray(`Delay:    ${speedSettings.betweenSongsMs}ms`));
+    output.log(chalk.gray(`Workers:  ${concurrency}`));
+    output.log(chalk.gray(`Strategy: ${strategy}\n`));
+
+    const lock = await acquireRunLock([profilePath, outputPath], 'playlist');
+    notifier.startRun('playlist', { output: outputPath });
 
     const context = await chromium.launchPersistentContext(profilePath, {
       headless: options.headless,
@@ -295,26 +412,38 @@ program
     const page = context.pages()[0] || await context.newPage();
 
     try {
-      const scraper = new FullLibraryScraper(page, outputPath);
+      const scraper = new FullLibraryScraper(page, outputPath, { concurrency, onEvent: output.event.bind(output) });
 
       const results = await scraper.downloadPlaylist(url, {
         format,
         includeStems: options.includeStems,
-        reset: options.reset
+        reset: options.reset,
+        strategy
       });
 
-      console.log(chalk.green(`\n✓ Playlist "${results.playlistName}" complete!\n`));
-      console.log(chalk.white('Results:'));
-      console.log(chalk.green(`  ✓ Successful: ${results.successful}`));
-      console.log(chalk.yellow(`  ⊘ Skipped:    ${results.skipped}`));
-      console.log(chalk.red(`  ✗ Failed:     ${results.failed}`));
-      console.log(chalk.gray(`  Total:        ${results.total}\n`));
+      output.log(chalk.green(`\n✓ Playlist "${results.playlistName}" complete!\n`));
+      output.log(chalk.white('Results:'));
+      output.log(chalk.green(`  ✓ Successful: ${results.successful}`));
+      if (results.linked) {
+        output.log(chalk.gray(`    (${results.linked} linked from the store)`));
+      }
+      output.log(chalk.yellow(`  ⊘ Skipped:    ${results.skipped}`));
+      output.log(chalk.red(`  ✗ Failed:     ${results.failed}`));
+      output.log(chalk.gray(`  Total:        ${results.total}\n`));
+      if (results.playlistFiles?.length) {
+        output.log(chalk.gray(`Playlist files: ${results.playlistFiles.map(file => path.basename(file)).join(', ')}\n`));
+      }
+
+      await notifier.finishRun(results.failed > 0 ? 'partial' : 'success', { results });
+      output.result({ results });
 
     } catch (error) {
-      console.error(chalk.red('\n✗ Error:'), error.message);
-      process.exit(1);
+      output.error(chalk.red('\n✗ Error:'), error.message);
+      await notifier.finishRun('failed', { error });
+      output.exit(1);
     } finally {
       await context.close();
+      await lock.release();
     }
   });
 
@@ -327,37 +456,48 @@ program
   .option('--include-stems', 'Also download stems ZIP when available', false)
   .option('--speed <mode>', 'Speed preset: slow, normal, fast, turbo', 'normal')
   .option('--between-songs-ms <ms>', 'Custom delay between songs (overrides speed preset)')
+  .option('--concurrency <n>', 'Number of pages downloading in parallel (default: config downloads.concurrent)')
+  .option('--strategy <mode>', 'Asset download strategy: menu, network, auto (default: config downloads.strategy)')
   .option('-o, --output <path>', 'Output directory', './output')
   .option('-p, --profile <path>', 'Browser profile path', './.browser-profile')
   .option('--headless', 'Run browser in headless mode', false)
   .option('--reset', 'Reset checkpoint for this project', false)
   .action(async (url, options) => {
-    console.log(chalk.cyan('\n═══════════════════════════════════════════════════'));
-    console.log(chalk.cyan.bold('     Producer.AI Project Downloader              '));
-    console.log(chalk.cyan('═══════════════════════════════════════════════════\n'));
+    output.log(chalk.cyan('\n═══════════════════════════════════════════════════'));
+    output.log(chalk.cyan.bold('     Producer.AI Project Downloader              '));
+    output.log(chalk.cyan('═══════════════════════════════════════════════════\n'));
 
     const profilePath = path.resolve(options.profile);
     const outputPath = path.resolve(options.output);
     let format;
     let speedSettings;
+    let concurrency;
+    let strategy;
     try {
       format = normalizeFormat(options.format);
       speedSettings = applySpeedSettings(options.speed, options.betweenSongsMs);
+      concurrency = resolveConcurrency(options.concurrency);
+      strategy = normalizeStrategy(options.strategy);
       if (!/\/project\/[a-f0-9-]{36}/i.test(url)) {
         throw new Error('Invalid project URL. Expected: https://www.producer.ai/project/<UUID>');
       }
     } catch (error) {
-      console.error(chalk.red('\n✗ Error:'), error.message);
-      process.exit(1);
+      output.error(chalk.red('\n✗ Error:'), error.message);
+      output.exit(1);
     }
 
-    console.log(chalk.gray(`Project:  ${url}`));
-    console.log(chalk.gray(`Profile:  ${profilePath}`));
-    console.log(chalk.gray(`Output:   ${outputPath}`));
-    console.log(chalk.gray(`Format:   ${format === 'stems' ? 'STEMS (ZIP)' : format.toUpperCase()}`));
-    console.log(chalk.gray(`Include stems: ${options.includeStems ? 'Yes' : 'No'}`));
-    console.log(chalk.gray(`Speed:    ${speedSettings.speed}`));
-    console.log(chalk.gray(`Delay:    ${speedSettings.betweenSongsMs}ms\n`));
+    output.log(chalk.gray(`Project:  ${url}`));
+    output.log(chalk.gray(`Profile:  ${profilePath}`));
+    output.log(chalk.gray(`Output:   ${outputPath}`));
+    output.log(chalk.gray(`Format:   ${format === 'stems' ? 'STEMS (ZIP)' : format.toUpperCase()}`));
+    output.log(chalk.gray(`Include stems: ${options.includeStems ? 'Yes' : 'No'}`));
+    output.log(chalk.gray(`Speed:    ${speedSettings.speed}`));
+    output.log(chalk.gray(`Delay:    ${speedSettings.betweenSongsMs}ms`));
+    output.log(chalk.gray(`Workers:  ${concurrency}`));
+    output.log(chalk.gray(`Strategy: ${strategy}\n`));
+
+    const lock = await acquireRunLock([profilePath, outputPath], 'project');
+    notifier.startRun('project', { output: outputPath });
 
     const context = await chromium.launchPersistentContext(profilePath, {
       headless: options.headless,
@@ -368,26 +508,38 @@ program
     const page = context.pages()[0] || await context.newPage();
 
     try {
-      const scraper = new FullLibraryScraper(page, outputPath);
+      const scraper = new FullLibraryScraper(page, outputPath, { concurrency, onEvent: output.event.bind(output) });
 
       const results = await scraper.downloadProject(url, {
         format,
         includeStems: options.includeStems,
-        reset: options.reset
+        reset: options.reset,
+        strategy
       });
 
-      console.log(chalk.green(`\n✓ Project "${results.projectName || results.collectionName}" complete!\n`));
-      console.log(chalk.white('Results:'));
-      console.log(chalk.green(`  ✓ Successful: ${results.successful}`));
-      console.log(chalk.yellow(`  ⊘ Skipped:    ${results.skipped}`));
-      console.log(chalk.red(`  ✗ Failed:     ${results.failed}`));
-      console.log(chalk.gray(`  Total:        ${results.total}\n`));
+      output.log(chalk.green(`\n✓ Project "${results.projectName || results.collectionName}" complete!\n`));
+      output.log(chalk.white('Results:'));
+      output.log(chalk.green(`  ✓ Successful: ${results.successful}`));
+      if (results.linked) {
+        output.log(chalk.gray(`    (${results.linked} linked from the store)`));
+      }
+      output.log(chalk.yellow(`  ⊘ Skipped:    ${results.skipped}`));
+      output.log(chalk.red(`  ✗ Failed:     ${results.failed}`));
+      output.log(chalk.gray(`  Total:        ${results.total}\n`));
+      if (results.playlistFiles?.length) {
+        output.log(chalk.gray(`Playlist files: ${results.playlistFiles.map(file => path.basename(file)).join(', ')}\n`));
+      }
+
+      await notifier.finishRun(results.failed > 0 ? 'partial' : 'success', { results });
+      output.result({ results });
 
     } catch (error) {
-      console.error(chalk.red('\n✗ Error:'), error.message);
-      process.exit(1);
+      output.error(chalk.red('\n✗ Error:'), error.message);
+      await notifier.finishRun('failed', { error });
+      output.exit(1);
     } finally {
       await context.close();
+      await lock.release();
     }
   });
 
@@ -400,35 +552,41 @@ program
   .option('--include-stems', 'Also download stems ZIP when available', false)
   .option('--speed <mode>', 'Speed preset: slow, normal, fast, turbo', 'normal')
   .option('--between-songs-ms <ms>', 'Custom delay between songs (overrides speed preset)')
+  .option('--concurrency <n>', 'Number of pages downloading in parallel (default: config downloads.concurrent)')
+  .option('--strategy <mode>', 'Asset download strategy: menu, network, auto (default: config downloads.strategy)')
   .option('-o, --output <path>', 'Output directory', './output')
   .option('-p, --profile <path>', 'Browser profile path', './.browser-profile')
   .option('--headless', 'Run browser in headless mode', false)
   .option('--reset', 'Reset checkpoints for all playlists', false)
   .action(async (jsonFile, options) => {
-    console.log(chalk.cyan('\n═══════════════════════════════════════════════════'));
-    console.log(chalk.cyan.bold('     Producer.AI Playlist Batch Downloader       '));
-    console.log(chalk.cyan('═══════════════════════════════════════════════════\n'));
+    output.log(chalk.cyan('\n═══════════════════════════════════════════════════'));
+    output.log(chalk.cyan.bold('     Producer.AI Playlist Batch Downloader       '));
+    output.log(chalk.cyan('═══════════════════════════════════════════════════\n'));
 
     const jsonPath = path.resolve(jsonFile);
     if (!await fs.pathExists(jsonPath)) {
-      console.error(chalk.red(`✗ JSON file not found: ${jsonPath}`));
-      process.exit(1);
+      output.error(chalk.red(`✗ JSON file not found: ${jsonPath}`));
+      output.exit(1);
     }
 
     const raw = await fs.readJson(jsonPath);
     if (!Array.isArray(raw)) {
-      console.error(chalk.red('✗ Invalid JSON format. Expected an array.'));
-      process.exit(1);
+      output.error(chalk.red('✗ Invalid JSON format. Expected an array.'));
+      output.exit(1);
     }
 
     let format;
     let speedSettings;
+    let concurrency;
+    let strategy;
     try {
       format = normalizeFormat(options.format);
       speedSettings = applySpeedSettings(options.speed, options.betweenSongsMs);
+      concurrency = resolveConcurrency(options.concurrency);
+      strategy = normalizeStrategy(options.strategy);
     } catch (error) {
-      console.error(chalk.red('\n✗ Error:'), error.message);
-      process.exit(1);
+      output.error(chalk.red('\n✗ Error:'), error.message);
+      output.exit(1);
     }
     const playlists = raw.map(entry =>
       typeof entry === 'string' ? { url: entry } : entry
@@ -436,23 +594,28 @@ program
     const invalidEntries = raw.length - playlists.length;
 
     if (playlists.length === 0) {
-      console.error(chalk.red('✗ No valid playlist URLs found in JSON file'));
-      process.exit(1);
+      output.error(chalk.red('✗ No valid playlist URLs found in JSON file'));
+      output.exit(1);
     }
     if (invalidEntries > 0) {
-      console.log(chalk.yellow(`⚠ Skipping ${invalidEntries} invalid playlist entr${invalidEntries === 1 ? 'y' : 'ies'} from JSON file`));
+      output.log(chalk.yellow(`⚠ Skipping ${invalidEntries} invalid playlist entr${invalidEntries === 1 ? 'y' : 'ies'} from JSON file`));
     }
 
     const profilePath = path.resolve(options.profile);
     const outputPath = path.resolve(options.output);
 
-    console.log(chalk.gray(`Playlists: ${playlists.length}`));
-    console.log(chalk.gray(`Profile:   ${profilePath}`));
-    console.log(chalk.gray(`Output:    ${outputPath}`));
-    console.log(chalk.gray(`Format:    ${format === 'stems' ? 'STEMS (ZIP)' : format.toUpperCase()}`));
-    console.log(chalk.gray(`Include stems: ${options.includeStems ? 'Yes' : 'No'}`));
-    console.log(chalk.gray(`Speed:     ${speedSettings.speed}`));
-    console.log(chalk.gray(`Delay:     ${speedSettings.betweenSongsMs}ms\n`));
+    output.log(chalk.gray(`Playlists: ${playlists.length}`));
+    output.log(chalk.gray(`Profile:   ${profilePath}`));
+    output.log(chalk.gray(`Output:    ${outputPath}`));
+    output.log(chalk.gray(`Format:    ${format === 'stems' ? 'STEMS (ZIP)' : format.toUpperCase()}`));
+    output.log(chalk.gray(`Include stems: ${options.includeStems ? 'Yes' : 'No'}`));
+    output.log(chalk.gray(`Speed:     ${speedSettings.speed}`));
+    output.log(chalk.gray(`Delay:     ${speedSettings.betweenSongsMs}ms`));
+    output.log(chalk.gray(`Workers:   ${concurrency}`));
+    output.log(chalk.gray(`Strategy:  ${strategy}\n`));
+
+    const lock = await acquireRunLock([profilePath, outputPath], 'playlist-batch');
+    notifier.startRun('playlist-batch', { output: outputPath });
 
     const context = await chromium.launchPersistentContext(profilePath, {
       headless: options.headless,
@@ -462,81 +625,686 @@ program
 
     const page = context.pages()[0] || await context.newPage();
 
-    const grandTotal = { successful: 0, failed: 0, skipped: 0, total: 0 };
+    const grandTotal = { successful: 0, failed: 0, skipped: 0, linked: 0, total: 0 };
+    const playlistResults = [];
 
     try {
-      const scraper = new FullLibraryScraper(page, outputPath);
+      const scraper = new FullLibraryScraper(page, outputPath, { concurrency, onEvent: output.event.bind(output) });
 
       for (let i = 0; i < playlists.length; i++) {
         const { url } = playlists[i];
-        console.log(chalk.cyan(`\n[${i + 1}/${playlists.length}] Starting playlist: ${url}\n`));
+        output.log(chalk.cyan(`\n[${i + 1}/${playlists.length}] Starting playlist: ${url}\n`));
 
         try {
           const results = await scraper.downloadPlaylist(url, {
             format,
             includeStems: options.includeStems,
-            reset: options.reset
+            reset: options.reset,
+            strategy
           });
 
-          console.log(chalk.green(`  ✓ "${results.playlistName}": ${results.successful} downloaded, ${results.skipped} skipped, ${results.failed} failed`));
+          output.log(chalk.green(`  ✓ "${results.playlistName}": ${results.successful} downloaded, ${results.skipped} skipped, ${results.failed} failed`));
 
           grandTotal.successful += results.successful;
           grandTotal.failed += results.failed;
           grandTotal.skipped += results.skipped;
+          grandTotal.linked += results.linked || 0;
           grandTotal.total += results.total;
+          playlistResults.push({ url, ok: true, results });
+          output.event('playlist.finished', { url, ok: true, results, counters: { ...grandTotal } });
 
         } catch (err) {
-          console.error(chalk.red(`  ✗ Failed: ${err.message}`));
+          output.error(chalk.red(`  ✗ Failed: ${err.message}`));
           grandTotal.failed++;
+          playlistResults.push({ url, ok: false, error: err.message });
+          output.event('playlist.finished', { url, ok: false, error: err.message, counters: { ...grandTotal } });
+        }
+      }
+
+      output.log(chalk.cyan('\n═══════════════════════════════════════════════════'));
+      output.log(chalk.cyan.bold('                 BATCH COMPLETE                  '));
+      output.log(chalk.cyan('═══════════════════════════════════════════════════'));
+      output.log(chalk.green(`  ✓ Successful: ${grandTotal.successful}`));
+      if (grandTotal.linked) {
+        output.log(chalk.gray(`    (${grandTotal.linked} linked from the store)`));
+      }
+      output.log(chalk.yellow(`  ⊘ Skipped:    ${grandTotal.skipped}`));
+      output.log(chalk.red(`  ✗ Failed:     ${grandTotal.failed}`));
+      output.log(chalk.gray(`  Total:        ${grandTotal.total}\n`));
+
+      await notifier.finishRun(grandTotal.failed > 0 ? 'partial' : 'success', { results: grandTotal });
+      output.result({ results: grandTotal, playlists: playlistResults });
+
+    } catch (error) {
+      output.error(chalk.red('\n✗ Error:'), error.message);
+      await notifier.finishRun('failed', { error });
+      output.exit(1);
+    } finally {
+      await context.close();
+      await lock.release();
+    }
+  });
+
+// Sync command
+program
+  .command('sync')
+  .description('Download only new songs, refresh changed ones, and report remote deletions')
+  .option('-f, --format <format>', 'Format for new songs (mp3, wav, m4a, stems)', 'mp3')
+  .option('--include-stems', 'Also fetch stems, including newly available stems for existing songs', false)
+  .option('--recheck', 'Revisit every local song to detect metadata changes (slow)', false)
+  .option('--archive-deleted', 'Move local copies of remotely deleted songs to output/_archive/', false)
+  .option('--force', 'Archive even when most of the library looks deleted', false)
+  .option('--dry-run', 'Only show what would change', false)
+  .option('--speed <mode>', 'Speed preset: slow, normal, fast, turbo', 'normal')
+  .option('--between-songs-ms <ms>', 'Custom delay between songs (overrides speed preset)')
+  .option('--concurrency <n>', 'Number of pages downloading in parallel (default: config downloads.concurrent)')
+  .option('--strategy <mode>', 'Asset download strategy: menu, network, auto (default: config downloads.strategy)')
+  .option('-o, --output <path>', 'Output directory', './output')
+  .option('-p, --profile <path>', 'Browser profile path', './.browser-profile')
+  .option('--headless', 'Run browser in headless mode', false)
+  .action(async (options) => {
+    output.log(chalk.cyan('\n═══════════════════════════════════════════════════'));
+    output.log(chalk.cyan.bold('     Producer.AI Library Sync                    '));
+    output.log(chalk.cyan('═══════════════════════════════════════════════════\n'));
+
+    const profilePath = path.resolve(options.profile);
+    const outputPath = path.resolve(options.output);
+    let format;
+    let concurrency;
+    let strategy;
+    try {
+      format = normalizeFormat(options.format);
+      applySpeedSettings(options.speed, options.betweenSongsMs);
+      concurrency = resolveConcurrency(options.concurrency);
+      strategy = normalizeStrategy(options.strategy);
+    } catch (error) {
+      output.error(chalk.red('\n✗ Error:'), error.message);
+      output.exit(1);
+    }
+
+    output.log(chalk.gray(`Profile: ${profilePath}`));
+    output.log(chalk.gray(`Output: ${outputPath}`));
+    output.log(chalk.gray(`Format for new songs: ${format === 'stems' ? 'STEMS (ZIP)' : format.toUpperCase()}`));
+    output.log(chalk.gray(`Deleted songs: ${options.archiveDeleted ? 'archive' : 'report only'}`));
+    if (options.dryRun) {
+      output.log(chalk.yellow('Dry run: nothing will be downloaded or moved'));
+    }
+    output.log();
+
+    const lock = await acquireRunLock([profilePath, outputPath], 'sync');
+    notifier.startRun('sync', { output: outputPath });
+
+    const context = await chromium.launchPersistentContext(profilePath, {
+      headless: options.headless,
+      viewport: { width: 1920, height: 1080 },
+      acceptDownloads: true
+    });
+
+    const page = context.pages()[0] || await context.newPage();
+
+    try {
+      const scraper = new FullLibraryScraper(page, outputPath, { concurrency, onEvent: output.event.bind(output) });
+      const summary = await new LibrarySync(scraper).run({
+        format,
+        includeStems: options.includeStems,
+        strategy,
+        recheck: options.recheck,
+        archiveDeleted: options.archiveDeleted,
+        force: options.force,
+        dryRun: options.dryRun
+      });
+
+      output.log(chalk.white('\nRemote vs local:'));
+      output.log(chalk.gray(`  Remote songs: ${summary.remote}`));
+      output.log(chalk.gray(`  Local songs: ${summary.local}`));
+      output.log(chalk.green(`  + New: ${summary.added.length}`));
+      output.log(chalk.cyan(`  ~ Changed: ${summary.changed.length}`));
+      output.log(chalk.yellow(`  - Deleted remotely: ${summary.deleted.length}`));
+
+      if (summary.deleted.length > 0) {
+        summary.deleted.slice(0, 20).forEach(song => output.log(chalk.gray(`      ${song.title} (${song.metadata})`)));
+        if (summary.deleted.length > 20) {
+          output.log(chalk.gray(`      ...and ${summary.deleted.length - 20} more`));
+        }
+      }
+
+      if (!summary.dryRun) {
+        output.log(chalk.white('\nResults:'));
+        output.log(chalk.green(`  ✓ Downloaded: ${summary.downloads.successful}`));
+        output.log(chalk.cyan(`  ✓ Refreshed: ${summary.refreshes.updated}`));
+        output.log(chalk.gray(`  ⊘ Unchanged after recheck: ${summary.refreshes.skipped}`));
+        output.log(chalk.red(`  ✗ Failed: ${summary.downloads.failed + summary.refreshes.failed}`));
+        if (summary.archiveSkipped) {
+          output.log(chalk.yellow('  ⚠ Archiving skipped: too many songs look deleted (re-run with --force)'));
+        } else if (summary.archived.length > 0) {
+          output.log(chalk.yellow(`  Archived: ${summary.archived.length} → ${path.join(outputPath, '_archive')}`));
+        }
+        output.log(chalk.gray(`\nReport: ${summary.reportPath}\n`));
+      } else {
+        output.log();
+      }
+
+      const failed = summary.dryRun ? 0 : summary.downloads.failed + summary.refreshes.failed;
+      await notifier.finishRun(failed > 0 ? 'partial' : 'success', { summary });
+      output.result({ summary });
+
+    } catch (error) {
+      output.error(chalk.red('\n✗ Error:'), error.message);
+      await notifier.finishRun('failed', { error });
+      output.exit(1);
+    } finally {
+      await context.close();
+      await lock.release();
+    }
+  });
+
+// Retry failed command
+program
+  .command('retry-failed')
+  .description('Re-attempt failed songs from the library, sync, playlist and project checkpoints')
+  .option('--category <list>', `Only retry these error categories (comma-separated: ${ERROR_CATEGORIES.join(', ')})`)
+  .option('--direct', 'Fall back to direct download (song URL serves the file) for songs that fail again', false)
+  .option('--dry-run', 'Only list failures grouped by category', false)
+  .option('-f, --format <format>', 'Download format (mp3, wav, m4a, stems)', 'mp3')
+  .option('--include-stems', 'Also download stems ZIP when available', false)
+  .option('--speed <mode>', 'Speed preset: slow, normal, fast, turbo', 'normal')
+  .option('--concurrency <n>', 'Number of pages downloading in parallel (default: config downloads.concurrent)')
+  .option('--strategy <mode>', 'Asset download strategy: menu, network, auto (default: config downloads.strategy)')
+  .option('-o, --output <path>', 'Output directory', './output')
+  .option('-p, --profile <path>', 'Browser profile path', './.browser-profile')
+  .option('--headless', 'Run browser in headless mode', false)
+  .action(async (options) => {
+    output.log(chalk.cyan('\n═══════════════════════════════════════════════════'));
+    output.log(chalk.cyan.bold('     Retry Failed Songs                          '));
+    output.log(chalk.cyan('═══════════════════════════════════════════════════\n'));
+
+    const profilePath = path.resolve(options.profile);
+    const outputPath = path.resolve(options.output);
+    let format;
+    let concurrency;
+    let strategy;
+    let categories = ERROR_CATEGORIES;
+    try {
+      format = normalizeFormat(options.format);
+      applySpeedSettings(options.speed);
+      concurrency = resolveConcurrency(options.concurrency);
+      strategy = normalizeStrategy(options.strategy);
+      if (options.category) {
+        categories = options.category.split(',').map(c => c.trim().toLowerCase()).filter(Boolean);
+        const unknown = categories.filter(c => !ERROR_CATEGORIES.includes(c));
+        if (unknown.length > 0) {
+          throw new Error(`Unknown --category ${unknown.join(', ')}. Use: ${ERROR_CATEGORIES.join(', ')}`);
         }
       }
+    } catch (error) {
+      output.error(chalk.red('\n✗ Error:'), error.message);
+      output.exit(1);
+    }
+
+    const printCategories = summary => {
+      output.log(chalk.white('Failures by category:'));
+      for (const [category, counts] of Object.entries(summary.categories)) {
+        if (counts.failed === 0) continue;
+        const outcome = summary.dryRun
+          ? ''
+          : chalk.gray(` → ${counts.recovered} recovered, ${counts.recoveredDirect} via direct download, ${counts.stillFailing} still failing`);
+        output.log(chalk.gray(`  ${category}: ${counts.failed}`) + outcome);
+      }
+      if (summary.stale > 0) {
+        output.log(chalk.gray(`  (${summary.stale} stale entr${summary.stale === 1 ? 'y' : 'ies'} for songs downloaded since)`));
+      }
+      output.log();
+    };
+
+    if (options.dryRun) {
+      const summary = await new FailedSongRetrier(null).run({ dryRun: true });
+      for (const checkpoint of summary.checkpoints) {
+        output.log(chalk.gray(`${checkpoint.name}: ${checkpoint.failed} failed`));
+      }
+      output.log();
+      printCategories(summary);
+      for (const [category, failures] of Object.entries(summary.groups)) {
+        failures.slice(0, 10).forEach(({ song, checkpoint }) => {
+          output.log(chalk.gray(`  [${category}] ${song.title} (${checkpoint})`));
+        });
+      }
+      output.result({ summary });
+      return;
+    }
+
+    output.log(chalk.gray(`Profile: ${profilePath}`));
+    output.log(chalk.gray(`Output: ${outputPath}`));
+    output.log(chalk.gray(`Categories: ${categories.join(', ')}`));
+    output.log(chalk.gray(`Direct download fallback: ${options.direct ? 'Yes' : 'No'}\n`));
+
+    const lock = await acquireRunLock([profilePath, outputPath], 'retry-failed');
+    notifier.startRun('retry-failed', { output: outputPath });
+
+    const context = await chromium.launchPersistentContext(profilePath, {
+      headless: options.headless,
+      viewport: { width: 1920, height: 1080 },
+      acceptDownloads: true
+    });
+
+    const page = context.pages()[0] || await context.newPage();
+
+    try {
+      const scraper = new FullLibraryScraper(page, outputPath, { concurrency, onEvent: output.event.bind(output) });
+      const summary = await new FailedSongRetrier(scraper).run({
+        categories,
+        direct: options.direct,
+        format,
+        includeStems: options.includeStems,
+        strategy
+      });
+
+      if (summary.checkpoints.length === 0) {
+        output.log(chalk.green('✓ No failed songs in any checkpoint\n'));
+      } else {
+        printCategories(summary);
+      }
 
-      console.log(chalk.cyan('\n═══════════════════════════════════════════════════'));
-      console.log(chalk.cyan.bold('                 BATCH COMPLETE                  '));
-      console.log(chalk.cyan('═══════════════════════════════════════════════════'));
-      console.log(chalk.green(`  ✓ Successful: ${grandTotal.successful}`));
-      console.log(chalk.yellow(`  ⊘ Skipped:    ${grandTotal.skipped}`));
-      console.log(chalk.red(`  ✗ Failed:     ${grandTotal.failed}`));
-      console.log(chalk.gray(`  Total:        ${grandTotal.total}\n`));
+      const stillFailing = Object.values(summary.categories).reduce((sum, c) => sum + c.stillFailing, 0);
+      await notifier.finishRun(stillFailing > 0 ? 'partial' : 'success', { summary });
+      output.result({ summary });
 
     } catch (error) {
-      console.error(chalk.red('\n✗ Error:'), error.message);
-      process.exit(1);
+      output.error(chalk.red('\n✗ Error:'), error.message);
+      await notifier.finishRun('failed', { error });
+      output.exit(1);
     } finally {
       await context.close();
+      await lock.release();
     }
   });
 
+// Daemon command
+program
+  .command('daemon')
+  .alias('schedule')
+  .description('Run unattended library syncs on a cron schedule')
+  .option('--cron <expression>', 'Cron schedule, e.g. "0 3 * * *" or @daily (default: config schedule.cron)')
+  .option('--once', 'Run one sync job now and exit (for system cron)', false)
+  .option('-f, --format <format>', 'Format for new songs (mp3, wav, m4a, stems)', 'mp3')
+  .option('--include-stems', 'Also fetch stems, including newly available stems for existing songs', false)
+  .option('--archive-deleted', 'Move local copies of remotely deleted songs to output/_archive/', false)
+  .option('--speed <mode>', 'Speed preset: slow, normal, fast, turbo', 'normal')
+  .option('--concurrency <n>', 'Number of pages downloading in parallel (default: config downloads.concurrent)')
+  .option('--strategy <mode>', 'Asset download strategy: menu, network, auto (default: config downloads.strategy)')
+  .option('--summary-dir <path>', 'Directory for per-job JSON summaries (default: config schedule.summaryDir)')
+  .option('-o, --output <path>', 'Output directory', './output')
+  .option('-p, --profile <path>', 'Browser profile path', './.browser-profile')
+  .option('--headed', 'Show the browser window (jobs are headless by default)', false)
+  .action(async (options) => {
+    output.log(chalk.cyan('\n═══════════════════════════════════════════════════'));
+    output.log(chalk.cyan.bold('     Producer.AI Scheduled Sync                  '));
+    output.log(chalk.cyan('═══════════════════════════════════════════════════\n'));
+
+    let daemon;
+    try {
+      applySpeedSettings(options.speed);
+      daemon = new SyncDaemon({
+        cron: options.cron,
+        profilePath: options.profile,
+        outputPath: options.output,
+        headless: !options.headed,
+        concurrency: resolveConcurrency(options.concurrency),
+        summaryDir: options.summaryDir,
+        syncOptions: {
+          format: normalizeFormat(options.format),
+          includeStems: options.includeStems,
+          strategy: normalizeStrategy(options.strategy),
+          archiveDeleted: options.archiveDeleted
+        }
+      });
+    } catch (error) {
+      output.error(chalk.red('\n✗ Error:'), error.message);
+      output.exit(1);
+    }
+
+    output.log(chalk.gray(`Profile: ${daemon.profilePath}`));
+    output.log(chalk.gray(`Output: ${daemon.outputPath}`));
+    output.log(chalk.gray(`Schedule: ${options.once ? 'once' : daemon.schedule.expression}`));
+    output.log(chalk.gray(`Summaries: ${daemon.summaryDir}\n`));
+
+    const printJob = summary => {
+      const color = { success: chalk.green, partial: chalk.yellow }[summary.status] || chalk.red;
+      output.log(color(`${summary.status === 'success' ? '✓' : '✗'} ${summary.jobId}: ${summary.status}`));
+      if (summary.sync) {
+        const { added, changed, deleted, downloaded, refreshed, failed } = summary.sync;
+        output.log(chalk.gray(`  +${added} new, ~${changed} changed, -${deleted} deleted remotely; ${downloaded} downloaded, ${refreshed} refreshed, ${failed} failed`));
+      }
+      if (summary.error) {
+        output.log(chalk.red(`  ${summary.error.message}`));
+      }
+      output.log(chalk.gray(`  Summary: ${summary.summaryPath}\n`));
+    };
+
+    if (options.once) {
+      const summary = await daemon.runJob();
+      printJob(summary);
+      // Non-zero for anything that needs attention, so cron can mail it
+      process.exitCode = summary.status === 'success' ? 0 : 1;
+      output.result({ job: summary });
+      return;
+    }
+
+    const shutdown = () => {
+      output.log(chalk.yellow('\nStopping after the current job...'));
+      daemon.stop();
+    };
+    process.once('SIGINT', shutdown);
+    process.once('SIGTERM', shutdown);
+
+    const jobs = [];
+    await daemon.start({
+      onJob: summary => {
+        jobs.push({ jobId: summary.jobId, status: summary.status, summaryPath: summary.summaryPath });
+        printJob(summary);
+        output.event('job.finished', { job: summary });
+      },
+      onWait: nextRun => {
+        output.log(chalk.gray(`Next sync: ${nextRun.toLocaleString()}`));
+        output.event('job.scheduled', { nextRun: nextRun.toISOString() });
+      }
+    });
+    output.log(chalk.green('✓ Scheduler stopped\n'));
+    output.result({ jobs });
+  });
+
 // Export command
 program
   .command('export')
-  .description('Export downloaded songs to CSV for WordPress')
+  .description('Export downloaded songs to CSV for WordPress, as a static website or as a podcast feed')
   .option('-o, --output <path>', 'Output directory', './output')
+  .option('-f, --format <format>', 'Export format: csv, site or podcast', 'csv')
   .option('-c, --csv-path <path>', 'Custom CSV output path')
+  .option('--site-dir <path>', 'Where to write the site (format site)')
+  .option('--feed-path <path>', 'Podcast feed file (default: <output>/podcast.xml)')
+  .option('--base-url <url>', 'Public URL of the site (format site) or of the output directory (format podcast)')
+  .option('--title <title>', 'Site or podcast title')
+  .option('--song <ids>', 'Comma-separated song IDs to include (format podcast)')
+  .option('--collection <name>', 'Only songs in this playlist, project or folder (format podcast)')
+  .option('--templates <path>', 'Directory of templates that replace the defaults')
+  .option('--no-media', 'Leave audio and cover art out of the site')
+  .option('--collapse-variations', 'One entry per variation family instead of one per take (formats csv and site)')
   .action(async (options) => {
-    console.log(chalk.cyan('\n═══════════════════════════════════════════════════'));
-    console.log(chalk.cyan.bold('     CSV Export for WordPress                    '));
-    console.log(chalk.cyan('═══════════════════════════════════════════════════\n'));
+    const format = String(options.format).toLowerCase();
+    if (!['csv', 'site', 'podcast'].includes(format)) {
+      output.error(chalk.red('\n✗ Error:'), `Unknown export format "${options.format}". Use csv, site or podcast`);
+      output.exit(1);
+    }
+
+    output.log(chalk.cyan('\n═══════════════════════════════════════════════════'));
+    const banners = {
+      csv: '     CSV Export for WordPress                    ',
+      site: '     Static Site Export                          ',
+      podcast: '     Podcast Feed Export                         '
+    };
+    output.log(chalk.cyan.bold(banners[format]));
+    output.log(chalk.cyan('═══════════════════════════════════════════════════\n'));
 
     try {
       const outputPath = path.resolve(options.output);
+
+      if (format === 'site') {
+        const exporter = new SiteExporter(outputPath, {
+          siteDir: options.siteDir,
+          baseUrl: options.baseUrl,
+          title: options.title,
+          templatesDir: options.templates ? path.resolve(options.templates) : undefined,
+          media: options.media,
+          collapseVariations: options.collapseVariations
+        });
+        const result = await exporter.export();
+
+        output.log(chalk.green('\n✓ Site exported successfully!\n'));
+        output.log(chalk.white('Details:'));
+        output.log(chalk.gray(`  Folder: ${result.siteDir}`));
+        output.log(chalk.gray(`  Songs: ${result.songs}`));
+        output.log(chalk.gray(`  Models: ${result.models}`));
+        output.log(chalk.gray(`  Collections: ${result.collections}`));
+        output.log(chalk.gray(`  Pages: ${result.pages}\n`));
+        output.result({ site: result });
+        return;
+      }
+
+      if (format === 'podcast') {
+        const exporter = new PodcastExporter(outputPath, {
+          baseUrl: options.baseUrl,
+          title: options.title
+        });
+        const songIds = options.song ? options.song.split(',').map(id => id.trim()).filter(Boolean) : undefined;
+        const result = await exporter.exportFeed(options.feedPath, { songIds, collection: options.collection });
+
+        if (result.episodes > 0) {
+          output.log(chalk.green('\n✓ Podcast feed exported successfully!\n'));
+        } else {
+          output.log(chalk.yellow('\nNo downloaded songs matched; the feed has no episodes\n'));
+        }
+        output.log(chalk.white('Details:'));
+        output.log(chalk.gray(`  File: ${result.path}`));
+        output.log(chalk.gray(`  Episodes: ${result.episodes}`));
+        if (result.skipped.length > 0) {
+          output.log(chalk.yellow(`  Without audio, left out: ${result.skipped.length}`));
+        }
+        output.log(chalk.gray(`  Size: ${(result.size / 1024).toFixed(2)} KB\n`));
+        output.result({ podcast: result });
+        return;
+      }
+
       const exporter = new CSVExporter(outputPath);
 
-      const result = await exporter.exportToCSV(options.csvPath);
+      const result = await exporter.exportToCSV(options.csvPath, { collapseVariations: options.collapseVariations });
 
       if (result) {
-        console.log(chalk.green('\n✓ CSV exported successfully!\n'));
-        console.log(chalk.white('Details:'));
-        console.log(chalk.gray(`  File: ${result.path}`));
-        console.log(chalk.gray(`  Songs: ${result.songCount}`));
-        console.log(chalk.gray(`  Size: ${(result.size / 1024).toFixed(2)} KB\n`));
+        output.log(chalk.green('\n✓ CSV exported successfully!\n'));
+        output.log(chalk.white('Details:'));
+        output.log(chalk.gray(`  File: ${result.path}`));
+        output.log(chalk.gray(`  Songs: ${result.songCount}`));
+        output.log(chalk.gray(`  Size: ${(result.size / 1024).toFixed(2)} KB\n`));
       } else {
-        console.log(chalk.yellow('No songs found to export\n'));
+        output.log(chalk.yellow('No songs found to export\n'));
+      }
+      output.result({ csv: result || null });
+
+    } catch (error) {
+      output.error(chalk.red('\n✗ Error:'), error.message);
+      output.exit(1);
+    }
+  });
+
+// Export playlists command
+program
+  .command('export-playlists')
+  .description('Write .m3u8, .pls and .xspf playlist files for downloaded playlists and projects')
+  .option('-o, --output <path>', 'Output directory', './output')
+  .option('-f, --format <formats>', `Comma-separated playlist formats (${PLAYLIST_FORMATS.join(', ')})`, PLAYLIST_FORMATS.join(','))
+  .option('-d, --dir <path>', 'Write all playlist files here instead of each collection folder')
+  .action(async (options) => {
+    output.log(chalk.cyan('\n═══════════════════════════════════════════════════'));
+    output.log(chalk.cyan.bold('     Export Playlist Files                       '));
+    output.log(chalk.cyan('═══════════════════════════════════════════════════\n'));
+
+    try {
+      const outputPath = path.resolve(options.output);
+      if (!await fs.pathExists(outputPath)) {
+        throw new Error(`Output directory does not exist: ${outputPath}`);
+      }
+
+      const formats = options.format.split(',').map(format => format.trim().toLowerCase()).filter(Boolean);
+      const exporter = new PlaylistExporter(outputPath, { formats });
+      const results = await exporter.exportAll({ dir: options.dir });
+
+      if (results.length === 0) {
+        output.log(chalk.yellow('No downloaded playlists or projects found\n'));
+      }
+      for (const result of results) {
+        output.log(chalk.green(`✓ ${result.name} (${result.type}): ${result.tracks} track${result.tracks === 1 ? '' : 's'}`));
+        output.log(chalk.gray(`    ${result.files.map(file => path.relative(outputPath, file)).join(', ')}`));
+        if (result.missing.length > 0) {
+          output.log(chalk.yellow(`    ${result.missing.length} not downloaded, left out`));
+        }
+        if (!result.ordered) {
+          output.log(chalk.yellow('    Track order unknown (no checkpoint); using download order. Re-run its download to fix.'));
+        }
       }
+      output.log();
+      output.result({ playlists: results });
 
     } catch (error) {
-      console.error(chalk.red('\n✗ Error:'), error.message);
-      process.exit(1);
+      output.error(chalk.red('\n✗ Error:'), error.message);
+      output.exit(1);
+    }
+  });
+
+// Lyrics commands
+const lyricsCommand = program
+  .command('lyrics')
+  .description('Work with the lyrics of downloaded songs');
+
+lyricsCommand
+  .command('export')
+  .description('Write timed lyrics as LRC, SRT or WebVTT files for the whole library')
+  .option('-o, --output <path>', 'Output directory', './output')
+  .option('-f, --format <formats>', `Comma-separated lyrics formats (${LYRICS_FORMATS.join(', ')})`, 'lrc')
+  .option('-d, --dir <path>', 'Write all files here instead of beside each song')
+  .option('--song <ids>', 'Only these song IDs (comma-separated)')
+  .option('--word-timing', 'Per-word stamps in LRC files (enhanced LRC)', false)
+  .action(async (options) => {
+    output.log(chalk.cyan('\n═══════════════════════════════════════════════════'));
+    output.log(chalk.cyan.bold('     Export Synced Lyrics                        '));
+    output.log(chalk.cyan('═══════════════════════════════════════════════════\n'));
+
+    let lock = null;
+    try {
+      const outputPath = path.resolve(options.output);
+      if (!await fs.pathExists(outputPath)) {
+        throw new Error(`Output directory does not exist: ${outputPath}`);
+      }
+
+      const formats = options.format.split(',').map(format => format.trim().toLowerCase()).filter(Boolean);
+      const songIds = options.song ? options.song.split(',').map(id => id.trim()).filter(Boolean) : null;
+      const exporter = new LyricsExporter(outputPath, { formats, wordTiming: options.wordTiming });
+
+      // Files beside the songs change the library; a separate folder does not
+      if (!options.dir) {
+        lock = await acquireRunLock([outputPath], 'lyrics export');
+      }
+      const result = await exporter.exportAll({ dir: options.dir, songIds });
+
+      if (result.songs > 0) {
+        output.log(chalk.green(`✓ Wrote ${result.files.length} file${result.files.length === 1 ? '' : 's'} (${formats.join(', ')}) for ${result.songs} song${result.songs === 1 ? '' : 's'}`));
+        output.log(chalk.gray(`  ${options.dir ? path.resolve(options.dir) : 'Beside each song in ' + outputPath}`));
+      } else {
+        output.log(chalk.yellow('No songs with timed lyrics found'));
+      }
+      if (result.skipped.length > 0) {
+        output.log(chalk.gray(`  ⊘ Without lyric timing: ${result.skipped.length}`));
+      }
+      output.log();
+      output.result({ formats, ...result });
+
+    } catch (error) {
+      output.error(chalk.red('\n✗ Error:'), error.message);
+      process.exitCode = 1;
+    } finally {
+      await lock?.release();
+    }
+  });
+
+// Search command
+program
+  .command('search [query...]')
+  .description('Search the downloaded library offline: titles, lyrics, descriptions, model, key and BPM')
+  .option('-o, --output <path>', 'Output directory', './output')
+  .option('--bpm <range>', 'BPM or range, e.g. 120 or 120-128')
+  .option('--key <key>', 'Musical key, e.g. "A Minor"')
+  .option('--model <model>', 'Model, e.g. FUZZ-2.0')
+  .option('-n, --limit <number>', 'Most matches to show')
+  .option('-f, --format <format>', 'table, json or m3u', 'table')
+  .option('--out <file>', 'Write JSON or M3U results to a file instead of stdout')
+  .option('--reindex', 'Rebuild the search index first', false)
+  .action(async (queryWords, options) => {
+    try {
+      const format = String(options.format).toLowerCase();
+      if (!['table', 'json', 'm3u'].includes(format)) {
+        throw new Error(`Unknown format "${options.format}". Use: table, json or m3u`);
+      }
+      const limit = options.limit === undefined ? null : Number.parseInt(options.limit, 10);
+      if (limit !== null && !(limit > 0)) {
+        throw new Error(`Invalid limit: ${options.limit}`);
+      }
+
+      const outputPath = path.resolve(options.output);
+      if (!await fs.pathExists(outputPath)) {
+        throw new Error(`Output directory does not exist: ${outputPath}`);
+      }
+
+      // Results piped from stdout must not be mixed with log lines
+      if (format !== 'table' && !options.out) {
+        setMachineOutput(true);
+      }
+
+      const query = queryWords.join(' ');
+      const index = new SearchIndex(outputPath);
+      await index.load({ rebuild: options.reindex });
+      const matches = index.search(query, { bpm: options.bpm, key: options.key, model: options.model, limit });
+
+      if (format === 'table') {
+        output.log(chalk.cyan('\n═══════════════════════════════════════════════════'));
+        output.log(chalk.cyan.bold('     Library Search                              '));
+        output.log(chalk.cyan('═══════════════════════════════════════════════════\n'));
+
+        const filters = [['bpm', options.bpm], ['key', options.key], ['model', options.model]].filter(([, value]) => value);
+        output.log(chalk.gray(`Query: ${query || '(any)'}${filters.map(([name, value]) => `  ${name}: ${value}`).join('')}\n`));
+
+        if (matches.length > 0) {
+          const columns = [
+            ['Title', song => song.title, 40],
+            ['Model', song => song.model, 12],
+            ['Key', song => song.key, 10],
+            ['BPM', song => song.bpm, 5],
+            ['Time', song => song.duration === null ? '' : `${Math.floor(song.duration / 60)}:${String(song.duration % 60).padStart(2, '0')}`, 6]
+          ];
+          const cell = (value, width) => {
+            const text = String(value ?? '');
+            return (text.length > width ? `${text.slice(0, width - 1)}…` : text).padEnd(width);
+          };
+          output.log(chalk.white(columns.map(([label, , width]) => cell(label, width)).join('  ')));
+          for (const song of matches) {
+            output.log(columns.map(([, value, width]) => cell(value(song), width)).join('  '));
+          }
+        }
+        output.log(chalk.green(`\n✓ ${matches.length} match${matches.length === 1 ? '' : 'es'}\n`));
+      } else {
+        let text;
+        if (format === 'json') {
+          text = `${JSON.stringify(matches, null, 2)}\n`;
+        } else {
+          // Paths relative to the playlist file, or absolute when printed
+          const base = options.out ? path.dirname(path.resolve(options.out)) : null;
+          const exporter = new PlaylistExporter(outputPath, { formats: ['m3u8'] });
+          const tracks = matches.filter(song => song.audio).map(song => {
+            const audioPath = path.join(outputPath, ...song.audio.split('/'));
+            return { ...song, location: base ? path.relative(base, audioPath).split(path.sep).join('/') : audioPath };
+          });
+          text = exporter.renderM3U8({ name: `Search: ${query || 'all'}` }, tracks);
+        }
+
+        if (options.out) {
+          await fs.outputFile(options.out, text, 'utf8');
+          output.log(chalk.green(`✓ ${matches.length} match${matches.length === 1 ? '' : 'es'} written to ${options.out}`));
+        } else if (!output.json) {
+          process.stdout.write(text);
+        }
+      }
+
+      output.result({ query, filters: { bpm: options.bpm || null, key: options.key || null, model: options.model || null }, total: matches.length, matches });
+
+    } catch (error) {
+      output.error(chalk.red('\n✗ Error:'), error.message);
+      output.exit(1);
     }
   });
 
@@ -546,47 +1314,697 @@ program
   .description('Show download progress status')
   .option('-o, --output <path>', 'Output directory', './output')
   .action(async (options) => {
-    console.log(chalk.cyan('\n═══════════════════════════════════════════════════'));
-    console.log(chalk.cyan.bold('     Download Status                             '));
-    console.log(chalk.cyan('═══════════════════════════════════════════════════\n'));
+    output.log(chalk.cyan('\n═══════════════════════════════════════════════════'));
+    output.log(chalk.cyan.bold('     Download Status                             '));
+    output.log(chalk.cyan('═══════════════════════════════════════════════════\n'));
 
     try {
       const outputPath = path.resolve(options.output);
-      const exportedSongs = await countMetadataJsonFiles(outputPath);
+      const manifest = await new LibraryManifest(outputPath).load();
+      const entries = manifest.entries();
+      const uniqueSongs = new Set(entries.map(entry => entry.id)).size;
       const checkpointPath = path.join(scraperConfig.progress.checkpointDir, 'library-scrape.json');
 
-      console.log(chalk.white('Local files:'));
-      console.log(chalk.gray(`  Output path: ${outputPath}`));
-      console.log(chalk.gray(`  Metadata files found: ${exportedSongs}\n`));
+      output.log(chalk.white('Local files:'));
+      output.log(chalk.gray(`  Output path: ${outputPath}`));
+      output.log(chalk.gray(`  Songs in manifest: ${uniqueSongs}`));
+      output.log(chalk.gray(`  Song copies (incl. playlist folders): ${entries.length}\n`));
+
+      const status = {
+        output: outputPath,
+        songs: uniqueSongs,
+        copies: entries.length,
+        checkpoint: null
+      };
 
       if (await fs.pathExists(checkpointPath)) {
         const checkpoint = await fs.readJson(checkpointPath);
-
-        console.log(chalk.white('Progress:'));
-        console.log(chalk.gray(`  Total songs found: ${checkpoint.totalSongs || 0}`));
-        console.log(chalk.green(`  Downloaded: ${checkpoint.downloadedSongs?.length || 0}`));
-        console.log(chalk.red(`  Failed: ${checkpoint.failedSongs?.length || 0}`));
-        console.log(chalk.gray(`  Last updated: ${checkpoint.lastUpdated || 'N/A'}\n`));
+        status.checkpoint = {
+          path: checkpointPath,
+          totalSongs: checkpoint.totalSongs || 0,
+          downloaded: checkpoint.downloadedSongs?.length || 0,
+          failed: checkpoint.failedSongs?.length || 0,
+          lastUpdated: checkpoint.lastUpdated || null,
+          failedSongs: (checkpoint.failedSongs || []).map(({ song, error }) => ({ id: song.id, title: song.title, error }))
+        };
+
+        output.log(chalk.white('Progress:'));
+        output.log(chalk.gray(`  Total songs found: ${checkpoint.totalSongs || 0}`));
+        output.log(chalk.green(`  Downloaded: ${checkpoint.downloadedSongs?.length || 0}`));
+        output.log(chalk.red(`  Failed: ${checkpoint.failedSongs?.length || 0}`));
+        output.log(chalk.gray(`  Last updated: ${checkpoint.lastUpdated || 'N/A'}\n`));
 
         if (checkpoint.failedSongs && checkpoint.failedSongs.length > 0) {
-          console.log(chalk.yellow('Failed songs:'));
+          output.log(chalk.yellow('Failed songs:'));
           checkpoint.failedSongs.forEach(({ song, error }) => {
             const compactError = String(error || '').replace(/\s+/g, ' ').trim();
             const shortError = compactError.length > 200 ? `${compactError.slice(0, 197)}...` : compactError;
-            console.log(chalk.gray(`  - ${song.title}: ${shortError}`));
+            output.log(chalk.gray(`  - ${song.title}: ${shortError}`));
           });
-          console.log();
+          output.log(chalk.gray('\n  Re-attempt them with: node cli.js retry-failed'));
+          output.log();
         }
 
       } else {
-        console.log(chalk.yellow('No checkpoint found. Run download first.\n'));
+        output.log(chalk.yellow('No checkpoint found. Run download first.\n'));
+      }
+      output.result(status);
+
+    } catch (error) {
+      output.error(chalk.red('\n✗ Error:'), error.message);
+      output.exit(1);
+    }
+  });
+
+// Reindex command
+program
+  .command('reindex')
+  .description('Rebuild the library manifest from the JSON sidecars in the output directory')
+  .option('-o, --output <path>', 'Output directory', './output')
+  .action(async (options) => {
+    output.log(chalk.cyan('\n═══════════════════════════════════════════════════'));
+    output.log(chalk.cyan.bold('     Rebuild Library Manifest                    '));
+    output.log(chalk.cyan('═══════════════════════════════════════════════════\n'));
+
+    try {
+      const outputPath = path.resolve(options.output);
+      if (!await fs.pathExists(outputPath)) {
+        throw new Error(`Output directory does not exist: ${outputPath}`);
+      }
+
+      // Load the old manifest first so source collections carry over
+      const manifest = await new LibraryManifest(outputPath).load({ rebuildIfMissing: false });
+      const { songs, removed } = await manifest.rebuild();
+
+      output.log(chalk.green(`✓ Indexed ${songs} song${songs === 1 ? '' : 's'}`));
+      if (removed > 0) {
+        output.log(chalk.yellow(`  Dropped ${removed} entr${removed === 1 ? 'y' : 'ies'} whose sidecar no longer exists`));
       }
+      output.log(chalk.gray(`  Manifest: ${manifest.manifestPath}\n`));
+      output.result({ songs, removed, manifest: manifest.manifestPath });
 
     } catch (error) {
-      console.error(chalk.red('\n✗ Error:'), error.message);
-      process.exit(1);
+      output.error(chalk.red('\n✗ Error:'), error.message);
+      output.exit(1);
+    }
+  });
+
+// Verify command
+program
+  .command('verify')
+  .description('Check downloaded audio and stems files for truncation and corruption')
+  .option('-o, --output <path>', 'Output directory', './output')
+  .option('--song <ids>', 'Only check these song IDs (comma-separated)')
+  .option('--repair', 'Move broken files aside and queue their songs for retry-failed', false)
+  .action(async (options) => {
+    output.log(chalk.cyan('\n═══════════════════════════════════════════════════'));
+    output.log(chalk.cyan.bold('     Verify Audio Files                          '));
+    output.log(chalk.cyan('═══════════════════════════════════════════════════\n'));
+
+    let lock = null;
+    try {
+      const outputPath = path.resolve(options.output);
+      if (!await fs.pathExists(outputPath)) {
+        throw new Error(`Output directory does not exist: ${outputPath}`);
+      }
+      if (options.repair) {
+        lock = await acquireRunLock([outputPath], 'verify');
+      }
+
+      const verifier = new AudioVerifier(outputPath);
+      const songIds = options.song ? options.song.split(',').map(id => id.trim()).filter(Boolean) : null;
+      const { files, broken } = await verifier.verifyLibrary({
+        songIds,
+        onFile: file => output.event('file.verified', { file: { id: file.id, path: file.path, role: file.role, ok: file.ok, error: file.error } })
+      });
+
+      const reportPath = path.join(scraperConfig.progress.checkpointDir, 'verify-report.json');
+      await fs.ensureDir(scraperConfig.progress.checkpointDir);
+      await fs.writeJson(reportPath, {
+        outputDir: outputPath,
+        checkedAt: new Date().toISOString(),
+        checked: files.length,
+        broken: broken.length,
+        files: files.map(({ metadataPath, ...file }) => file)
+      }, { spaces: 2 });
+
+      for (const file of broken) {
+        output.log(chalk.red(`  ✗ ${file.path}`));
+        output.log(chalk.gray(`      ${file.error}`));
+      }
+      output.log(chalk.green(`\n✓ ${files.length - broken.length} of ${files.length} file${files.length === 1 ? '' : 's'} OK`));
+      output.log(chalk.gray(`  Report: ${reportPath}`));
+
+      let queued = [];
+      if (broken.length > 0 && options.repair) {
+        const items = await verifier.repair(broken);
+        queued = await new FailedSongRetrier(null).queue(items);
+        output.log(chalk.yellow(`\n⚠ Moved ${broken.length} broken file${broken.length === 1 ? '' : 's'} to _archive/ and queued ${items.length} song${items.length === 1 ? '' : 's'} for re-download`));
+        output.log(chalk.cyan('  Run: node cli.js retry-failed --category corrupt'));
+      } else if (broken.length > 0) {
+        output.log(chalk.red(`✗ ${broken.length} broken`));
+        output.log(chalk.cyan('  Re-run with --repair to queue them for re-download'));
+        process.exitCode = 1;
+      }
+      output.log();
+      output.result({
+        checked: files.length,
+        broken: broken.map(({ metadataPath, ...file }) => file),
+        queued,
+        report: reportPath
+      });
+
+    } catch (error) {
+      output.error(chalk.red('\n✗ Error:'), error.message);
+      process.exitCode = 1;
+    } finally {
+      await lock?.release();
+    }
+  });
+
+// Tag command
+program
+  .command('tag')
+  .description('Write tags from the JSON sidecars into downloaded MP3, M4A and WAV files')
+  .option('-o, --output <path>', 'Output directory', './output')
+  .option('-f, --format <formats>', `Audio formats to tag (comma-separated: ${TAG_FORMATS.join(', ')})`, TAG_FORMATS.join(','))
+  .option('--song <ids>', 'Only tag these song IDs (comma-separated)')
+  .action(async (options) => {
+    output.log(chalk.cyan('\n═══════════════════════════════════════════════════'));
+    output.log(chalk.cyan.bold('     Tag Audio Files                             '));
+    output.log(chalk.cyan('═══════════════════════════════════════════════════\n'));
+
+    let lock = null;
+    try {
+      const outputPath = path.resolve(options.output);
+      if (!await fs.pathExists(outputPath)) {
+        throw new Error(`Output directory does not exist: ${outputPath}`);
+      }
+
+      const formats = options.format.split(',').map(f => f.trim().toLowerCase()).filter(Boolean);
+      const unknown = formats.filter(format => !TAG_FORMATS.includes(format));
+      if (unknown.length > 0) {
+        throw new Error(`No tag writer for: ${unknown.join(', ')}. Use: ${TAG_FORMATS.join(', ')}`);
+      }
+      const songIds = options.song ? options.song.split(',').map(id => id.trim()).filter(Boolean) : null;
+
+      lock = await acquireRunLock([outputPath], 'tag');
+      const results = await MetadataTagger.tagDirectory(outputPath, { formats, songIds });
+
+      output.log(chalk.green(`\n✓ Tagged ${results.success} of ${results.total} file${results.total === 1 ? '' : 's'}`));
+      if (results.failed > 0) {
+        output.log(chalk.red(`  ✗ Failed: ${results.failed}`));
+        process.exitCode = 1;
+      }
+      if (results.skipped > 0) {
+        output.log(chalk.gray(`  ⊘ Skipped (file missing): ${results.skipped}`));
+      }
+      output.log();
+      output.result({ formats, ...results });
+
+    } catch (error) {
+      output.error(chalk.red('\n✗ Error:'), error.message);
+      process.exitCode = 1;
+    } finally {
+      await lock?.release();
+    }
+  });
+
+// Extract stems command
+program
+  .command('extract-stems')
+  .description('Unpack downloaded stems ZIPs into per-song folders, named by stem and tagged')
+  .option('-o, --output <path>', 'Output directory', './output')
+  .option('--song <ids>', 'Only extract these song IDs (comma-separated)')
+  .option('-p, --pattern <pattern>', 'Stem file name pattern, e.g. "{title} - {stem}" (default: the configured pattern)')
+  .option('--no-tag', 'Do not write tags into the extracted stems')
+  .option('--force', 'Re-extract songs that were already extracted', false)
+  .action(async (options) => {
+    output.log(chalk.cyan('\n═══════════════════════════════════════════════════'));
+    output.log(chalk.cyan.bold('     Extract Stems                               '));
+    output.log(chalk.cyan('═══════════════════════════════════════════════════\n'));
+
+    let lock = null;
+    try {
+      const outputPath = path.resolve(options.output);
+      if (!await fs.pathExists(outputPath)) {
+        throw new Error(`Output directory does not exist: ${outputPath}`);
+      }
+
+      const extractor = new StemExtractor(outputPath, { pattern: options.pattern, tag: options.tag });
+      const songIds = options.song ? options.song.split(',').map(id => id.trim()).filter(Boolean) : null;
+      output.log(chalk.gray(`Pattern: ${extractor.pattern}\n`));
+
+      lock = await acquireRunLock([outputPath], 'extract-stems');
+      const results = await extractor.extractLibrary({
+        songIds,
+        force: options.force,
+        onSong: song => {
+          if (song.status === 'extracted') {
+            output.log(chalk.green(`  ✓ ${song.title}: ${song.roles.join(', ')}`));
+          } else if (song.status === 'failed') {
+            output.log(chalk.red(`  ✗ ${song.title}: ${song.error}`));
+          }
+          output.event('stems.extracted', { song });
+        }
+      });
+
+      output.log(chalk.green(`\n✓ Extracted ${results.extracted} of ${results.total} stems ZIP${results.total === 1 ? '' : 's'}`));
+      if (results.skipped > 0) {
+        output.log(chalk.gray(`  ⊘ Already extracted: ${results.skipped} (use --force to redo)`));
+      }
+      if (results.failed > 0) {
+        output.log(chalk.red(`  ✗ Failed: ${results.failed}`));
+        process.exitCode = 1;
+      }
+      output.log();
+      output.result(results);
+
+    } catch (error) {
+      output.error(chalk.red('\n✗ Error:'), error.message);
+      process.exitCode = 1;
+    } finally {
+      await lock?.release();
+    }
+  });
+
+// Variations command
+program
+  .command('variations')
+  .description('Group takes of the same idea into variation families (title, cover, sound, session)')
+  .option('-o, --output <path>', 'Output directory', './output')
+  .option('--min-signals <n>', 'Matching signals needed to group two songs, 2-4 (default: config variations.minSignals)')
+  .option('--rename', 'Also rename later takes\' files to "Title (take N)"', false)
+  .option('--dry-run', 'List the families without changing sidecars', false)
+  .action(async (options) => {
+    output.log(chalk.cyan('\n═══════════════════════════════════════════════════'));
+    output.log(chalk.cyan.bold('     Variation Families                          '));
+    output.log(chalk.cyan('═══════════════════════════════════════════════════\n'));
+
+    let lock = null;
+    try {
+      const outputPath = path.resolve(options.output);
+      if (!await fs.pathExists(outputPath)) {
+        throw new Error(`Output directory does not exist: ${outputPath}`);
+      }
+      const minSignals = options.minSignals === undefined ? undefined : parsePositiveInteger(options.minSignals, '--min-signals');
+
+      if (!options.dryRun) {
+        lock = await acquireRunLock([outputPath], 'variations');
+      }
+      const grouper = new VariationGrouper(outputPath, { minSignals });
+      const result = await grouper.group();
+
+      for (const family of result.families) {
+        output.log(chalk.white.bold(`${family.title}`) + chalk.gray(` (${family.songs.length} takes, group ${family.group.substring(0, 8)})`));
+        for (const song of family.songs) {
+          output.log(chalk.gray(`  ${String(song.index).padStart(2)}. ${song.title} ${song.id.substring(0, 8)}  [${song.signals.join(', ')}]`));
+        }
+      }
+      const grouped = result.families.reduce((sum, family) => sum + family.songs.length, 0);
+      output.log(chalk.green(`\n✓ ${result.families.length} famil${result.families.length === 1 ? 'y' : 'ies'} covering ${grouped} of ${result.songs} songs`));
+
+      const families = result.families.map(family => ({
+        group: family.group,
+        title: family.title,
+        takes: family.songs.map(song => ({ id: song.id, title: song.title, index: song.index, signals: song.signals }))
+      }));
+
+      if (options.dryRun) {
+        output.log(chalk.yellow('  Dry run: no sidecars changed\n'));
+        output.result({ dryRun: true, songs: result.songs, families });
+        return;
+      }
+
+      const applied = await grouper.apply(result, { rename: options.rename });
+      output.log(chalk.gray(`  Sidecars updated: ${applied.updated}, cleared: ${applied.cleared}`));
+      if (options.rename) {
+        output.log(chalk.gray(`  Renamed: ${applied.renamed.length}`));
+      }
+      if (applied.renameFailed.length > 0) {
+        output.log(chalk.red(`  ✗ Could not rename: ${applied.renameFailed.length}`));
+        process.exitCode = 1;
+      }
+      output.log();
+      output.result({ songs: result.songs, families, ...applied });
+
+    } catch (error) {
+      output.error(chalk.red('\n✗ Error:'), error.message);
+      process.exitCode = 1;
+    } finally {
+      await lock?.release();
+    }
+  });
+
+// Lineage command
+program
+  .command('lineage')
+  .description('Export the library\'s remix family tree as DOT, GraphML and JSON')
+  .option('-o, --output <path>', 'Output directory', './output')
+  .option('-f, --format <formats>', `Comma-separated formats (${LINEAGE_FORMATS.join(', ')})`, LINEAGE_FORMATS.join(','))
+  .option('-d, --dir <path>', 'Write the files here (default: the output directory)')
+  .option('--pull-ancestors', 'Download remix parents missing from the backup, up the whole chain', false)
+  .option('--audio-format <format>', 'Download format for pulled ancestors (mp3, wav, m4a, stems)', 'mp3')
+  .option('--strategy <mode>', 'Asset download strategy for pulled ancestors: menu, network, auto')
+  .option('-p, --profile <path>', 'Browser profile path', './.browser-profile')
+  .option('--headless', 'Run browser in headless mode', false)
+  .action(async (options) => {
+    output.log(chalk.cyan('\n═══════════════════════════════════════════════════'));
+    output.log(chalk.cyan.bold('     Remix Lineage                               '));
+    output.log(chalk.cyan('═══════════════════════════════════════════════════\n'));
+
+    let lock = null;
+    let context = null;
+    try {
+      const outputPath = path.resolve(options.output);
+      const profilePath = path.resolve(options.profile);
+      if (!await fs.pathExists(outputPath)) {
+        throw new Error(`Output directory does not exist: ${outputPath}`);
+      }
+      const formats = options.format.split(',').map(format => format.trim().toLowerCase()).filter(Boolean);
+      const unknown = formats.filter(format => !LINEAGE_FORMATS.includes(format));
+      if (unknown.length > 0) {
+        throw new Error(`Unknown lineage format: ${unknown.join(', ')}. Use: ${LINEAGE_FORMATS.join(', ')}`);
+      }
+      const audioFormat = options.pullAncestors ? normalizeFormat(options.audioFormat) : null;
+      const strategy = options.pullAncestors ? normalizeStrategy(options.strategy) : null;
+
+      lock = await acquireRunLock(options.pullAncestors ? [profilePath, outputPath] : [outputPath], 'lineage');
+      let lineage = new RemixLineage(outputPath);
+      let graph = await lineage.build();
+      const pulled = [];
+
+      if (options.pullAncestors) {
+        // Each pulled song may name a parent of its own, so repeat until the chains are complete
+        const attempted = new Set();
+        let missing = lineage.missingAncestors(graph);
+        while (missing.length > 0) {
+          if (!context) {
+            context = await chromium.launchPersistentContext(profilePath, {
+              headless: options.headless,
+              viewport: { width: 1920, height: 1080 },
+              acceptDownloads: true
+            });
+          }
+          const page = context.pages()[0] || await context.newPage();
+          const scraper = new FullLibraryScraper(page, outputPath, { onEvent: output.event.bind(output) });
+
+          output.log(chalk.white(`Pulling ${missing.length} missing ancestor${missing.length === 1 ? '' : 's'}...`));
+          missing.forEach(id => attempted.add(id));
+          await scraper.downloadGivenSongs(
+            missing.map(id => ({ id, url: `${scraperConfig.urls.base}/song/${id}`, title: id })),
+            { format: audioFormat, strategy }
+          );
+
+          const before = new Set(graph.nodes.filter(node => node.inLibrary).map(node => node.id));
+          // A fresh manifest reader picks up the songs just downloaded
+          lineage = new RemixLineage(outputPath);
+          graph = await lineage.build();
+          pulled.push(...graph.nodes.filter(node => node.inLibrary && !before.has(node.id)).map(node => node.id));
+          missing = lineage.missingAncestors(graph).filter(id => !attempted.has(id));
+        }
+      }
+
+      const files = await lineage.export(graph, { formats, dir: options.dir });
+      const missingAncestors = lineage.missingAncestors(graph);
+      const families = graph.roots.length;
+
+      output.log(chalk.green(`✓ ${graph.edges.length} remix link${graph.edges.length === 1 ? '' : 's'} in ${families} famil${families === 1 ? 'y' : 'ies'}`));
+      for (const file of files) {
+        output.log(chalk.gray(`    ${file}`));
+      }
+      if (pulled.length > 0) {
+        output.log(chalk.green(`  ✓ Pulled ${pulled.length} ancestor${pulled.length === 1 ? '' : 's'} into the backup`));
+      }
+      if (missingAncestors.length > 0) {
+        output.log(chalk.yellow(`  ${missingAncestors.length} ancestor${missingAncestors.length === 1 ? '' : 's'} not backed up${options.pullAncestors ? ' (download failed)' : '; use --pull-ancestors to download'}`));
+        if (options.pullAncestors) {
+          process.exitCode = 1;
+        }
+      }
+      output.log();
+      output.result({ files, links: graph.edges.length, families, roots: graph.roots, pulled, missingAncestors });
+
+    } catch (error) {
+      output.error(chalk.red('\n✗ Error:'), error.message);
+      process.exitCode = 1;
+    } finally {
+      await context?.close();
+      await lock?.release();
+    }
+  });
+
+// Serve command
+program
+  .command('serve')
+  .description('Browse the downloaded library in a local, read-only web UI')
+  .option('-o, --output <path>', 'Output directory', './output')
+  .option('-p, --port <number>', `Port (default: ${scraperConfig.server?.port ?? 8377})`)
+  .option('--host <host>', `Address to listen on (default: ${scraperConfig.server?.host || '127.0.0.1'})`)
+  .action(async (options) => {
+    output.log(chalk.cyan('\n═══════════════════════════════════════════════════'));
+    output.log(chalk.cyan.bold('     Library Web UI                              '));
+    output.log(chalk.cyan('═══════════════════════════════════════════════════\n'));
+
+    let server;
+    let url;
+    try {
+      const outputPath = path.resolve(options.output);
+      if (!await fs.pathExists(outputPath)) {
+        throw new Error(`Output directory does not exist: ${outputPath}`);
+      }
+      const port = options.port === undefined ? undefined : Number.parseInt(options.port, 10);
+      if (port !== undefined && !(port >= 0 && port <= 65535)) {
+        throw new Error(`Invalid port: ${options.port}`);
+      }
+
+      server = new LibraryServer(outputPath, { port, host: options.host });
+      const songs = await server.songs();
+      url = await server.start();
+
+      output.log(chalk.gray(`Output: ${outputPath}`));
+      output.log(chalk.gray(`Songs: ${songs.length}\n`));
+      output.log(chalk.green(`✓ Serving at ${url}`));
+      output.log(chalk.gray('  API: /api/songs?q=&sort=&order=, /api/songs/<id>, /api/collections'));
+      output.log(chalk.gray('  Press Ctrl+C to stop\n'));
+      output.event('server.started', { url, songs: songs.length });
+    } catch (error) {
+      output.error(chalk.red('\n✗ Error:'), error.message);
+      output.exit(1);
+    }
+
+    await new Promise(resolve => {
+      process.once('SIGINT', resolve);
+      process.once('SIGTERM', resolve);
+    });
+    await server.stop();
+    output.log(chalk.green('\n✓ Server stopped\n'));
+    output.result({ url });
+  });
+
+// Reorganize command
+program
+  .command('reorganize')
+  .description('Move downloaded songs into the layout given by a path template')
+  .option('-t, --template <template>', 'Path template, e.g. "{model}/{year}/{title}" (default: the configured template)')
+  .option('-o, --output <path>', 'Output directory', './output')
+  .option('--dry-run', 'Show the planned moves without touching any files', false)
+  .action(async (options) => {
+    output.log(chalk.cyan('\n═══════════════════════════════════════════════════'));
+    output.log(chalk.cyan.bold('     Reorganize Library                          '));
+    output.log(chalk.cyan('═══════════════════════════════════════════════════\n'));
+
+    let lock = null;
+    try {
+      const outputPath = path.resolve(options.output);
+      if (!await fs.pathExists(outputPath)) {
+        throw new Error(`Output directory does not exist: ${outputPath}`);
+      }
+
+      const template = options.template ? validatePathTemplate(options.template) : activePathTemplate();
+      output.log(chalk.gray(`Template: ${template}`));
+      output.log(chalk.gray(`Output: ${outputPath}\n`));
+
+      if (!options.dryRun) {
+        lock = await acquireRunLock([outputPath], 'reorganize');
+      }
+
+      const manifest = await new LibraryManifest(outputPath).load();
+      const reorganizer = new LibraryReorganizer(manifest);
+      const plan = await reorganizer.plan(template);
+
+      for (const move of plan.moves) {
+        output.log(chalk.gray(`  ${move.entry.metadata} → ${manifest.toRelative(`${move.to}.json`)}`));
+      }
+      for (const duplicate of plan.duplicates) {
+        output.log(chalk.yellow(`  ⊘ Duplicate copy left in place: ${duplicate.entry.metadata}`));
+      }
+
+      const inPlace = plan.total - plan.moves.length - plan.duplicates.length;
+      if (options.dryRun) {
+        output.log(chalk.cyan(`\nDry run: ${plan.moves.length} to move, ${inPlace} already in place, ${plan.duplicates.length} duplicate${plan.duplicates.length === 1 ? '' : 's'}\n`));
+        output.result({
+          template,
+          dryRun: true,
+          moves: plan.moves.map(move => ({ id: move.entry.id, from: move.entry.metadata, to: manifest.toRelative(`${move.to}.json`) })),
+          inPlace,
+          duplicates: plan.duplicates.map(d => d.entry.metadata)
+        });
+        return;
+      }
+
+      const { moved, failed } = await reorganizer.apply(plan);
+
+      output.log(chalk.green(`\n✓ Moved ${moved.length} song${moved.length === 1 ? '' : 's'} (${inPlace} already in place)`));
+      if (failed.length > 0) {
+        output.log(chalk.red(`✗ ${failed.length} could not be moved and were left in place (see logs)`));
+        const split = failed.filter(f => !f.restored);
+        if (split.length > 0) {
+          output.log(chalk.red(`  ${split.length} could not be fully moved back; run \`reindex\` after fixing: ${split.map(f => f.from).join(', ')}`));
+        }
+        process.exitCode = 1;
+      }
+      if (options.template && options.template !== activePathTemplate()) {
+        output.log(chalk.yellow('\n⚠ New downloads still use the configured layout.'));
+        output.log(chalk.gray(`  Set fileOrganization.pathTemplate to "${options.template}" to keep them consistent.`));
+      }
+      output.log();
+      output.result({
+        template,
+        dryRun: false,
+        moved,
+        failed,
+        inPlace,
+        duplicates: plan.duplicates.map(d => d.entry.metadata)
+      });
+
+    } catch (error) {
+      output.error(chalk.red('\n✗ Error:'), error.message);
+      process.exitCode = 1;
+    } finally {
+      await lock?.release();
+    }
+  });
+
+// Doctor command
+program
+  .command('doctor')
+  .description('Check that page selectors and extraction patterns still match Producer.AI')
+  .option('--song <url>', 'Song page to check (default: first song in the library)')
+  .option('--session <url>', 'Session page to check (default: first session in the sidebar)')
+  .option('--playlist <url>', 'Playlist page to check (default: first playlist found)')
+  .option('--save-fixtures [dir]', 'Save each checked page as an HTML fixture (default dir: ./fixtures/dom)')
+  .option('--fixtures <dir>', 'Check saved fixtures offline instead of live pages')
+  .option('-p, --profile <path>', 'Browser profile path', './.browser-profile')
+  .option('--headless', 'Run browser in headless mode', false)
+  .action(async (options) => {
+    output.log(chalk.cyan('\n═══════════════════════════════════════════════════'));
+    output.log(chalk.cyan.bold('     Selector Health Check                       '));
+    output.log(chalk.cyan('═══════════════════════════════════════════════════\n'));
+
+    const reports = [];
+    let browser = null;
+    let context;
+    const selectorProfile = getActiveSelectorProfile();
+    output.log(chalk.gray(`Selectors: ${selectorProfile.name} (${selectorProfile.version})`));
+
+    try {
+      if (options.fixtures) {
+        // Offline: replay saved pages with scripts disabled and the network blocked
+        const fixtureDir = path.resolve(options.fixtures);
+        output.log(chalk.gray(`Fixtures: ${fixtureDir}\n`));
+
+        browser = await chromium.launch({ headless: true });
+        context = await browser.newContext({
+          viewport: { width: 1920, height: 1080 },
+          javaScriptEnabled: false
+        });
+        const doctor = new SelectorDoctor(await context.newPage());
+
+        const types = await doctor.listFixtureTypes(fixtureDir);
+        if (types.length === 0) {
+          throw new Error(`No fixtures found in ${fixtureDir}. Save some with: doctor --save-fixtures`);
+        }
+
+        for (const type of types) {
+          const { url, expected } = await doctor.loadFixture(type, fixtureDir);
+          const report = await doctor.inspect(type, url);
+          report.regressions = doctor.compareExtraction(expected?.extraction, report.extraction);
+          report.ok = report.ok && report.regressions.length === 0;
+          reports.push(report);
+        }
+      } else {
+        const profilePath = path.resolve(options.profile);
+        const fixtureDir = options.saveFixtures
+          ? path.resolve(options.saveFixtures === true ? './fixtures/dom' : options.saveFixtures)
+          : null;
+        output.log(chalk.gray(`Profile: ${profilePath}`));
+        if (fixtureDir) {
+          output.log(chalk.gray(`Saving fixtures to: ${fixtureDir}`));
+        }
+        output.log();
+
+        context = await chromium.launchPersistentContext(profilePath, {
+          headless: options.headless,
+          viewport: { width: 1920, height: 1080 }
+        });
+        const doctor = new SelectorDoctor(context.pages()[0] || await context.newPage());
+
+        const checkLive = async (type, url, missingReason) => {
+          if (!url) {
+            reports.push({ type, ok: true, skipped: missingReason });
+            return null;
+          }
+          await doctor.loadLive(type, url);
+          const report = await doctor.inspect(type, url);
+          if (fixtureDir) {
+            await doctor.saveFixture(fixtureDir, report);
+          }
+          reports.push(report);
+          return report;
+        };
+
+        // The library page also supplies default song and session URLs
+        const library = await checkLive('library', scraperConfig.urls.songs);
+        const firstSongId = library.extraction.songIds[0];
+        const sessionLinks = await doctor.scraper.findSessionLinks();
+
+        const songUrl = options.song || (firstSongId ? `${scraperConfig.urls.base}/song/${firstSongId}` : null);
+        const sessionUrl = options.session || sessionLinks[0]?.href || null;
+
+        await checkLive('song', songUrl, 'no songs found in library (pass --song <url>)');
+        await checkLive('session', sessionUrl, 'no sessions found in sidebar (pass --session <url>)');
+
+        let playlistUrl = options.playlist || null;
+        if (!playlistUrl) {
+          await doctor.loadLive('playlists', scraperConfig.urls.playlists);
+          playlistUrl = await doctor.findFirstLink(scraperConfig.selectors.playlistLink);
+        }
+        await checkLive('playlist', playlistUrl, 'no playlists found (pass --playlist <url>)');
+      }
+
+      reports.forEach(printDoctorReport);
+
+      const failing = reports.filter(r => !r.ok);
+      if (failing.length > 0) {
+        output.log(chalk.red(`✗ ${failing.length} page${failing.length === 1 ? '' : 's'} failed: ${failing.map(r => r.type).join(', ')}\n`));
+        process.exitCode = 1;
+      } else {
+        output.log(chalk.green('✓ All required selectors match\n'));
+      }
+      output.result({ selectorProfile, reports });
+
+    } catch (error) {
+      output.error(chalk.red('\n✗ Error:'), error.message);
+      process.exitCode = 1;
+    } finally {
+      if (context) await context.close();
+      if (browser) await browser.close();
     }
   });
 
 // Parse arguments
-program.parse();
+program.parseAsync().catch(error => {
+  output.error(chalk.red('\n✗ Error:'), error.message);
+  output.exit(1);
+});
@@ -12,6 +12,15 @@ export const scraperConfig = {
     playlists: 'https://www.producer.ai/playlists'
   },
 
+  // Built-in selector profile. Override any of the selectors or text patterns
+  // below without editing source by passing --selectors <file.json|file.yaml>
+  // (see selectors.example.json). Values may be a single selector or, where
+  // noted, an array of selectors tried in order.
+  selectorProfile: {
+    name: 'built-in',
+    version: '2025.10'
+  },
+
   // Selectors for Producer.ai elements (updated based on actual DOM structure)
   selectors: {
     // Authentication
@@ -23,18 +32,55 @@ export const scraperConfig = {
     songCard: '.group.mb-1.flex.cursor-pointer',  // Main song container
     songImage: 'img.aspect-square.object-cover',   // Image contains title in alt attribute
     songTitle: 'img[alt]',                         // Title is in image alt text
+    songCardImage: 'img',                          // Any card image, when none has alt text
     songLink: 'a[href*="/song/"]',                 // Link to song detail page
     duration: 'span.text-fg-2.w-8.text-xs.whitespace-nowrap', // Duration element
     playButton: 'button[aria-label*="Play"]',      // Play button
     loadMoreButton: 'button:has-text("Load More"), button:has-text("Show more")',
+    songCardDuration: 'span.text-fg-2.w-8',        // Duration inside a library song card
+    songCardMenuButton: 'button[data-sentry-element="MenuTrigger"][data-sentry-source-file="RiffOptionsMenu.tsx"]',
+    scrollContainer: 'main',                       // Library list scrolls inside <main>
+    scrollableContainer: 'div',                    // Searched for the tallest scroller when <main> does not scroll
+
+    // Sessions, playlists and projects
+    sessionLink: 'nav a[href*="/session/"]',       // Session links in the sidebar
+    sessionSongsToggle: 'button[aria-label*="session songs" i], button[title*="session songs" i]',
+    sessionHeaderButton: 'main button, header button', // Fallback search for the toggle
+    songLinkTitle: 'h4, h3, h2, [class*="title"]', // Title element inside a /song/ link
+    playlistLink: 'a[href*="/playlist/"]',
+    collectionHeading: 'main h1, main h2, main h3',
+    collectionImage: 'main img[alt]:not([alt=""])',
+
+    // Add-to-playlist menu (PlaylistManager)
+    playlistMenuItem: '[role="menuitem"][data-sentry-component="PlaylistItem"]',
+    playlistMenuItemName: '.line-clamp-2',
+    playlistMenuItemChecked: 'svg[data-icon="circle-check"]',
 
     // Song detail page - ACTUAL STRUCTURE
+    songPageTitle: 'h1',
+    songPageTitleFallback: 'h2.text-2xl, h2.text-3xl, h2.text-xl',
+    authorLink: 'a[href*="/profile/"]',
+    lyricsContainer: 'div.mt-1 div.text-base',     // Lyrics are word spans separated by <br>
+    lyricWord: 'span[data-word-index]',
+    songDuration: 'span.text-fg-2.w-8',
+    songPageImage: 'img',                          // Cover candidates: the large, square ones win
+    remixParentLink: 'a[href*="/song/"]',          // Song links checked for a "Remix of" label
+    remixesHeading: 'h2, h3, h4',                  // Headings searched for "Remixes"
+    remixLink: 'a[href*="/song/"]',                // Remix links next to that heading
+    songActionButton: 'main button',               // Action row; the options menu follows Share
+    shareButton: 'main button[aria-label="Share"], main button:text-is("Share")',
+
     // Step 1: Click three-dots menu (div with aria-haspopup="menu", contains ellipsis SVG)
     menuButton: 'div[aria-haspopup="menu"][data-sentry-element="MenuTrigger"], div[aria-haspopup="menu"]',
 
     // Step 2: Menu appears with: Remix, Details, Download, Share..., Add to..., Report
-    // Click "Download" menu item
-    downloadMenuItem: '[class*="flex w-full cursor-pointer items-center rounded-md"]:has-text("Download"), button:has-text("Download")',
+    // Click "Download" menu item (array: tried in order)
+    downloadMenuItem: [
+      '[class*="flex w-full cursor-pointer items-center rounded-md"]:has-text("Download"), button:has-text("Download")',
+      '[role="menuitem"]:has-text("Download")',
+      'menuitem:has-text("Download")',
+      'text=Download'
+    ],
 
     // Step 3: Click format in submenu (appears after clicking Download)
     downloadVideo: 'button:has-text("Download video"), [role="menuitem"]:has-text("Download video")',
@@ -56,6 +102,22 @@ export const scraperConfig = {
     createdDate: '[data-testid="created"], span:has-text("Created")'
   },
 
+  // Regexes matched against the song page's innerText (case-insensitive).
+  // Part of the selector profile, so they can be overridden with --selectors.
+  textPatterns: {
+    bpm: '(\\d+)\\s*bpm',
+    key: '([A-G][#b]?\\s*(?:Major|Minor))',
+    model: 'MODEL\\s*([A-Z0-9\\-\\.]+)',
+    lyrics: 'LYRICS\\s*([^\\n]+(?:\\n(?!MODEL|SOUND)[^\\n]+)*)',
+    sound: 'SOUND\\s+([^]+?)(?=\\s+(?:MODEL|LYRICS|VIDEO|PUBLISH|REMIX|Share|Copy|$))',
+    // Title fallbacks when the heading is missing, tried in order
+    titleFallbacks: [
+      'ago\\s+([^—,\\n]+(?:\\s*—\\s*[^,\\n]+)?)\\s*,\\s*[A-G][#b]?\\s*(?:Major|Minor)',
+      '\\n([^,\\n]{3,50})\\s*,\\s*[A-G][#b]?\\s*(?:Major|Minor)\\s*,\\s*\\d+\\s*bpm',
+      '(?:ago|PUBLISH|REMIX)\\s+([A-Z][^,\\n]{2,50}?)\\s*(?:—[^,\\n]+?)?\\s*,?\\s*[A-G][#b]?\\s*(?:Major|Minor)'
+    ]
+  },
+
   // Scraping behavior
   // Tuning guide: Increase delays if you see rate-limit errors or pages not loading fully.
   //               Decrease delays only on fast, stable connections.
@@ -91,9 +153,13 @@ export const scraperConfig = {
 
     // Download settings
     downloads: {
-      concurrent: 2,           // Concurrent downloads. Currently only 1 is used per run; reserved for future use.
+      concurrent: 1,           // Parallel download pages (1 = sequential). Override per run with --concurrency.
+                               // Each worker opens its own tab in the same browser profile.
       timeout: 120000,         // Per-song download timeout in ms (2 min). Increase for very large files.
       verifyCompletion: true,  // Verify the download triggered successfully before moving on.
+      strategy: 'menu',        // How assets are fetched: 'menu' (three-dots menu clicks),
+                               // 'network' (asset URLs captured from the page's XHR/fetch traffic),
+                               // 'auto' (network first, menu as fallback). Override with --strategy.
       formats: ['mp3', 'wav', 'm4a', 'stems'], // Supported primary download formats
       assets: ['cover', 'lyrics', 'metadata']
     }
@@ -102,7 +168,52 @@ export const scraperConfig = {
   // File organization
   fileOrganization: {
     outputDir: './output',
-    structure: 'BY_SONG', // Options: BY_SONG, BY_PLAYLIST, BY_DATE
+    structure: 'BY_SONG', // Options: BY_SONG, BY_PLAYLIST, BY_DATE, BY_MODEL
+
+    // Where downloads go inside the output directory; overrides `structure`.
+    // Folders are separated by '/', the last part is the file name, e.g.
+    // '{model}/{year}/{title}' or '{collection}/{title} [{songIdShort}]'.
+    // Placeholders: {title} {originalTitle} {songId} {songIdShort} {artist} {model}
+    // {bpm} {key} {year} {month} {date} {collection} {collectionType}
+    // After changing it, move existing songs with: node cli.js reorganize
+    pathTemplate: null,
+
+    // Download each song once into output/_store/<songId>/ and link it into
+    // every folder that holds it (library root, playlists, projects)
+    store: {
+      enabled: false,
+      linkMode: 'hardlink' // hardlink, symlink or copy; falls back in that order
+    },
+
+    // Playlist files written after each playlist/project download, in track order
+    // (also: node cli.js export-playlists)
+    playlistFiles: {
+      enabled: true,
+      formats: ['m3u8', 'pls', 'xspf']
+    },
+
+    // Unpack stems ZIPs into "<title>-stems/" after download, one file per stem
+    // named with namePattern ({title} {stem} {n} {original}) and tagged with the
+    // song's metadata (also: node cli.js extract-stems)
+    stems: {
+      extract: false,
+      namePattern: '{title} - {stem}',
+      tag: true
+    },
+
+    // Variation families: takes of the same idea (node cli.js variations).
+    // Two songs are grouped when at least minSignals of these match: title
+    // (normalized), cover (same image hash), sound (SOUND description word
+    // overlap >= soundSimilarity) and session (same session, or created
+    // within sessionWindowMinutes). With nameTakes, later takes are saved as
+    // "Title (take 2)", and a new song whose title is taken gets the next
+    // take name instead of "Title-<id8>".
+    variations: {
+      minSignals: 2,
+      soundSimilarity: 0.6,
+      sessionWindowMinutes: 30,
+      nameTakes: true
+    },
 
     // File naming patterns
     naming: {
@@ -137,7 +248,17 @@ export const scraperConfig = {
     defaultYear: null,                // null = use current year
     includeOriginalUrl: true,         // Include Producer.AI URL in metadata
     includeLyrics: true,              // Include lyrics in MP3 tags
-    includeCoverArt: true             // Embed cover art in MP3
+    includeCoverArt: true,            // Embed cover art in MP3
+    structuredData: true,             // Read fields from the app's embedded page data and API
+                                      // responses; false = page text regexes only (textPatterns)
+    syncedLyrics: true,               // Save lyric timing as a .lrc beside the audio and an ID3 SYLT frame
+    // Attributes of the lyric word spans (selectors.lyricWord) holding their
+    // start and end times, and the unit they are in ('s' or 'ms')
+    lyricTimingAttributes: {
+      start: ['data-start', 'data-start-time', 'data-begin', 'data-time', 'data-timestamp'],
+      end: ['data-end', 'data-end-time'],
+      unit: 'ms'
+    }
   },
 
   // Progress tracking
@@ -149,11 +270,72 @@ export const scraperConfig = {
     screenshotOnError: true
   },
 
-  // Rate limiting
+  // Rate limiting — one request = one song download attempt.
+  // The budget is shared by all parallel workers, so raising --concurrency
+  // does not raise the overall request rate above requestsPerMinute.
   rateLimiting: {
     enabled: true,
     requestsPerMinute: 30,
-    burstSize: 5
+    burstSize: 5             // Requests allowed back-to-back before the per-minute pace applies
+  },
+
+  // Scheduled sync (`daemon` / `schedule` command)
+  schedule: {
+    cron: '0 3 * * *',       // minute hour day-of-month month day-of-week, local time (default: 03:00 nightly)
+    summaryDir: './logs/runs' // One JSON summary per job is written here
+  },
+
+  // Local read-only web UI over the output directory (node cli.js serve).
+  // Keep host on 127.0.0.1 unless the library should be visible on the network.
+  server: {
+    host: '127.0.0.1',
+    port: 8377
+  },
+
+  // Static site written by: node cli.js export --format site
+  // baseUrl is the public address the site will be served from; the RSS/Atom
+  // feeds and sitemap.xml need it for absolute links. Files in templatesDir
+  // replace the same-named defaults in templates/site/.
+  siteExport: {
+    siteDir: './site',
+    baseUrl: null,
+    title: 'Producer.AI Library',
+    templatesDir: null,
+    media: true,
+    collapseVariations: false
+  },
+
+  // Podcast feed written by: node cli.js export --format podcast
+  // baseUrl is the public address of the output directory; enclosure and
+  // cover URLs are built from it. category may name a subcategory: 'Music/Music Commentary'.
+  podcast: {
+    baseUrl: null,
+    title: 'Producer.AI Library',
+    description: 'Songs made with Producer.AI',
+    author: null,
+    email: null,
+    language: 'en',
+    category: 'Music',
+    explicit: false,
+    image: null,
+    link: null
+  },
+
+  // Run notifications. Every sink receives the same JSON event:
+  // { event, severity, timestamp, run: { id, command, host, pid }, data }
+  // Events: run.started, run.finished, song.failed, auth.required,
+  // captcha.detected, report.generated. Each sink may set `events` to a subset.
+  notifications: {
+    enabled: false,
+    timeoutMs: 10000,          // Per delivery; a slow sink never holds up the run
+    // HTTP webhooks, e.g. { url: 'https://hooks.example.com/producer-ai', headers: {}, events: ['run.finished'] }
+    webhooks: [],
+    // Local command, e.g. { command: './scripts/on-event.sh', events: [...] }.
+    // Receives the event as JSON on stdin and its name in PRODUCER_AI_EVENT.
+    command: null,
+    // SMTP email, e.g. { host, port: 587, secure: false, user, pass: process.env.SMTP_PASSWORD,
+    //                    from, to, events: ['run.finished', 'auth.required', 'captcha.detected'] }
+    email: null
   }
 };
 
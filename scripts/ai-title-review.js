@@ -9,6 +9,7 @@ import chalk from 'chalk';
 import fs from 'fs-extra';
 import path from 'path';
 import { prepareSongForReview } from '../src/utils/aiTitleReviewer.js';
+import { LibraryManifest, RESERVED_FILES } from '../src/utils/libraryManifest.js';
 
 console.log(chalk.cyan('\n═══════════════════════════════════════════════════'));
 console.log(chalk.cyan.bold('     AI Title Review - Decision Mode              '));
@@ -17,28 +18,26 @@ console.log(chalk.cyan('══════════════════
 async function reviewSongs() {
   const outputDir = path.resolve('./output');
 
-  // Get all JSON files
-  const files = await fs.readdir(outputDir);
-  const jsonFiles = files.filter(f => f.endsWith('.json') && !f.includes('checkpoint'));
+  // Get all indexed songs
+  const songs = await new LibraryManifest(outputDir).readSongs();
 
-  if (jsonFiles.length === 0) {
+  if (songs.length === 0) {
     console.log(chalk.red('No songs found in output directory.'));
     return;
   }
 
-  console.log(chalk.white(`Found ${jsonFiles.length} songs for AI review.\n`));
+  console.log(chalk.white(`Found ${songs.length} songs for AI review.\n`));
   console.log(chalk.yellow('Your AI assistant will now review each song and provide title decisions.\n'));
   console.log(chalk.gray('─'.repeat(55)));
 
   // Prepare all songs for review
   const songsForReview = [];
 
-  for (const jsonFile of jsonFiles.slice(0, 10)) { // Review first 10
-    const metadata = await fs.readJson(path.join(outputDir, jsonFile));
+  for (const { entry, metadata } of songs.slice(0, 10)) { // Review first 10
     const analysis = prepareSongForReview(metadata);
 
     songsForReview.push({
-      filename: jsonFile,
+      filename: entry.metadata, // Relative to the output dir (may include a playlist folder)
       metadata,
       analysis
     });
@@ -100,7 +99,7 @@ async function reviewSongs() {
   console.log(chalk.cyan('═══════════════════════════════════════════════════\n'));
 
   // Save the review data for processing
-  await fs.writeJson(path.join(outputDir, '_ai-review-pending.json'), {
+  await fs.writeJson(path.join(outputDir, RESERVED_FILES.aiReviewPending), {
     songs: songsForReview.map(s => ({
       filename: s.filename,
       currentTitle: s.analysis.cleanedTitle,
@@ -9,6 +9,7 @@ import chalk from 'chalk';
 import fs from 'fs-extra';
 import path from 'path';
 import sanitize from 'sanitize-filename';
+import { LibraryManifest, RESERVED_FILES } from '../src/utils/libraryManifest.js';
 import readline from 'readline';
 
 const rl = readline.createInterface({
@@ -26,7 +27,8 @@ console.log(chalk.cyan('══════════════════
 
 async function applyTitles() {
   const outputDir = path.resolve('./output');
-  const reviewFile = path.join(outputDir, '_ai-review-pending.json');
+  const reviewFile = path.join(outputDir, RESERVED_FILES.aiReviewPending);
+  const manifest = new LibraryManifest(outputDir);
 
   // Check if review data exists
   if (!await fs.pathExists(reviewFile)) {
@@ -67,9 +69,9 @@ async function applyTitles() {
   // Apply each title change
   for (const decision of titleDecisions) {
     try {
-      const oldFilename = decision.filename;
-      const oldPath = path.join(outputDir, oldFilename);
-      const oldBaseName = oldFilename.replace('.json', '');
+      const oldPath = manifest.resolve(decision.filename);
+      const songDir = path.dirname(oldPath);
+      const oldBaseName = path.basename(oldPath, '.json');
 
       // Sanitize new title
       const sanitizedTitle = sanitize(decision.newTitle, { replacement: '-' });
@@ -84,30 +86,36 @@ async function applyTitles() {
       const metadata = await fs.readJson(oldPath);
 
       // Find associated files
-      const files = await fs.readdir(outputDir);
+      const files = await fs.readdir(songDir);
       const associatedFiles = files.filter(f =>
         f.startsWith(oldBaseName + '.') || f.startsWith(oldBaseName + '-')
       );
 
-      // Rename all associated files
+      // Rename all associated files, keeping suffixes such as "-stems.zip"
+      const renamed = {};
       for (const file of associatedFiles) {
-        const ext = path.extname(file);
-        const oldFilePath = path.join(outputDir, file);
-        const newFilePath = path.join(outputDir, newBaseName + ext);
-
-        await fs.rename(oldFilePath, newFilePath);
+        const newFile = newBaseName + file.slice(oldBaseName.length);
+        await fs.rename(path.join(songDir, file), path.join(songDir, newFile));
+        renamed[file] = newFile;
       }
 
       // Update metadata
-      const newJsonPath = path.join(outputDir, `${newBaseName}.json`);
+      const newJsonPath = path.join(songDir, `${newBaseName}.json`);
+      const renamedFiles = Object.fromEntries(
+        Object.entries(metadata.files || {}).map(([role, file]) => [role, renamed[file] || file])
+      );
       await fs.writeJson(newJsonPath, {
         ...metadata,
+        files: renamedFiles,
         title: decision.newTitle,
         originalTitle: metadata.originalTitle || metadata.title,
         aiEnhanced: true,
         aiEnhancedAt: new Date().toISOString()
       }, { spaces: 2 });
 
+      await manifest.remove(oldPath);
+      await manifest.recordSidecar(newJsonPath);
+
       console.log(chalk.green(`✓ Renamed: "${decision.currentTitle}" → "${decision.newTitle}"`));
 
     } catch (error) {
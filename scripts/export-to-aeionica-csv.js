@@ -7,8 +7,9 @@
 
 import chalk from 'chalk';
 import path from 'path';
-import fs from 'fs-extra';
 import { createObjectCsvWriter } from 'csv-writer';
+import { LibraryManifest } from '../src/utils/libraryManifest.js';
+import { sectionsFor, lyricsText } from '../src/utils/lyricSections.js';
 import scraperConfig from '../config/scraper.config.js';
 
 async function exportToAeionicaCSV() {
@@ -23,13 +24,12 @@ async function exportToAeionicaCSV() {
     console.log(chalk.white(`Source directory: ${outputDir}`));
     console.log(chalk.white(`Output CSV: ${csvPath}\n`));
 
-    // Get all JSON files
-    const files = await fs.readdir(outputDir);
-    const jsonFiles = files.filter(f => f.endsWith('.json'));
+    // Get all indexed songs
+    const songs = await new LibraryManifest(outputDir).readSongs();
 
-    console.log(chalk.yellow(`Found ${jsonFiles.length} tracks to export\n`));
+    console.log(chalk.yellow(`Found ${songs.length} tracks to export\n`));
 
-    if (jsonFiles.length === 0) {
+    if (songs.length === 0) {
       console.log(chalk.red('No JSON metadata files found!'));
       process.exit(1);
     }
@@ -79,10 +79,8 @@ async function exportToAeionicaCSV() {
     const tracks = [];
     let trackNumber = 1;
 
-    for (const jsonFile of jsonFiles) {
+    for (const { entry, metadata } of songs) {
       try {
-        const jsonPath = path.join(outputDir, jsonFile);
-        const metadata = await fs.readJson(jsonPath);
 
         // Extract year from downloadedAt for release_date
         let releaseDate = '';
@@ -116,9 +114,9 @@ async function exportToAeionicaCSV() {
 
         tracks.push({
           // Required
-          title: metadata.title || metadata.originalTitle || jsonFile.replace('.json', ''),
+          title: metadata.title || metadata.originalTitle || path.posix.basename(entry.metadata, '.json'),
           artist: metadata.artist || metadata.author || scraperConfig.metadata.defaultArtist,
-          audio_file: metadata.files?.audio || '',
+          audio_file: entry.files.audio?.path || '',
 
           // Basic info
           album: metadata.album || scraperConfig.metadata.defaultAlbum,
@@ -137,21 +135,22 @@ async function exportToAeionicaCSV() {
           tags: tags,
 
           // Media
-          image_file: metadata.files?.cover || '',
+          image_file: entry.files.cover?.path || '',
 
           // Dates
           release_date: releaseDate,
 
           // Flags
           explicit: 'false',
-          instrumental: metadata.lyrics ? 'false' : 'true',
+          // Lyrics that are only headers ("[Instrumental]") have nothing sung
+          instrumental: lyricsText(sectionsFor(metadata)) ? 'false' : 'true',
 
           // Pricing (leave empty for now)
           streaming_price: '',
           download_price: ''
         });
       } catch (error) {
-        console.log(chalk.red(`  ✗ Error reading ${jsonFile}: ${error.message}`));
+        console.log(chalk.red(`  ✗ Error reading ${entry.metadata}: ${error.message}`));
       }
     }
 
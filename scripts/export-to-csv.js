@@ -7,8 +7,9 @@
 
 import chalk from 'chalk';
 import path from 'path';
-import fs from 'fs-extra';
 import { createObjectCsvWriter } from 'csv-writer';
+import { LibraryManifest } from '../src/utils/libraryManifest.js';
+import { sectionsFor, lyricStructure } from '../src/utils/lyricSections.js';
 
 async function exportToCSV() {
   try {
@@ -22,13 +23,12 @@ async function exportToCSV() {
     console.log(chalk.white(`Source directory: ${outputDir}`));
     console.log(chalk.white(`Output CSV: ${csvPath}\n`));
 
-    // Get all JSON files
-    const files = await fs.readdir(outputDir);
-    const jsonFiles = files.filter(f => f.endsWith('.json'));
+    // Get all indexed songs
+    const songs = await new LibraryManifest(outputDir).readSongs();
 
-    console.log(chalk.yellow(`Found ${jsonFiles.length} tracks to export\n`));
+    console.log(chalk.yellow(`Found ${songs.length} tracks to export\n`));
 
-    if (jsonFiles.length === 0) {
+    if (songs.length === 0) {
       console.log(chalk.red('No JSON metadata files found!'));
       process.exit(1);
     }
@@ -47,6 +47,7 @@ async function exportToCSV() {
         { id: 'duration', title: 'Duration' },
         { id: 'description', title: 'Description' },
         { id: 'lyrics', title: 'Lyrics' },
+        { id: 'lyricStructure', title: 'Lyric Structure' },
         { id: 'audioFile', title: 'Audio File' },
         { id: 'coverFile', title: 'Cover File' },
         { id: 'url', title: 'Original URL' },
@@ -57,10 +58,8 @@ async function exportToCSV() {
 
     // Load all track data
     const tracks = [];
-    for (const jsonFile of jsonFiles) {
+    for (const { entry, metadata } of songs) {
       try {
-        const jsonPath = path.join(outputDir, jsonFile);
-        const metadata = await fs.readJson(jsonPath);
 
         // Extract year from downloadedAt if not present
         let year = metadata.year;
@@ -72,7 +71,7 @@ async function exportToCSV() {
         const cleanLyrics = metadata.lyrics ? metadata.lyrics.replace(/\n/g, '\\n') : '';
 
         tracks.push({
-          title: metadata.title || metadata.originalTitle || jsonFile.replace('.json', ''),
+          title: metadata.title || metadata.originalTitle || path.posix.basename(entry.metadata, '.json'),
           artist: metadata.artist || metadata.author || 'Unknown',
           album: metadata.album || 'Producer.AI Library',
           year: year || new Date().getFullYear(),
@@ -82,14 +81,15 @@ async function exportToCSV() {
           duration: metadata.duration || '',
           description: metadata.description || '',
           lyrics: cleanLyrics,
-          audioFile: metadata.files?.audio || '',
-          coverFile: metadata.files?.cover || '',
+          lyricStructure: lyricStructure(sectionsFor(metadata)),
+          audioFile: entry.files.audio?.path || '',
+          coverFile: entry.files.cover?.path || '',
           url: metadata.url || '',
           songId: metadata.id || '',
           downloadedAt: metadata.downloadedAt || ''
         });
       } catch (error) {
-        console.log(chalk.red(`  ✗ Error reading ${jsonFile}: ${error.message}`));
+        console.log(chalk.red(`  ✗ Error reading ${entry.metadata}: ${error.message}`));
       }
     }
 
@@ -4,12 +4,16 @@
  * Fix Existing Metadata Files
  * Updates old JSON files with missing fields and cleans up descriptions
  * Then re-tags the MP3s with corrected metadata
+ *
+ * Only needed for sidecars saved from page text; downloads that read the
+ * app's structured data (see metadataSources) have no navigation noise.
  */
 
 import chalk from 'chalk';
 import path from 'path';
 import fs from 'fs-extra';
 import { MetadataTagger } from '../src/utils/metadataTagger.js';
+import { LibraryManifest } from '../src/utils/libraryManifest.js';
 import { logger } from '../src/utils/logger.js';
 
 /**
@@ -51,29 +55,26 @@ async function fixExistingMetadata() {
 
     console.log(chalk.white(`Output directory: ${outputDir}\n`));
 
-    // Get all JSON files
-    const files = await fs.readdir(outputDir);
-    const jsonFiles = files.filter(f => f.endsWith('.json'));
+    // Get all indexed songs
+    const manifest = new LibraryManifest(outputDir);
+    const songs = await manifest.readSongs();
 
-    console.log(chalk.yellow(`Found ${jsonFiles.length} JSON files to process\n`));
+    console.log(chalk.yellow(`Found ${songs.length} JSON files to process\n`));
 
     const results = {
-      total: jsonFiles.length,
+      total: songs.length,
       updated: 0,
       unchanged: 0,
       retagged: 0,
       errors: 0
     };
 
-    for (const jsonFile of jsonFiles) {
-      const jsonPath = path.join(outputDir, jsonFile);
-      const baseName = jsonFile.replace('.json', '');
+    for (const { entry, metadata, metadataPath: jsonPath } of songs) {
+      const baseName = path.basename(jsonPath, '.json');
 
       console.log(chalk.gray(`\nProcessing: ${baseName}`));
 
       try {
-        // Read existing metadata
-        const metadata = await fs.readJson(jsonPath);
         let wasUpdated = false;
 
         // Fix 1: Add title and originalTitle if missing
@@ -116,22 +117,14 @@ async function fixExistingMetadata() {
           console.log(chalk.green(`  ✓ Updated JSON`));
 
           // Re-tag the MP3 with corrected metadata
-          const mp3Path = path.join(outputDir, `${baseName}.mp3`);
-          if (await fs.pathExists(mp3Path)) {
-            // Find cover art
-            const coverExtensions = ['.jpg', '.jpeg', '.png', '.webp'];
-            let coverPath = null;
-            for (const ext of coverExtensions) {
-              const candidatePath = path.join(outputDir, `${baseName}${ext}`);
-              if (await fs.pathExists(candidatePath)) {
-                coverPath = candidatePath;
-                break;
-              }
-            }
+          const mp3Path = entry.files.audio?.path.endsWith('.mp3') ? manifest.resolve(entry.files.audio.path) : null;
+          if (mp3Path && await fs.pathExists(mp3Path)) {
+            const coverPath = manifest.resolve(entry.files.cover?.path);
 
             const tagResult = await MetadataTagger.tagMp3(mp3Path, metadata, coverPath);
             if (tagResult.success) {
               results.retagged++;
+              await manifest.recordSidecar(jsonPath);
               console.log(chalk.green(`  ✓ Re-tagged MP3`));
             } else {
               console.log(chalk.red(`  ✗ Failed to re-tag MP3: ${tagResult.error}`));
@@ -2,13 +2,14 @@
 /**
  * One-off recovery script for songs that fail with ERR_ABORTED on navigation.
  * These songs may serve the audio file directly from the song URL.
+ * To recover every failed song in the checkpoints, use: node cli.js retry-failed --direct
  *
  * Usage: node scripts/recover-song.js <song-url> [output-dir] [profile-path]
  */
 
 import { chromium } from 'playwright';
 import path from 'path';
-import fs from 'fs-extra';
+import { DirectDownloader } from '../src/downloaders/directDownloader.js';
 
 const songUrl = process.argv[2];
 const outputDir = path.resolve(process.argv[3] || './output');
@@ -32,38 +33,18 @@ const context = await chromium.launchPersistentContext(profilePath, {
 
 const page = context.pages()[0] || await context.newPage();
 
-// Set up download listener BEFORE navigating
-let capturedDownload = null;
-page.on('download', d => {
-  console.log('Download triggered:', d.suggestedFilename());
-  capturedDownload = d;
-});
-
+const songId = songUrl.match(/\/song\/([a-f0-9-]+)/i)?.[1] || 'recovered-song';
 console.log('Navigating to song page...');
-try {
-  await page.goto(songUrl, { waitUntil: 'domcontentloaded', timeout: 30000 });
-  console.log('Page loaded normally — checking for page title...');
-  const title = await page.title();
-  console.log('Page title:', title);
-  // Wait to see if the page triggers a download
-  await page.waitForTimeout(5000);
-} catch (err) {
-  if (err.message.includes('ERR_ABORTED')) {
-    console.log('Navigation aborted (expected if page triggers direct download) — waiting for download...');
-    await page.waitForTimeout(5000);
-  } else {
-    console.error('Navigation error:', err.message);
-  }
-}
+// No title: the file keeps the name the server suggests for it
+const result = await new DirectDownloader(page, outputDir).downloadSong({
+  id: songId,
+  url: songUrl
+});
 
-if (capturedDownload) {
-  await fs.ensureDir(outputDir);
-  const filename = capturedDownload.suggestedFilename() || 'recovered-song.mp3';
-  const destPath = path.join(outputDir, filename);
-  await capturedDownload.saveAs(destPath);
-  console.log('✓ Saved download to:', destPath);
+if (result.success) {
+  console.log('✓ Saved download to:', result.files.audio);
 } else {
-  console.log('No download captured. Song may be unavailable.');
+  console.log(`No download captured (${result.error}). Song may be unavailable.`);
   console.log('Check the browser window for clues.');
   // Wait a bit so the user can see the page
   await page.waitForTimeout(10000);
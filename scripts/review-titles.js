@@ -6,9 +6,9 @@
  */
 
 import chalk from 'chalk';
-import fs from 'fs-extra';
 import path from 'path';
 import { findPotentialHooks, cleanTitle } from '../src/utils/titleEnhancer.js';
+import { LibraryManifest } from '../src/utils/libraryManifest.js';
 
 console.log(chalk.cyan('\n═══════════════════════════════════════════════════'));
 console.log(chalk.cyan.bold('     Interactive Title Review                    '));
@@ -17,22 +17,20 @@ console.log(chalk.cyan('══════════════════
 async function reviewTitles() {
   const outputDir = path.resolve('./output');
 
-  // Get all JSON files
-  const files = await fs.readdir(outputDir);
-  const jsonFiles = files.filter(f => f.endsWith('.json'));
+  // Get all indexed songs
+  const songs = await new LibraryManifest(outputDir).readSongs();
 
-  if (jsonFiles.length === 0) {
+  if (songs.length === 0) {
     console.log(chalk.red('No songs found in output directory.'));
     console.log(chalk.gray('Run a download first, then use this tool to review titles.\n'));
     return;
   }
 
-  console.log(chalk.white(`Found ${jsonFiles.length} songs to review.\n`));
+  console.log(chalk.white(`Found ${songs.length} songs to review.\n`));
 
   // Review each song
-  for (let i = 0; i < Math.min(5, jsonFiles.length); i++) {
-    const jsonFile = jsonFiles[i];
-    const metadata = await fs.readJson(path.join(outputDir, jsonFile));
+  for (let i = 0; i < Math.min(5, songs.length); i++) {
+    const { metadata } = songs[i];
 
     console.log(chalk.cyan(`\n${'═'.repeat(55)}`));
     console.log(chalk.cyan.bold(`Song ${i + 1}: ${metadata.originalTitle || metadata.title}`));
@@ -60,7 +58,7 @@ async function reviewTitles() {
     console.log();
 
     // Find potential hooks
-    const hooks = findPotentialHooks(metadata.lyrics);
+    const hooks = findPotentialHooks(metadata.lyrics, metadata.lyricSections);
 
     if (hooks.length > 0) {
       console.log(chalk.yellow('Potential Hooks/Memorable Lines:'));
@@ -100,8 +98,8 @@ Consider:
     console.log(chalk.gray('─────────────────────────────────────────────────────\n'));
   }
 
-  if (jsonFiles.length > 5) {
-    console.log(chalk.gray(`\nShowing first 5 songs. Total: ${jsonFiles.length}\n`));
+  if (songs.length > 5) {
+    console.log(chalk.gray(`\nShowing first 5 songs. Total: ${songs.length}\n`));
   }
 }
 
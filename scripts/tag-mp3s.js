@@ -22,14 +22,14 @@ async function tagExistingMp3s() {
     console.log(chalk.yellow('Starting metadata tagging process...\n'));
 
     // Tag all MP3s in the output directory
-    const results = await MetadataTagger.tagDirectory(outputDir);
+    const results = await MetadataTagger.tagDirectory(outputDir, { formats: ['mp3'] });
 
     // Display results
     console.log(chalk.white('\n═══════════════════════════════════════════════════'));
     console.log(chalk.white('Tagging Results:\n'));
     console.log(chalk.green(`  ✓ Successfully tagged: ${results.success}`));
     console.log(chalk.red(`  ✗ Failed: ${results.failed}`));
-    console.log(chalk.gray(`  ⊘ Skipped (no JSON): ${results.skipped}`));
+    console.log(chalk.gray(`  ⊘ Skipped (file missing): ${results.skipped}`));
     console.log(chalk.white(`  Total MP3 files: ${results.total}`));
     console.log(chalk.white('═══════════════════════════════════════════════════\n'));
 
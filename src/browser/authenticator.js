@@ -9,13 +9,18 @@ import fs from 'fs-extra';
 import browserConfig from '../../config/browser.config.js';
 import scraperConfig from '../../config/scraper.config.js';
 import { logger } from '../utils/logger.js';
+import { AuthRequiredError } from '../utils/errorHandler.js';
+import { cssSelectors } from '../utils/selectorProfile.js';
+import { notifier } from '../utils/notifier.js';
 
 export class BrowserAuthenticator {
-  constructor() {
+  constructor(options = {}) {
     this.browser = null;
     this.context = null;
-    this.page = null;
+    this.page = options.page || null;
     this.isAuthenticated = false;
+    // Unattended runs (cron, daemon) fail fast instead of waiting for a human
+    this.unattended = options.unattended || false;
   }
 
   /**
@@ -247,11 +252,21 @@ export class BrowserAuthenticator {
 
       const captchaExists = await this.page.locator(scraperConfig.selectors.captcha).count() > 0;
 
+      if (captchaExists) {
+        notifier.emit('captcha.detected', { url: this.page.url(), unattended: this.unattended });
+      }
+
+      if (captchaExists && this.unattended) {
+        await this.takeScreenshot('captcha-detected');
+        throw new AuthRequiredError('CAPTCHA detected; solve it in a headed run (node cli.js login)', 'captcha');
+      }
+
       if (captchaExists) {
         logger.warn('CAPTCHA detected!');
-        console.log('\n⚠️  CAPTCHA DETECTED');
-        console.log('Please solve the CAPTCHA in the browser window.');
-        console.log('The script will continue automatically once solved.\n');
+        // Prompts go to stderr, which stays free of --json output
+        console.error('\n⚠️  CAPTCHA DETECTED');
+        console.error('Please solve the CAPTCHA in the browser window.');
+        console.error('The script will continue automatically once solved.\n');
 
         // Take screenshot
         await this.takeScreenshot('captcha-detected');
@@ -275,19 +290,58 @@ export class BrowserAuthenticator {
       return false;
 
     } catch (error) {
+      if (error instanceof AuthRequiredError) {
+        throw error;
+      }
       logger.error('Error checking for CAPTCHA:', error);
       return false;
     }
   }
 
+  /**
+   * Check the saved session without waiting on a human: load the library and
+   * throw AuthRequiredError if it redirects to login or shows a CAPTCHA.
+   */
+  async verifySession() {
+    await this.page.goto(scraperConfig.urls.songs, { waitUntil: 'domcontentloaded', timeout: 60000 });
+
+    const { songCard, loginButton, captcha } = cssSelectors();
+    await this.page.locator(`${songCard}, ${loginButton}, ${captcha}`).first()
+      .waitFor({ timeout: 20000 })
+      .catch(() => {});
+
+    await this.checkForCaptcha();
+
+    const onLoginPage = /\/(login|sign-?in|auth)\b/i.test(new URL(this.page.url()).pathname);
+    const hasSongs = await this.page.locator(songCard).count() > 0;
+    const showsSignIn = await this.page.locator(loginButton).count() > 0;
+
+    if (onLoginPage || (showsSignIn && !hasSongs)) {
+      this.isAuthenticated = false;
+      await this.takeScreenshot('auth-expired');
+      notifier.emit('auth.required', { reason: 'expired', url: this.page.url() });
+      throw new AuthRequiredError('Login session expired; run "node cli.js login" to sign in again', 'expired');
+    }
+
+    this.isAuthenticated = true;
+    logger.info('Saved login session is valid');
+    return true;
+  }
+
   /**
    * Wait for manual login
    */
   async waitForManualLogin() {
+    notifier.emit('auth.required', { reason: 'manual_login', unattended: this.unattended });
+
+    if (this.unattended) {
+      throw new AuthRequiredError('Manual login required but running unattended', 'expired');
+    }
+
     try {
       logger.info('Waiting for manual login...');
-      console.log('\n⚠️  Please log in to Producer.ai in the browser window');
-      console.log('The script will continue automatically once you are logged in.\n');
+      console.error('\n⚠️  Please log in to Producer.ai in the browser window');
+      console.error('The script will continue automatically once you are logged in.\n');
 
       // Navigate to login page
       await this.page.goto(scraperConfig.urls.login, {
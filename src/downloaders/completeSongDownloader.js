@@ -9,12 +9,24 @@ import sanitize from 'sanitize-filename';
 import { logger } from '../utils/logger.js';
 import { enhanceTitle } from '../utils/titleEnhancer.js';
 import { MetadataTagger } from '../utils/metadataTagger.js';
+import { StemExtractor } from '../utils/stemExtractor.js';
+import { NetworkAssetCapture } from './networkAssetCapture.js';
+import { METADATA_FIELDS, readHydrationData, parseHydrationPayloads, structuredFields, mergeMetadataSources } from './structuredMetadata.js';
+import { cssSelectors, selectorList } from '../utils/selectorProfile.js';
+import { activePathTemplate, renderPathTemplate, templateValues, uniqueBaseName } from '../utils/pathTemplate.js';
+import { timedWords, syncedLines } from '../utils/syncedLyrics.js';
+import { parseLyricSections } from '../utils/lyricSections.js';
+import { LyricsExporter } from '../exporters/lyricsExporter.js';
 import scraperConfig from '../../config/scraper.config.js';
 
 export class CompleteSongDownloader {
-  constructor(page, outputDir = './output') {
+  constructor(page, outputDir = './output', options = {}) {
     this.page = page;
     this.outputDir = outputDir;
+    // Shared with sibling downloaders when several pages download in parallel
+    this.claimedNames = options.claimedNames || new Map();
+    this.networkCapture = new NetworkAssetCapture(page);
+    this.strategy = 'menu';
   }
 
   /**
@@ -26,12 +38,28 @@ export class CompleteSongDownloader {
       includeStems = false,
       includeVideo = false,
       customAlbum = null,  // Custom album name (overrides default)
-      customArtist = null  // Custom artist name (overrides default)
+      customArtist = null,  // Custom artist name (overrides default)
+      strategy = scraperConfig.behavior.downloads.strategy || 'menu',  // menu, network, auto
+      refresh = false,  // Re-check an already downloaded song for remote changes
+      baseName = null,  // Keep an existing song's path (relative to outputDir, no extension) instead of the template
+      collection = null // { type, name } the song is downloaded from, for {collection} in path templates
     } = options;
 
+    this.strategy = strategy;
+    const watchNetwork = strategy !== 'menu';
+    // API responses carry the song's structured metadata whatever the strategy
+    const captureTraffic = watchNetwork || scraperConfig.metadata.structuredData !== false;
+    let claimedName = null;
+
     try {
       logger.info(`Starting download: ${song.title}`);
 
+      // Asset URLs only show up in traffic while the page loads, so start
+      // listening before navigating (and reload if we are already there).
+      if (captureTraffic) {
+        this.networkCapture.start(song.id);
+      }
+
       // Navigate to song page if needed
       if (this.page.url() !== song.url) {
         await this.page.goto(song.url, {
@@ -41,6 +69,13 @@ export class CompleteSongDownloader {
 
         // Wait for images to load
         await this.page.waitForTimeout(3000);
+      } else if (watchNetwork) {
+        await this.page.reload({ waitUntil: 'domcontentloaded', timeout: 60000 });
+        await this.page.waitForTimeout(3000);
+      }
+
+      if (captureTraffic) {
+        await this.networkCapture.settle();
       }
 
       // Extract complete metadata
@@ -60,11 +95,26 @@ export class CompleteSongDownloader {
       const enhancedTitle = enhanceTitle(metadata.title || song.title, metadata, existingJsonFiles);
       logger.debug(`Enhanced title: "${metadata.title}" → "${enhancedTitle}"`);
 
-      // Create sanitized filename
-      let sanitizedTitle = sanitize(enhancedTitle, { replacement: '-' });
+      // Folder and file name from the path template (default: <title> in outputDir)
+      let songDir = this.outputDir;
+      let sanitizedTitle;
+      if (baseName) {
+        songDir = path.join(this.outputDir, path.dirname(baseName));
+        sanitizedTitle = path.basename(baseName);
+      } else {
+        const target = renderPathTemplate(activePathTemplate(), templateValues({
+          song,
+          metadata: { ...metadata, artist: customArtist || metadata.author },
+          title: enhancedTitle,
+          collection
+        }));
+        songDir = path.join(this.outputDir, ...target.dir.split('/').filter(Boolean));
+        sanitizedTitle = target.baseName;
+      }
+      await fs.ensureDir(songDir);
 
       // Check for existing metadata with same file name
-      let metadataPath = path.join(this.outputDir, `${sanitizedTitle}.json`);
+      let metadataPath = path.join(songDir, `${sanitizedTitle}.json`);
       let existingMetadata = null;
 
       if (await fs.pathExists(metadataPath)) {
@@ -77,11 +127,8 @@ export class CompleteSongDownloader {
           } else {
             // Different song with same title - make unique filename
             logger.debug(`Title collision detected: ${sanitizedTitle}`);
-
-            // Append first 8 chars of song ID to make it unique
-            const uniqueSuffix = song.id.substring(0, 8);
-            sanitizedTitle = `${sanitizedTitle}-${uniqueSuffix}`;
-            metadataPath = path.join(this.outputDir, `${sanitizedTitle}.json`);
+            ({ name: sanitizedTitle, existing: existingMetadata } = await this.uniqueName(songDir, sanitizedTitle, song.id));
+            metadataPath = path.join(songDir, `${sanitizedTitle}.json`);
             logger.debug(`Using unique filename: ${sanitizedTitle}`);
           }
         } catch (error) {
@@ -90,12 +137,22 @@ export class CompleteSongDownloader {
         }
       }
 
-      logger.debug(`Saving to: ${this.outputDir}`);
+      // A parallel worker may be saving a different song under the same name
+      const claimedBy = this.claimedNames.get(path.join(songDir, sanitizedTitle));
+      if (claimedBy && claimedBy !== song.id) {
+        ({ name: sanitizedTitle, existing: existingMetadata } = await this.uniqueName(songDir, sanitizedTitle.replace(/ \(take \d+\)$/, ''), song.id));
+        metadataPath = path.join(songDir, `${sanitizedTitle}.json`);
+        logger.debug(`Name in use by another worker, using: ${sanitizedTitle}`);
+      }
+      claimedName = path.join(songDir, sanitizedTitle);
+      this.claimedNames.set(claimedName, song.id);
+
+      logger.debug(`Saving to: ${songDir}`);
 
       const audioTargetPath = format === 'stems'
         ? null
-        : path.join(this.outputDir, `${sanitizedTitle}.${format}`);
-      const stemsTargetPath = path.join(this.outputDir, `${sanitizedTitle}-stems.zip`);
+        : path.join(songDir, `${sanitizedTitle}.${format}`);
+      const stemsTargetPath = path.join(songDir, `${sanitizedTitle}-stems.zip`);
       const requiresAudio = format !== 'stems';
       const requiresStems = format === 'stems' || includeStems;
 
@@ -106,13 +163,30 @@ export class CompleteSongDownloader {
       let stemsPath = await fs.pathExists(stemsTargetPath)
         ? stemsTargetPath
         : null;
-      let coverPath = await this.findExistingCoverPath(this.outputDir, sanitizedTitle, existingMetadata);
+      const hadStems = !!stemsPath;
+      let coverPath = await this.findExistingCoverPath(songDir, sanitizedTitle, existingMetadata);
+
+      // A refresh compares the live page with what was saved last time
+      const changes = existingMetadata && refresh
+        ? this.diffMetadata(existingMetadata, { ...metadata, listingTitle: song.title, listingImageUrl: song.imageUrl, listingDuration: song.duration })
+        : [];
+      if (changes.includes('coverUrl') && coverPath) {
+        logger.info(`Cover art changed, re-downloading: ${sanitizedTitle}`);
+        await fs.remove(coverPath);
+        coverPath = null;
+      }
+      // A new length means new audio (extended or regenerated); it is fetched over the old file
+      if ((changes.includes('duration') || changes.includes('listingDuration')) && (audioPath || format === 'stems')) {
+        logger.info(`Audio length changed, re-downloading: ${sanitizedTitle}`);
+        audioPath = null;
+        if (format === 'stems') stemsPath = null;
+      }
 
       const hasRequiredAudio = !requiresAudio || !!audioPath;
       const hasRequiredStems = !requiresStems || !!stemsPath;
       const hasCover = !!coverPath;
 
-      if (existingMetadata && hasRequiredAudio && hasRequiredStems && hasCover) {
+      if (existingMetadata && hasRequiredAudio && hasRequiredStems && hasCover && changes.length === 0) {
         logger.info(`⊘ Skipping (already downloaded): ${sanitizedTitle}`);
         return {
           success: true,
@@ -128,10 +202,18 @@ export class CompleteSongDownloader {
         };
       }
 
+      // Network strategy prefers the cover URL from the app's own API traffic
+      if (watchNetwork) {
+        const networkCoverUrl = this.networkCapture.getCoverUrl();
+        if (networkCoverUrl && (strategy === 'network' || !metadata.coverUrl)) {
+          metadata.coverUrl = networkCoverUrl;
+        }
+      }
+
       // Download cover art only when missing.
       if (!coverPath) {
         logger.debug('Downloading cover art...');
-        coverPath = await this.downloadCoverArt(this.outputDir, sanitizedTitle, metadata);
+        coverPath = await this.downloadCoverArt(songDir, sanitizedTitle, metadata);
       } else {
         logger.debug(`Reusing existing cover art: ${path.basename(coverPath)}`);
       }
@@ -140,14 +222,14 @@ export class CompleteSongDownloader {
       if (format === 'stems') {
         if (!stemsPath) {
           logger.debug('Downloading stems ZIP...');
-          stemsPath = await this.downloadStems(this.outputDir, sanitizedTitle, { required: true });
+          stemsPath = await this.downloadStems(songDir, sanitizedTitle, { required: true });
         } else {
           logger.debug(`Reusing existing stems ZIP: ${path.basename(stemsPath)}`);
         }
       } else {
         if (!audioPath) {
           logger.debug(`Downloading ${format.toUpperCase()} audio...`);
-          audioPath = await this.downloadAudio(this.outputDir, sanitizedTitle, format);
+          audioPath = await this.downloadAudio(songDir, sanitizedTitle, format);
         } else {
           logger.debug(`Reusing existing ${format.toUpperCase()} audio: ${path.basename(audioPath)}`);
         }
@@ -156,13 +238,14 @@ export class CompleteSongDownloader {
       // Optional stems add-on for standard audio formats
       if (includeStems && format !== 'stems' && !stemsPath) {
         logger.debug('Downloading optional stems ZIP...');
-        stemsPath = await this.downloadStems(this.outputDir, sanitizedTitle, { required: false });
+        stemsPath = await this.downloadStems(songDir, sanitizedTitle, { required: false });
       }
 
       // Save metadata JSON (directly to output dir)
       const savedMetadata = {
         ...metadata,
-        title: enhancedTitle, // Use enhanced title in metadata
+        // Use enhanced title in metadata, unless a refresh would overwrite a hand-picked one
+        title: existingMetadata?.aiEnhanced ? existingMetadata.title : enhancedTitle,
         originalTitle: metadata.title, // Keep original for reference
         album: customAlbum || scraperConfig.metadata.defaultAlbum, // Use custom or default album
         artist: customArtist || metadata.author || scraperConfig.metadata.defaultArtist, // Use custom, extracted, or default artist
@@ -171,30 +254,74 @@ export class CompleteSongDownloader {
           stems: stemsPath ? path.basename(stemsPath) : null,
           cover: coverPath ? path.basename(coverPath) : null
         },
-        downloadedAt: new Date().toISOString()
+        // How the song appeared in the library list, so `sync` can spot remote changes
+        listingTitle: song.title || null,
+        listingImageUrl: song.imageUrl || null,
+        listingDuration: song.duration || null,
+        downloadedAt: existingMetadata?.downloadedAt || new Date().toISOString()
       };
+      // Verse/chorus structure, kept next to the raw lyrics text
+      savedMetadata.lyricSections = parseLyricSections(savedMetadata.lyrics);
+      if (existingMetadata) {
+        savedMetadata.updatedAt = new Date().toISOString();
+        // Remixes seen on earlier visits stay known even if this page load missed them
+        savedMetadata.remixOf = metadata.remixOf || existingMetadata.remixOf || null;
+        const remixes = [...new Set([...(existingMetadata.remixes || []), ...(metadata.remixes || [])])];
+        savedMetadata.remixes = remixes.length > 0 ? remixes : null;
+        // Assigned by the variations command, not the page
+        if (existingMetadata.variationGroup) {
+          savedMetadata.variationGroup = existingMetadata.variationGroup;
+          savedMetadata.variationIndex = existingMetadata.variationIndex;
+        }
+        // Timing seen before still fits lyrics that have not changed
+        if (!savedMetadata.syncedLyrics && existingMetadata.syncedLyrics && !changes.includes('lyrics')) {
+          savedMetadata.syncedLyrics = existingMetadata.syncedLyrics;
+        }
+      }
+
+      // Timed lyrics as an .lrc beside the audio, where players look for them
+      let lyricsPath = null;
+      if (savedMetadata.syncedLyrics && scraperConfig.metadata.syncedLyrics !== false) {
+        lyricsPath = path.join(songDir, `${sanitizedTitle}.lrc`);
+        await fs.writeFile(lyricsPath, LyricsExporter.render('lrc', savedMetadata), 'utf8');
+        savedMetadata.files.lyrics = path.basename(lyricsPath);
+      }
+      const stemInventory = await this.extractStems(stemsPath, savedMetadata, {
+        coverPath,
+        previous: hadStems ? existingMetadata?.stemInventory : null
+      });
+      if (stemInventory) {
+        savedMetadata.stemInventory = stemInventory;
+      }
       await fs.writeJson(metadataPath, savedMetadata, { spaces: 2 });
 
-      // Tag MP3 with metadata
-      if (format === 'mp3' && audioPath) {
-        logger.debug('Writing ID3 tags to MP3...');
-        const tagResult = await MetadataTagger.tagMp3(audioPath, savedMetadata, coverPath);
+      // Tag audio with metadata (ID3 for MP3, iTunes atoms for M4A, LIST/INFO + ID3 for WAV)
+      if (audioPath) {
+        logger.debug(`Writing tags to ${format.toUpperCase()}...`);
+        const tagResult = await MetadataTagger.tagFile(audioPath, savedMetadata, coverPath);
         if (tagResult.success) {
-          logger.debug(`✓ Tagged MP3 with ${tagResult.tagsWritten} metadata fields`);
+          logger.debug(`✓ Tagged ${format.toUpperCase()} with ${tagResult.tagsWritten} metadata fields`);
         } else {
-          logger.warn(`Failed to tag MP3: ${tagResult.error}`);
+          logger.warn(`Failed to tag ${format.toUpperCase()}: ${tagResult.error}`);
         }
       }
 
-      logger.info(`✓ Complete download: ${sanitizedTitle}`);
+      if (changes.length > 0) {
+        logger.info(`✓ Refreshed ${sanitizedTitle} (changed: ${changes.join(', ')})`);
+      } else {
+        logger.info(`✓ Complete download: ${sanitizedTitle}`);
+      }
 
       return {
         success: true,
         title: metadata.title,
+        updated: !!existingMetadata,
+        changes,
         files: {
           audio: audioPath,
           stems: stemsPath,
           cover: coverPath,
+          lyrics: lyricsPath,
           metadata: metadataPath
         },
         metadata
@@ -207,14 +334,82 @@ export class CompleteSongDownloader {
         title: song.title,
         error: error.message
       };
+    } finally {
+      this.networkCapture.stop();
+      // Once the song is finished its sidecar (if any) guards the name on disk
+      if (claimedName && this.claimedNames.get(claimedName) === song.id) {
+        this.claimedNames.delete(claimedName);
+      }
     }
   }
 
   /**
-   * Extract complete metadata from song page
+   * List the remote fields that differ from a song's saved metadata
+   */
+  diffMetadata(saved, live) {
+    const fields = {
+      title: [saved.originalTitle ?? saved.title, live.title],
+      // Signed CDN URLs change query strings on every load
+      coverUrl: [saved.coverUrl?.split('?')[0], live.coverUrl?.split('?')[0]],
+      description: [saved.description, live.description],
+      lyrics: [saved.lyrics, live.lyrics],
+      bpm: [saved.bpm, live.bpm],
+      key: [saved.key, live.key],
+      model: [saved.model, live.model],
+      duration: [saved.duration, live.duration],
+      listingTitle: [saved.listingTitle, live.listingTitle],
+      listingImageUrl: [saved.listingImageUrl?.split('?')[0], live.listingImageUrl?.split('?')[0]],
+      listingDuration: [saved.listingDuration, live.listingDuration]
+    };
+
+    return Object.entries(fields)
+      // A field the page failed to render this time is not a remote change
+      .filter(([, [before, after]]) => after != null && after !== '' && before !== after)
+      .map(([field]) => field);
+  }
+
+  /**
+   * Extract complete metadata from song page: the app's embedded data and API
+   * responses first, the rendered page text only for fields they lack.
+   * `metadataSources` records where each field came from.
    */
   async extractMetadata(song) {
-    const metadata = await this.page.evaluate(() => {
+    const layers = {};
+    if (scraperConfig.metadata.structuredData !== false) {
+      try {
+        layers.hydration = structuredFields(parseHydrationPayloads(await readHydrationData(this.page), song.id), song.id);
+      } catch (error) {
+        logger.debug(`Could not read embedded page data: ${error.message}`);
+      }
+      layers.api = structuredFields(this.networkCapture.getPayloads(), song.id);
+    }
+
+    const structured = mergeMetadataSources(layers);
+    const missing = METADATA_FIELDS.filter(field => structured.metadata[field] === null);
+    // Timing may exist only on the rendered word spans
+    if (missing.length > 0 || (structured.metadata.lyrics && !structured.metadata.syncedLyrics)) {
+      layers.dom = await this.extractDomMetadata();
+    }
+
+    const { metadata, sources } = mergeMetadataSources(layers);
+    logger.debug(`Metadata sources: ${Object.entries(sources).map(([field, source]) => `${field}=${source}`).join(', ') || 'none'}`);
+
+    // Merge with original song data
+    return {
+      ...song,
+      ...metadata,
+      metadataSources: sources,
+      url: song.url,
+      id: song.id
+    };
+  }
+
+  /**
+   * Metadata from the rendered page: selectors and regexes over its text
+   */
+  async extractDomMetadata() {
+    const timing = { start: [], end: [], unit: 's', ...scraperConfig.metadata.lyricTimingAttributes };
+    const data = await this.page.evaluate(({ selectors, patterns, timing }) => {
       const data = {
         title: null,
         author: null,
@@ -223,31 +418,28 @@ export class CompleteSongDownloader {
         key: null,
         model: null,
         lyrics: null,
+        lyricWords: [],
         coverUrl: null,
-        duration: null
+        duration: null,
+        remixOf: null,
+        remixes: null
       };
 
       // Get page text for pattern matching
       const pageText = document.body.innerText;
 
       // Get title from heading
-      const h1 = document.querySelector('h1');
-      const h2Large = document.querySelector('h2.text-2xl, h2.text-3xl, h2.text-xl');
-      data.title = (h1 || h2Large)?.textContent?.trim();
+      const heading = document.querySelector(selectors.songPageTitle) ||
+        document.querySelector(selectors.songPageTitleFallback);
+      data.title = heading?.textContent?.trim();
 
       // Fallback: extract title from page text if heading not found or is "Unknown"
       if (!data.title || data.title === 'Unknown' || data.title.length < 3) {
-        // Pattern 1: "username time ago TITLE — subtitle, Key, BPM"
-        let titleMatch = pageText.match(/ago\s+([^—,\n]+(?:\s*—\s*[^,\n]+)?)\s*,\s*[A-G][#b]?\s*(?:Major|Minor)/i);
-
-        // Pattern 2: Just "TITLE, Key, BPM" (without subtitle)
-        if (!titleMatch) {
-          titleMatch = pageText.match(/\n([^,\n]{3,50})\s*,\s*[A-G][#b]?\s*(?:Major|Minor)\s*,\s*\d+\s*bpm/i);
-        }
-
-        // Pattern 3: Look for text between username and key that looks like a title
-        if (!titleMatch) {
-          titleMatch = pageText.match(/(?:ago|PUBLISH|REMIX)\s+([A-Z][^,\n]{2,50}?)\s*(?:—[^,\n]+?)?\s*,?\s*[A-G][#b]?\s*(?:Major|Minor)/i);
+        // Tried in order, e.g. "username time ago TITLE — subtitle, Key, BPM"
+        let titleMatch = null;
+        for (const pattern of [].concat(patterns.titleFallbacks)) {
+          titleMatch = pageText.match(new RegExp(pattern, 'i'));
+          if (titleMatch) break;
         }
 
         if (titleMatch) {
@@ -260,44 +452,47 @@ export class CompleteSongDownloader {
       }
 
       // Get author (username)
-      const authorLink = document.querySelector('a[href*="/profile/"]');
+      const authorLink = document.querySelector(selectors.authorLink);
       data.author = authorLink?.textContent?.trim();
 
       // Extract BPM
-      const bpmMatch = pageText.match(/(\d+)\s*bpm/i);
+      const bpmMatch = pageText.match(new RegExp(patterns.bpm, 'i'));
       if (bpmMatch) data.bpm = parseInt(bpmMatch[1]);
 
       // Extract Key
-      const keyMatch = pageText.match(/([A-G][#b]?\s*(?:Major|Minor))/i);
+      const keyMatch = pageText.match(new RegExp(patterns.key, 'i'));
       if (keyMatch) data.key = keyMatch[1];
 
       // Extract Model
-      const modelMatch = pageText.match(/MODEL\s*([A-Z0-9\-\.]+)/i);
+      const modelMatch = pageText.match(new RegExp(patterns.model, 'i'));
       if (modelMatch) data.model = modelMatch[1].trim();
 
       // Extract Lyrics - Producer.AI splits lyrics into individual word spans
       // Find the lyrics container with data-word-index spans
-      const lyricsContainer = document.querySelector('div.mt-1 div.text-base');
+      const lyricsContainer = document.querySelector(selectors.lyricsContainer);
       if (lyricsContainer) {
         const lyricsLines = [];
         let currentLine = [];
+        const attribute = (node, names) => names.map(name => node.getAttribute(name)).find(value => value !== null && value !== '') ?? null;
 
         // Get all child nodes (spans and br elements)
         const nodes = lyricsContainer.childNodes;
 
         for (const node of nodes) {
           if (node.nodeType === Node.ELEMENT_NODE) {
-            if (node.tagName === 'SPAN' && node.hasAttribute('data-word-index')) {
-              // Add the text content of this span
+            if (node.matches(selectors.lyricWord)) {
+              // Add the text content of this span, with its timing for karaoke highlighting
               const text = node.textContent?.trim();
               if (text) {
                 currentLine.push(text);
+                data.lyricWords.push({ text, start: attribute(node, timing.start), end: attribute(node, timing.end), lineBreak: false });
               }
             } else if (node.tagName === 'BR') {
               // Line break - save current line and start new one
               if (currentLine.length > 0) {
                 lyricsLines.push(currentLine.join(' '));
                 currentLine = [];
+                data.lyricWords[data.lyricWords.length - 1].lineBreak = true;
               }
             }
           }
@@ -313,7 +508,7 @@ export class CompleteSongDownloader {
 
       // Fallback to regex if container not found
       if (!data.lyrics) {
-        const lyricsMatch = pageText.match(/LYRICS\s*([^\n]+(?:\n(?!MODEL|SOUND)[^\n]+)*)/i);
+        const lyricsMatch = pageText.match(new RegExp(patterns.lyrics, 'i'));
         if (lyricsMatch) {
           data.lyrics = lyricsMatch[1].trim();
         }
@@ -321,7 +516,7 @@ export class CompleteSongDownloader {
 
       // Get full SOUND description - extract only the actual description text
       // Look for the pattern after "SOUND" and before "MODEL", "LYRICS", or other uppercase headers
-      const soundMatch = pageText.match(/SOUND\s+([^]+?)(?=\s+(?:MODEL|LYRICS|VIDEO|PUBLISH|REMIX|Share|Copy|$))/i);
+      const soundMatch = pageText.match(new RegExp(patterns.sound, 'i'));
       if (soundMatch) {
         // Clean up the description: remove extra whitespace and trim
         let desc = soundMatch[1]
@@ -346,7 +541,7 @@ export class CompleteSongDownloader {
       // Get cover art URL from image
       // The song cover is typically a large square image near the video/player
       // Avoid profile pictures by looking for larger images
-      const allImages = Array.from(document.querySelectorAll('img'));
+      const allImages = Array.from(document.querySelectorAll(selectors.songPageImage));
 
       // Filter to find the song cover:
       // 1. Must be visible and reasonably large (>200px)
@@ -382,21 +577,54 @@ export class CompleteSongDownloader {
       }
 
       // Try to get duration from page
-      const durationSpan = document.querySelector('span.text-fg-2.w-8');
+      const durationSpan = document.querySelector(selectors.songDuration);
       if (durationSpan) {
         data.duration = durationSpan.textContent?.trim();
       }
 
+      // Remix lineage: a song link labelled "Remix of", and the links under a "Remixes" heading
+      const songIdFrom = href => href?.match(/\/song\/([a-f0-9-]{36})/i)?.[1] || null;
+      const currentId = songIdFrom(location.pathname);
+      for (const link of document.querySelectorAll(selectors.remixParentLink)) {
+        const id = songIdFrom(link.getAttribute('href'));
+        if (id && id !== currentId && /remix(?:ed)?\s+(?:of|from)/i.test(link.parentElement?.textContent || '')) {
+          data.remixOf = id;
+          break;
+        }
+      }
+      const remixesHeading = Array.from(document.querySelectorAll(selectors.remixesHeading))
+        .find(heading => /^remixes\b/i.test(heading.textContent?.trim() || ''));
+      if (remixesHeading) {
+        const ids = Array.from(remixesHeading.parentElement.querySelectorAll(selectors.remixLink))
+          .map(link => songIdFrom(link.getAttribute('href')))
+          .filter(id => id && id !== currentId && id !== data.remixOf);
+        data.remixes = ids.length > 0 ? [...new Set(ids)] : null;
+      }
+
       return data;
+    }, {
+      selectors: cssSelectors(),
+      patterns: scraperConfig.textPatterns,
+      timing
     });
 
-    // Merge with original song data
-    return {
-      ...song,
-      ...metadata,
-      url: song.url,
-      id: song.id
-    };
+    // Word spans carry timing only when the page highlights lyrics as they play
+    const { lyricWords, ...fields } = data;
+    fields.syncedLyrics = syncedLines(timedWords(lyricWords, timing.unit), fields.lyrics);
+    return fields;
+  }
+
+  /**
+   * A file name for a song whose title belongs to another song, skipping
+   * names parallel workers are saving under
+   */
+  uniqueName(songDir, baseTitle, songId) {
+    return uniqueBaseName(songDir, baseTitle, songId, {
+      isClaimed: name => {
+        const claimedBy = this.claimedNames.get(path.join(songDir, name));
+        return !!claimedBy && claimedBy !== songId;
+      }
+    });
   }
 
   async findExistingCoverPath(songFolder, baseName, existingMetadata = null) {
@@ -467,21 +695,36 @@ export class CompleteSongDownloader {
     return null;
   }
 
-  async openDownloadSubmenu() {
-    // Step 1: open the three-dots menu near Share.
-    const btnCoords = await this.page.evaluate(() => {
-      const main = document.querySelector('main');
-      if (!main) return null;
-
-      const buttons = Array.from(main.querySelectorAll('button'));
-      const shareBtn = buttons.find(b => {
-        const txt = b.textContent?.trim();
-        const label = b.getAttribute('aria-label') || '';
-        return txt === 'Share' || label === 'Share';
-      });
+  /**
+   * Fetch an asset URL captured from network traffic straight to disk.
+   * Returns the saved path, or null so the caller can fall back to the menu.
+   */
+  async downloadFromNetwork(url, destPath, label) {
+    if (!url) {
+      return null;
+    }
+
+    try {
+      const bytes = await this.networkCapture.fetchToFile(url, destPath);
+      const sizeMB = (bytes / (1024 * 1024)).toFixed(2);
+      logger.debug(`✓ ${label} fetched from network: ${path.basename(destPath)} (${sizeMB} MB)`);
+      return destPath;
+    } catch (error) {
+      logger.warn(`Network fetch failed for ${label}: ${error.message}`);
+      await fs.remove(destPath).catch(() => {});
+      return null;
+    }
+  }
 
-      if (!shareBtn) return null;
-      const shareIndex = buttons.indexOf(shareBtn);
+  async openDownloadSubmenu() {
+    const { selectors } = scraperConfig;
+
+    // Step 1: open the three-dots menu, which is the action button after Share.
+    const shareButton = await this.findFirstVisible(selectorList(selectors.shareButton));
+    const shareHandle = await shareButton?.elementHandle();
+    const btnCoords = shareHandle && await this.page.evaluate(([share, actionSelector]) => {
+      const buttons = Array.from(document.querySelectorAll(actionSelector));
+      const shareIndex = buttons.indexOf(share);
       if (shareIndex >= 0 && shareIndex + 1 < buttons.length) {
         const moreBtn = buttons[shareIndex + 1];
         const rect = moreBtn.getBoundingClientRect();
@@ -489,7 +732,7 @@ export class CompleteSongDownloader {
       }
 
       return null;
-    });
+    }, [shareHandle, cssSelectors().songActionButton]);
 
     if (!btnCoords) {
       throw new Error('Menu button not found');
@@ -499,12 +742,7 @@ export class CompleteSongDownloader {
     await this.page.waitForTimeout(1200);
 
     // Step 2: click Download to open format submenu.
-    const downloadItem = await this.findFirstVisible([
-      '[role="menuitem"]:has-text("Download")',
-      'menuitem:has-text("Download")',
-      'button:has-text("Download")',
-      'text=Download'
-    ]);
+    const downloadItem = await this.findFirstVisible(selectorList(selectors.downloadMenuItem));
 
     if (!downloadItem) {
       const visibleText = await this.page.evaluate(() => {
@@ -537,12 +775,26 @@ export class CompleteSongDownloader {
         throw new Error('downloadAudio does not support "stems" format');
       }
 
+      const formatText = format.toUpperCase();
+
+      if (this.strategy !== 'menu') {
+        const networkPath = await this.downloadFromNetwork(
+          this.networkCapture.getAudioUrl(format),
+          path.join(songFolder, `${baseName}.${format}`),
+          `${formatText} audio`
+        );
+        if (networkPath) {
+          return networkPath;
+        }
+        // Only URLs tied to this song are trusted; without one the menu is the safe source
+        const message = `No ${formatText} URL for this song captured, falling back to download menu`;
+        if (this.strategy === 'network') logger.warn(message); else logger.debug(message);
+      }
+
       await this.openDownloadSubmenu();
 
-      const formatText = format.toUpperCase();
       const formatButton = await this.findFirstVisible([
-        `button:has-text("${formatText}")`,
-        `[role="menuitem"]:has-text("${formatText}")`,
+        ...selectorList(scraperConfig.selectors[`download${formatText}`]),
         `text=${formatText}`
       ]);
 
@@ -568,6 +820,32 @@ export class CompleteSongDownloader {
     }
   }
 
+  /**
+   * Unpack a stems ZIP when fileOrganization.stems.extract is on. A ZIP that
+   * was reused keeps its earlier extraction. Returns the stem inventory.
+   */
+  async extractStems(stemsPath, metadata, options = {}) {
+    const { coverPath = null, previous = null } = options;
+    if (!stemsPath) {
+      return null;
+    }
+    if (previous && await fs.pathExists(StemExtractor.folderFor(stemsPath))) {
+      return previous;
+    }
+    if (!scraperConfig.fileOrganization.stems?.extract) {
+      return null;
+    }
+
+    try {
+      const inventory = await new StemExtractor(this.outputDir).extract(stemsPath, metadata, { coverPath });
+      logger.debug(`✓ Extracted stems: ${inventory.stems.map(stem => stem.role).join(', ')}`);
+      return inventory;
+    } catch (error) {
+      logger.warn(`Failed to extract stems: ${error.message}`);
+      return null;
+    }
+  }
+
   /**
    * Download stems ZIP (if available).
    */
@@ -575,11 +853,23 @@ export class CompleteSongDownloader {
     const { required = false } = options;
 
     try {
+      if (this.strategy !== 'menu') {
+        const networkPath = await this.downloadFromNetwork(
+          this.networkCapture.getStemsUrl(),
+          path.join(songFolder, `${baseName}-stems.zip`),
+          'Stems ZIP'
+        );
+        if (networkPath) {
+          return networkPath;
+        }
+        const message = 'No stems URL for this song captured, falling back to download menu';
+        if (this.strategy === 'network') logger.warn(message); else logger.debug(message);
+      }
+
       await this.openDownloadSubmenu();
 
       const stemsButton = await this.findFirstVisible([
-        'button:has-text("Get stems")',
-        '[role="menuitem"]:has-text("Get stems")',
+        ...selectorList(scraperConfig.selectors.downloadStems),
         'text=Get stems'
       ]);
 
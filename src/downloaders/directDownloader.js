@@ -0,0 +1,110 @@
+/**
+ * Direct Downloader
+ * Recovery path for songs whose page aborts navigation (ERR_ABORTED) because
+ * the song URL serves the audio file itself. Captures that download and
+ * saves it next to a minimal metadata sidecar, where the active path
+ * template (or the song's existing `baseName`) puts it.
+ */
+
+import path from 'path';
+import fs from 'fs-extra';
+import sanitize from 'sanitize-filename';
+import { logger } from '../utils/logger.js';
+import { activePathTemplate, renderPathTemplate, templateValues, uniqueBaseName } from '../utils/pathTemplate.js';
+
+export class DirectDownloader {
+  constructor(page, outputDir = './output', options = {}) {
+    this.page = page;
+    this.outputDir = outputDir;
+    this.waitMs = options.waitMs || 10000;
+  }
+
+  /**
+   * @param {Object} song - { id, url, title?, baseName? }; without a title the
+   *   file is named after the server's suggested file name
+   * @param {Object} options
+   * @param {Object} options.collection - { type, name } for {collection} in path templates
+   */
+  async downloadSong(song, options = {}) {
+    const { collection = null } = options;
+    let captured = null;
+    const onDownload = download => { captured = download; };
+    this.page.on('download', onDownload);
+
+    try {
+      try {
+        await this.page.goto(song.url, { waitUntil: 'domcontentloaded', timeout: 30000 });
+      } catch (error) {
+        // Expected when the URL answers with a file instead of a page
+        if (!error.message.includes('ERR_ABORTED')) throw error;
+      }
+
+      if (!captured) {
+        captured = await this.page.waitForEvent('download', { timeout: this.waitMs }).catch(() => null);
+      }
+      if (!captured) {
+        return { success: false, error: 'No direct download was triggered' };
+      }
+
+      const suggested = path.parse(captured.suggestedFilename() || '');
+      const ext = suggested.ext.toLowerCase() || '.mp3';
+      const title = song.title || suggested.name || song.id;
+      const { songDir, baseName } = await this.chooseTarget(song, title, collection);
+      await fs.ensureDir(songDir);
+      const audioPath = path.join(songDir, `${baseName}${ext}`);
+      const metadataPath = path.join(songDir, `${baseName}.json`);
+
+      await captured.saveAs(audioPath);
+      await fs.writeJson(metadataPath, {
+        id: song.id,
+        title,
+        url: song.url,
+        files: { audio: path.basename(audioPath), stems: null, cover: null },
+        // Only the audio is recovered; a later download or sync fills in the rest
+        recoveredBy: 'direct-download',
+        downloadedAt: new Date().toISOString()
+      }, { spaces: 2 });
+
+      logger.info(`✓ Recovered via direct download: ${baseName}${ext}`);
+      return {
+        success: true,
+        title,
+        files: { audio: audioPath, stems: null, cover: null, metadata: metadataPath }
+      };
+    } catch (error) {
+      logger.error(`Direct download failed for ${song.title || song.id}: ${error.message}`);
+      return { success: false, error: error.message };
+    } finally {
+      this.page.off('download', onDownload);
+    }
+  }
+
+  /**
+   * Folder and base name: the song's existing path if it has one, else the
+   * path template as CompleteSongDownloader renders it. A name another song
+   * owns gets the next free take name (or the song ID appended).
+   */
+  async chooseTarget(song, title, collection) {
+    let songDir;
+    let baseName;
+    if (song.baseName) {
+      songDir = path.join(this.outputDir, path.dirname(song.baseName));
+      baseName = sanitize(path.basename(song.baseName), { replacement: '-' });
+    } else {
+      const target = renderPathTemplate(activePathTemplate(), templateValues({ song, title, collection }));
+      songDir = path.join(this.outputDir, ...target.dir.split('/').filter(Boolean));
+      baseName = target.baseName;
+    }
+
+    const metadataPath = path.join(songDir, `${baseName}.json`);
+    if (await fs.pathExists(metadataPath)) {
+      const existing = await fs.readJson(metadataPath).catch(() => null);
+      if (existing?.id !== song.id) {
+        ({ name: baseName } = await uniqueBaseName(songDir, baseName, song.id));
+      }
+    }
+    return { songDir, baseName };
+  }
+}
+
+export default DirectDownloader;
@@ -7,6 +7,7 @@ import * as cheerio from 'cheerio';
 import fs from 'fs-extra';
 import path from 'path';
 import { logger } from '../utils/logger.js';
+import { songIdOf } from './structuredMetadata.js';
 
 export class MetadataExtractor {
   constructor(page) {
@@ -294,8 +295,9 @@ export class MetadataExtractor {
                       $('span:contains("Created")').next().text();
       creation.createdAt = this.parseDate(dateText);
 
-      // Remix information
-      const remixOf = $('.remix-of').text().trim() ||
+      // Remix information: the parent's song ID when it is linked, else its name
+      const remixOf = songIdOf($('.remix-of a, [data-testid="remix-source"] a').attr('href')) ||
+                     $('.remix-of').text().trim() ||
                      $('[data-testid="remix-source"]').text().trim();
       if (remixOf) {
         creation.remixOf = remixOf;
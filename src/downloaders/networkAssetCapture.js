@@ -0,0 +1,255 @@
+/**
+ * Network Asset Capture
+ * Watches a song page's XHR/fetch/media traffic for audio, stems and cover URLs
+ * so assets can be fetched directly instead of through the three-dots menu.
+ * JSON responses that mention the song are kept for structured metadata.
+ */
+
+import fs from 'fs-extra';
+import { logger } from '../utils/logger.js';
+import scraperConfig from '../../config/scraper.config.js';
+
+const AUDIO_EXTENSIONS = { mp3: 'mp3', wav: 'wav', m4a: 'm4a', mp4: 'm4a' };
+const AUDIO_CONTENT_TYPES = [
+  [/audio\/(mpeg|mp3)/i, 'mp3'],
+  [/audio\/(wav|wave|x-wav|vnd\.wave)/i, 'wav'],
+  [/audio\/(mp4|x-m4a|aac)/i, 'm4a']
+];
+const WATCHED_RESOURCE_TYPES = new Set(['xhr', 'fetch', 'media']);
+const MAX_JSON_BYTES = 2 * 1024 * 1024;
+const MAX_PAYLOADS = 20;
+// Candidates whose URL names the song, or that sit inside the payload object
+// with the song's `id`; anything lower may belong to a feed, sidebar or
+// preview player on the same page
+const MIN_SONG_SCORE = 2;
+const SONG_ID_PATTERN = /^[a-f0-9]{8}-[a-f0-9]{4}-[a-f0-9]{4}-[a-f0-9]{4}-[a-f0-9]{12}$/i;
+
+export class NetworkAssetCapture {
+  constructor(page) {
+    this.page = page;
+    this.songId = null;
+    this.candidates = [];
+    this.payloads = [];
+    this.pending = new Set();
+    this.handleResponse = this.onResponse.bind(this);
+    this.listening = false;
+  }
+
+  /**
+   * Start recording asset URLs for a song. Call before navigating to the song page.
+   */
+  start(songId) {
+    this.songId = songId;
+    this.candidates = [];
+    this.payloads = [];
+    this.pending.clear();
+
+    if (!this.listening) {
+      this.page.on('response', this.handleResponse);
+      this.listening = true;
+    }
+  }
+
+  stop() {
+    if (this.listening) {
+      this.page.off('response', this.handleResponse);
+      this.listening = false;
+    }
+  }
+
+  /**
+   * Wait for in-flight JSON payloads to finish parsing
+   */
+  async settle(timeout = 5000) {
+    if (this.pending.size === 0) return;
+
+    await Promise.race([
+      Promise.allSettled(Array.from(this.pending)),
+      new Promise(resolve => setTimeout(resolve, timeout))
+    ]);
+  }
+
+  onResponse(response) {
+    const request = response.request();
+    if (!WATCHED_RESOURCE_TYPES.has(request.resourceType())) return;
+
+    const url = response.url();
+    const contentType = response.headers()['content-type'] || '';
+
+    // The response itself may be the asset (e.g. the player's media request)
+    const direct = this.classifyUrl(url, contentType);
+    if (direct) {
+      this.addCandidate({ ...direct, url, score: this.scoreUrl(url, 1) });
+      return;
+    }
+
+    // Otherwise look inside JSON API payloads for asset URLs
+    if (contentType.includes('json')) {
+      const task = this.collectFromResponse(response).finally(() => this.pending.delete(task));
+      this.pending.add(task);
+    }
+  }
+
+  async collectFromResponse(response) {
+    try {
+      const body = await response.body();
+      if (body.length > MAX_JSON_BYTES) return;
+
+      const text = body.toString('utf8');
+      const mentionsSong = !!this.songId && text.includes(this.songId);
+      const json = JSON.parse(text);
+      if (mentionsSong && this.payloads.length < MAX_PAYLOADS) {
+        this.payloads.push(json);
+      }
+      this.collectFromJson(json, '', 1);
+    } catch (error) {
+      // Redirects, aborted requests and non-JSON bodies carry nothing useful
+      logger.debug(`Skipped network payload: ${error.message}`);
+    }
+  }
+
+  /**
+   * Asset URLs anywhere in a payload. Those inside the object whose `id` is
+   * the song score 2; an object for another song (a feed entry, a remix
+   * parent) drops back to 1, even inside the song's own object.
+   */
+  collectFromJson(value, key, baseScore) {
+    if (typeof value === 'string') {
+      if (!/^https?:\/\//i.test(value)) return;
+      const asset = this.classifyUrl(value, '', key);
+      if (asset) {
+        this.addCandidate({ ...asset, url: value, score: this.scoreUrl(value, baseScore) });
+      }
+      return;
+    }
+
+    if (Array.isArray(value)) {
+      value.forEach(item => this.collectFromJson(item, key, baseScore));
+      return;
+    }
+
+    if (value && typeof value === 'object') {
+      let score = baseScore;
+      if (this.songId && value.id === this.songId) {
+        score = Math.max(baseScore, 2);
+      } else if (typeof value.id === 'string' && SONG_ID_PATTERN.test(value.id)) {
+        score = 1;
+      }
+      for (const [childKey, child] of Object.entries(value)) {
+        this.collectFromJson(child, childKey, score);
+      }
+    }
+  }
+
+  /**
+   * Work out what kind of asset a URL points at from its extension,
+   * content type, or (for JSON payloads) the property name it came from.
+   */
+  classifyUrl(url, contentType = '', key = '') {
+    let pathname;
+    try {
+      pathname = new URL(url).pathname.toLowerCase();
+    } catch {
+      return null;
+    }
+
+    const extension = pathname.split('.').pop();
+    const hint = key.toLowerCase();
+
+    if (extension === 'zip' || /application\/(zip|x-zip)/i.test(contentType)) {
+      return { kind: 'stems' };
+    }
+
+    if (AUDIO_EXTENSIONS[extension]) {
+      return { kind: 'audio', format: AUDIO_EXTENSIONS[extension] };
+    }
+
+    for (const [pattern, format] of AUDIO_CONTENT_TYPES) {
+      if (pattern.test(contentType)) {
+        return { kind: 'audio', format };
+      }
+    }
+
+    if (hint) {
+      if (hint.includes('stem')) return { kind: 'stems' };
+      if (hint.includes('wav')) return { kind: 'audio', format: 'wav' };
+      if (hint.includes('m4a')) return { kind: 'audio', format: 'm4a' };
+      if (/mp3|audio/.test(hint)) return { kind: 'audio', format: 'mp3' };
+      if (/cover|artwork|image|thumbnail/.test(hint) && !hint.includes('profile') && !hint.includes('avatar')) {
+        return { kind: 'cover' };
+      }
+    }
+
+    return null;
+  }
+
+  scoreUrl(url, baseScore) {
+    return this.songId && url.includes(this.songId) ? baseScore + 2 : baseScore;
+  }
+
+  addCandidate(candidate) {
+    const existing = this.candidates.find(c => c.url === candidate.url);
+    if (existing) {
+      existing.score = Math.max(existing.score, candidate.score);
+      return;
+    }
+    this.candidates.push(candidate);
+  }
+
+  /**
+   * Highest-scoring URL of a kind that is tied to this song, or null
+   */
+  bestCandidate(kind, format = null) {
+    return this.candidates
+      .filter(c => c.kind === kind && (!format || c.format === format) && c.score >= MIN_SONG_SCORE)
+      .sort((a, b) => b.score - a.score)[0]?.url || null;
+  }
+
+  getAudioUrl(format) {
+    return this.bestCandidate('audio', format);
+  }
+
+  getStemsUrl() {
+    return this.bestCandidate('stems');
+  }
+
+  getCoverUrl() {
+    return this.bestCandidate('cover');
+  }
+
+  /**
+   * Parsed JSON API responses that mention the song
+   */
+  getPayloads() {
+    return this.payloads;
+  }
+
+  /**
+   * Fetch an asset through the browser context (shares the login cookies)
+   * and save it. Rejects HTML error pages so they are never saved as audio.
+   */
+  async fetchToFile(url, destPath) {
+    const response = await this.page.context().request.get(url, {
+      timeout: scraperConfig.behavior.downloads.timeout
+    });
+
+    if (!response.ok()) {
+      throw new Error(`Asset request failed with status ${response.status()}`);
+    }
+
+    const contentType = response.headers()['content-type'] || '';
+    if (/text\/html/i.test(contentType)) {
+      throw new Error('Asset URL returned an HTML page instead of a file');
+    }
+
+    const buffer = await response.body();
+    if (buffer.length === 0) {
+      throw new Error('Asset URL returned an empty body');
+    }
+
+    await fs.writeFile(destPath, buffer);
+    return buffer.length;
+  }
+}
+
+export default NetworkAssetCapture;
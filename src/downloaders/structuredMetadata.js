@@ -0,0 +1,376 @@
+/**
+ * Structured Metadata
+ * Reads a song's fields from the data the app ships with the page (Next.js
+ * hydration payloads, JSON script tags, state globals) and from the JSON API
+ * responses captured while it loads, instead of matching regexes against the
+ * rendered page text. Every field remembers which source produced it.
+ */
+
+import { logger } from '../utils/logger.js';
+import { cleanSyncedLyrics } from '../utils/syncedLyrics.js';
+
+export const METADATA_FIELDS = ['title', 'author', 'description', 'bpm', 'key', 'model', 'lyrics', 'coverUrl', 'duration'];
+
+// Remix parent (song ID) and known remixes (song IDs). Most songs have
+// neither, so a gap here never sends extraction back to the page text.
+export const LINEAGE_FIELDS = ['remixOf', 'remixes'];
+
+// When and in which generation session the song was made, for variation grouping
+export const ORIGIN_FIELDS = ['createdAt', 'sessionId'];
+
+// Line and word timing of the lyrics (see utils/syncedLyrics.js)
+export const TIMING_FIELDS = ['syncedLyrics'];
+
+// Tried in this order; a field comes from the first source that has it
+export const METADATA_SOURCES = ['hydration', 'api', 'dom'];
+
+const MAX_PAYLOAD_CHARS = 5 * 1024 * 1024;
+const MAX_WALK_NODES = 200000;
+
+// Property names each field goes by in the app's data
+const FIELD_KEYS = {
+  title: ['title', 'song_title', 'songTitle', 'name'],
+  description: ['sound', 'sound_prompt', 'soundPrompt', 'style_prompt', 'stylePrompt', 'description', 'prompt', 'caption'],
+  bpm: ['bpm', 'tempo'],
+  key: ['key', 'musical_key', 'musicalKey', 'key_signature', 'keySignature'],
+  model: ['model', 'model_name', 'modelName', 'model_version', 'modelVersion'],
+  lyrics: ['lyrics', 'lyrics_text', 'lyricsText', 'lyric'],
+  coverUrl: ['image_url', 'imageUrl', 'cover_url', 'coverUrl', 'artwork_url', 'artworkUrl', 'cover_image_url', 'coverImageUrl', 'image', 'cover', 'thumbnail_url'],
+  duration: ['duration', 'duration_seconds', 'durationSeconds', 'length_seconds', 'audio_duration']
+};
+const REMIX_PARENT_KEYS = ['remix_of', 'remixOf', 'remixed_from', 'remixedFrom', 'remix_source', 'remixSource',
+  'parent_song', 'parentSong', 'parent_song_id', 'parentSongId', 'parent_id', 'parentId',
+  'source_song_id', 'sourceSongId', 'original_song', 'originalSong', 'original_song_id', 'originalSongId'];
+const REMIX_CHILD_KEYS = ['remixes', 'remix_ids', 'remixIds', 'child_songs', 'childSongs'];
+const CREATED_KEYS = ['created_at', 'createdAt', 'creation_date', 'creationDate', 'generated_at', 'generatedAt'];
+const SESSION_KEYS = ['session_id', 'sessionId', 'conversation_id', 'conversationId', 'generation_id', 'generationId', 'batch_id', 'batchId'];
+const TIMING_KEYS = ['aligned_words', 'alignedWords', 'word_timestamps', 'wordTimestamps', 'lyric_timestamps', 'lyricTimestamps',
+  'timed_lyrics', 'timedLyrics', 'synced_lyrics', 'syncedLyrics', 'lyrics_alignment', 'lyricsAlignment', 'lyric_timing', 'lyricTiming'];
+const AUTHOR_OBJECT_KEYS = ['author', 'user', 'creator', 'artist', 'owner', 'profile'];
+const AUTHOR_STRING_KEYS = ['author_name', 'authorName', 'artist_name', 'artistName', 'username', 'user_name', 'handle'];
+const ID_KEYS = ['id', 'song_id', 'songId', 'uuid', 'riff_id', 'riffId'];
+
+/**
+ * Raw data embedded in the current page, for parseHydrationPayloads()
+ */
+export async function readHydrationData(page) {
+  return page.evaluate(() => {
+    const scripts = Array.from(document.querySelectorAll('script#__NEXT_DATA__, script[type="application/json"], script[type="application/ld+json"]'))
+      .map(script => script.textContent || '');
+
+    // Next.js app router streams its data as self.__next_f.push([1, "..."]) chunks
+    const flight = Array.isArray(window.__next_f)
+      ? window.__next_f.filter(chunk => chunk?.[0] === 1 && typeof chunk[1] === 'string').map(chunk => chunk[1]).join('')
+      : '';
+
+    const globals = [];
+    for (const name of ['__NUXT__', '__APOLLO_STATE__', '__INITIAL_STATE__', '__PRELOADED_STATE__']) {
+      try {
+        if (window[name]) globals.push(JSON.stringify(window[name]));
+      } catch {
+        // Circular or otherwise unserializable state
+      }
+    }
+
+    return { scripts: scripts.concat(globals), flight };
+  });
+}
+
+/**
+ * Parse the embedded data into JSON values, keeping only those that mention the song
+ */
+export function parseHydrationPayloads({ scripts = [], flight = '' } = {}, songId) {
+  const payloads = [];
+  const mentions = text => text.length <= MAX_PAYLOAD_CHARS && (!songId || text.includes(songId));
+
+  for (const text of scripts) {
+    if (!mentions(text)) continue;
+    try {
+      payloads.push(JSON.parse(text));
+    } catch {
+      logger.debug('Skipped embedded script that is not JSON');
+    }
+  }
+
+  if (flight && mentions(flight)) {
+    payloads.push(...parseFlightData(flight, songId));
+  }
+
+  return payloads;
+}
+
+/**
+ * React Server Components rows look like `2a:["$","div",null,{...}]`; keep
+ * the JSON rows that mention the song
+ */
+export function parseFlightData(text, songId) {
+  const rows = [];
+  for (const line of text.split('\n')) {
+    const match = line.match(/^[0-9a-z]+:(.*)$/i);
+    if (!match || !/^[[{]/.test(match[1]) || (songId && !match[1].includes(songId))) continue;
+    try {
+      rows.push(JSON.parse(match[1]));
+    } catch {
+      // Text rows and rows split across chunks
+    }
+  }
+  return rows;
+}
+
+/**
+ * Objects in the payloads whose ID is the song's, best first (most fields)
+ */
+export function findSongRecords(payloads, songId) {
+  const records = [];
+  walkObjects(payloads, value => {
+    if (recordId(value) === songId) records.push(value);
+  });
+
+  return records
+    .map(record => ({ record, fields: fieldsFromRecord(record) }))
+    .sort((a, b) => Object.keys(b.fields).length - Object.keys(a.fields).length)
+    .map(({ fields }) => fields);
+}
+
+/**
+ * Other songs in the payloads that name this one as their remix parent
+ * (children), or list it among their remixes (the parent)
+ */
+export function findRemixRelatives(payloads, songId) {
+  let parent = null;
+  const children = new Set();
+
+  walkObjects(payloads, value => {
+    const id = recordId(value);
+    if (!id || id === songId) return;
+    if (REMIX_PARENT_KEYS.some(key => songIdOf(value[key]) === songId)) {
+      children.add(id);
+    }
+    if (!parent && REMIX_CHILD_KEYS.some(key => Array.isArray(value[key]) && value[key].some(child => songIdOf(child) === songId))) {
+      parent = id;
+    }
+  });
+
+  return { parent, children: Array.from(children) };
+}
+
+function walkObjects(payloads, visit) {
+  const seen = new Set();
+  const stack = [...payloads];
+  let visited = 0;
+
+  while (stack.length > 0 && visited++ < MAX_WALK_NODES) {
+    const value = stack.pop();
+    if (!value || typeof value !== 'object' || seen.has(value)) continue;
+    seen.add(value);
+
+    if (!Array.isArray(value)) visit(value);
+    for (const child of Object.values(value)) {
+      if (child && typeof child === 'object') stack.push(child);
+    }
+  }
+}
+
+function recordId(value) {
+  const id = ID_KEYS.map(key => value[key]).find(candidate => typeof candidate === 'string' || typeof candidate === 'number');
+  return id === undefined ? null : String(id);
+}
+
+/**
+ * Song fields found in one record (or one level down, e.g. record.metadata.bpm)
+ */
+export function fieldsFromRecord(record) {
+  const nested = Object.entries(record)
+    .filter(([key, value]) => value && typeof value === 'object' && !Array.isArray(value) && !AUTHOR_OBJECT_KEYS.includes(key))
+    .map(([, value]) => value);
+  const lookup = keys => {
+    for (const scope of [record, ...nested]) {
+      for (const key of keys) {
+        if (scope[key] !== undefined && scope[key] !== null && scope[key] !== '') return scope[key];
+      }
+    }
+    return null;
+  };
+
+  const session = lookup(SESSION_KEYS);
+  const rawLyrics = lookup(FIELD_KEYS.lyrics);
+  const lyrics = cleanLyrics(rawLyrics);
+  const fields = {
+    title: cleanText(lookup(FIELD_KEYS.title)),
+    author: authorFrom(record),
+    description: cleanText(lookup(FIELD_KEYS.description)),
+    bpm: cleanBpm(lookup(FIELD_KEYS.bpm)),
+    key: cleanKey(lookup(FIELD_KEYS.key), lookup(['mode', 'scale', 'key_mode', 'keyMode'])),
+    model: cleanModel(lookup(FIELD_KEYS.model)),
+    lyrics,
+    // Lyrics sent as a list of lines may carry their timing
+    syncedLyrics: cleanSyncedLyrics(lookup(TIMING_KEYS) ?? (Array.isArray(rawLyrics) ? rawLyrics : null), lyrics),
+    coverUrl: cleanUrl(lookup(FIELD_KEYS.coverUrl)),
+    duration: cleanDuration(lookup(FIELD_KEYS.duration)),
+    remixOf: songIdOf(lookup(REMIX_PARENT_KEYS)),
+    remixes: cleanSongIds(lookup(REMIX_CHILD_KEYS)),
+    createdAt: cleanDate(lookup(CREATED_KEYS)),
+    sessionId: typeof session === 'number' ? String(session) : cleanText(session)
+  };
+
+  return Object.fromEntries(Object.entries(fields).filter(([, value]) => value !== null));
+}
+
+/**
+ * Combine sources field by field, in METADATA_SOURCES order.
+ * @param {Object} layers - { hydration: fields, api: fields, dom: fields }
+ * @returns {{ metadata: Object, sources: Object }} sources maps field → source name
+ */
+export function mergeMetadataSources(layers) {
+  const metadata = {};
+  const sources = {};
+
+  for (const field of [...METADATA_FIELDS, ...LINEAGE_FIELDS, ...ORIGIN_FIELDS, ...TIMING_FIELDS]) {
+    metadata[field] = null;
+    for (const source of METADATA_SOURCES) {
+      const value = layers[source]?.[field];
+      if (value !== undefined && value !== null && value !== '') {
+        metadata[field] = value;
+        sources[field] = source;
+        break;
+      }
+    }
+  }
+
+  return { metadata, sources };
+}
+
+/**
+ * Fields for one song from a list of parsed payloads; the best record wins
+ * and other records of the same song fill its gaps
+ */
+export function structuredFields(payloads, songId) {
+  const fields = {};
+  for (const recordFields of findSongRecords(payloads, songId)) {
+    for (const [field, value] of Object.entries(recordFields)) {
+      if (!(field in fields)) fields[field] = value;
+    }
+  }
+
+  const relatives = findRemixRelatives(payloads, songId);
+  if (!fields.remixOf && relatives.parent) {
+    fields.remixOf = relatives.parent;
+  }
+  const remixes = [...new Set([...(fields.remixes || []), ...relatives.children])].filter(id => id !== songId);
+  if (remixes.length > 0) {
+    fields.remixes = remixes;
+  } else {
+    delete fields.remixes;
+  }
+  return fields;
+}
+
+/**
+ * A song ID (UUID) from an ID string, a song URL or an object with an id
+ */
+export function songIdOf(value) {
+  if (value && typeof value === 'object') {
+    return songIdOf(ID_KEYS.map(key => value[key]).find(id => id !== undefined && id !== null) ?? null);
+  }
+  if (typeof value !== 'string' && typeof value !== 'number') return null;
+  const text = String(value).trim();
+  return text.match(/\/song\/([a-f0-9-]{36})/i)?.[1] || (/^[a-f0-9-]{36}$/i.test(text) ? text : null);
+}
+
+function cleanSongIds(value) {
+  if (!Array.isArray(value)) return null;
+  const ids = [...new Set(value.map(songIdOf).filter(Boolean))];
+  return ids.length > 0 ? ids : null;
+}
+
+function authorFrom(record) {
+  for (const key of AUTHOR_OBJECT_KEYS) {
+    const value = record[key];
+    if (typeof value === 'string') return cleanText(value);
+    if (value && typeof value === 'object') {
+      const name = value.username || value.handle || value.display_name || value.displayName || value.name;
+      if (name) return cleanText(name);
+    }
+  }
+  for (const key of AUTHOR_STRING_KEYS) {
+    if (typeof record[key] === 'string') return cleanText(record[key]);
+  }
+  return null;
+}
+
+function cleanText(value) {
+  if (typeof value !== 'string') return null;
+  const text = value.trim();
+  return text || null;
+}
+
+function cleanBpm(value) {
+  const bpm = Math.round(Number(String(value ?? '').replace(/\s*bpm$/i, '')));
+  return bpm >= 20 && bpm <= 400 ? bpm : null;
+}
+
+/**
+ * "A Minor" as the song page shows it, from "Am", "a minor" or a separate mode
+ */
+function cleanKey(value, mode) {
+  if (typeof value !== 'string') return null;
+  const match = value.trim().replace(/♯/g, '#').replace(/♭/g, 'b')
+    .match(/^([a-g])([#b]?)\s*(maj(?:or)?|min(?:or)?|m)?$/i);
+  if (!match) return null;
+
+  const modeText = match[3] || (typeof mode === 'string' ? mode.trim() : '');
+  const minor = /^m(in(or)?)?$/i.test(modeText) && modeText !== 'M';
+  const major = /^maj(or)?$/i.test(modeText) || modeText === 'M';
+  return `${match[1].toUpperCase()}${match[2]}${minor ? ' Minor' : major ? ' Major' : ''}`;
+}
+
+function cleanModel(value) {
+  if (value && typeof value === 'object') {
+    return cleanText(value.name || value.version || value.id || null);
+  }
+  return typeof value === 'number' ? String(value) : cleanText(value);
+}
+
+function cleanLyrics(value) {
+  if (Array.isArray(value)) {
+    const lines = value.map(line => (typeof line === 'string' ? line : line?.text || '')).filter(Boolean);
+    return lines.length > 0 ? lines.join('\n').trim() : null;
+  }
+  if (value && typeof value === 'object') {
+    return cleanText(value.text || value.plain || null);
+  }
+  return cleanText(value);
+}
+
+/**
+ * ISO timestamp from a date string or epoch seconds/milliseconds
+ */
+function cleanDate(value) {
+  if (value === null || value === undefined || value === '') return null;
+  const date = typeof value === 'number'
+    ? new Date(value < 1e12 ? value * 1000 : value)
+    : new Date(String(value));
+  return Number.isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+function cleanUrl(value) {
+  const url = value && typeof value === 'object' ? value.url || value.src : value;
+  return typeof url === 'string' && /^https?:\/\//i.test(url) ? url : null;
+}
+
+/**
+ * "m:ss" like the page shows; numbers are seconds (or milliseconds when huge)
+ */
+function cleanDuration(value) {
+  if (typeof value === 'string' && /^(\d+:)?\d{1,2}:\d{2}$/.test(value.trim())) {
+    return value.trim();
+  }
+  let seconds = Number(value);
+  if (!Number.isFinite(seconds) || seconds <= 0) return null;
+  if (seconds > 36000) seconds /= 1000;
+  seconds = Math.round(seconds);
+  const hours = Math.floor(seconds / 3600);
+  const minutes = Math.floor((seconds % 3600) / 60);
+  const secs = String(seconds % 60).padStart(2, '0');
+  return hours > 0 ? `${hours}:${String(minutes).padStart(2, '0')}:${secs}` : `${minutes}:${secs}`;
+}
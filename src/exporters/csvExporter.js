@@ -7,86 +7,35 @@ import path from 'path';
 import fs from 'fs-extra';
 import { parse } from 'json2csv';
 import { logger } from '../utils/logger.js';
+import { LibraryManifest } from '../utils/libraryManifest.js';
+import { sectionsFor, lyricStructure, chorusLines } from '../utils/lyricSections.js';
 
 export class CSVExporter {
   constructor(outputDir = './output') {
     this.outputDir = outputDir;
   }
 
-  toPosixPath(filePath) {
-    return filePath ? filePath.split(path.sep).join('/') : filePath;
-  }
-
-  async collectMetadataFiles(dir, collected = []) {
-    const entries = await fs.readdir(dir, { withFileTypes: true });
-
-    for (const entry of entries) {
-      const fullPath = path.join(dir, entry.name);
-
-      if (entry.isDirectory()) {
-        await this.collectMetadataFiles(fullPath, collected);
-        continue;
-      }
-
-      const isMetadataJson = entry.name.endsWith('.json')
-        && !entry.name.includes('checkpoint')
-        && !entry.name.includes('report')
-        && entry.name !== '_ai-review-pending.json';
-
-      if (isMetadataJson) {
-        collected.push(fullPath);
-      }
-    }
-
-    return collected;
-  }
-
-  async findSiblingByExtensions(dir, baseName, extensions) {
-    for (const ext of extensions) {
-      const candidate = path.join(dir, `${baseName}${ext}`);
-      if (await fs.pathExists(candidate)) {
-        return candidate;
-      }
-    }
-
-    return null;
-  }
-
   /**
-   * Scan output directory and collect all song metadata.
-   * Supports both flat output and playlist subdirectories.
+   * Collect all song metadata from the library manifest.
+   * Covers both flat output and playlist subdirectories.
    */
   async collectSongsMetadata() {
-    const songs = [];
-
     try {
       if (!await fs.pathExists(this.outputDir)) {
         logger.warn(`Output directory does not exist: ${this.outputDir}`);
-        return songs;
+        return [];
       }
 
-      const metadataFiles = await this.collectMetadataFiles(this.outputDir);
-
-      for (const jsonPath of metadataFiles) {
-        const jsonFile = path.basename(jsonPath);
-        const songDir = path.dirname(jsonPath);
-        const baseName = path.basename(jsonFile, '.json');
-
-        // Read metadata
-        const metadata = await fs.readJson(jsonPath);
-
-        // Find matching audio and cover files with the same base name in the same directory.
-        const audioFile = await this.findSiblingByExtensions(songDir, baseName, ['.mp3', '.wav', '.m4a', '.zip']);
-        const coverFile = await this.findSiblingByExtensions(songDir, baseName, ['.png', '.jpg', '.jpeg', '.webp']);
-        const relativeDir = path.relative(this.outputDir, songDir) || '.';
-
-        songs.push({
-          ...metadata,
-          audioFilePath: audioFile ? this.toPosixPath(path.relative(this.outputDir, audioFile)) : null,
-          coverFilePath: coverFile ? this.toPosixPath(path.relative(this.outputDir, coverFile)) : null,
-          folder: this.toPosixPath(relativeDir)
-        });
-      }
+      const indexed = await new LibraryManifest(this.outputDir).readSongs();
+      const songs = indexed.map(({ entry, metadata }) => ({
+        ...metadata,
+        // Stems-only downloads have no audio file; the ZIP stands in for it
+        audioFilePath: entry.files.audio?.path || entry.files.stems?.path || null,
+        coverFilePath: entry.files.cover?.path || null,
+        stemFilePaths: (metadata.stemInventory?.stems || [])
+          .map(stem => path.posix.join(path.posix.dirname(entry.metadata), metadata.stemInventory.folder, stem.file)),
+        folder: path.posix.dirname(entry.metadata)
+      }));
 
       logger.info(`Collected metadata from ${songs.length} songs`);
       return songs;
@@ -116,10 +65,19 @@ export class CSVExporter {
       // Content
       'Description': song.description || '',
       'Lyrics': song.lyrics || '',
+      'Lyric Structure': lyricStructure(sectionsFor(song)),
+      'Chorus': chorusLines(sectionsFor(song)).join(' / '),
 
       // Files (filenames for WordPress media library)
       'Audio File': song.audioFilePath || '',
       'Cover Image': song.coverFilePath || '',
+      'Stems': (song.stemInventory?.stems || []).map(stem => stem.role).join(', '),
+      'Stem Files': (song.stemFilePaths || []).join('; '),
+
+      // Variation family (see: node cli.js variations)
+      'Variation Group': song.variationGroup || '',
+      'Take': song.variationIndex || '',
+      'Takes': song.variationTakes || '',
 
       // URLs
       'Producer.AI URL': song.url || '',
@@ -175,10 +133,41 @@ export class CSVExporter {
     return tags.join(', ');
   }
 
+  /**
+   * Count each variation family's takes; when collapsing, keep one row per
+   * family (its lowest take) and per song ID
+   */
+  applyVariations(songs, collapse = false) {
+    const takes = new Map();
+    const seen = new Set();
+    for (const song of songs) {
+      if (song.variationGroup && !seen.has(song.id)) {
+        seen.add(song.id);
+        takes.set(song.variationGroup, (takes.get(song.variationGroup) || 0) + 1);
+      }
+    }
+    const counted = songs.map(song => ({ ...song, variationTakes: takes.get(song.variationGroup) || null }));
+    if (!collapse) {
+      return counted;
+    }
+
+    const first = new Map();
+    for (const song of counted) {
+      const best = first.get(song.variationGroup);
+      if (song.variationGroup && (!best || song.variationIndex < best.variationIndex)) {
+        first.set(song.variationGroup, song);
+      }
+    }
+    return counted.filter(song => !song.variationGroup || first.get(song.variationGroup) === song);
+  }
+
   /**
    * Export songs to CSV file
+   * @param {string} outputPath - CSV file (default: timestamped in the output directory)
+   * @param {Object} options
+   * @param {boolean} options.collapseVariations - One row per variation family
    */
-  async exportToCSV(outputPath = null) {
+  async exportToCSV(outputPath = null, options = {}) {
     try {
       // Default path if not specified
       if (!outputPath) {
@@ -188,7 +177,7 @@ export class CSVExporter {
 
       // Collect and transform data
       logger.info('Collecting songs metadata...');
-      const songs = await this.collectSongsMetadata();
+      const songs = this.applyVariations(await this.collectSongsMetadata(), options.collapseVariations);
 
       if (songs.length === 0) {
         logger.warn('No songs found to export');
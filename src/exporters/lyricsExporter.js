@@ -0,0 +1,107 @@
+/**
+ * Lyrics Exporter
+ * Writes timed lyrics as .lrc, .srt or .vtt files: beside each song (same
+ * base name as its audio, where players look for them) or into one folder.
+ * Songs whose lyrics have no timing are skipped.
+ */
+
+import path from 'path';
+import fs from 'fs-extra';
+import sanitize from 'sanitize-filename';
+import { logger } from '../utils/logger.js';
+import { LibraryManifest } from '../utils/libraryManifest.js';
+import { LYRICS_FORMATS, renderSyncedLyrics } from '../utils/syncedLyrics.js';
+import scraperConfig from '../../config/scraper.config.js';
+
+export class LyricsExporter {
+  /**
+   * @param {string} outputDir - Library output directory
+   * @param {Object} options
+   * @param {string[]} options.formats - lrc, srt and/or vtt
+   * @param {boolean} options.wordTiming - Enhanced LRC with per-word stamps
+   */
+  constructor(outputDir = './output', options = {}) {
+    this.outputDir = path.resolve(outputDir);
+    this.manifest = options.manifest || new LibraryManifest(this.outputDir);
+    this.formats = options.formats || LYRICS_FORMATS;
+    this.wordTiming = options.wordTiming ?? false;
+
+    const unknown = this.formats.filter(format => !LYRICS_FORMATS.includes(format));
+    if (unknown.length > 0) {
+      throw new Error(`Unknown lyrics format: ${unknown.join(', ')}. Use: ${LYRICS_FORMATS.join(', ')}`);
+    }
+  }
+
+  /**
+   * A song's timed lyrics in one format, with LRC header tags from its metadata
+   */
+  static render(format, metadata, options = {}) {
+    const tags = {
+      title: metadata.title || metadata.originalTitle,
+      artist: metadata.artist || metadata.author || scraperConfig.metadata.defaultArtist,
+      album: metadata.album,
+      length: metadata.duration
+    };
+    return renderSyncedLyrics(format, metadata.syncedLyrics, tags, options);
+  }
+
+  /**
+   * Write the files for every song with timed lyrics.
+   * @param {Object} options
+   * @param {string} options.dir - Write all files here instead of beside each song
+   * @param {string[]} options.songIds - Only these songs
+   * @returns {{ songs, files: string[], skipped: string[] }} skipped: song IDs without timing
+   */
+  async exportAll(options = {}) {
+    const { dir = null, songIds = null } = options;
+    const targetDir = dir ? path.resolve(dir) : null;
+    const files = [];
+    const skipped = new Set();
+    const exported = new Set();
+    const usedNames = new Set();
+
+    for (const { entry, metadata, metadataPath } of await this.manifest.readSongs()) {
+      if (songIds && !songIds.includes(entry.id)) continue;
+      if (!metadata.syncedLyrics?.length) {
+        skipped.add(entry.id);
+        continue;
+      }
+
+      // One set per song in a shared folder; one per copy beside the songs
+      let base;
+      if (targetDir) {
+        if (exported.has(entry.id)) continue;
+        base = sanitize(metadata.title || entry.title || entry.id, { replacement: '-' }) || entry.id;
+        if (usedNames.has(base.toLowerCase())) base = `${base}-${entry.id.substring(0, 8)}`;
+        usedNames.add(base.toLowerCase());
+        base = path.join(targetDir, base);
+      } else {
+        base = metadataPath.replace(/\.json$/, '');
+      }
+
+      await fs.ensureDir(path.dirname(base));
+      for (const format of this.formats) {
+        const filePath = `${base}.${format}`;
+        await fs.writeFile(filePath, LyricsExporter.render(format, metadata, { wordTiming: this.wordTiming }), 'utf8');
+        files.push(filePath);
+      }
+      exported.add(entry.id);
+
+      // An .lrc beside the song is one of its assets
+      if (!targetDir && this.formats.includes('lrc')) {
+        if (metadata.files?.lyrics !== `${path.basename(base)}.lrc`) {
+          await fs.writeJson(metadataPath, { ...metadata, files: { ...metadata.files, lyrics: `${path.basename(base)}.lrc` } }, { spaces: 2 });
+        }
+        await this.manifest.recordSidecar(metadataPath);
+      }
+    }
+    await this.manifest.flush();
+
+    // A song counts as skipped only if no copy had timing
+    const skippedIds = Array.from(skipped).filter(id => !exported.has(id));
+    logger.info(`Wrote ${files.length} lyrics file${files.length === 1 ? '' : 's'} for ${exported.size} song${exported.size === 1 ? '' : 's'}`);
+    return { songs: exported.size, files, skipped: skippedIds };
+  }
+}
+
+export default LyricsExporter;
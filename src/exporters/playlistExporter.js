@@ -0,0 +1,225 @@
+/**
+ * Playlist Exporter
+ * Writes .m3u8, .pls and .xspf playlist files for downloaded playlists and
+ * projects, in the collection's track order and with paths relative to the
+ * playlist file so the folder can be moved or copied as a whole.
+ */
+
+import path from 'path';
+import fs from 'fs-extra';
+import sanitize from 'sanitize-filename';
+import { logger } from '../utils/logger.js';
+import { LibraryManifest } from '../utils/libraryManifest.js';
+import { parseDuration } from '../utils/audioVerifier.js';
+import scraperConfig from '../../config/scraper.config.js';
+import { escapeMarkup } from '../utils/markup.js';
+
+export const PLAYLIST_FORMATS = ['m3u8', 'pls', 'xspf'];
+
+// Playlists for collections without their own folder (path template layouts)
+const SHARED_PLAYLIST_DIR = 'Playlists';
+
+export class PlaylistExporter {
+  constructor(outputDir = './output', options = {}) {
+    this.outputDir = path.resolve(outputDir);
+    this.manifest = options.manifest || new LibraryManifest(this.outputDir);
+    this.formats = options.formats || scraperConfig.fileOrganization.playlistFiles?.formats || PLAYLIST_FORMATS;
+
+    const unknown = this.formats.filter(format => !PLAYLIST_FORMATS.includes(format));
+    if (unknown.length > 0) {
+      throw new Error(`Unknown playlist format: ${unknown.join(', ')}. Use: ${PLAYLIST_FORMATS.join(', ')}`);
+    }
+  }
+
+  /**
+   * Write playlist files for one collection.
+   * @param {Object} collection - { type, name, url, folder, songIds } as saved in its checkpoint
+   * @param {Object} options
+   * @param {string} options.dir - Where to write (default: the collection folder)
+   * @returns {{ files: string[], tracks: number, missing: string[] }}
+   */
+  async exportCollection(collection, options = {}) {
+    await this.manifest.load();
+    const dir = path.resolve(options.dir || this.defaultDir(collection));
+    const tracks = [];
+    const missing = [];
+
+    const songIds = collection.songIds || this.songIdsFromManifest(collection);
+    for (const id of songIds) {
+      const track = await this.trackFor(id, collection);
+      if (track) {
+        tracks.push(track);
+      } else {
+        missing.push(id);
+      }
+    }
+
+    await fs.ensureDir(dir);
+    const baseName = sanitize(collection.name || 'Playlist', { replacement: '-' }) || 'Playlist';
+    const files = [];
+
+    for (const format of this.formats) {
+      const filePath = path.join(dir, `${baseName}.${format}`);
+      const entries = tracks.map(track => ({
+        ...track,
+        location: path.relative(dir, track.audioPath).split(path.sep).join('/')
+      }));
+      await fs.writeFile(filePath, this.render(format, collection, entries), 'utf8');
+      files.push(filePath);
+    }
+
+    logger.info(`Wrote ${files.length} playlist file${files.length === 1 ? '' : 's'} for "${collection.name}" (${tracks.length} tracks)`);
+    if (missing.length > 0) {
+      logger.warn(`${missing.length} song${missing.length === 1 ? '' : 's'} of "${collection.name}" not downloaded and left out`);
+    }
+
+    return { files, tracks: tracks.length, missing };
+  }
+
+  /**
+   * Playlist files for every collection with a checkpoint, plus collections
+   * known only from the manifest (ordered by download time)
+   */
+  async exportAll(options = {}) {
+    const { checkpointDir = scraperConfig.progress.checkpointDir, dir = null } = options;
+    await this.manifest.load();
+
+    const collections = new Map();
+    if (await fs.pathExists(checkpointDir)) {
+      for (const name of (await fs.readdir(checkpointDir)).sort()) {
+        if (!/^(playlist|project)-[a-f0-9-]{36}\.json$/i.test(name)) continue;
+        const checkpoint = await fs.readJson(path.join(checkpointDir, name)).catch(() => null);
+        if (checkpoint?.collection?.name) {
+          collections.set(`${checkpoint.collection.type}:${checkpoint.collection.name}`, checkpoint.collection);
+        }
+      }
+    }
+
+    for (const entry of this.manifest.entries()) {
+      for (const collection of entry.collections) {
+        const key = `${collection.type}:${collection.name}`;
+        if ((collection.type === 'playlist' || collection.type === 'project') && !collections.has(key)) {
+          collections.set(key, { type: collection.type, name: collection.name });
+        }
+      }
+
+      // Playlist folders downloaded before sources were recorded
+      if (entry.collections.length > 0 && entry.collections.every(c => c.type === 'folder')) {
+        const folder = entry.collections[0].name;
+        const key = `folder:${folder}`;
+        if (!collections.has(key)) {
+          collections.set(key, { type: 'folder', name: path.posix.basename(folder), folder });
+        }
+      }
+    }
+
+    const results = [];
+    for (const collection of collections.values()) {
+      results.push({
+        type: collection.type,
+        name: collection.name,
+        ordered: Array.isArray(collection.songIds),
+        ...await this.exportCollection(collection, { dir })
+      });
+    }
+    return results;
+  }
+
+  defaultDir(collection) {
+    return collection.folder
+      ? path.join(this.outputDir, collection.folder)
+      : path.join(this.outputDir, SHARED_PLAYLIST_DIR);
+  }
+
+  /**
+   * Songs recorded as downloaded from a collection, oldest download first
+   */
+  songIdsFromManifest(collection) {
+    const ids = this.manifest.entries()
+      .filter(entry => this.inCollection(entry, collection))
+      .sort((a, b) => String(a.downloadedAt || '').localeCompare(String(b.downloadedAt || '')))
+      .map(entry => entry.id);
+    return Array.from(new Set(ids));
+  }
+
+  inCollection(entry, collection) {
+    const name = collection.type === 'folder' ? collection.folder : collection.name;
+    return entry.collections.some(c => c.type === collection.type && c.name === name);
+  }
+
+  /**
+   * The song's copy downloaded for this collection, else any copy with audio
+   */
+  async trackFor(id, collection) {
+    const copies = this.manifest.findById(id).filter(entry => entry.files.audio);
+    const entry = copies.find(copy => this.inCollection(copy, collection))
+      || copies.find(copy => collection.folder && copy.metadata.startsWith(`${collection.folder}/`))
+      || copies[0];
+    if (!entry) {
+      return null;
+    }
+
+    const metadata = await fs.readJson(this.manifest.resolve(entry.metadata)).catch(() => ({}));
+    return {
+      id,
+      title: metadata.title || entry.title,
+      url: entry.url,
+      artist: metadata.artist || metadata.author || null,
+      duration: parseDuration(metadata.duration),
+      audioPath: this.manifest.resolve(entry.files.audio.path)
+    };
+  }
+
+  render(format, collection, tracks) {
+    if (format === 'm3u8') return this.renderM3U8(collection, tracks);
+    if (format === 'pls') return this.renderPLS(tracks);
+    return this.renderXSPF(collection, tracks);
+  }
+
+  renderM3U8(collection, tracks) {
+    const lines = ['#EXTM3U', `#PLAYLIST:${collection.name}`];
+    for (const track of tracks) {
+      const label = track.artist ? `${track.artist} - ${track.title}` : track.title;
+      lines.push(`#EXTINF:${track.duration ?? -1},${label}`, track.location);
+    }
+    return `${lines.join('\n')}\n`;
+  }
+
+  renderPLS(tracks) {
+    const lines = ['[playlist]'];
+    tracks.forEach((track, index) => {
+      const n = index + 1;
+      lines.push(`File${n}=${track.location}`, `Title${n}=${track.title}`, `Length${n}=${track.duration ?? -1}`);
+    });
+    lines.push(`NumberOfEntries=${tracks.length}`, 'Version=2');
+    return `${lines.join('\n')}\n`;
+  }
+
+  renderXSPF(collection, tracks) {
+    const location = value => value.split('/').map(encodeURIComponent).join('/');
+    const trackXml = tracks.map(track => [
+      '    <track>',
+      `      <location>${escapeMarkup(location(track.location))}</location>`,
+      `      <title>${escapeMarkup(track.title)}</title>`,
+      track.artist ? `      <creator>${escapeMarkup(track.artist)}</creator>` : null,
+      track.duration !== null ? `      <duration>${track.duration * 1000}</duration>` : null,
+      track.url ? `      <info>${escapeMarkup(track.url)}</info>` : null,
+      `      <identifier>${escapeMarkup(`urn:producer-ai:song:${track.id}`)}</identifier>`,
+      '    </track>'
+    ].filter(Boolean).join('\n'));
+
+    return [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      '<playlist version="1" xmlns="http://xspf.org/ns/0/">',
+      `  <title>${escapeMarkup(collection.name)}</title>`,
+      collection.url ? `  <location>${escapeMarkup(collection.url)}</location>` : null,
+      '  <trackList>',
+      ...trackXml,
+      '  </trackList>',
+      '</playlist>',
+      ''
+    ].filter(line => line !== null).join('\n');
+  }
+}
+
+export default PlaylistExporter;
@@ -0,0 +1,214 @@
+/**
+ * Podcast Exporter
+ * Writes an RSS 2.0 feed with iTunes podcast tags for downloaded songs, so
+ * they can be published to podcast apps. Each episode's enclosure points at
+ * the song's audio file under the public URL of the output directory.
+ */
+
+import path from 'path';
+import fs from 'fs-extra';
+import { logger } from '../utils/logger.js';
+import { LibraryManifest } from '../utils/libraryManifest.js';
+import { parseDuration } from '../utils/audioVerifier.js';
+import scraperConfig from '../../config/scraper.config.js';
+import { escapeMarkup } from '../utils/markup.js';
+
+export const PODCAST_FEED_FILE = 'podcast.xml';
+
+const AUDIO_TYPES = { '.mp3': 'audio/mpeg', '.m4a': 'audio/x-m4a', '.wav': 'audio/wav' };
+
+/**
+ * Seconds as itunes:duration: "3:05" or "1:02:03"
+ */
+export function formatItunesDuration(seconds) {
+  const hours = Math.floor(seconds / 3600);
+  const minutes = Math.floor((seconds % 3600) / 60);
+  const secs = Math.floor(seconds % 60);
+  return hours > 0
+    ? `${hours}:${String(minutes).padStart(2, '0')}:${String(secs).padStart(2, '0')}`
+    : `${minutes}:${String(secs).padStart(2, '0')}`;
+}
+
+export class PodcastExporter {
+  /**
+   * @param {string} outputDir - Library output directory
+   * @param {Object} options - Overrides for the `podcast` config section
+   *   (baseUrl, title, description, author, email, language, category,
+   *   explicit, image, link)
+   */
+  constructor(outputDir = './output', options = {}) {
+    this.outputDir = path.resolve(outputDir);
+    this.manifest = options.manifest || new LibraryManifest(this.outputDir);
+
+    const { manifest, ...overrides } = options;
+    const defined = Object.fromEntries(Object.entries(overrides).filter(([, value]) => value !== undefined && value !== null));
+    this.channel = { ...scraperConfig.podcast, ...defined };
+    this.baseUrl = String(this.channel.baseUrl || '').replace(/\/+$/, '');
+    if (!this.baseUrl) {
+      throw new Error('Podcast feeds need absolute audio URLs: pass --base-url or set podcast.baseUrl in the config');
+    }
+  }
+
+  /**
+   * Write the feed.
+   * @param {string} feedPath - Where to write (default: output/podcast.xml)
+   * @param {Object} options
+   * @param {string[]} options.songIds - Only these songs
+   * @param {string} options.collection - Only songs in this playlist, project or folder
+   * @returns {{ path, episodes, skipped, size }}
+   */
+  async exportFeed(feedPath, options = {}) {
+    const episodes = [];
+    const skipped = [];
+
+    for (const song of await this.collectSongs(options)) {
+      const episode = await this.episodeFor(song);
+      if (episode) {
+        episodes.push(episode);
+      } else {
+        skipped.push(song.entry.id);
+      }
+    }
+
+    if (skipped.length > 0) {
+      logger.warn(`${skipped.length} song${skipped.length === 1 ? '' : 's'} without an audio file left out of the feed`);
+    }
+
+    const filePath = path.resolve(feedPath || path.join(this.outputDir, PODCAST_FEED_FILE));
+    await fs.ensureDir(path.dirname(filePath));
+    // The feed's own URL is only known when it sits inside the output directory
+    const relative = path.relative(this.outputDir, filePath).split(path.sep).join('/');
+    const selfUrl = relative.startsWith('..') || path.isAbsolute(relative) ? null : this.fileUrl(relative);
+    await fs.writeFile(filePath, this.render(episodes, { generatedAt: new Date(), selfUrl }), 'utf8');
+    const { size } = await fs.stat(filePath);
+
+    logger.info(`Podcast feed written to ${filePath} (${episodes.length} episodes)`);
+    return { path: filePath, episodes: episodes.length, skipped, size };
+  }
+
+  /**
+   * Songs to publish, one copy per song ID, newest first
+   */
+  async collectSongs(options = {}) {
+    const { songIds, collection } = options;
+    const wanted = songIds?.length ? new Set(songIds) : null;
+    const collectionName = collection ? String(collection).toLowerCase() : null;
+
+    const byId = new Map();
+    for (const song of await this.manifest.readSongs()) {
+      const { entry } = song;
+      if (wanted && !wanted.has(entry.id)) continue;
+      if (collectionName && !entry.collections.some(c =>
+        c.name.toLowerCase() === collectionName || path.posix.basename(c.name).toLowerCase() === collectionName)) continue;
+
+      const existing = byId.get(entry.id);
+      if (!existing || (!existing.entry.files.audio && entry.files.audio)) {
+        byId.set(entry.id, song);
+      }
+    }
+
+    const dateOf = ({ entry, metadata }) => metadata.createdAt || metadata.downloadedAt || entry.downloadedAt || '';
+    return Array.from(byId.values())
+      .sort((a, b) => String(dateOf(b)).localeCompare(String(dateOf(a))));
+  }
+
+  async episodeFor({ entry, metadata }) {
+    if (!entry.files.audio) return null;
+    const audioPath = this.manifest.resolve(entry.files.audio.path);
+    const stats = await fs.stat(audioPath).catch(() => null);
+    if (!stats) return null;
+
+    const when = metadata.createdAt || metadata.downloadedAt || entry.downloadedAt;
+    const seconds = parseDuration(metadata.duration);
+    return {
+      id: entry.id,
+      title: metadata.title || entry.title,
+      author: metadata.author || null,
+      description: metadata.description || null,
+      lyrics: metadata.lyrics || null,
+      link: metadata.url || entry.url || null,
+      pubDate: when ? new Date(when) : null,
+      duration: seconds === null ? null : formatItunesDuration(seconds),
+      audioUrl: this.fileUrl(entry.files.audio.path),
+      audioSize: stats.size,
+      audioType: AUDIO_TYPES[path.extname(audioPath).toLowerCase()] || 'application/octet-stream',
+      imageUrl: entry.files.cover ? this.fileUrl(entry.files.cover.path) : null
+    };
+  }
+
+  /**
+   * Public URL of a file given its manifest path (relative to the output directory)
+   */
+  fileUrl(relativePath) {
+    return `${this.baseUrl}/${relativePath.split('/').map(encodeURIComponent).join('/')}`;
+  }
+
+  /**
+   * Show notes: the description, then the lyrics
+   */
+  showNotes(episode) {
+    const text = [episode.description, episode.lyrics ? `Lyrics:\n${episode.lyrics}` : null]
+      .filter(Boolean).join('\n\n');
+    const html = [
+      episode.description ? `<p>${escapeMarkup(episode.description)}</p>` : null,
+      episode.lyrics ? `<h3>Lyrics</h3><p>${escapeMarkup(episode.lyrics).replace(/\r?\n/g, '<br>')}</p>` : null
+    ].filter(Boolean).join('');
+    return { text, html };
+  }
+
+  render(episodes, { generatedAt = new Date(), selfUrl = null } = {}) {
+    const channel = this.channel;
+    const image = channel.image || episodes.find(episode => episode.imageUrl)?.imageUrl || null;
+    const [category, subcategory] = String(channel.category || 'Music').split('/').map(part => part.trim());
+
+    const items = episodes.map(episode => {
+      const notes = this.showNotes(episode);
+      return [
+        '    <item>',
+        `      <title>${escapeMarkup(episode.title)}</title>`,
+        `      <itunes:title>${escapeMarkup(episode.title)}</itunes:title>`,
+        `      <guid isPermaLink="false">urn:producer-ai:song:${escapeMarkup(episode.id)}</guid>`,
+        episode.link ? `      <link>${escapeMarkup(episode.link)}</link>` : null,
+        episode.pubDate ? `      <pubDate>${episode.pubDate.toUTCString()}</pubDate>` : null,
+        `      <enclosure url="${escapeMarkup(episode.audioUrl)}" length="${episode.audioSize}" type="${episode.audioType}"/>`,
+        episode.duration ? `      <itunes:duration>${episode.duration}</itunes:duration>` : null,
+        episode.imageUrl ? `      <itunes:image href="${escapeMarkup(episode.imageUrl)}"/>` : null,
+        episode.author ? `      <itunes:author>${escapeMarkup(episode.author)}</itunes:author>` : null,
+        notes.text ? `      <description>${escapeMarkup(notes.text)}</description>` : null,
+        notes.html ? `      <content:encoded>${escapeMarkup(notes.html)}</content:encoded>` : null,
+        `      <itunes:explicit>${channel.explicit ? 'true' : 'false'}</itunes:explicit>`,
+        '      <itunes:episodeType>full</itunes:episodeType>',
+        '    </item>'
+      ].filter(Boolean).join('\n');
+    });
+
+    return [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      '<rss version="2.0" xmlns:itunes="http://www.itunes.com/dtds/podcast-1.0.dtd" xmlns:content="http://purl.org/rss/1.0/modules/content/" xmlns:atom="http://www.w3.org/2005/Atom">',
+      '  <channel>',
+      `    <title>${escapeMarkup(channel.title)}</title>`,
+      `    <link>${escapeMarkup(channel.link || this.baseUrl)}</link>`,
+      selfUrl ? `    <atom:link href="${escapeMarkup(selfUrl)}" rel="self" type="application/rss+xml"/>` : null,
+      `    <description>${escapeMarkup(channel.description || channel.title)}</description>`,
+      `    <language>${escapeMarkup(channel.language || 'en')}</language>`,
+      `    <lastBuildDate>${generatedAt.toUTCString()}</lastBuildDate>`,
+      channel.author ? `    <itunes:author>${escapeMarkup(channel.author)}</itunes:author>` : null,
+      channel.author || channel.email
+        ? `    <itunes:owner>${channel.author ? `<itunes:name>${escapeMarkup(channel.author)}</itunes:name>` : ''}${channel.email ? `<itunes:email>${escapeMarkup(channel.email)}</itunes:email>` : ''}</itunes:owner>`
+        : null,
+      image ? `    <itunes:image href="${escapeMarkup(image)}"/>` : null,
+      image ? `    <image><url>${escapeMarkup(image)}</url><title>${escapeMarkup(channel.title)}</title><link>${escapeMarkup(channel.link || this.baseUrl)}</link></image>` : null,
+      subcategory
+        ? `    <itunes:category text="${escapeMarkup(category)}"><itunes:category text="${escapeMarkup(subcategory)}"/></itunes:category>`
+        : `    <itunes:category text="${escapeMarkup(category)}"/>`,
+      `    <itunes:explicit>${channel.explicit ? 'true' : 'false'}</itunes:explicit>`,
+      '    <itunes:type>episodic</itunes:type>',
+      ...items,
+      '  </channel>',
+      '</rss>',
+      ''
+    ].filter(line => line !== null).join('\n');
+  }
+}
+
+export default PodcastExporter;
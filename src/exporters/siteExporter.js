@@ -0,0 +1,461 @@
+/**
+ * Site Exporter
+ * Generates a static website from the output directory: an index page, a
+ * page per song (cover, audio player, description, lyrics), listing pages
+ * per model and per collection, RSS and Atom feeds and sitemap.xml.
+ *
+ * Pages come from the templates in templates/site/. Any of them can be
+ * replaced by a file with the same name in a templates directory of your own.
+ */
+
+import path from 'path';
+import { fileURLToPath } from 'url';
+import fs from 'fs-extra';
+import sanitize from 'sanitize-filename';
+import { logger } from '../utils/logger.js';
+import { LibraryManifest } from '../utils/libraryManifest.js';
+import { parseDuration } from '../utils/audioVerifier.js';
+import scraperConfig from '../../config/scraper.config.js';
+import { escapeMarkup } from '../utils/markup.js';
+
+export const DEFAULT_TEMPLATES_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '../../templates/site');
+
+const TEMPLATE_FILES = ['layout.html', 'index.html', 'song.html', 'listing.html', 'song-list.html'];
+const ASSET_FILES = ['style.css'];
+
+// Written into every generated site; only a folder holding it is ever cleared
+export const SITE_MARKER = '.producer-ai-site';
+
+// Songs listed in the RSS and Atom feeds, newest first
+const FEED_LIMIT = 50;
+
+const AUDIO_TYPES = { '.mp3': 'audio/mpeg', '.wav': 'audio/wav', '.m4a': 'audio/mp4' };
+
+function slugify(value) {
+  const slug = String(value ?? '')
+    .normalize('NFKD')
+    .replace(/\p{M}/gu, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+  return slug.slice(0, 60).replace(/-+$/, '') || 'untitled';
+}
+
+function lookup(stack, name) {
+  if (name === '.') return stack[stack.length - 1];
+  const [head, ...rest] = name.split('.');
+  for (let i = stack.length - 1; i >= 0; i--) {
+    const scope = stack[i];
+    if (scope !== null && typeof scope === 'object' && head in scope) {
+      return rest.reduce((value, part) => (value === null || value === undefined ? undefined : value[part]), scope[head]);
+    }
+  }
+  return undefined;
+}
+
+/**
+ * Render a Mustache-style template:
+ * {{name}} (HTML-escaped), {{{name}}} (raw), {{#name}}...{{/name}} (list or
+ * condition), {{^name}}...{{/name}} (if missing or empty), {{> partial}},
+ * dotted names such as {{songs.length}}
+ */
+export function renderTemplate(template, context, partials = {}, stack = [context]) {
+  const tokens = /\{\{(\{?)\s*([#^/>]?)\s*([\w.-]+)\s*\}?\}\}/g;
+  let outputText = '';
+  let cursor = 0;
+  let match;
+
+  while ((match = tokens.exec(template)) !== null) {
+    outputText += template.slice(cursor, match.index);
+    cursor = tokens.lastIndex;
+    const [, raw, sigil, name] = match;
+
+    if (sigil === '>') {
+      outputText += renderTemplate(partials[name] ?? '', context, partials, stack);
+    } else if (sigil === '#' || sigil === '^') {
+      // Find the matching close tag, allowing nested sections of the same name
+      const open = new RegExp(`\\{\\{\\s*[#^]\\s*${name.replace(/[.]/g, '\\.')}\\s*\\}\\}|\\{\\{\\s*/\\s*${name.replace(/[.]/g, '\\.')}\\s*\\}\\}`, 'g');
+      open.lastIndex = cursor;
+      let depth = 1;
+      let close;
+      while (depth > 0 && (close = open.exec(template)) !== null) {
+        depth += close[0].includes('/') ? -1 : 1;
+      }
+      if (!close) {
+        throw new Error(`Unclosed template section "${name}"`);
+      }
+
+      const inner = template.slice(cursor, close.index);
+      const value = lookup(stack, name);
+      const empty = !value || (Array.isArray(value) && value.length === 0);
+      if (sigil === '^') {
+        if (empty) outputText += renderTemplate(inner, context, partials, stack);
+      } else if (Array.isArray(value)) {
+        outputText += value.map(item => renderTemplate(inner, context, partials, [...stack, item])).join('');
+      } else if (!empty) {
+        outputText += renderTemplate(inner, context, partials, typeof value === 'object' ? [...stack, value] : stack);
+      }
+      cursor = open.lastIndex;
+      tokens.lastIndex = cursor;
+    } else if (sigil !== '/') {
+      const value = lookup(stack, name);
+      const text = value === null || value === undefined ? '' : String(value);
+      outputText += raw ? text : escapeMarkup(text);
+    }
+  }
+
+  return outputText + template.slice(cursor);
+}
+
+export class SiteExporter {
+  /**
+   * @param {string} outputDir - Library output directory
+   * @param {Object} options
+   * @param {string} options.siteDir - Where to write the site
+   * @param {string} options.baseUrl - Public URL of the site, for feeds and sitemap
+   * @param {string} options.title - Site title
+   * @param {string} options.templatesDir - Templates that replace the defaults
+   * @param {boolean} options.media - Copy audio and cover art into the site
+   * @param {boolean} options.collapseVariations - List one entry per variation family
+   */
+  constructor(outputDir = './output', options = {}) {
+    const siteConfig = scraperConfig.siteExport || {};
+    this.outputDir = path.resolve(outputDir);
+    this.manifest = options.manifest || new LibraryManifest(this.outputDir);
+    this.siteDir = path.resolve(options.siteDir || siteConfig.siteDir || './site');
+    this.baseUrl = (options.baseUrl || siteConfig.baseUrl || '').replace(/\/+$/, '');
+    this.title = options.title || siteConfig.title || 'Producer.AI Library';
+    this.templatesDir = options.templatesDir || siteConfig.templatesDir || null;
+    this.media = options.media ?? siteConfig.media ?? true;
+    this.collapseVariations = options.collapseVariations ?? siteConfig.collapseVariations ?? false;
+  }
+
+  /**
+   * The site directory is emptied before each export, so it must be new,
+   * empty or a site this exporter wrote before
+   */
+  async checkSiteDir() {
+    if (!await fs.pathExists(this.siteDir)) return;
+    if (!(await fs.stat(this.siteDir)).isDirectory()) {
+      throw new Error(`The site directory is a file: ${this.siteDir}`);
+    }
+    const entries = await fs.readdir(this.siteDir);
+    if (entries.length > 0 && !entries.includes(SITE_MARKER)) {
+      throw new Error(`Refusing to clear ${this.siteDir}: it is not empty and was not generated by the site exporter`);
+    }
+  }
+
+  /**
+   * Build the site. Returns counts and the files written.
+   */
+  async export() {
+    if (this.siteDir === this.outputDir || this.outputDir.startsWith(this.siteDir + path.sep)) {
+      throw new Error('The site directory must not contain the output directory');
+    }
+
+    await this.checkSiteDir();
+
+    const templates = await this.loadTemplates();
+    const songs = await this.collectSongs();
+    const generatedAt = new Date();
+
+    await fs.emptyDir(this.siteDir);
+    await fs.writeFile(path.join(this.siteDir, SITE_MARKER), `Generated by the site exporter; this folder is cleared on every export\n`, 'utf8');
+    if (this.media) {
+      await this.copyMedia(songs);
+    }
+
+    const models = this.groupBy(songs, song => song.model ? [song.model] : [], 'models', 'Model');
+    const collections = this.groupBy(songs, song => song.collectionNames, 'collections', 'Collection');
+    for (const song of songs) {
+      song.modelHref = models.find(group => group.name === song.model)?.href || null;
+      song.collections = collections
+        .filter(group => song.collectionNames.includes(group.name))
+        .map(({ name, href }) => ({ name, href }));
+    }
+
+    // Every take keeps its page; collapsing only shortens the lists and feeds
+    const listed = this.linkVariations(songs);
+    if (this.collapseVariations) {
+      for (const group of [...models, ...collections]) {
+        group.songs = group.songs.filter(song => listed.includes(song));
+      }
+    }
+
+    const site = {
+      siteTitle: this.title,
+      songCount: songs.length,
+      generatedDate: generatedAt.toISOString().slice(0, 10)
+    };
+    const page = async (relativePath, template, context, pageTitle) => {
+      const root = '../'.repeat(relativePath.split('/').length - 1);
+      const content = renderTemplate(templates[template], { ...site, ...context, root }, templates);
+      const html = renderTemplate(templates['layout.html'], { ...site, description: context.description, pageTitle, root, content }, templates);
+      await fs.outputFile(path.join(this.siteDir, ...relativePath.split('/')), html, 'utf8');
+    };
+
+    await page('index.html', 'index.html', { songs: listed, models, collections }, 'All songs');
+    for (const song of songs) {
+      await page(song.href, 'song.html', song, song.title);
+    }
+    for (const group of [...models, ...collections]) {
+      await page(group.href, 'listing.html', group, group.name);
+    }
+
+    for (const asset of ASSET_FILES) {
+      await fs.copy(await this.templatePath(asset), path.join(this.siteDir, asset));
+    }
+
+    const feedSongs = [...listed]
+      .sort((a, b) => String(b.isoDate || '').localeCompare(String(a.isoDate || '')))
+      .slice(0, FEED_LIMIT);
+    await fs.writeFile(path.join(this.siteDir, 'feed.xml'), this.renderRss(feedSongs, generatedAt), 'utf8');
+    await fs.writeFile(path.join(this.siteDir, 'atom.xml'), this.renderAtom(feedSongs, generatedAt), 'utf8');
+    await fs.writeFile(path.join(this.siteDir, 'sitemap.xml'), this.renderSitemap(songs, [...models, ...collections]), 'utf8');
+
+    if (!this.baseUrl) {
+      logger.warn('No base URL set: feed and sitemap links are site-relative. Pass --base-url for valid feeds and sitemap.');
+    }
+    logger.info(`Site written to ${this.siteDir}: ${songs.length} songs, ${models.length} models, ${collections.length} collections`);
+
+    return {
+      siteDir: this.siteDir,
+      songs: songs.length,
+      models: models.length,
+      collections: collections.length,
+      pages: 1 + songs.length + models.length + collections.length
+    };
+  }
+
+  /**
+   * Give each take of a variation family its `takes` list (every take, in
+   * order) and return the songs to list: all of them, or with
+   * collapseVariations the first take of each family with its `takeCount`
+   */
+  linkVariations(songs) {
+    const families = new Map();
+    for (const song of songs.filter(s => s.variationGroup)) {
+      if (!families.has(song.variationGroup)) families.set(song.variationGroup, []);
+      families.get(song.variationGroup).push(song);
+    }
+
+    const hidden = new Set();
+    for (const members of families.values()) {
+      if (members.length < 2) continue;
+      members.sort((a, b) => (a.variationIndex || 0) - (b.variationIndex || 0));
+      for (const song of members) {
+        song.takes = members.map(take => ({ title: take.title, href: take.href, take: take.variationIndex, current: take === song }));
+      }
+      if (this.collapseVariations) {
+        members[0].takeCount = members.length;
+        members.slice(1).forEach(song => hidden.add(song));
+      }
+    }
+    return songs.filter(song => !hidden.has(song));
+  }
+
+  /**
+   * Default templates, each replaced by a same-named file in templatesDir
+   */
+  async loadTemplates() {
+    if (this.templatesDir && !await fs.pathExists(this.templatesDir)) {
+      throw new Error(`Templates directory does not exist: ${this.templatesDir}`);
+    }
+
+    const templates = {};
+    for (const name of TEMPLATE_FILES) {
+      const text = await fs.readFile(await this.templatePath(name), 'utf8');
+      // Partials are referenced without the extension: {{> song-list}}
+      templates[name] = text;
+      templates[name.replace(/\.html$/, '')] = text;
+    }
+    return templates;
+  }
+
+  async templatePath(name) {
+    if (this.templatesDir) {
+      const override = path.join(this.templatesDir, name);
+      if (await fs.pathExists(override)) {
+        return override;
+      }
+    }
+    return path.join(DEFAULT_TEMPLATES_DIR, name);
+  }
+
+  /**
+   * One entry per song (the first copy with audio, else the first copy)
+   */
+  async collectSongs() {
+    const byId = new Map();
+    for (const song of await this.manifest.readSongs()) {
+      const existing = byId.get(song.entry.id);
+      if (!existing) {
+        byId.set(song.entry.id, { ...song, collectionNames: [] });
+      } else if (!existing.entry.files.audio && song.entry.files.audio) {
+        byId.set(song.entry.id, { ...song, collectionNames: existing.collectionNames });
+      }
+      const names = byId.get(song.entry.id).collectionNames;
+      for (const collection of song.entry.collections) {
+        const name = collection.type === 'folder' ? path.posix.basename(collection.name) : collection.name;
+        if (!names.includes(name)) names.push(name);
+      }
+    }
+
+    const usedSlugs = new Set();
+    const songs = Array.from(byId.values()).map(({ entry, metadata, collectionNames }) => {
+      let slug = slugify(metadata.title || entry.title);
+      if (usedSlugs.has(slug)) slug = `${slug}-${slugify(entry.id).slice(0, 8)}`;
+      usedSlugs.add(slug);
+
+      const when = metadata.createdAt || metadata.downloadedAt || entry.downloadedAt || null;
+      const seconds = parseDuration(metadata.duration);
+      return {
+        id: entry.id,
+        slug,
+        href: `songs/${slug}.html`,
+        title: metadata.title || entry.title,
+        artist: metadata.artist || metadata.author || null,
+        model: metadata.model || null,
+        key: metadata.key || null,
+        bpm: metadata.bpm || null,
+        duration: seconds === null ? null : `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`,
+        durationSec: seconds,
+        description: metadata.description || null,
+        lyrics: metadata.lyrics || null,
+        sourceUrl: metadata.url || entry.url || null,
+        isoDate: when ? new Date(when).toISOString() : null,
+        date: when ? new Date(when).toISOString().slice(0, 10) : null,
+        variationGroup: metadata.variationGroup || null,
+        variationIndex: metadata.variationIndex || null,
+        takes: [],
+        takeCount: null,
+        collectionNames,
+        audioFile: entry.files.audio ? this.manifest.resolve(entry.files.audio.path) : null,
+        coverFile: entry.files.cover ? this.manifest.resolve(entry.files.cover.path) : null,
+        audio: null,
+        cover: null
+      };
+    });
+
+    return songs.sort((a, b) => String(a.title).localeCompare(String(b.title)));
+  }
+
+  /**
+   * Hardlink (or copy) each song's audio and cover into media/
+   */
+  async copyMedia(songs) {
+    for (const song of songs) {
+      for (const [role, source] of [['audio', song.audioFile], ['cover', song.coverFile]]) {
+        if (!source || !await fs.pathExists(source)) continue;
+        const relative = `media/${song.slug}${path.extname(source).toLowerCase()}`;
+        const target = path.join(this.siteDir, ...relative.split('/'));
+        await fs.ensureDir(path.dirname(target));
+        try {
+          await fs.link(source, target);
+        } catch (error) {
+          await fs.copy(source, target);
+        }
+        song[role] = relative;
+        if (role === 'audio') {
+          song.audioSize = (await fs.stat(target)).size;
+          song.audioType = AUDIO_TYPES[path.extname(source).toLowerCase()] || 'application/octet-stream';
+        }
+      }
+    }
+  }
+
+  groupBy(songs, namesFor, folder, kind) {
+    const groups = new Map();
+    for (const song of songs) {
+      for (const name of namesFor(song)) {
+        if (!groups.has(name)) groups.set(name, []);
+        groups.get(name).push(song);
+      }
+    }
+
+    const usedSlugs = new Set();
+    return Array.from(groups, ([name, members]) => {
+      let slug = slugify(sanitize(name));
+      for (let n = 2; usedSlugs.has(slug); n++) slug = `${slugify(name)}-${n}`;
+      usedSlugs.add(slug);
+      return { name, kind, href: `${folder}/${slug}.html`, songs: members, count: members.length };
+    }).sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  absoluteUrl(relative) {
+    return `${this.baseUrl}/${relative.split('/').map(encodeURIComponent).join('/')}`;
+  }
+
+  renderRss(songs, generatedAt) {
+    const items = songs.map(song => [
+      '    <item>',
+      `      <title>${escapeMarkup(song.title)}</title>`,
+      `      <link>${escapeMarkup(this.absoluteUrl(song.href))}</link>`,
+      `      <guid isPermaLink="false">urn:producer-ai:song:${escapeMarkup(song.id)}</guid>`,
+      song.isoDate ? `      <pubDate>${new Date(song.isoDate).toUTCString()}</pubDate>` : null,
+      song.description ? `      <description>${escapeMarkup(song.description)}</description>` : null,
+      song.audio ? `      <enclosure url="${escapeMarkup(this.absoluteUrl(song.audio))}" length="${song.audioSize}" type="${song.audioType}"/>` : null,
+      '    </item>'
+    ].filter(Boolean).join('\n'));
+
+    return [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      '<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom">',
+      '  <channel>',
+      `    <title>${escapeMarkup(this.title)}</title>`,
+      `    <link>${escapeMarkup(this.absoluteUrl('index.html'))}</link>`,
+      `    <atom:link href="${escapeMarkup(this.absoluteUrl('feed.xml'))}" rel="self" type="application/rss+xml"/>`,
+      `    <description>${escapeMarkup(this.title)}</description>`,
+      `    <lastBuildDate>${generatedAt.toUTCString()}</lastBuildDate>`,
+      ...items,
+      '  </channel>',
+      '</rss>',
+      ''
+    ].join('\n');
+  }
+
+  renderAtom(songs, generatedAt) {
+    const entries = songs.map(song => [
+      '  <entry>',
+      `    <title>${escapeMarkup(song.title)}</title>`,
+      `    <link href="${escapeMarkup(this.absoluteUrl(song.href))}"/>`,
+      `    <id>urn:producer-ai:song:${escapeMarkup(song.id)}</id>`,
+      `    <updated>${song.isoDate || generatedAt.toISOString()}</updated>`,
+      song.artist ? `    <author><name>${escapeMarkup(song.artist)}</name></author>` : null,
+      song.description ? `    <summary>${escapeMarkup(song.description)}</summary>` : null,
+      song.audio ? `    <link rel="enclosure" href="${escapeMarkup(this.absoluteUrl(song.audio))}" length="${song.audioSize}" type="${song.audioType}"/>` : null,
+      '  </entry>'
+    ].filter(Boolean).join('\n'));
+
+    return [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      '<feed xmlns="http://www.w3.org/2005/Atom">',
+      `  <title>${escapeMarkup(this.title)}</title>`,
+      `  <link href="${escapeMarkup(this.absoluteUrl('index.html'))}"/>`,
+      `  <link rel="self" href="${escapeMarkup(this.absoluteUrl('atom.xml'))}"/>`,
+      `  <id>${escapeMarkup(this.baseUrl ? this.absoluteUrl('') : 'urn:producer-ai:library')}</id>`,
+      `  <updated>${generatedAt.toISOString()}</updated>`,
+      `  <author><name>${escapeMarkup(this.title)}</name></author>`,
+      ...entries,
+      '</feed>',
+      ''
+    ].join('\n');
+  }
+
+  renderSitemap(songs, groups) {
+    const urls = [
+      { loc: 'index.html' },
+      ...songs.map(song => ({ loc: song.href, lastmod: song.date })),
+      ...groups.map(group => ({ loc: group.href }))
+    ];
+    return [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">',
+      ...urls.map(({ loc, lastmod }) => `  <url><loc>${escapeMarkup(this.absoluteUrl(loc))}</loc>${lastmod ? `<lastmod>${lastmod}</lastmod>` : ''}</url>`),
+      '</urlset>',
+      ''
+    ].join('\n');
+  }
+}
+
+export default SiteExporter;
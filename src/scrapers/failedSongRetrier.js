@@ -0,0 +1,311 @@
+/**
+ * Failed Song Retrier
+ * Re-attempts the failedSongs recorded in every checkpoint (library, sync,
+ * and each playlist/project), grouped by error category. Songs that succeed
+ * are moved out of failedSongs and into downloadedSongs.
+ */
+
+import path from 'path';
+import fs from 'fs-extra';
+import { logger } from '../utils/logger.js';
+import { ErrorHandler } from '../utils/errorHandler.js';
+import { CompleteSongDownloader } from '../downloaders/completeSongDownloader.js';
+import { DirectDownloader } from '../downloaders/directDownloader.js';
+import { usesPathTemplate } from '../utils/pathTemplate.js';
+import scraperConfig from '../../config/scraper.config.js';
+
+export const ERROR_CATEGORIES = ['timeout', 'menu_not_found', 'file_not_found', 'network', 'corrupt', 'unknown'];
+
+const COLLECTION_CHECKPOINT = /^(playlist|project)-([a-f0-9-]{36})\.json$/i;
+
+export class FailedSongRetrier {
+  constructor(scraper, options = {}) {
+    this.scraper = scraper;
+    this.checkpointDir = options.checkpointDir || scraperConfig.progress.checkpointDir;
+    this.errorHandler = new ErrorHandler();
+  }
+
+  classify(error) {
+    return this.errorHandler.classifyDownloadError({ message: String(error || '') });
+  }
+
+  /**
+   * Every checkpoint with failed songs. Duplicate entries for one song keep the
+   * latest error; songs downloaded since they failed are reported as stale.
+   */
+  async collectFailures() {
+    if (!await fs.pathExists(this.checkpointDir)) {
+      return [];
+    }
+
+    const files = (await fs.readdir(this.checkpointDir)).filter(name => name.endsWith('.json')).sort();
+    const checkpoints = [];
+
+    for (const name of files) {
+      const file = path.join(this.checkpointDir, name);
+      const checkpoint = await fs.readJson(file).catch(() => null);
+      // Reports share the directory but have no downloadedSongs list
+      if (!Array.isArray(checkpoint?.failedSongs) || !Array.isArray(checkpoint.downloadedSongs)) {
+        continue;
+      }
+      if (checkpoint.failedSongs.length === 0) {
+        continue;
+      }
+
+      const downloaded = new Set(checkpoint.downloadedSongs);
+      const latest = new Map();
+      for (const failure of checkpoint.failedSongs) {
+        if (failure?.song?.id) latest.set(failure.song.id, failure);
+      }
+
+      const failures = Array.from(latest.values()).map(failure => ({
+        ...failure,
+        category: this.classify(failure.error),
+        stale: downloaded.has(failure.song.id)
+      }));
+
+      const match = name.match(COLLECTION_CHECKPOINT);
+      checkpoints.push({
+        file,
+        name,
+        type: match ? match[1].toLowerCase() : 'library',
+        uuid: match ? match[2] : null,
+        collection: checkpoint.collection || null,
+        failures
+      });
+    }
+
+    return checkpoints;
+  }
+
+  /**
+   * Record songs as failed so the next `retry-failed` downloads them again
+   * into the same place. Each song is queued in every checkpoint that lists
+   * it as downloaded, else in the library checkpoint.
+   * @param {Object[]} items - { song: { id, title, url }, metadata (manifest path), error }
+   * @returns {Object[]} { id, checkpoint } per queued entry
+   */
+  async queue(items) {
+    await fs.ensureDir(this.checkpointDir);
+    const checkpoints = new Map(); // file → checkpoint
+    for (const name of (await fs.readdir(this.checkpointDir)).filter(n => n.endsWith('.json')).sort()) {
+      const file = path.join(this.checkpointDir, name);
+      const checkpoint = await fs.readJson(file).catch(() => null);
+      if (Array.isArray(checkpoint?.downloadedSongs) && Array.isArray(checkpoint.failedSongs)) {
+        checkpoints.set(file, checkpoint);
+      }
+    }
+
+    const libraryFile = path.join(this.checkpointDir, 'library-scrape.json');
+    const changed = new Set();
+    const queued = [];
+
+    for (const item of items) {
+      let targets = Array.from(checkpoints).filter(([, checkpoint]) => checkpoint.downloadedSongs.includes(item.song.id));
+      if (targets.length === 0) {
+        if (!checkpoints.has(libraryFile)) {
+          checkpoints.set(libraryFile, { downloadedSongs: [], failedSongs: [] });
+        }
+        targets = [[libraryFile, checkpoints.get(libraryFile)]];
+      }
+
+      for (const [file, checkpoint] of targets) {
+        checkpoint.downloadedSongs = checkpoint.downloadedSongs.filter(id => id !== item.song.id);
+        checkpoint.failedSongs = checkpoint.failedSongs.filter(f => f.song?.id !== item.song.id);
+        checkpoint.failedSongs.push({
+          // baseName is relative to the folder the checkpoint downloads into
+          song: { ...item.song, baseName: this.baseNameFor(item.metadata, file, checkpoint) },
+          error: item.error,
+          timestamp: new Date().toISOString()
+        });
+        changed.add(file);
+        queued.push({ id: item.song.id, checkpoint: path.basename(file) });
+      }
+    }
+
+    for (const file of changed) {
+      await fs.writeJson(file, { ...checkpoints.get(file), lastUpdated: new Date().toISOString() }, { spaces: 2 });
+    }
+    return queued;
+  }
+
+  baseNameFor(metadata, file, checkpoint) {
+    const base = metadata.replace(/\.json$/, '');
+    const folder = checkpoint.collection?.folder;
+    if (folder && base.startsWith(`${folder}/`)) {
+      return base.slice(folder.length + 1);
+    }
+    // Collection checkpoints from before the folder was recorded
+    if (folder === undefined && COLLECTION_CHECKPOINT.test(path.basename(file))) {
+      return path.posix.basename(base);
+    }
+    return base;
+  }
+
+  /**
+   * Failures across all checkpoints, grouped by error category
+   */
+  groupByCategory(checkpoints) {
+    const groups = Object.fromEntries(ERROR_CATEGORIES.map(category => [category, []]));
+    for (const checkpoint of checkpoints) {
+      for (const failure of checkpoint.failures) {
+        if (!failure.stale) {
+          groups[failure.category].push({ ...failure, checkpoint: checkpoint.name });
+        }
+      }
+    }
+    return groups;
+  }
+
+  /**
+   * Output folder for a checkpoint's songs. Playlist and project checkpoints
+   * from before the folder was recorded are resolved by loading the page.
+   */
+  async resolveFolder(checkpoint) {
+    if (checkpoint.type === 'library') {
+      return { dir: this.scraper.outputDir, collection: { type: 'library', name: 'Library' }, record: null };
+    }
+
+    let record = checkpoint.collection;
+    if (typeof record?.folder !== 'string') {
+      const url = `${scraperConfig.urls.base}/${checkpoint.type}/${checkpoint.uuid}`;
+      logger.info(`Looking up ${checkpoint.type} name for ${checkpoint.name}...`);
+      const { name } = await this.scraper.scrapeCollectionByUrl(url, checkpoint.type);
+      record = {
+        type: checkpoint.type,
+        name,
+        url,
+        folder: usesPathTemplate()
+          ? ''
+          : this.scraper.sanitizeCollectionName(name, checkpoint.type === 'project' ? 'Project' : 'Playlist')
+      };
+    }
+
+    return {
+      dir: path.join(this.scraper.outputDir, record.folder),
+      collection: { type: record.type, name: record.name },
+      record
+    };
+  }
+
+  /**
+   * @param {Object} options
+   * @param {string[]} options.categories - Only retry these categories (default: all)
+   * @param {boolean} options.direct - Try the direct-download recovery for songs that fail again
+   * @param {boolean} options.dryRun - Only report what would be retried
+   */
+  async run(options = {}) {
+    const {
+      categories = ERROR_CATEGORIES,
+      direct = false,
+      dryRun = false,
+      format = 'mp3',
+      includeStems = false,
+      strategy
+    } = options;
+
+    const checkpoints = await this.collectFailures();
+    const groups = this.groupByCategory(checkpoints);
+    const summary = {
+      checkpoints: checkpoints.map(({ name, failures }) => ({ name, failed: failures.length })),
+      categories: Object.fromEntries(ERROR_CATEGORIES.map(category => [category, {
+        failed: groups[category].length,
+        retried: 0,
+        recovered: 0,
+        recoveredDirect: 0,
+        stillFailing: 0
+      }])),
+      stale: checkpoints.reduce((sum, c) => sum + c.failures.filter(f => f.stale).length, 0),
+      dryRun
+    };
+
+    if (dryRun) {
+      summary.groups = groups;
+      return summary;
+    }
+
+    for (const checkpoint of checkpoints) {
+      const selected = checkpoint.failures.filter(f => !f.stale && categories.includes(f.category));
+      const staleIds = new Set(checkpoint.failures.filter(f => f.stale).map(f => f.song.id));
+      if (selected.length === 0 && staleIds.size === 0) {
+        continue;
+      }
+
+      await this.retryCheckpoint(checkpoint, selected, staleIds, { direct, format, includeStems, strategy }, summary);
+    }
+
+    return summary;
+  }
+
+  async retryCheckpoint(checkpoint, selected, staleIds, options, summary) {
+    const { direct, format, includeStems, strategy } = options;
+    const scraper = this.scraper;
+
+    scraper.checkpointFile = checkpoint.file;
+    scraper.songs = [];
+    scraper.collection = null;
+    await scraper.initialize();
+
+    const { dir, collection, record } = await this.resolveFolder(checkpoint);
+    if (record) scraper.collection = record;
+    await fs.ensureDir(dir);
+
+    const retryIds = new Set(selected.map(f => f.song.id));
+    const categoryById = new Map(selected.map(f => [f.song.id, f.category]));
+
+    // Retried songs get a fresh entry if they fail again; stale ones are dropped
+    scraper.failedSongs = scraper.failedSongs.filter(f => !retryIds.has(f.song?.id) && !staleIds.has(f.song?.id));
+
+    logger.info(`Retrying ${selected.length} failed song${selected.length === 1 ? '' : 's'} from ${checkpoint.name}`);
+    for (const failure of selected) {
+      summary.categories[failure.category].retried++;
+    }
+
+    if (selected.length > 0) {
+      const downloader = new CompleteSongDownloader(scraper.page, dir, { claimedNames: scraper.claimedNames });
+      await scraper.downloadSongList(selected.map(f => f.song), {
+        format,
+        includeStems,
+        strategy,
+        outputDir: dir,
+        downloader,
+        collection
+      });
+    }
+
+    const stillFailing = new Set(
+      scraper.failedSongs.filter(f => retryIds.has(f.song?.id)).map(f => f.song.id)
+    );
+
+    const recoveredDirect = new Set();
+    if (direct && stillFailing.size > 0) {
+      const directDownloader = new DirectDownloader(scraper.page, dir);
+      for (const failure of selected.filter(f => stillFailing.has(f.song.id))) {
+        logger.info(`Trying direct download: ${failure.song.title}`);
+        const result = await directDownloader.downloadSong(failure.song, { collection });
+        if (!result.success) continue;
+
+        await scraper.manifest.recordDownload(result, { collection });
+        scraper.downloadedSongs.add(failure.song.id);
+        scraper.failedSongs = scraper.failedSongs.filter(f => f.song?.id !== failure.song.id);
+        stillFailing.delete(failure.song.id);
+        recoveredDirect.add(failure.song.id);
+      }
+    }
+
+    for (const id of retryIds) {
+      const category = categoryById.get(id);
+      if (stillFailing.has(id)) {
+        summary.categories[category].stillFailing++;
+      } else if (recoveredDirect.has(id)) {
+        summary.categories[category].recoveredDirect++;
+      } else if (scraper.downloadedSongs.has(id)) {
+        summary.categories[category].recovered++;
+      }
+    }
+
+    await scraper.saveCheckpoint();
+  }
+}
+
+export default FailedSongRetrier;
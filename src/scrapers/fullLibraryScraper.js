@@ -8,16 +8,37 @@ import fs from 'fs-extra';
 import { logger } from '../utils/logger.js';
 import scraperConfig from '../../config/scraper.config.js';
 import { CompleteSongDownloader } from '../downloaders/completeSongDownloader.js';
+import { RateLimiter } from '../utils/rateLimiter.js';
+import { LibraryManifest } from '../utils/libraryManifest.js';
+import { cssSelectors } from '../utils/selectorProfile.js';
+import { notifier } from '../utils/notifier.js';
+import { usesPathTemplate } from '../utils/pathTemplate.js';
+import { ContentStore } from '../utils/contentStore.js';
+import { PlaylistExporter } from '../exporters/playlistExporter.js';
 
 export class FullLibraryScraper {
-  constructor(page, outputDir = './output') {
+  constructor(page, outputDir = './output', options = {}) {
     this.page = page;
     this.outputDir = outputDir;
-    this.downloader = new CompleteSongDownloader(page, outputDir);
+    this.concurrency = Math.max(1, options.concurrency || scraperConfig.behavior.downloads.concurrent || 1);
+    this.rateLimiter = options.rateLimiter || new RateLimiter();
+    // File names claimed by in-flight downloads, shared by all worker downloaders
+    this.claimedNames = new Map();
+    this.manifest = options.manifest || new LibraryManifest(outputDir);
+    // Songs already in the content store are linked instead of downloaded again
+    this.store = scraperConfig.fileOrganization.store?.enabled ? new ContentStore(outputDir) : null;
+    // Progress callback (type, data) for song.discovered/started/succeeded/skipped/failed
+    this.onEvent = options.onEvent || null;
+    this.downloader = new CompleteSongDownloader(page, outputDir, { claimedNames: this.claimedNames });
     this.checkpointFile = path.join(scraperConfig.progress.checkpointDir, 'library-scrape.json');
+    this.checkpointWrite = Promise.resolve();
     this.songs = [];
     this.downloadedSongs = new Set();
     this.failedSongs = [];
+    this.consecutiveFailures = 0;
+    this.totalSongs = 0;
+    // Playlist/project being downloaded, saved in its checkpoint so `retry-failed` can find its folder
+    this.collection = null;
   }
 
   /**
@@ -32,6 +53,8 @@ export class FullLibraryScraper {
         const checkpoint = await fs.readJson(this.checkpointFile);
         this.downloadedSongs = new Set(checkpoint.downloadedSongs || []);
         this.failedSongs = checkpoint.failedSongs || [];
+        this.totalSongs = checkpoint.totalSongs || 0;
+        this.collection = checkpoint.collection || this.collection;
         logger.info(`Loaded checkpoint: ${this.downloadedSongs.size} songs already downloaded`);
       } catch (error) {
         logger.warn('Could not load checkpoint, starting fresh:', error.message);
@@ -40,16 +63,27 @@ export class FullLibraryScraper {
   }
 
   /**
-   * Save progress checkpoint
+   * Save progress checkpoint.
+   * Writes are queued so parallel workers never interleave, and each write
+   * goes to a temp file first so a crash cannot leave a truncated checkpoint.
    */
-  async saveCheckpoint() {
+  saveCheckpoint() {
+    const checkpointFile = this.checkpointFile;
+    this.checkpointWrite = this.checkpointWrite.then(() => this.writeCheckpoint(checkpointFile));
+    return this.checkpointWrite;
+  }
+
+  async writeCheckpoint(checkpointFile) {
+    const tempFile = `${checkpointFile}.tmp`;
     try {
-      await fs.writeJson(this.checkpointFile, {
+      await fs.writeJson(tempFile, {
         downloadedSongs: Array.from(this.downloadedSongs),
         failedSongs: this.failedSongs,
-        totalSongs: this.songs.length,
+        totalSongs: this.songs.length || this.totalSongs,
+        ...(this.collection && { collection: this.collection }),
         lastUpdated: new Date().toISOString()
       }, { spaces: 2 });
+      await fs.move(tempFile, checkpointFile, { overwrite: true });
       logger.debug('Checkpoint saved');
     } catch (error) {
       logger.error('Failed to save checkpoint:', error.message);
@@ -69,7 +103,6 @@ export class FullLibraryScraper {
     });
     await this.page.waitForTimeout(3000);
 
-    const selectors = scraperConfig.selectors;
     const discoveredSongs = new Map();
     let previousCount = 0;
     let unchangedCount = 0;
@@ -80,43 +113,7 @@ export class FullLibraryScraper {
     // Infinite scroll to load all songs
     for (let i = 0; i < scraperConfig.behavior.infiniteScroll.maxScrollAttempts; i++) {
       // Extract current songs
-      const currentSongs = await this.page.evaluate((selectors) => {
-        const songElements = document.querySelectorAll(selectors.songCard);
-        const songs = [];
-
-        songElements.forEach((element, index) => {
-          // Get song image which contains title in alt attribute
-          const imageElement = element.querySelector('img[alt]') ||
-                               element.querySelector('img');
-          const title = imageElement?.alt?.trim() || `Song ${index + 1}`;
-
-          // Get song link
-          const linkElement = element.querySelector('a[href*="/song/"]');
-          const url = linkElement?.href || '';
-
-          // Extract song ID from URL
-          let songId = null;
-          if (url) {
-            const match = url.match(/\/song\/([^\/]+)/);
-            songId = match ? match[1] : null;
-          }
-
-          // Get duration if available
-          const durationElement = element.querySelector('span.text-fg-2.w-8');
-          const duration = durationElement?.textContent?.trim();
-
-          if (songId) {
-            songs.push({
-              title,
-              url,
-              id: songId,
-              duration
-            });
-          }
-        });
-
-        return songs;
-      }, selectors);
+      const currentSongs = await this.extractLibraryCards();
 
       // Merge into cumulative set. The library view can be virtualized and not all
       // cards stay in the DOM at once, so we must preserve previously seen songs.
@@ -145,14 +142,14 @@ export class FullLibraryScraper {
       // Scroll the main container to its bottom to trigger lazy load.
       // The songs list lives inside <main> which has its own scroll context;
       // scrolling window.scrollBy() has no effect on it.
-      await this.page.evaluate(() => {
-        const main = document.querySelector('main');
+      await this.page.evaluate((scrollSelector) => {
+        const main = document.querySelector(scrollSelector);
         if (main) {
           main.scrollTop = main.scrollHeight;
         } else {
           window.scrollBy(0, window.innerHeight);
         }
-      });
+      }, cssSelectors().scrollContainer);
 
       // Wait for the next batch to load (network + render time)
       await this.page.waitForTimeout(scraperConfig.behavior.delays.afterScroll);
@@ -162,6 +159,124 @@ export class FullLibraryScraper {
     return this.songs;
   }
 
+  /**
+   * Read the song cards currently rendered in the library view.
+   */
+  async extractLibraryCards() {
+    return this.page.evaluate((selectors) => {
+      const songElements = document.querySelectorAll(selectors.songCard);
+      const songs = [];
+
+      songElements.forEach((element, index) => {
+        // Get song image which contains title in alt attribute
+        const imageElement = element.querySelector(selectors.songTitle) ||
+                             element.querySelector(selectors.songCardImage);
+        const title = imageElement?.alt?.trim() || `Song ${index + 1}`;
+        const imageUrl = imageElement?.src || null;
+
+        // Get song link
+        const linkElement = element.querySelector(selectors.songLink);
+        const url = linkElement?.href || '';
+
+        // Extract song ID from URL
+        let songId = null;
+        if (url) {
+          const match = url.match(/\/song\/([^\/]+)/);
+          songId = match ? match[1] : null;
+        }
+
+        // Get duration if available
+        const durationElement = element.querySelector(selectors.songCardDuration);
+        const duration = durationElement?.textContent?.trim();
+
+        if (songId) {
+          songs.push({
+            title,
+            url,
+            id: songId,
+            duration,
+            imageUrl
+          });
+        }
+      });
+
+      return songs;
+    }, cssSelectors());
+  }
+
+  /**
+   * Read every /song/ link on the current page (session panels, playlists, projects).
+   */
+  async extractSongLinks() {
+    return this.page.evaluate((selectors) => {
+      const links = Array.from(document.querySelectorAll(selectors.songLink));
+      const results = [];
+      const seen = new Set();
+      for (const a of links) {
+        const url = a.href;
+        const match = url.match(/\/song\/([a-f0-9-]{36})/);
+        if (!match || seen.has(match[1])) continue;
+        seen.add(match[1]);
+
+        // Try to get title from heading, alt text, or aria-label
+        const heading = a.querySelector(selectors.songLinkTitle);
+        const img = a.querySelector(selectors.songTitle);
+        const title = heading?.textContent?.trim() ||
+                      img?.alt?.trim() ||
+                      a.textContent?.trim() ||
+                      a.getAttribute('aria-label') || '';
+
+        results.push({ url, id: match[1], title: title || `Song ${match[1].slice(0, 8)}` });
+      }
+      return results;
+    }, cssSelectors());
+  }
+
+  /**
+   * List the session links in the sidebar nav (present on every app page).
+   */
+  async findSessionLinks() {
+    return this.page.evaluate((sessionSelector) => {
+      const links = document.querySelectorAll(sessionSelector);
+      return Array.from(links).map(a => ({ href: a.href, text: a.textContent?.trim() }));
+    }, cssSelectors().sessionLink);
+  }
+
+  /**
+   * Click "Toggle session songs" on a session page so its song list renders.
+   */
+  async openSessionSongsPanel() {
+    // Click "Toggle session songs" button to open the songs panel
+    const selectors = cssSelectors();
+    const toggled = await this.page.evaluate((toggleSelector) => {
+      const btn = document.querySelector(toggleSelector);
+      if (btn) { btn.click(); return true; }
+      return false;
+    }, selectors.sessionSongsToggle);
+
+    if (!toggled) {
+      // Try by mouse click using coordinates
+      const coords = await this.page.evaluate((headerButtonSelector) => {
+        const buttons = Array.from(document.querySelectorAll(headerButtonSelector));
+        // The "Toggle session songs" button is typically the 2nd icon button in the session header
+        // It's near a "Toggle compose panel" button
+        for (const btn of buttons) {
+          const label = btn.getAttribute('aria-label') || btn.getAttribute('title') || '';
+          if (label.toLowerCase().includes('song') || label.toLowerCase().includes('list')) {
+            const rect = btn.getBoundingClientRect();
+            return { x: rect.left + rect.width / 2, y: rect.top + rect.height / 2 };
+          }
+        }
+        return null;
+      }, selectors.sessionHeaderButton);
+      if (coords) {
+        await this.page.mouse.click(coords.x, coords.y);
+      }
+    }
+
+    await this.page.waitForTimeout(2000);
+  }
+
   /**
    * Scrape all songs from every session via the "Toggle session songs" panel.
    * Sessions are listed in the sidebar nav. Each session panel exposes /song/ links.
@@ -170,10 +285,7 @@ export class FullLibraryScraper {
     logger.info('Collecting session URLs from sidebar...');
 
     // Collect all session links from the sidebar (any page will have the nav)
-    const sessionUrls = await this.page.evaluate(() => {
-      const links = document.querySelectorAll('nav a[href*="/session/"]');
-      return Array.from(links).map(a => ({ href: a.href, text: a.textContent?.trim() }));
-    });
+    const sessionUrls = await this.findSessionLinks();
 
     logger.info(`Found ${sessionUrls.length} sessions in sidebar`);
 
@@ -187,62 +299,10 @@ export class FullLibraryScraper {
         await this.page.goto(session.href, { waitUntil: 'domcontentloaded', timeout: 60000 });
         await this.page.waitForTimeout(3000);
 
-        // Click "Toggle session songs" button to open the songs panel
-        const toggled = await this.page.evaluate(() => {
-          const buttons = Array.from(document.querySelectorAll('button'));
-          const btn = buttons.find(b =>
-            b.getAttribute('aria-label')?.toLowerCase().includes('session songs') ||
-            b.title?.toLowerCase().includes('session songs')
-          );
-          if (btn) { btn.click(); return true; }
-          return false;
-        });
-
-        if (!toggled) {
-          // Try by mouse click using coordinates
-          const coords = await this.page.evaluate(() => {
-            const buttons = Array.from(document.querySelectorAll('main button, header button'));
-            // The "Toggle session songs" button is typically the 2nd icon button in the session header
-            // It's near a "Toggle compose panel" button
-            for (const btn of buttons) {
-              const label = btn.getAttribute('aria-label') || btn.getAttribute('title') || '';
-              if (label.toLowerCase().includes('song') || label.toLowerCase().includes('list')) {
-                const rect = btn.getBoundingClientRect();
-                return { x: rect.left + rect.width / 2, y: rect.top + rect.height / 2 };
-              }
-            }
-            return null;
-          });
-          if (coords) {
-            await this.page.mouse.click(coords.x, coords.y);
-          }
-        }
-
-        await this.page.waitForTimeout(2000);
+        await this.openSessionSongsPanel();
 
         // Extract song links from the opened panel
-        const songs = await this.page.evaluate(() => {
-          const links = Array.from(document.querySelectorAll('a[href*="/song/"]'));
-          const results = [];
-          const seen = new Set();
-          for (const a of links) {
-            const url = a.href;
-            const match = url.match(/\/song\/([a-f0-9-]{36})/);
-            if (!match || seen.has(match[1])) continue;
-            seen.add(match[1]);
-
-            // Try to get title from heading, alt text, or aria-label
-            const heading = a.querySelector('h4, h3, h2, [class*="title"]');
-            const img = a.querySelector('img[alt]');
-            const title = heading?.textContent?.trim() ||
-                          img?.alt?.trim() ||
-                          a.textContent?.trim() ||
-                          a.getAttribute('aria-label') || '';
-
-            results.push({ url, id: match[1], title: title || `Song ${match[1].slice(0, 8)}` });
-          }
-          return results;
-        });
+        const songs = await this.extractSongLinks();
 
         logger.info(`  → ${songs.length} songs found in session`);
         songs.forEach(s => sessionSongs.set(s.id, s));
@@ -257,6 +317,25 @@ export class FullLibraryScraper {
     return result;
   }
 
+  /**
+   * Scrape the full remote library: the Library view plus every session.
+   */
+  async scrapeRemoteLibrary() {
+    // Get songs from Library view
+    const librarySongs = await this.scrapeAllSongs();
+
+    // Also get songs from all sessions (these are the bulk of the library)
+    const sessionSongs = await this.scrapeAllSessionSongs();
+
+    // Merge: sessions may have songs not in Library view
+    const merged = new Map();
+    librarySongs.forEach(s => merged.set(s.id, s));
+    sessionSongs.forEach(s => { if (!merged.has(s.id)) merged.set(s.id, s); });
+    this.songs = Array.from(merged.values());
+    logger.info(`Total unique songs (library + sessions): ${this.songs.length}`);
+    return this.songs;
+  }
+
   /**
    * Scrape all songs from a collection URL (playlist/project).
    * Returns { name, songs } where songs is an array of { id, url, title }.
@@ -273,7 +352,7 @@ export class FullLibraryScraper {
     const defaultName = collectionType === 'project' ? 'Project' : 'Playlist';
 
     // Extract collection name from document.title or page elements.
-    const collectionName = await this.page.evaluate((defaultName) => {
+    const collectionName = await this.page.evaluate(({ defaultName, selectors }) => {
       // document.title format: "Name by Creator" or "Name | Producer.ai"
       const rawTitle = document.title?.trim() || '';
       const byStripped = rawTitle.replace(/\s+by\s+.+$/, '').trim();
@@ -282,21 +361,19 @@ export class FullLibraryScraper {
         return cleaned;
       }
 
-      const main = document.querySelector('main');
-
       // Use the first heading in DOM order (h1, h2, or h3) — this reliably
       // returns the collection title before any sub-section headings.
-      const firstHeading = main?.querySelector('h1, h2, h3')?.textContent?.trim();
+      const firstHeading = document.querySelector(selectors.collectionHeading)?.textContent?.trim();
       if (firstHeading && firstHeading.toLowerCase() !== 'producer.ai') return firstHeading;
 
       // Last resort: first non-generic cover art image alt text.
       const genericArtRegex = /^(playlist|project)\s+artwork$/i;
-      const images = main ? Array.from(main.querySelectorAll('img[alt]:not([alt=""])')) : [];
+      const images = Array.from(document.querySelectorAll(selectors.collectionImage));
       const coverImg = images.find(img => !genericArtRegex.test(img.alt.trim()));
       if (coverImg?.alt) return coverImg.alt.trim();
 
       return defaultName;
-    }, defaultName);
+    }, { defaultName, selectors: cssSelectors() });
     logger.info(`${collectionType.charAt(0).toUpperCase() + collectionType.slice(1)}: "${collectionName}"`);
 
     const songs = new Map();
@@ -306,24 +383,7 @@ export class FullLibraryScraper {
     const maxScrollAttempts = 200; // Large collections can have 700+ songs
 
     for (let i = 0; i < maxScrollAttempts; i++) {
-      const currentSongs = await this.page.evaluate(() => {
-        const links = Array.from(document.querySelectorAll('a[href*="/song/"]'));
-        const results = [];
-        const seen = new Set();
-        for (const a of links) {
-          const url = a.href;
-          const match = url.match(/\/song\/([a-f0-9-]{36})/);
-          if (!match || seen.has(match[1])) continue;
-          seen.add(match[1]);
-          const heading = a.querySelector('h4, h3, h2, [class*="title"]');
-          const img = a.querySelector('img[alt]');
-          const title = heading?.textContent?.trim() ||
-                        img?.alt?.trim() ||
-                        a.textContent?.trim() || '';
-          results.push({ url, id: match[1], title: title || `Song ${match[1].slice(0, 8)}` });
-        }
-        return results;
-      });
+      const currentSongs = await this.extractSongLinks();
 
       currentSongs.forEach(s => songs.set(s.id, s));
       logger.debug(`Scroll ${i + 1}: ${songs.size} unique songs`);
@@ -339,15 +399,15 @@ export class FullLibraryScraper {
         previousCount = songs.size;
       }
 
-      await this.page.evaluate(() => {
+      await this.page.evaluate(({ scrollContainer, scrollableContainer }) => {
         // On playlist pages <main> scrolls; on project pages a flex div scrolls instead.
-        const main = document.querySelector('main');
+        const main = document.querySelector(scrollContainer);
         const mainStyle = main ? window.getComputedStyle(main).overflowY : '';
         if (main && mainStyle !== 'visible' && mainStyle !== 'hidden') {
           main.scrollTop = main.scrollHeight;
         } else {
           // Find the tallest scrollable container (excludes narrow sidebars)
-          const container = Array.from(document.querySelectorAll('div'))
+          const container = Array.from(document.querySelectorAll(scrollableContainer))
             .filter(el => {
               const s = window.getComputedStyle(el);
               return (s.overflowY === 'auto' || s.overflowY === 'scroll') &&
@@ -361,7 +421,7 @@ export class FullLibraryScraper {
             window.scrollBy(0, window.innerHeight);
           }
         }
-      });
+      }, cssSelectors());
 
       await this.page.waitForTimeout(scraperConfig.behavior.delays.afterScroll);
     }
@@ -392,7 +452,7 @@ export class FullLibraryScraper {
    * Skips songs already in the checkpoint; pass reset=true to force re-download.
    */
   async downloadGivenSongs(songs, options = {}) {
-    const { format = 'mp3', includeStems = false, reset = false } = options;
+    const { format = 'mp3', includeStems = false, reset = false, strategy } = options;
 
     await this.initialize();
 
@@ -416,52 +476,7 @@ export class FullLibraryScraper {
     logger.info(`Downloading ${normalised.length} specified songs (${this.downloadedSongs.size} in checkpoint)`);
     logger.info(`Format: ${format.toUpperCase()}`);
 
-    const results = { successful: 0, failed: 0, skipped: 0, total: normalised.length };
-
-    for (let i = 0; i < normalised.length; i++) {
-      const song = normalised[i];
-      const progress = `[${i + 1}/${normalised.length}]`;
-
-      if (this.downloadedSongs.has(song.id)) {
-        logger.info(`${progress} Skipping (already downloaded): ${song.title}`);
-        results.skipped++;
-        continue;
-      }
-
-      logger.info(`${progress} Downloading: ${song.title}`);
-
-      try {
-        const result = await this.downloader.downloadSong(song, { format, includeStems });
-
-        if (result.success) {
-          this.downloadedSongs.add(song.id);
-          if (result.skipped) {
-            results.skipped++;
-          } else {
-            results.successful++;
-            logger.info(`${progress} ✓ Success: ${song.title}`);
-          }
-        } else {
-          this.failedSongs.push({ song, error: result.error, timestamp: new Date().toISOString() });
-          results.failed++;
-          logger.error(`${progress} ✗ Failed: ${song.title} - ${result.error}`);
-        }
-
-        await this.saveCheckpoint();
-        await this.page.waitForTimeout(scraperConfig.behavior.delays.betweenSongs);
-
-      } catch (error) {
-        this.failedSongs.push({ song, error: error.message, timestamp: new Date().toISOString() });
-        results.failed++;
-        logger.error(`${progress} ✗ Exception: ${song.title}`, error);
-        if (scraperConfig.progress.screenshotOnError) {
-          await this.page.screenshot({ path: path.join('logs', `error-${song.id}.png`) }).catch(() => {});
-        }
-      }
-    }
-
-    await this.saveCheckpoint();
-    return results;
+    return this.downloadSongList(normalised, { format, includeStems, strategy, checkpointEvery: 1 });
   }
 
   /**
@@ -474,25 +489,15 @@ export class FullLibraryScraper {
       startIndex = 0,
       maxSongs = null,
       startId = null,
-      endId = null
+      endId = null,
+      strategy
     } = options;
 
     await this.initialize();
 
     // Scrape all songs if not already done
     if (this.songs.length === 0) {
-      // Get songs from Library view
-      const librarySongs = await this.scrapeAllSongs();
-
-      // Also get songs from all sessions (these are the bulk of the library)
-      const sessionSongs = await this.scrapeAllSessionSongs();
-
-      // Merge: sessions may have songs not in Library view
-      const merged = new Map();
-      librarySongs.forEach(s => merged.set(s.id, s));
-      sessionSongs.forEach(s => { if (!merged.has(s.id)) merged.set(s.id, s); });
-      this.songs = Array.from(merged.values());
-      logger.info(`Total unique songs (library + sessions): ${this.songs.length}`);
+      await this.scrapeRemoteLibrary();
     }
 
     // Filter by ID range if specified
@@ -526,75 +531,182 @@ export class FullLibraryScraper {
     logger.info(`Include stems: ${includeStems ? 'Yes' : 'No'}`);
     logger.info(`Already downloaded: ${this.downloadedSongs.size} songs`);
 
+    return this.downloadSongList(songsToDownload, {
+      format,
+      includeStems,
+      strategy,
+      collection: { type: 'library', name: 'Library' }
+    });
+  }
+
+  /**
+   * Download a list of songs with a pool of worker pages.
+   * Worker 0 reuses this.page; each extra worker opens its own page in the same
+   * browser context with its own CompleteSongDownloader. All workers share the
+   * checkpoint state and the rate limiter budget.
+   */
+  async downloadSongList(songs, options = {}) {
+    const {
+      format = 'mp3',
+      includeStems = false,
+      strategy,
+      outputDir = this.outputDir,
+      downloader = this.downloader,
+      collection = null,
+      refresh = false,
+      checkpointEvery = scraperConfig.progress.checkpointInterval
+    } = options;
+
     const results = {
       successful: 0,
       failed: 0,
       skipped: 0,
-      total: songsToDownload.length
+      updated: 0,
+      linked: 0,
+      total: songs.length
     };
 
-    // Download each song
-    for (let i = 0; i < songsToDownload.length; i++) {
-      const song = songsToDownload[i];
-      const progress = `[${i + 1}/${songsToDownload.length}]`;
+    const workerCount = Math.max(1, Math.min(this.concurrency, songs.length));
+    const workers = [{ page: this.page, downloader }];
+    for (let w = 1; w < workerCount; w++) {
+      const page = await this.page.context().newPage();
+      workers.push({
+        page,
+        downloader: new CompleteSongDownloader(page, outputDir, { claimedNames: this.claimedNames })
+      });
+    }
 
-      // Skip if already downloaded
-      if (this.downloadedSongs.has(song.id)) {
-        logger.info(`${progress} Skipping (already downloaded): ${song.title}`);
-        results.skipped++;
-        continue;
-      }
+    if (workerCount > 1) {
+      logger.info(`Using ${workerCount} parallel download workers`);
+    }
 
-      logger.info(`${progress} Downloading: ${song.title}`);
+    const songEvent = (type, song, index, extra = {}) => {
+      if (!this.onEvent) return;
+      this.onEvent(type, {
+        song: { id: song.id, title: song.title, url: song.url },
+        index: index + 1,
+        total: songs.length,
+        ...(collection && { collection }),
+        ...extra,
+        counters: { ...results }
+      });
+    };
+    songs.forEach((song, index) => songEvent('song.discovered', song, index));
+
+    let nextIndex = 0;
+    let attempted = 0;
+
+    const runWorker = async ({ page, downloader: workerDownloader }) => {
+      while (nextIndex < songs.length) {
+        const i = nextIndex++;
+        const song = songs[i];
+        const progress = `[${i + 1}/${songs.length}]`;
+
+        // Skip if already downloaded
+        if (this.downloadedSongs.has(song.id)) {
+          logger.info(`${progress} Skipping (already downloaded): ${song.title}`);
+          results.skipped++;
+          songEvent('song.skipped', song, i, { reason: 'checkpoint' });
+          continue;
+        }
 
-      try {
-        const result = await this.downloader.downloadSong(song, { format, includeStems });
+        try {
+          // Downloaded before for another folder: link it here without visiting the page
+          const linked = this.store && !refresh
+            ? await this.store.place(song, workerDownloader.outputDir, { collection })
+            : null;
+          if (linked) {
+            this.downloadedSongs.add(song.id);
+            await this.manifest.recordDownload(linked, { collection });
+            results.successful++;
+            results.linked++;
+            logger.info(`${progress} ✓ Linked from store: ${song.title}`);
+            songEvent('song.succeeded', song, i, { linked: true, files: linked.files });
+            continue;
+          }
+        } catch (error) {
+          logger.warn(`${progress} Could not link ${song.title} from the store, downloading: ${error.message}`);
+        }
 
-        if (result.success) {
-          this.downloadedSongs.add(song.id);
+        await this.rateLimiter.acquire();
+        logger.info(`${progress} Downloading: ${song.title}`);
+        songEvent('song.started', song, i);
+
+        try {
+          const result = await workerDownloader.downloadSong(song, {
+            format,
+            includeStems,
+            strategy,
+            refresh,
+            baseName: song.baseName,
+            collection
+          });
 
-          if (result.skipped) {
-            // Song was skipped (file already exists with same ID)
-            results.skipped++;
-            // Already logged by downloader
+          if (result.success) {
+            this.consecutiveFailures = 0;
+            this.downloadedSongs.add(song.id);
+            if (this.store) {
+              await this.store.adopt(result).catch(error => {
+                logger.warn(`Could not add ${song.title} to the store: ${error.message}`);
+              });
+            }
+            await this.manifest.recordDownload(result, { collection });
+
+            if (result.skipped) {
+              // Song was skipped (file already exists with same ID)
+              results.skipped++;
+              songEvent('song.skipped', song, i, { reason: 'exists' });
+            } else {
+              results.successful++;
+              if (result.updated) results.updated++;
+              logger.info(`${progress} ✓ Success: ${song.title}`);
+              songEvent('song.succeeded', song, i, { updated: Boolean(result.updated), files: result.files });
+            }
           } else {
-            // Song was successfully downloaded
-            results.successful++;
-            logger.info(`${progress} ✓ Success: ${song.title}`);
+            this.failedSongs.push({
+              song,
+              error: result.error,
+              timestamp: new Date().toISOString()
+            });
+            results.failed++;
+            logger.error(`${progress} ✗ Failed: ${song.title} - ${result.error}`);
+            this.notifySongFailed(song, result.error);
+            songEvent('song.failed', song, i, { error: result.error });
           }
-        } else {
+
+          // Save checkpoint periodically
+          attempted++;
+          if (attempted % checkpointEvery === 0) {
+            await this.saveCheckpoint();
+          }
+
+          // Delay between downloads
+          await page.waitForTimeout(scraperConfig.behavior.delays.betweenSongs);
+
+        } catch (error) {
           this.failedSongs.push({
             song,
-            error: result.error,
+            error: error.message,
             timestamp: new Date().toISOString()
           });
           results.failed++;
-          logger.error(`${progress} ✗ Failed: ${song.title} - ${result.error}`);
-        }
-
-        // Save checkpoint periodically
-        if ((i + 1) % scraperConfig.progress.checkpointInterval === 0) {
-          await this.saveCheckpoint();
-        }
-
-        // Delay between downloads
-        await this.page.waitForTimeout(scraperConfig.behavior.delays.betweenSongs);
-
-      } catch (error) {
-        this.failedSongs.push({
-          song,
-          error: error.message,
-          timestamp: new Date().toISOString()
-        });
-        results.failed++;
-        logger.error(`${progress} ✗ Exception: ${song.title}`, error);
-
-        // Take error screenshot if enabled
-        if (scraperConfig.progress.screenshotOnError) {
-          const errorScreenshot = path.join('logs', `error-${song.id}.png`);
-          await this.page.screenshot({ path: errorScreenshot }).catch(() => {});
+          logger.error(`${progress} ✗ Exception: ${song.title}`, error);
+          this.notifySongFailed(song, error.message);
+          songEvent('song.failed', song, i, { error: error.message });
+
+          // Take error screenshot if enabled
+          if (scraperConfig.progress.screenshotOnError) {
+            const errorScreenshot = path.join('logs', `error-${song.id}.png`);
+            await page.screenshot({ path: errorScreenshot }).catch(() => {});
+          }
         }
       }
+    };
+
+    try {
+      await Promise.all(workers.map(runWorker));
+    } finally {
+      await Promise.all(workers.slice(1).map(({ page }) => page.close().catch(() => {})));
     }
 
     // Final checkpoint save
@@ -603,6 +715,19 @@ export class FullLibraryScraper {
     return results;
   }
 
+  /**
+   * Report a failed song. consecutiveFailures lets listeners spot a run
+   * that is failing every song (expired login, changed page layout).
+   */
+  notifySongFailed(song, error) {
+    this.consecutiveFailures++;
+    notifier.emit('song.failed', {
+      song: { id: song.id, title: song.title, url: song.url },
+      error,
+      consecutiveFailures: this.consecutiveFailures
+    });
+  }
+
   sanitizeCollectionName(name, fallbackName = 'Collection') {
     const safeName = (name || fallbackName).trim() || fallbackName;
     return safeName
@@ -613,7 +738,7 @@ export class FullLibraryScraper {
   }
 
   async downloadCollectionByUrl(collectionUrl, options = {}, collectionType = 'playlist') {
-    const { format = 'mp3', includeStems = false, reset = false } = options;
+    const { format = 'mp3', includeStems = false, reset = false, strategy } = options;
     const uuidPattern = new RegExp(`\\/${collectionType}\\/([a-f0-9-]{36})`, 'i');
 
     // Extract collection UUID for checkpoint filename
@@ -642,14 +767,18 @@ export class FullLibraryScraper {
       collectionType === 'project' ? 'Project' : 'Playlist'
     );
 
+    // With a path template the template decides folders (e.g. {collection}/{title})
+    const folder = usesPathTemplate() ? '' : sanitizedName;
+    // songIds keeps the collection's track order for playlist files
+    this.collection = { type: collectionType, name: collectionName, url: collectionUrl, folder, songIds: songs.map(s => s.id) };
+
     // Create collection-specific output subdirectory
-    const collectionOutputDir = path.join(this.outputDir, sanitizedName);
+    const collectionOutputDir = path.join(this.outputDir, folder);
     await fs.ensureDir(collectionOutputDir);
     logger.info(`Output directory: ${collectionOutputDir}`);
 
     // Create a downloader scoped to the collection folder
-    const { CompleteSongDownloader } = await import('../downloaders/completeSongDownloader.js');
-    const downloader = new CompleteSongDownloader(this.page, collectionOutputDir);
+    const downloader = new CompleteSongDownloader(this.page, collectionOutputDir, { claimedNames: this.claimedNames });
 
     this.songs = songs;
 
@@ -658,69 +787,34 @@ export class FullLibraryScraper {
     logger.info(`Include stems: ${includeStems ? 'Yes' : 'No'}`);
     logger.info(`Already downloaded: ${this.downloadedSongs.size} songs`);
 
-    const results = {
-      successful: 0,
-      failed: 0,
-      skipped: 0,
-      total: songs.length,
-      collectionType,
-      collectionName
-    };
-
-    if (collectionType === 'playlist') {
-      results.playlistName = collectionName;
-    } else if (collectionType === 'project') {
-      results.projectName = collectionName;
-    }
-
-    for (let i = 0; i < songs.length; i++) {
-      const song = songs[i];
-      const progress = `[${i + 1}/${songs.length}]`;
-
-      if (this.downloadedSongs.has(song.id)) {
-        logger.info(`${progress} Skipping (already downloaded): ${song.title}`);
-        results.skipped++;
-        continue;
-      }
+    const results = await this.downloadSongList(songs, {
+      format,
+      includeStems,
+      strategy,
+      outputDir: collectionOutputDir,
+      downloader,
+      collection: { type: collectionType, name: collectionName }
+    });
 
-      logger.info(`${progress} Downloading: ${song.title}`);
+    results.collectionType = collectionType;
+    results.collectionName = collectionName;
 
+    if (scraperConfig.fileOrganization.playlistFiles?.enabled) {
       try {
-        const result = await downloader.downloadSong(song, { format, includeStems });
-
-        if (result.success) {
-          this.downloadedSongs.add(song.id);
-          if (result.skipped) {
-            results.skipped++;
-          } else {
-            results.successful++;
-            logger.info(`${progress} ✓ Success: ${song.title}`);
-          }
-        } else {
-          this.failedSongs.push({ song, error: result.error, timestamp: new Date().toISOString() });
-          results.failed++;
-          logger.error(`${progress} ✗ Failed: ${song.title} - ${result.error}`);
-        }
-
-        if ((i + 1) % scraperConfig.progress.checkpointInterval === 0) {
-          await this.saveCheckpoint();
-        }
-
-        await this.page.waitForTimeout(scraperConfig.behavior.delays.betweenSongs);
-
+        const exporter = new PlaylistExporter(this.outputDir, { manifest: this.manifest });
+        results.playlistFiles = (await exporter.exportCollection(this.collection)).files;
       } catch (error) {
-        this.failedSongs.push({ song, error: error.message, timestamp: new Date().toISOString() });
-        results.failed++;
-        logger.error(`${progress} ✗ Exception: ${song.title}`, error);
-
-        if (scraperConfig.progress.screenshotOnError) {
-          const errorScreenshot = path.join('logs', `error-${song.id}.png`);
-          await this.page.screenshot({ path: errorScreenshot }).catch(() => {});
-        }
+        // The songs are saved; a playlist file problem must not fail the download
+        logger.warn(`Could not write playlist files: ${error.message}`);
       }
     }
 
-    await this.saveCheckpoint();
+    if (collectionType === 'playlist') {
+      results.playlistName = collectionName;
+    } else if (collectionType === 'project') {
+      results.projectName = collectionName;
+    }
+
     return results;
   }
 
@@ -773,6 +867,12 @@ export class FullLibraryScraper {
       });
     }
 
+    notifier.emit('report.generated', {
+      ...report,
+      failedSongs: this.failedSongs.map(({ song, error }) => ({ id: song.id, title: song.title, error })),
+      reportPath
+    });
+
     return report;
   }
 
@@ -0,0 +1,198 @@
+/**
+ * Library Sync
+ * Diffs the remote library against the local manifest and downloads only
+ * new songs, refreshes changed ones, and reports (or archives) deletions.
+ */
+
+import path from 'path';
+import fs from 'fs-extra';
+import { logger } from '../utils/logger.js';
+import scraperConfig from '../../config/scraper.config.js';
+
+// Refuse to archive when more than this share of the library looks deleted:
+// almost always a scrape that stopped early, not real deletions.
+const MAX_DELETED_SHARE = 0.5;
+
+export class LibrarySync {
+  constructor(scraper) {
+    this.scraper = scraper;
+    this.manifest = scraper.manifest;
+  }
+
+  /**
+   * Local library songs: manifest entries downloaded from the library, or in
+   * the output root (playlist and project folders are synced by their own commands)
+   */
+  async loadLocalSongs() {
+    const songs = await this.manifest.readSongs({
+      filter: entry => !entry.metadata.includes('/') || entry.collections.some(c => c.type === 'library')
+    });
+    return new Map(songs.map(song => [song.entry.id, song]));
+  }
+
+  /**
+   * Compare the remote song list with local songs.
+   * A local song counts as changed when its library listing (title, cover
+   * image or duration) differs from the listing saved at download time.
+   * Lyrics and other page-only fields are not in the listing; comparing them
+   * means opening every song page, which `recheck` does.
+   */
+  diff(remoteSongs, localSongs, options = {}) {
+    const { recheck = false, stems = false } = options;
+    const remoteIds = new Set(remoteSongs.map(song => song.id));
+    const added = [];
+    const changed = [];
+    const baselines = [];
+
+    for (const song of remoteSongs) {
+      const local = localSongs.get(song.id);
+      if (!local) {
+        added.push(song);
+        continue;
+      }
+
+      const { metadata, entry } = local;
+      const reasons = [];
+
+      // Sidecars from before sync (or before durations were saved) have no
+      // listing to compare against yet; a missing field is baselined, not a change
+      if (metadata.listingTitle === undefined || (!metadata.listingDuration && song.duration)) {
+        baselines.push({ local, song });
+      }
+      if (metadata.listingTitle !== undefined) {
+        if (song.title && metadata.listingTitle !== song.title) reasons.push('title');
+        if (song.imageUrl && metadata.listingImageUrl && stripQuery(metadata.listingImageUrl) !== stripQuery(song.imageUrl)) {
+          reasons.push('cover');
+        }
+      }
+      if (song.duration && metadata.listingDuration && metadata.listingDuration !== song.duration) {
+        reasons.push('duration');
+      }
+
+      if (stems && !entry.files.stems) reasons.push('stems');
+      if (recheck && reasons.length === 0) reasons.push('recheck');
+
+      if (reasons.length > 0) {
+        // Refresh in place, wherever the path template put the song
+        changed.push({ song: { ...song, baseName: entry.metadata.replace(/\.json$/, '') }, reasons });
+      }
+    }
+
+    const deleted = Array.from(localSongs.values())
+      .filter(({ entry }) => !remoteIds.has(entry.id))
+      .map(({ entry }) => entry);
+
+    return { added, changed, deleted, baselines };
+  }
+
+  /**
+   * Record the current listing in sidecars that predate sync, so the next
+   * run can tell whether the song changed. Fields already saved are kept.
+   */
+  async saveBaselines(baselines) {
+    for (const { local, song } of baselines) {
+      const { metadata } = local;
+      await fs.writeJson(local.metadataPath, {
+        ...metadata,
+        listingTitle: metadata.listingTitle !== undefined ? metadata.listingTitle : song.title || null,
+        listingImageUrl: metadata.listingImageUrl !== undefined ? metadata.listingImageUrl : song.imageUrl || null,
+        listingDuration: metadata.listingDuration || song.duration || null
+      }, { spaces: 2 });
+    }
+  }
+
+  async archiveDeleted(deleted) {
+    const label = `deleted-${new Date().toISOString().slice(0, 10)}`;
+    const archived = [];
+
+    for (const entry of deleted) {
+      const archivedPath = await this.manifest.archive(entry, label);
+      logger.info(`Archived deleted song: ${entry.title} → ${archivedPath}`);
+      archived.push({ id: entry.id, title: entry.title, path: archivedPath });
+    }
+
+    return archived;
+  }
+
+  async run(options = {}) {
+    const {
+      format = 'mp3',
+      includeStems = false,
+      strategy,
+      recheck = false,
+      archiveDeleted = false,
+      force = false,
+      dryRun = false
+    } = options;
+
+    // Sync keeps its own checkpoint so it never rewrites the download --all one
+    this.scraper.checkpointFile = path.join(scraperConfig.progress.checkpointDir, 'library-sync.json');
+    await fs.ensureDir(scraperConfig.progress.checkpointDir);
+
+    const remoteSongs = await this.scraper.scrapeRemoteLibrary();
+    if (remoteSongs.length === 0) {
+      throw new Error('No songs found in the remote library; refusing to sync (are you logged in?)');
+    }
+
+    const localSongs = await this.loadLocalSongs();
+    const diff = this.diff(remoteSongs, localSongs, { recheck, stems: includeStems });
+
+    logger.info(`Sync: ${diff.added.length} new, ${diff.changed.length} changed, ${diff.deleted.length} deleted remotely`);
+
+    const summary = {
+      remote: remoteSongs.length,
+      local: localSongs.size,
+      added: diff.added.map(({ id, title }) => ({ id, title })),
+      changed: diff.changed.map(({ song, reasons }) => ({ id: song.id, title: song.title, reasons })),
+      deleted: diff.deleted.map(({ id, title, metadata }) => ({ id, title, metadata })),
+      archived: [],
+      dryRun
+    };
+
+    if (dryRun) {
+      return summary;
+    }
+
+    await this.saveBaselines(diff.baselines);
+
+    const collection = { type: 'library', name: 'Library' };
+    summary.downloads = await this.scraper.downloadSongList(diff.added, {
+      format,
+      includeStems,
+      strategy,
+      collection
+    });
+    summary.refreshes = await this.scraper.downloadSongList(diff.changed.map(({ song }) => song), {
+      format,
+      includeStems,
+      strategy,
+      collection,
+      refresh: true
+    });
+
+    if (archiveDeleted && diff.deleted.length > 0) {
+      const deletedShare = diff.deleted.length / Math.max(1, localSongs.size);
+      if (deletedShare > MAX_DELETED_SHARE && !force) {
+        logger.warn(
+          `${diff.deleted.length} of ${localSongs.size} local songs look deleted; not archiving. ` +
+          'Check the remote library loaded fully, then re-run with --force.'
+        );
+        summary.archiveSkipped = true;
+      } else {
+        summary.archived = await this.archiveDeleted(diff.deleted);
+      }
+    }
+
+    const reportPath = path.join(scraperConfig.progress.checkpointDir, 'sync-report.json');
+    await fs.writeJson(reportPath, { ...summary, timestamp: new Date().toISOString() }, { spaces: 2 });
+    summary.reportPath = reportPath;
+
+    return summary;
+  }
+}
+
+function stripQuery(url) {
+  return String(url).split('?')[0];
+}
+
+export default LibrarySync;
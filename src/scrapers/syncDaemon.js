@@ -0,0 +1,197 @@
+/**
+ * Sync Daemon
+ * Runs library sync jobs unattended on a cron schedule. Each job holds the
+ * run locks for its profile and output dir, checks the saved login without
+ * waiting for a human, and writes a JSON run summary.
+ */
+
+import path from 'path';
+import fs from 'fs-extra';
+import { chromium } from 'playwright';
+import { FullLibraryScraper } from './fullLibraryScraper.js';
+import { LibrarySync } from './librarySync.js';
+import { BrowserAuthenticator } from '../browser/authenticator.js';
+import { CronSchedule } from '../utils/cronSchedule.js';
+import { RunLock, LockHeldError } from '../utils/runLock.js';
+import { AuthRequiredError } from '../utils/errorHandler.js';
+import { logger } from '../utils/logger.js';
+import { notifier } from '../utils/notifier.js';
+import scraperConfig from '../../config/scraper.config.js';
+
+export class SyncDaemon {
+  /**
+   * @param {Object} options
+   * @param {string} options.cron - Cron expression (default: config schedule.cron)
+   * @param {string} options.profilePath - Browser profile with a saved login
+   * @param {string} options.outputPath - Library output directory
+   * @param {boolean} options.headless - Run the browser headless (default true)
+   * @param {number} options.concurrency - Download workers per job
+   * @param {Object} options.syncOptions - Passed to LibrarySync.run
+   * @param {string} options.summaryDir - Where run summaries are written
+   */
+  constructor(options = {}) {
+    this.schedule = new CronSchedule(options.cron || scraperConfig.schedule.cron);
+    this.profilePath = path.resolve(options.profilePath || './.browser-profile');
+    this.outputPath = path.resolve(options.outputPath || './output');
+    this.headless = options.headless !== false;
+    this.concurrency = options.concurrency;
+    this.syncOptions = options.syncOptions || {};
+    this.summaryDir = path.resolve(options.summaryDir || scraperConfig.schedule.summaryDir);
+    this.stopping = false;
+    this.wake = null;
+  }
+
+  /**
+   * Run one sync job and write its summary. Never throws: the outcome is
+   * reported in the summary's `status` field.
+   */
+  async runJob() {
+    const startedAt = new Date();
+    const summary = {
+      jobId: `sync-${formatStamp(startedAt)}`,
+      status: 'running',
+      startedAt: startedAt.toISOString(),
+      finishedAt: null,
+      durationMs: null,
+      cron: this.schedule.expression,
+      profile: this.profilePath,
+      output: this.outputPath,
+      pid: process.pid,
+      sync: null,
+      error: null
+    };
+
+    const lock = new RunLock([this.profilePath, this.outputPath], `daemon ${summary.jobId}`);
+    let context = null;
+    notifier.startRun('daemon', { jobId: summary.jobId, cron: summary.cron, output: this.outputPath });
+
+    try {
+      await lock.acquire();
+
+      context = await chromium.launchPersistentContext(this.profilePath, {
+        headless: this.headless,
+        viewport: { width: 1920, height: 1080 },
+        acceptDownloads: true
+      });
+      const page = context.pages()[0] || await context.newPage();
+
+      await new BrowserAuthenticator({ page, unattended: true }).verifySession();
+
+      const scraper = new FullLibraryScraper(page, this.outputPath, { concurrency: this.concurrency });
+      const result = await new LibrarySync(scraper).run(this.syncOptions);
+
+      summary.sync = summarizeSync(result);
+      summary.status = summary.sync.failed > 0 ? 'partial' : 'success';
+    } catch (error) {
+      summary.status = statusForError(error);
+      summary.error = { name: error.name, message: error.message, ...(error.reason && { reason: error.reason }) };
+      logger.error(`Sync job ${summary.jobId} ${summary.status}: ${error.message}`);
+    } finally {
+      if (context) {
+        await context.close().catch(() => {});
+      }
+      await lock.release();
+    }
+
+    const finishedAt = new Date();
+    summary.finishedAt = finishedAt.toISOString();
+    summary.durationMs = finishedAt - startedAt;
+    summary.summaryPath = await this.writeSummary(summary);
+
+    logger.info(`Sync job ${summary.jobId} finished: ${summary.status}`);
+    await notifier.finishRun(summary.status, {
+      jobId: summary.jobId,
+      sync: summary.sync,
+      error: summary.error,
+      summaryPath: summary.summaryPath
+    });
+    return summary;
+  }
+
+  async writeSummary(summary) {
+    await fs.ensureDir(this.summaryDir);
+    const summaryPath = path.join(this.summaryDir, `${summary.jobId}.json`);
+    await fs.writeJson(summaryPath, summary, { spaces: 2 });
+    // Stable path for monitoring scripts
+    await fs.writeJson(path.join(this.summaryDir, 'latest.json'), summary, { spaces: 2 });
+    return summaryPath;
+  }
+
+  /**
+   * Run jobs on the schedule until stop() is called.
+   * `onJob` is called with each job summary, `onWait` with the next run time.
+   */
+  async start({ onJob = () => {}, onWait = () => {} } = {}) {
+    while (!this.stopping) {
+      const nextRun = this.schedule.next();
+      onWait(nextRun);
+      logger.info(`Next sync at ${nextRun.toISOString()}`);
+
+      await this.sleepUntil(nextRun);
+      if (this.stopping) break;
+
+      onJob(await this.runJob());
+    }
+  }
+
+  /**
+   * Stop after the current job (or immediately while waiting)
+   */
+  stop() {
+    this.stopping = true;
+    if (this.wake) this.wake();
+  }
+
+  sleepUntil(date) {
+    return new Promise(resolve => {
+      // Re-check every minute: long timers drift across sleep/suspend
+      const tick = () => {
+        const remaining = date - Date.now();
+        if (this.stopping || remaining <= 0) {
+          this.wake = null;
+          resolve();
+          return;
+        }
+        timer = setTimeout(tick, Math.min(remaining, 60000));
+      };
+      let timer = null;
+      this.wake = () => {
+        clearTimeout(timer);
+        this.wake = null;
+        resolve();
+      };
+      tick();
+    });
+  }
+}
+
+function statusForError(error) {
+  if (error instanceof LockHeldError) return 'locked';
+  if (error instanceof AuthRequiredError) return error.reason === 'captcha' ? 'captcha' : 'auth_required';
+  return 'failed';
+}
+
+function summarizeSync(result) {
+  const downloads = result.downloads || { successful: 0, failed: 0 };
+  const refreshes = result.refreshes || { updated: 0, skipped: 0, failed: 0 };
+  return {
+    remote: result.remote,
+    local: result.local,
+    added: result.added.length,
+    changed: result.changed.length,
+    deleted: result.deleted.length,
+    archived: result.archived.length,
+    archiveSkipped: Boolean(result.archiveSkipped),
+    downloaded: downloads.successful,
+    refreshed: refreshes.updated,
+    failed: downloads.failed + refreshes.failed,
+    dryRun: result.dryRun,
+    reportPath: result.reportPath || null
+  };
+}
+
+function formatStamp(date) {
+  return date.toISOString().replace(/[:.]/g, '-').replace('Z', '');
+}
+
+export default SyncDaemon;
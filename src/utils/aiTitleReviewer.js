@@ -12,7 +12,7 @@ import { cleanTitle, findPotentialHooks } from './titleEnhancer.js';
  */
 export function prepareSongForReview(metadata) {
   const cleanedTitle = cleanTitle(metadata.title);
-  const hooks = findPotentialHooks(metadata.lyrics);
+  const hooks = findPotentialHooks(metadata.lyrics, metadata.lyricSections);
 
   return {
     originalTitle: metadata.title,
@@ -0,0 +1,459 @@
+/**
+ * Audio Verifier
+ * Checks that downloaded audio and stems files are what they claim to be:
+ * MP3 frame headers, the WAV RIFF chunks, the M4A ftyp/moov atoms and the ZIP
+ * central directory. Catches truncated downloads and error pages saved under
+ * an audio extension, which the download step would otherwise skip forever.
+ */
+
+import path from 'path';
+import fs from 'fs-extra';
+import { logger } from './logger.js';
+import { LibraryManifest, ARCHIVE_DIR } from './libraryManifest.js';
+import { ContentStore } from './contentStore.js';
+
+/**
+ * "3:45" or "1:02:03" → seconds; null when unknown
+ */
+export function parseDuration(value) {
+  if (typeof value === 'number' && Number.isFinite(value)) {
+    return Math.round(value);
+  }
+  const match = String(value || '').trim().match(/^(?:(\d+):)?(\d{1,2}):(\d{2})$/);
+  if (!match) {
+    return null;
+  }
+  return Number(match[1] || 0) * 3600 + Number(match[2]) * 60 + Number(match[3]);
+}
+
+// A file this much shorter than the scraped duration is treated as truncated
+const DURATION_TOLERANCE = { seconds: 2, ratio: 0.03 };
+
+const MP3_BITRATES = {
+  '1-1': [0, 32, 64, 96, 128, 160, 192, 224, 256, 288, 320, 352, 384, 416, 448],
+  '1-2': [0, 32, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320, 384],
+  '1-3': [0, 32, 40, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320],
+  '2-1': [0, 32, 48, 56, 64, 80, 96, 112, 128, 144, 160, 176, 192, 224, 256],
+  '2-2': [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160],
+  '2-3': [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160]
+};
+
+const MP3_SAMPLE_RATES = {
+  1: [44100, 48000, 32000],
+  2: [22050, 24000, 16000],
+  2.5: [11025, 12000, 8000]
+};
+
+class InvalidFileError extends Error {}
+
+async function readBytes(handle, position, length) {
+  const buffer = Buffer.alloc(length);
+  const { bytesRead } = await handle.read(buffer, 0, length, position);
+  return buffer.subarray(0, bytesRead);
+}
+
+/**
+ * What a file's first bytes say it is
+ */
+function sniff(head) {
+  if (head.subarray(0, 3).toString('latin1') === 'ID3' || (head[0] === 0xFF && (head[1] & 0xE0) === 0xE0)) return 'mp3';
+  if (head.subarray(0, 4).toString('latin1') === 'RIFF' && head.subarray(8, 12).toString('latin1') === 'WAVE') return 'wav';
+  if (head.subarray(4, 8).toString('latin1') === 'ftyp') return 'm4a';
+  if (head.readUInt32LE(0) === 0x04034b50 || head.readUInt32LE(0) === 0x06054b50) return 'zip';
+
+  const text = head.toString('utf8').trimStart().toLowerCase();
+  if (text.startsWith('<!doctype') || text.startsWith('<html') || text.startsWith('<?xml')) return 'html';
+  if (text.startsWith('{') || text.startsWith('[')) return 'json';
+  return 'unknown';
+}
+
+function parseMp3Header(buffer, offset) {
+  if (offset + 4 > buffer.length || buffer[offset] !== 0xFF || (buffer[offset + 1] & 0xE0) !== 0xE0) {
+    return null;
+  }
+  const b1 = buffer[offset + 1];
+  const b2 = buffer[offset + 2];
+  const version = [2.5, null, 2, 1][(b1 >> 3) & 3];
+  const layer = [null, 3, 2, 1][(b1 >> 1) & 3];
+  const bitrateIndex = b2 >> 4;
+  const sampleRateIndex = (b2 >> 2) & 3;
+  if (!version || !layer || bitrateIndex === 0 || bitrateIndex === 15 || sampleRateIndex === 3) {
+    return null;
+  }
+
+  const bitrate = MP3_BITRATES[`${version === 1 ? 1 : 2}-${layer}`][bitrateIndex] * 1000;
+  const sampleRate = MP3_SAMPLE_RATES[version][sampleRateIndex];
+  const padding = (b2 >> 1) & 1;
+  const samples = layer === 1 ? 384 : (layer === 3 && version !== 1 ? 576 : 1152);
+  const length = layer === 1
+    ? (Math.floor(12 * bitrate / sampleRate) + padding) * 4
+    : Math.floor(samples / 8 * bitrate / sampleRate) + padding;
+
+  return { version, layer, sampleRate, samples, length, mono: (buffer[offset + 3] >> 6) === 3 };
+}
+
+/**
+ * Frame count from a Xing/Info header in the first frame, if any
+ */
+function xingFrameCount(buffer, offset, header) {
+  const sideInfo = header.version === 1 ? (header.mono ? 17 : 32) : (header.mono ? 9 : 17);
+  const tagOffset = offset + 4 + sideInfo;
+  const tag = buffer.subarray(tagOffset, tagOffset + 4).toString('latin1');
+  if ((tag !== 'Xing' && tag !== 'Info') || tagOffset + 12 > buffer.length) {
+    return null;
+  }
+  return buffer.readUInt32BE(tagOffset + 4) & 1 ? buffer.readUInt32BE(tagOffset + 8) : null;
+}
+
+async function inspectMp3(filePath) {
+  const buffer = await fs.readFile(filePath);
+  let offset = 0;
+
+  // Skip ID3v2 tags (there may be more than one)
+  while (buffer.subarray(offset, offset + 3).toString('latin1') === 'ID3') {
+    const size = (buffer[offset + 6] << 21) | (buffer[offset + 7] << 14) | (buffer[offset + 8] << 7) | buffer[offset + 9];
+    offset += 10 + size + (buffer[offset + 5] & 0x10 ? 10 : 0);
+  }
+
+  // Find the first frame whose successor is also a frame
+  const searchEnd = Math.min(buffer.length, offset + 64 * 1024);
+  let first = null;
+  for (; offset < searchEnd; offset++) {
+    const header = parseMp3Header(buffer, offset);
+    if (header && (offset + header.length >= buffer.length || parseMp3Header(buffer, offset + header.length))) {
+      first = header;
+      break;
+    }
+  }
+  if (!first) {
+    throw new InvalidFileError('No MP3 audio frames found');
+  }
+
+  const expectedFrames = xingFrameCount(buffer, offset, first);
+  let frames = 0;
+  let seconds = 0;
+
+  while (offset < buffer.length) {
+    const header = parseMp3Header(buffer, offset);
+    if (!header) {
+      const rest = buffer.subarray(offset, offset + 8).toString('latin1');
+      // Trailing tags after the last frame
+      if (rest.startsWith('TAG') || rest.startsWith('APETAGEX') || rest.startsWith('LYRICS') || buffer.length - offset < 4) {
+        break;
+      }
+      throw new InvalidFileError(`Invalid MP3 frame at byte ${offset} of ${buffer.length}`);
+    }
+    if (offset + header.length > buffer.length) {
+      throw new InvalidFileError(`Truncated: last MP3 frame is missing ${offset + header.length - buffer.length} bytes`);
+    }
+    frames++;
+    seconds += header.samples / header.sampleRate;
+    offset += header.length;
+  }
+
+  if (expectedFrames !== null && frames < expectedFrames) {
+    throw new InvalidFileError(`Truncated: ${frames} of ${expectedFrames} MP3 frames present`);
+  }
+
+  return { durationSec: seconds, details: { frames } };
+}
+
+async function inspectWav(filePath, size) {
+  const handle = await fs.promises.open(filePath, 'r');
+  try {
+    const riff = await readBytes(handle, 0, 12);
+    const riffSize = riff.readUInt32LE(4);
+    let offset = 12;
+    let byteRate = null;
+    let dataSize = null;
+
+    while (offset + 8 <= size) {
+      const chunk = await readBytes(handle, offset, 20);
+      const id = chunk.subarray(0, 4).toString('latin1');
+      let chunkSize = chunk.readUInt32LE(4);
+
+      if (id === 'fmt ' && chunk.length === 20) {
+        // fmt body: format(2) channels(2) sampleRate(4) byteRate(4)
+        byteRate = chunk.readUInt32LE(16);
+      } else if (id === 'data') {
+        // Streaming writers leave the size at 0 or 0xFFFFFFFF
+        if (chunkSize === 0 || chunkSize === 0xFFFFFFFF) chunkSize = size - offset - 8;
+        if (offset + 8 + chunkSize > size) {
+          throw new InvalidFileError(`Truncated: WAV data chunk needs ${chunkSize} bytes, file has ${size - offset - 8}`);
+        }
+        dataSize = chunkSize;
+      }
+      offset += 8 + chunkSize + (chunkSize % 2);
+    }
+
+    if (!byteRate) throw new InvalidFileError('WAV file has no fmt chunk');
+    if (dataSize === null) throw new InvalidFileError('WAV file has no data chunk');
+    if (riffSize !== 0xFFFFFFFF && riffSize + 8 > size) {
+      throw new InvalidFileError(`Truncated: RIFF header declares ${riffSize + 8} bytes, file has ${size}`);
+    }
+
+    return { durationSec: dataSize / byteRate, details: { dataBytes: dataSize } };
+  } finally {
+    await handle.close();
+  }
+}
+
+async function inspectM4a(filePath, size) {
+  const handle = await fs.promises.open(filePath, 'r');
+  try {
+    const atoms = [];
+    let offset = 0;
+    let durationSec = null;
+
+    while (offset + 8 <= size) {
+      const header = await readBytes(handle, offset, 16);
+      let atomSize = header.readUInt32BE(0);
+      const type = header.subarray(4, 8).toString('latin1');
+      let headerSize = 8;
+      if (atomSize === 1) {
+        atomSize = Number(header.readBigUInt64BE(8));
+        headerSize = 16;
+      } else if (atomSize === 0) {
+        atomSize = size - offset;
+      }
+      if (atomSize < headerSize) {
+        throw new InvalidFileError(`Invalid M4A atom "${type}" at byte ${offset}`);
+      }
+      if (offset + atomSize > size) {
+        throw new InvalidFileError(`Truncated: M4A atom "${type}" needs ${atomSize} bytes, file has ${size - offset}`);
+      }
+
+      atoms.push(type);
+      if (type === 'moov') {
+        const moov = await readBytes(handle, offset + headerSize, Math.min(atomSize - headerSize, 16 * 1024 * 1024));
+        durationSec = mvhdDuration(moov);
+      }
+      offset += atomSize;
+    }
+
+    if (atoms[0] !== 'ftyp') throw new InvalidFileError('M4A file does not start with an ftyp atom');
+    if (!atoms.includes('moov')) throw new InvalidFileError('M4A file has no moov atom (incomplete download)');
+    if (!atoms.includes('mdat')) throw new InvalidFileError('M4A file has no mdat atom (no audio data)');
+
+    return { durationSec, details: { atoms } };
+  } finally {
+    await handle.close();
+  }
+}
+
+function mvhdDuration(moov) {
+  let offset = 0;
+  while (offset + 8 <= moov.length) {
+    const atomSize = moov.readUInt32BE(offset);
+    if (moov.subarray(offset + 4, offset + 8).toString('latin1') === 'mvhd') {
+      const version = moov[offset + 8];
+      const body = offset + 12;
+      if (version === 1) {
+        return Number(moov.readBigUInt64BE(body + 20)) / moov.readUInt32BE(body + 16);
+      }
+      return moov.readUInt32BE(body + 12) / moov.readUInt32BE(body + 8);
+    }
+    if (atomSize < 8) break;
+    offset += atomSize;
+  }
+  return null;
+}
+
+async function inspectZip(filePath, size) {
+  const handle = await fs.promises.open(filePath, 'r');
+  try {
+    // End of central directory: 22 bytes plus a comment of up to 64 KB
+    const tailStart = Math.max(0, size - 22 - 0xFFFF);
+    const tail = await readBytes(handle, tailStart, size - tailStart);
+    let eocd = -1;
+    for (let i = tail.length - 22; i >= 0; i--) {
+      if (tail.readUInt32LE(i) === 0x06054b50) {
+        eocd = i;
+        break;
+      }
+    }
+    if (eocd === -1) {
+      throw new InvalidFileError('ZIP end of central directory not found (truncated download)');
+    }
+
+    let entries = tail.readUInt16LE(eocd + 10);
+    let cdSize = tail.readUInt32LE(eocd + 12);
+    let cdOffset = tail.readUInt32LE(eocd + 16);
+
+    // ZIP64 archives keep the real values in a second record
+    if ((entries === 0xFFFF || cdOffset === 0xFFFFFFFF) && eocd >= 20 && tail.readUInt32LE(eocd - 20) === 0x07064b50) {
+      const zip64Offset = Number(tail.readBigUInt64LE(eocd - 20 + 8));
+      const zip64 = await readBytes(handle, zip64Offset, 56);
+      entries = Number(zip64.readBigUInt64LE(32));
+      cdSize = Number(zip64.readBigUInt64LE(40));
+      cdOffset = Number(zip64.readBigUInt64LE(48));
+    }
+
+    if (cdOffset + cdSize > tailStart + eocd) {
+      throw new InvalidFileError('ZIP central directory points past the end of the file');
+    }
+
+    const directory = await readBytes(handle, cdOffset, cdSize);
+    const names = [];
+    let offset = 0;
+    while (offset + 46 <= directory.length && directory.readUInt32LE(offset) === 0x02014b50) {
+      const nameLength = directory.readUInt16LE(offset + 28);
+      const extraLength = directory.readUInt16LE(offset + 30);
+      const commentLength = directory.readUInt16LE(offset + 32);
+      names.push(directory.subarray(offset + 46, offset + 46 + nameLength).toString('utf8'));
+      offset += 46 + nameLength + extraLength + commentLength;
+    }
+    if (names.length !== entries) {
+      throw new InvalidFileError(`ZIP central directory lists ${names.length} of ${entries} entries`);
+    }
+
+    return { durationSec: null, details: { entries: names.length, names } };
+  } finally {
+    await handle.close();
+  }
+}
+
+const INSPECTORS = { mp3: inspectMp3, wav: inspectWav, m4a: inspectM4a, zip: inspectZip };
+
+export class AudioVerifier {
+  constructor(outputDir = './output', options = {}) {
+    this.outputDir = path.resolve(outputDir);
+    this.manifest = options.manifest || new LibraryManifest(this.outputDir);
+  }
+
+  /**
+   * Validate one file's structure.
+   * @returns {{ ok, format, durationSec, details, error }}
+   */
+  static async inspect(filePath) {
+    const expected = filePath.toLowerCase().endsWith('.zip') ? 'zip' : path.extname(filePath).slice(1).toLowerCase();
+
+    try {
+      const { size } = await fs.stat(filePath);
+      if (size < 12) {
+        throw new InvalidFileError(size === 0 ? 'File is empty' : `File is only ${size} bytes`);
+      }
+
+      const handle = await fs.promises.open(filePath, 'r');
+      const head = await readBytes(handle, 0, 64).finally(() => handle.close());
+      const format = sniff(head);
+      if (format === 'html' || format === 'json') {
+        throw new InvalidFileError(`Not audio: an ${format.toUpperCase()} response was saved as .${expected}`);
+      }
+      if (format !== expected) {
+        throw new InvalidFileError(`Expected ${expected.toUpperCase()} data, found ${format === 'unknown' ? 'unrecognized data' : format.toUpperCase()}`);
+      }
+
+      const { durationSec, details } = await INSPECTORS[format](filePath, size);
+      return { ok: true, format, durationSec, details, error: null };
+    } catch (error) {
+      if (!(error instanceof InvalidFileError)) throw error;
+      return { ok: false, format: expected, durationSec: null, details: null, error: error.message };
+    }
+  }
+
+  /**
+   * Check every audio and stems file in the manifest.
+   * @param {Object} options
+   * @param {string[]} options.songIds - Only these songs (default: all)
+   * @param {Function} options.onFile - Called with each file result as it is checked
+   * @returns {{ files: Object[], broken: Object[] }}
+   */
+  async verifyLibrary(options = {}) {
+    const { songIds = null, onFile = null } = options;
+    const songs = await this.manifest.readSongs({ filter: entry => !songIds || songIds.includes(entry.id) });
+    const files = [];
+
+    for (const { entry, metadata, metadataPath } of songs) {
+
+      for (const role of ['audio', 'stems']) {
+        const file = entry.files[role];
+        if (!file) continue;
+
+        const filePath = this.manifest.resolve(file.path);
+        const result = {
+          id: entry.id,
+          title: entry.title,
+          url: entry.url,
+          role,
+          path: file.path,
+          metadata: entry.metadata,
+          metadataPath
+        };
+
+        if (!await fs.pathExists(filePath)) {
+          Object.assign(result, { ok: false, error: 'File is missing' });
+        } else {
+          Object.assign(result, await AudioVerifier.inspect(filePath));
+          result.sha256 = await LibraryManifest.hashFile(filePath);
+          result.changedSinceIndexed = Boolean(file.sha256) && file.sha256 !== result.sha256;
+
+          if (result.ok && role === 'audio') {
+            this.checkDuration(result, parseDuration(metadata.duration));
+          }
+        }
+
+        files.push(result);
+        if (!result.ok) {
+          logger.debug(`Broken ${role}: ${file.path} (${result.error})`);
+        }
+        if (onFile) onFile(result);
+      }
+    }
+
+    return { files, broken: files.filter(file => !file.ok) };
+  }
+
+  /**
+   * Move broken files to _archive/<label>/ so the next download does not
+   * reuse them, and re-index their songs. Stored copies are dropped too.
+   * @returns {Object[]} One { song, metadata, error } per song, for FailedSongRetrier.queue
+   */
+  async repair(broken, label = `broken-${new Date().toISOString().replace(/[:.]/g, '-')}`) {
+    const archiveRoot = path.join(this.outputDir, ARCHIVE_DIR, label);
+    const store = new ContentStore(this.outputDir);
+    const songs = new Map(); // sidecar → { song, metadata, errors }
+
+    for (const file of broken) {
+      const source = this.manifest.resolve(file.path);
+      if (await fs.pathExists(source)) {
+        await fs.move(source, path.join(archiveRoot, ...file.path.split('/')), { overwrite: true });
+      }
+      await store.evict(file.id);
+
+      const song = songs.get(file.metadata) || {
+        song: { id: file.id, title: file.title, url: file.url },
+        metadata: file.metadata,
+        metadataPath: file.metadataPath,
+        errors: []
+      };
+      song.errors.push(`${file.role}: ${file.error}`);
+      songs.set(file.metadata, song);
+    }
+
+    const items = [];
+    for (const { song, metadata, metadataPath, errors } of songs.values()) {
+      await this.manifest.recordSidecar(metadataPath);
+      items.push({ song, metadata, error: `Corrupt file (${errors.join('; ')})` });
+    }
+    await this.manifest.flush();
+    return items;
+  }
+
+  /**
+   * Fail audio noticeably shorter than the duration shown on the song page
+   */
+  checkDuration(result, expectedSec) {
+    result.expectedSec = expectedSec;
+    if (expectedSec === null || result.durationSec === null) {
+      return;
+    }
+    const tolerance = Math.max(DURATION_TOLERANCE.seconds, expectedSec * DURATION_TOLERANCE.ratio);
+    if (result.durationSec < expectedSec - tolerance) {
+      result.ok = false;
+      result.error = `Truncated: ${result.durationSec.toFixed(1)}s of audio, song page says ${expectedSec}s`;
+    }
+  }
+}
+
+export default AudioVerifier;
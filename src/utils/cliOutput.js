@@ -0,0 +1,102 @@
+/**
+ * CLI Output
+ * Machine-readable output for the global --json flag: newline-delimited
+ * progress events on stdout during long runs, ending with one `result`
+ * document per command. Commands print human text through `log`/`error`,
+ * which go to stderr under --json so stdout carries only JSON.
+ */
+
+import fs from 'fs';
+import { setMachineOutput } from './logger.js';
+
+const ANSI_PATTERN = /\x1B\[[0-9;]*m/g;
+
+class CliOutput {
+  constructor() {
+    this.json = false;
+    this.command = null;
+    this.resultWritten = false;
+    this.lastError = null;
+  }
+
+  enableJson(command) {
+    this.json = true;
+    this.command = command;
+    // Log lines move to stderr as well
+    setMachineOutput(true);
+  }
+
+  /**
+   * Human text (banners, summaries): stdout, or stderr under --json
+   */
+  log(...args) {
+    if (this.json) {
+      console.error(...args);
+    } else {
+      console.log(...args);
+    }
+  }
+
+  /**
+   * Error text, always on stderr. The last one is the message of a failed result.
+   */
+  error(...args) {
+    this.lastError = args.map(String).join(' ').replace(ANSI_PATTERN, '').replace(/^\s*✗\s*(Error:)?\s*/, '').trim();
+    console.error(...args);
+  }
+
+  /**
+   * End the process, writing the result document first if the command has not
+   */
+  exit(code = 0) {
+    this.finish(code);
+    process.exit(code);
+  }
+
+  /**
+   * Result document for a command that ended without writing one
+   * (validation errors, failures caught before the result)
+   */
+  finish(code = process.exitCode ?? 0) {
+    if (!this.json || this.resultWritten) return;
+    this.resultWritten = true;
+    this.write({
+      type: 'result',
+      command: this.command,
+      ok: code === 0,
+      exitCode: code,
+      ...(code !== 0 && { error: { message: this.lastError || `Exited with code ${code}` } })
+    });
+  }
+
+  /**
+   * Progress event, e.g. event('song.started', { song, index, total, counters })
+   */
+  event(type, data = {}) {
+    if (!this.json) return;
+    this.write({ type, command: this.command, timestamp: new Date().toISOString(), ...data });
+  }
+
+  /**
+   * The command's final document. `ok` defaults to the pending exit code.
+   */
+  result(data = {}, ok = !process.exitCode) {
+    if (!this.json || this.resultWritten) return;
+    this.resultWritten = true;
+    this.write({ type: 'result', command: this.command, ok, ...data });
+  }
+
+  write(document) {
+    try {
+      // Synchronous so the document is out before an immediate process.exit
+      fs.writeSync(1, `${JSON.stringify(document)}\n`);
+    } catch (error) {
+      if (error.code !== 'EPIPE') throw error;
+    }
+  }
+}
+
+// Shared instance for cli.js
+export const output = new CliOutput();
+
+export default output;
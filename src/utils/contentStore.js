@@ -0,0 +1,209 @@
+/**
+ * Content Store
+ * Content-addressed copy of every song's assets under output/_store/<songId>/.
+ * A song is downloaded once; the library root and each playlist or project
+ * folder get hardlinks (or relative symlinks, or copies) to the stored files
+ * plus their own metadata sidecar.
+ */
+
+import path from 'path';
+import fs from 'fs-extra';
+import sanitize from 'sanitize-filename';
+import { logger } from './logger.js';
+import { STORE_DIR } from './libraryManifest.js';
+import { activePathTemplate, renderPathTemplate, templateValues, uniqueBaseName } from './pathTemplate.js';
+import scraperConfig from '../../config/scraper.config.js';
+
+export const LINK_MODES = ['hardlink', 'symlink', 'copy'];
+
+const ASSET_ROLES = ['audio', 'stems', 'cover', 'lyrics'];
+
+// Errors that mean "this filesystem cannot link here", not a real failure
+const LINK_UNSUPPORTED = new Set(['EXDEV', 'EPERM', 'ENOTSUP', 'EOPNOTSUPP', 'EMLINK', 'EACCES']);
+
+export class ContentStore {
+  constructor(rootDir = './output', options = {}) {
+    const storeConfig = scraperConfig.fileOrganization.store || {};
+    this.rootDir = path.resolve(rootDir);
+    this.storeDir = path.join(this.rootDir, STORE_DIR);
+    this.linkMode = options.linkMode || storeConfig.linkMode || 'hardlink';
+
+    if (!LINK_MODES.includes(this.linkMode)) {
+      throw new Error(`Unknown store link mode "${this.linkMode}". Use: ${LINK_MODES.join(', ')}`);
+    }
+  }
+
+  songDir(songId) {
+    return path.join(this.storeDir, sanitize(songId));
+  }
+
+  /**
+   * The stored sidecar for a song, or null if it has not been downloaded yet
+   */
+  async find(songId) {
+    const dir = this.songDir(songId);
+    if (!await fs.pathExists(dir)) {
+      return null;
+    }
+
+    const sidecar = (await fs.readdir(dir)).find(name => name.endsWith('.json'));
+    if (!sidecar) {
+      return null;
+    }
+
+    const metadataPath = path.join(dir, sidecar);
+    const metadata = await fs.readJson(metadataPath).catch(() => null);
+    return metadata?.id === songId ? { dir, metadataPath, metadata } : null;
+  }
+
+  /**
+   * Move a freshly downloaded song's assets into the store and link them back
+   * to where they were saved. Safe to call again for a song already stored.
+   */
+  async adopt(result) {
+    const metadataPath = result?.files?.metadata;
+    if (!result?.success || !metadataPath) {
+      return null;
+    }
+
+    const metadata = await fs.readJson(metadataPath);
+    const dir = this.songDir(metadata.id);
+    await fs.ensureDir(dir);
+
+    for (const role of ASSET_ROLES) {
+      const filePath = result.files[role];
+      if (!filePath || !await fs.pathExists(filePath)) continue;
+
+      const stored = path.join(dir, path.basename(filePath));
+      if (await this.isSameFile(filePath, stored)) continue;
+
+      // A re-download replaces the stored copy
+      await fs.move(filePath, stored, { overwrite: true });
+      await this.link(stored, filePath);
+    }
+
+    // Only the assets are shared; every folder keeps its own sidecar
+    await fs.writeJson(path.join(dir, path.basename(metadataPath)), metadata, { spaces: 2 });
+    await this.removeStaleSidecars(dir, path.basename(metadataPath));
+    return dir;
+  }
+
+  /**
+   * Place a stored song into outputDir (following the path template) without
+   * downloading it. Returns a downloadSong-style result, or null if the song
+   * is not in the store.
+   */
+  async place(song, outputDir, options = {}) {
+    const { collection = null } = options;
+    const stored = await this.find(song.id);
+    if (!stored) {
+      return null;
+    }
+
+    const storedBase = path.basename(stored.metadataPath, '.json');
+    const target = renderPathTemplate(activePathTemplate(), templateValues({
+      song,
+      metadata: stored.metadata,
+      title: storedBase,
+      collection
+    }));
+    const songDir = path.join(outputDir, ...target.dir.split('/').filter(Boolean));
+    await fs.ensureDir(songDir);
+
+    let baseName = target.baseName;
+    const existing = await fs.readJson(path.join(songDir, `${baseName}.json`)).catch(() => null);
+    if (existing && existing.id !== song.id) {
+      ({ name: baseName } = await uniqueBaseName(songDir, baseName, song.id));
+    }
+
+    const files = { audio: null, stems: null, cover: null, lyrics: null };
+    const fileNames = {};
+    for (const role of ASSET_ROLES) {
+      const storedName = stored.metadata.files?.[role];
+      const source = storedName ? path.join(stored.dir, storedName) : null;
+      if (!source || !await fs.pathExists(source)) continue;
+
+      // Keep the asset's suffix (".mp3", "-stems.zip") after the new base name
+      const suffix = storedName.startsWith(storedBase) ? storedName.slice(storedBase.length) : path.extname(storedName);
+      const placed = path.join(songDir, `${baseName}${suffix}`);
+      if (!await fs.pathExists(placed)) {
+        await this.link(source, placed);
+      }
+      files[role] = placed;
+      fileNames[role] = path.basename(placed);
+    }
+
+    // Extracted stems stay with the copy that was downloaded; run extract-stems here for more
+    const { stemInventory, ...storedMetadata } = stored.metadata;
+    const metadataPath = path.join(songDir, `${baseName}.json`);
+    await fs.writeJson(metadataPath, {
+      ...storedMetadata,
+      files: { ...stored.metadata.files, ...fileNames }
+    }, { spaces: 2 });
+
+    return {
+      success: true,
+      linked: true,
+      title: stored.metadata.title,
+      files: { ...files, metadata: metadataPath }
+    };
+  }
+
+  /**
+   * Forget a song's stored files so its next download fetches them again
+   */
+  async evict(songId) {
+    const dir = this.songDir(songId);
+    if (!await fs.pathExists(dir)) {
+      return false;
+    }
+    await fs.remove(dir);
+    return true;
+  }
+
+  /**
+   * Link target to source with the configured mode, falling back along
+   * hardlink → symlink → copy when the filesystem refuses
+   */
+  async link(source, target) {
+    await fs.ensureDir(path.dirname(target));
+
+    for (const mode of LINK_MODES.slice(LINK_MODES.indexOf(this.linkMode))) {
+      try {
+        if (mode === 'hardlink') {
+          await fs.link(source, target);
+        } else if (mode === 'symlink') {
+          await fs.symlink(path.relative(path.dirname(target), source), target);
+        } else {
+          await fs.copy(source, target);
+        }
+        return mode;
+      } catch (error) {
+        if (mode === 'copy' || !LINK_UNSUPPORTED.has(error.code)) throw error;
+        logger.debug(`Could not ${mode} ${path.basename(target)} (${error.code}), falling back`);
+      }
+    }
+  }
+
+  async isSameFile(a, b) {
+    try {
+      const [statA, statB] = await Promise.all([fs.stat(a), fs.stat(b)]);
+      return statA.ino === statB.ino && statA.dev === statB.dev;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * A song renamed on the site leaves its old sidecar behind; keep only the current one
+   */
+  async removeStaleSidecars(dir, keep) {
+    for (const name of await fs.readdir(dir)) {
+      if (name.endsWith('.json') && name !== keep) {
+        await fs.remove(path.join(dir, name));
+      }
+    }
+  }
+}
+
+export default ContentStore;
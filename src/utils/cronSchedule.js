@@ -0,0 +1,103 @@
+/**
+ * Cron Schedule
+ * Minimal five-field cron expressions (minute hour day-of-month month day-of-week)
+ * in local time. Supports *, lists, ranges, steps and the @hourly/@daily/@weekly aliases.
+ */
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'day of week', min: 0, max: 7 } // 0 and 7 are both Sunday
+];
+
+const ALIASES = {
+  '@hourly': '0 * * * *',
+  '@daily': '0 0 * * *',
+  '@midnight': '0 0 * * *',
+  '@nightly': '0 3 * * *',
+  '@weekly': '0 0 * * 0',
+  '@monthly': '0 0 1 * *'
+};
+
+// Look ahead at most this far for the next run (covers "Feb 29" style schedules)
+const MAX_LOOKAHEAD_MINUTES = 4 * 366 * 24 * 60;
+
+export class CronSchedule {
+  constructor(expression) {
+    this.expression = String(expression || '').trim();
+    const fields = (ALIASES[this.expression] || this.expression).split(/\s+/);
+
+    if (fields.length !== 5) {
+      throw new Error(`Invalid cron expression "${this.expression}": expected 5 fields (minute hour day month weekday)`);
+    }
+
+    [this.minutes, this.hours, this.days, this.months, this.weekdays] =
+      fields.map((field, index) => this.parseField(field, FIELDS[index]));
+
+    // Sunday may be written as 7
+    if (this.weekdays.has(7)) {
+      this.weekdays.add(0);
+    }
+    // Standard cron: when both day fields are restricted, either may match
+    this.dayOrWeekday = fields[2] !== '*' && fields[4] !== '*';
+  }
+
+  parseField(field, { name, min, max }) {
+    const values = new Set();
+
+    for (const part of field.split(',')) {
+      const match = part.match(/^(\*|\d+(?:-\d+)?)(?:\/(\d+))?$/);
+      if (!match) {
+        throw new Error(`Invalid cron ${name} "${part}" in "${this.expression}"`);
+      }
+
+      const [, range, stepText] = match;
+      const step = stepText ? parseInt(stepText, 10) : 1;
+      let [start, end] = range === '*' ? [min, max] : range.split('-').map(n => parseInt(n, 10));
+      if (end === undefined) {
+        end = stepText ? max : start;
+      }
+
+      if (start < min || end > max || start > end || step < 1) {
+        throw new Error(`Cron ${name} "${part}" out of range ${min}-${max} in "${this.expression}"`);
+      }
+
+      for (let value = start; value <= end; value += step) {
+        values.add(value);
+      }
+    }
+
+    return values;
+  }
+
+  matches(date) {
+    if (!this.minutes.has(date.getMinutes()) || !this.hours.has(date.getHours()) || !this.months.has(date.getMonth() + 1)) {
+      return false;
+    }
+
+    const dayMatches = this.days.has(date.getDate());
+    const weekdayMatches = this.weekdays.has(date.getDay());
+    return this.dayOrWeekday ? dayMatches || weekdayMatches : dayMatches && weekdayMatches;
+  }
+
+  /**
+   * The first matching minute strictly after `from`
+   */
+  next(from = new Date()) {
+    const candidate = new Date(from);
+    candidate.setSeconds(0, 0);
+
+    for (let i = 0; i < MAX_LOOKAHEAD_MINUTES; i++) {
+      candidate.setMinutes(candidate.getMinutes() + 1);
+      if (this.matches(candidate)) {
+        return new Date(candidate);
+      }
+    }
+
+    throw new Error(`Cron expression "${this.expression}" never matches`);
+  }
+}
+
+export default CronSchedule;
@@ -221,6 +221,10 @@ export class ErrorHandler {
         logger.warn(`Network error for ${song.title}`);
         return { retry: true, delay: 10000 };
 
+      case 'corrupt':
+        logger.warn(`Corrupt download for ${song.title}`);
+        return { retry: true };
+
       default:
         logger.error(`Unknown download error for ${song.title}`);
         return { retry: true, delay: 3000 };
@@ -233,6 +237,8 @@ export class ErrorHandler {
   classifyDownloadError(error) {
     const message = error.message || error.toString();
 
+    // Queued by `verify --repair` for a file that failed its integrity check
+    if (/^corrupt file/i.test(message)) return 'corrupt';
     if (/timeout/i.test(message)) return 'timeout';
     if (/menu.*not.*found/i.test(message)) return 'menu_not_found';
     if (/file.*not.*found/i.test(message)) return 'file_not_found';
@@ -406,6 +412,18 @@ export class RetryError extends Error {
   }
 }
 
+/**
+ * Raised when a run needs a human: the login session expired or a CAPTCHA
+ * appeared. Unattended runs stop on it instead of waiting for manual login.
+ */
+export class AuthRequiredError extends Error {
+  constructor(message, reason = 'expired') {
+    super(message);
+    this.name = 'AuthRequiredError';
+    this.reason = reason; // 'expired' or 'captcha'
+  }
+}
+
 /**
  * Create error handler instance
  */
@@ -8,6 +8,7 @@ import fs from 'fs-extra';
 import sanitize from 'sanitize-filename';
 import scraperConfig from '../../config/scraper.config.js';
 import { logger } from './logger.js';
+import { RESERVED_FILES } from './libraryManifest.js';
 
 export class FileOrganizer {
   constructor(baseOutputPath = './output') {
@@ -337,7 +338,7 @@ export class FileOrganizer {
    */
   async createSummaryReport(results) {
     try {
-      const reportPath = path.join(this.baseOutputPath, 'export-summary.json');
+      const reportPath = path.join(this.baseOutputPath, RESERVED_FILES.exportSummary);
 
       const summary = {
         exportDate: new Date().toISOString(),
@@ -0,0 +1,429 @@
+/**
+ * Library Manifest
+ * Append-only JSONL index of every downloaded song in an output directory:
+ * song ID, sidecar and asset paths, hashes, formats, source collections and
+ * download times. Commands read the library from here instead of re-walking
+ * the output directory and re-parsing every JSON sidecar.
+ */
+
+import path from 'path';
+import crypto from 'crypto';
+import fs from 'fs-extra';
+import { logger } from './logger.js';
+import scraperConfig from '../../config/scraper.config.js';
+
+export const MANIFEST_FILE = 'library-manifest.jsonl';
+// Archived songs live under the output dir but are not part of the library
+export const ARCHIVE_DIR = '_archive';
+// Shared song assets that library and collection folders link to
+export const STORE_DIR = '_store';
+
+// Files the toolkit writes beside the songs that are never song sidecars.
+// The modules writing them take their names from here.
+export const RESERVED_FILES = {
+  searchIndex: 'search-index.json',
+  remixLineage: 'remix-lineage.json',
+  aiReviewPending: '_ai-review-pending.json',
+  exportSummary: 'export-summary.json'
+};
+const RESERVED_NAMES = new Set(Object.values(RESERVED_FILES));
+
+const ASSET_EXTENSIONS = {
+  audio: ['.mp3', '.wav', '.m4a'],
+  stems: ['-stems.zip'],
+  cover: ['.png', '.jpg', '.jpeg', '.webp'],
+  lyrics: ['.lrc']
+};
+
+/**
+ * Whether a file name looks like a song's metadata sidecar
+ * (rather than an index or review file the toolkit keeps next to the songs)
+ */
+export function isMetadataSidecar(fileName) {
+  return fileName.endsWith('.json') && !RESERVED_NAMES.has(fileName);
+}
+
+export class LibraryManifest {
+  constructor(rootDir = './output') {
+    this.rootDir = path.resolve(rootDir);
+    this.manifestPath = path.join(this.rootDir, MANIFEST_FILE);
+    this.checkpointDir = path.resolve(scraperConfig.progress.checkpointDir);
+    this.records = new Map(); // metadata path (relative, posix) → record
+    this.loading = null;
+    this.writeChain = Promise.resolve();
+  }
+
+  toRelative(filePath) {
+    return path.relative(this.rootDir, path.resolve(filePath)).split(path.sep).join('/');
+  }
+
+  resolve(relativePath) {
+    return relativePath ? path.join(this.rootDir, ...relativePath.split('/')) : null;
+  }
+
+  /**
+   * Load the manifest. A library downloaded before the manifest existed is
+   * indexed from its sidecars the first time it is loaded.
+   */
+  load(options = {}) {
+    // Parallel workers share one load (and at most one initial rebuild)
+    this.loading = this.loading || this.readManifest(options);
+    return this.loading;
+  }
+
+  async readManifest({ rebuildIfMissing = true }) {
+    if (!await fs.pathExists(this.manifestPath)) {
+      if (rebuildIfMissing && await fs.pathExists(this.rootDir)) {
+        logger.info(`No library manifest in ${this.rootDir}, indexing existing files...`);
+        await this.rebuild();
+      }
+      return this;
+    }
+
+    const lines = (await fs.readFile(this.manifestPath, 'utf8')).split('\n');
+    lines.forEach((line, index) => {
+      if (!line.trim()) return;
+      try {
+        this.applyLine(JSON.parse(line));
+      } catch (error) {
+        // A crash mid-append can leave a partial last line; everything before it is intact
+        logger.warn(`Skipping unreadable manifest line ${index + 1}: ${error.message}`);
+      }
+    });
+
+    logger.debug(`Loaded library manifest: ${this.records.size} songs`);
+    await this.indexChangedSidecars();
+    return this;
+  }
+
+  /**
+   * Index sidecars written or edited without going through the manifest
+   * (older tools, manual copies and edits). Each sidecar's modification time
+   * is compared with the one recorded when it was indexed; only new or
+   * modified sidecars are re-read.
+   */
+  async indexChangedSidecars() {
+    const changed = [];
+    for (const sidecar of await this.collectSidecars(this.rootDir)) {
+      const previous = this.records.get(this.toRelative(sidecar));
+      const { mtimeMs } = await fs.stat(sidecar);
+      if (!previous || previous.sidecarMtimeMs !== mtimeMs) {
+        changed.push(sidecar);
+      }
+    }
+
+    const records = [];
+    for (const sidecar of changed) {
+      const record = await this.buildRecord(sidecar, this.records.get(this.toRelative(sidecar)));
+      if (record) records.push(record);
+    }
+
+    if (records.length > 0) {
+      logger.warn(`${records.length} sidecars changed outside the library manifest; indexed them (run \`reindex\` to rebuild it fully)`);
+      await this.append(records);
+    }
+  }
+
+  applyLine(line) {
+    if (line.removed) {
+      this.records.delete(line.metadata);
+    } else {
+      this.records.set(line.metadata, line);
+    }
+  }
+
+  entries() {
+    return Array.from(this.records.values())
+      .sort((a, b) => a.metadata.localeCompare(b.metadata));
+  }
+
+  findById(id) {
+    return this.entries().filter(entry => entry.id === id);
+  }
+
+  /**
+   * Append lines to the manifest. Writes are queued so parallel workers
+   * never interleave partial lines.
+   */
+  append(lines) {
+    lines.forEach(line => this.applyLine(line));
+    const text = lines.map(line => JSON.stringify(line)).join('\n') + '\n';
+
+    this.writeChain = this.writeChain
+      .then(() => fs.ensureDir(this.rootDir))
+      .then(() => fs.appendFile(this.manifestPath, text, 'utf8'))
+      .catch(error => logger.error('Failed to update library manifest:', error.message));
+    return this.writeChain;
+  }
+
+  /**
+   * Index one song from its sidecar and the asset files next to it.
+   * `collection` ({ type, name }) is added to the song's source collections.
+   */
+  async recordSidecar(metadataPath, options = {}) {
+    const { collection = null } = options;
+    await this.load();
+
+    const record = await this.buildRecord(metadataPath, this.records.get(this.toRelative(metadataPath)));
+    if (!record) {
+      return null;
+    }
+
+    if (collection && !record.collections.some(c => c.type === collection.type && c.name === collection.name)) {
+      record.collections.push(collection);
+    }
+
+    await this.append([record]);
+    return record;
+  }
+
+  /**
+   * Index the result of CompleteSongDownloader.downloadSong
+   */
+  async recordDownload(result, options = {}) {
+    if (!result?.success || !result.files?.metadata) {
+      return null;
+    }
+
+    // The song is already saved; a manifest problem must not fail the download
+    try {
+      return await this.recordSidecar(result.files.metadata, options);
+    } catch (error) {
+      logger.warn(`Could not index ${result.files.metadata}: ${error.message}`);
+      return null;
+    }
+  }
+
+  async remove(metadataPath) {
+    await this.load();
+    const relative = this.toRelative(metadataPath);
+    if (this.records.has(relative)) {
+      await this.append([{ metadata: relative, removed: true, indexedAt: new Date().toISOString() }]);
+    }
+  }
+
+  /**
+   * Move a song's sidecar and assets to _archive/<label>/ and drop it from the manifest
+   */
+  async archive(entry, label) {
+    const archiveRoot = path.join(this.rootDir, ARCHIVE_DIR, label);
+    const relativePaths = [entry.metadata, ...Object.values(entry.files).filter(Boolean).map(file => file.path)];
+
+    for (const relativePath of relativePaths) {
+      const source = this.resolve(relativePath);
+      if (await fs.pathExists(source)) {
+        await fs.move(source, path.join(archiveRoot, ...relativePath.split('/')), { overwrite: true });
+      }
+    }
+
+    await this.remove(this.resolve(entry.metadata));
+    return path.join(archiveRoot, ...entry.metadata.split('/'));
+  }
+
+  /**
+   * Re-index a song whose files were moved (renames keep size and mtime, so
+   * hashes carry over). `files` maps each asset role to its new absolute path.
+   */
+  async move(entry, metadataPath, files) {
+    await this.load();
+    const record = {
+      ...entry,
+      metadata: this.toRelative(metadataPath),
+      files: Object.fromEntries(Object.entries(entry.files).map(([role, file]) => [
+        role,
+        file && files[role] ? { ...file, path: this.toRelative(files[role]) } : file
+      ])),
+      indexedAt: new Date().toISOString()
+    };
+
+    await this.append([
+      { metadata: entry.metadata, removed: true, indexedAt: record.indexedAt },
+      record
+    ]);
+    return record;
+  }
+
+  async buildRecord(metadataPath, previous = null) {
+    const absolute = path.resolve(metadataPath);
+    let metadata;
+    try {
+      metadata = await fs.readJson(absolute);
+    } catch (error) {
+      logger.warn(`Could not read sidecar ${absolute}: ${error.message}`);
+      return null;
+    }
+
+    if (!metadata?.id) {
+      return null;
+    }
+
+    const dir = path.dirname(absolute);
+    const baseName = path.basename(absolute, '.json');
+    const { mtimeMs: sidecarMtimeMs } = await fs.stat(absolute);
+    const files = {};
+
+    for (const role of Object.keys(ASSET_EXTENSIONS)) {
+      const assetPath = await this.findAsset(dir, baseName, role, metadata.files?.[role]);
+      files[role] = assetPath ? await this.describeFile(assetPath, previous?.files?.[role]) : null;
+    }
+
+    const formats = [];
+    if (files.audio) formats.push(path.extname(files.audio.path).slice(1).toLowerCase());
+    if (files.stems) formats.push('stems');
+
+    const relativeDir = path.posix.dirname(this.toRelative(absolute));
+    const collections = previous?.collections
+      ? [...previous.collections]
+      : relativeDir === '.' ? [] : [{ type: 'folder', name: relativeDir }];
+
+    return {
+      id: metadata.id,
+      title: metadata.title || baseName,
+      url: metadata.url || null,
+      metadata: this.toRelative(absolute),
+      sidecarMtimeMs,
+      formats,
+      files,
+      collections,
+      downloadedAt: metadata.downloadedAt || previous?.downloadedAt || null,
+      indexedAt: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Locate an asset: the name the sidecar recorded, else a sibling with the same base name
+   */
+  async findAsset(dir, baseName, role, recordedName) {
+    if (recordedName && await fs.pathExists(path.join(dir, recordedName))) {
+      return path.join(dir, recordedName);
+    }
+
+    for (const ext of ASSET_EXTENSIONS[role]) {
+      const candidate = path.join(dir, `${baseName}${ext}`);
+      if (await fs.pathExists(candidate)) {
+        return candidate;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Path, size and hash of an asset. The previous hash is reused when the
+   * file's size and modification time have not changed.
+   */
+  async describeFile(filePath, previous = null) {
+    const stats = await fs.stat(filePath);
+    const relative = this.toRelative(filePath);
+    const unchanged = previous
+      && previous.path === relative
+      && previous.size === stats.size
+      && previous.mtimeMs === stats.mtimeMs;
+
+    return {
+      path: relative,
+      size: stats.size,
+      mtimeMs: stats.mtimeMs,
+      sha256: unchanged ? previous.sha256 : await LibraryManifest.hashFile(filePath)
+    };
+  }
+
+  static hashFile(filePath) {
+    return new Promise((resolve, reject) => {
+      const hash = crypto.createHash('sha256');
+      fs.createReadStream(filePath)
+        .on('data', chunk => hash.update(chunk))
+        .on('end', () => resolve(hash.digest('hex')))
+        .on('error', reject);
+    });
+  }
+
+  async collectSidecars(dir, collected = []) {
+    const entries = await fs.readdir(dir, { withFileTypes: true });
+
+    for (const entry of entries) {
+      const fullPath = path.join(dir, entry.name);
+      if (entry.isDirectory()) {
+        if (dir === this.rootDir && (entry.name === ARCHIVE_DIR || entry.name === STORE_DIR)) continue;
+        // Checkpoints and reports, when the checkpoint dir is kept inside the output dir
+        if (fullPath === this.checkpointDir) continue;
+        await this.collectSidecars(fullPath, collected);
+      } else if (isMetadataSidecar(entry.name)) {
+        collected.push(fullPath);
+      }
+    }
+
+    return collected;
+  }
+
+  /**
+   * Rebuild the manifest from the sidecars on disk. Source collections and
+   * unchanged hashes are carried over from the old manifest.
+   */
+  async rebuild() {
+    await this.writeChain;
+    const previous = this.records;
+    const records = new Map();
+
+    if (await fs.pathExists(this.rootDir)) {
+      const sidecars = await this.collectSidecars(this.rootDir);
+      for (const sidecar of sidecars) {
+        const record = await this.buildRecord(sidecar, previous.get(this.toRelative(sidecar)));
+        if (record) {
+          records.set(record.metadata, record);
+        }
+      }
+    }
+
+    const removed = Array.from(previous.keys()).filter(key => !records.has(key)).length;
+    this.records = records;
+    this.loading = this.loading || Promise.resolve(this);
+    await this.compact();
+
+    logger.info(`Indexed ${records.size} songs into ${this.manifestPath}`);
+    return { songs: records.size, removed };
+  }
+
+  /**
+   * Rewrite the manifest with one line per song (drops superseded lines)
+   */
+  async compact() {
+    await this.writeChain;
+    await fs.ensureDir(this.rootDir);
+
+    const tempPath = `${this.manifestPath}.tmp`;
+    const text = this.entries().map(record => JSON.stringify(record)).join('\n');
+    await fs.writeFile(tempPath, text ? `${text}\n` : '', 'utf8');
+    await fs.move(tempPath, this.manifestPath, { overwrite: true });
+  }
+
+  /**
+   * Every indexed song with its parsed sidecar. Songs whose sidecar has
+   * since disappeared are skipped (run `reindex` to drop them).
+   * `filter` selects songs by their manifest entry (id, title, files,
+   * collections) so only the sidecars a command needs are parsed.
+   */
+  async readSongs(options = {}) {
+    const { filter = null } = options;
+    await this.load();
+    const songs = [];
+
+    for (const entry of this.entries()) {
+      if (filter && !filter(entry)) continue;
+      const metadataPath = this.resolve(entry.metadata);
+      try {
+        songs.push({ entry, metadataPath, metadata: await fs.readJson(metadataPath) });
+      } catch (error) {
+        logger.warn(`Indexed sidecar missing or unreadable: ${entry.metadata}`);
+      }
+    }
+
+    return songs;
+  }
+
+  async flush() {
+    await this.writeChain;
+  }
+}
+
+export default LibraryManifest;
@@ -0,0 +1,273 @@
+/**
+ * Library Reorganizer
+ * Moves an existing library into a new path template. Each song's sidecar,
+ * audio, stems, cover and lyrics move together, with any other files named
+ * after the song (.srt, .vtt, ...), and the manifest follows them.
+ */
+
+import path from 'path';
+import fs from 'fs-extra';
+import sanitize from 'sanitize-filename';
+import { logger } from './logger.js';
+import { ARCHIVE_DIR } from './libraryManifest.js';
+import { StemExtractor } from './stemExtractor.js';
+import { renderPathTemplate, templateValues, validatePathTemplate, uniqueBaseName } from './pathTemplate.js';
+
+export class LibraryReorganizer {
+  constructor(manifest) {
+    this.manifest = manifest;
+  }
+
+  /**
+   * The collection a song copy belongs to: its recorded source, or the
+   * folder it sits in for songs indexed from disk
+   */
+  collectionFor(entry) {
+    const collection = entry.collections.find(c => c.type !== 'folder') || entry.collections[0];
+    if (!collection) {
+      return { type: 'library', name: 'Library' };
+    }
+    return collection.type === 'folder'
+      ? { type: 'playlist', name: path.posix.basename(collection.name) }
+      : collection;
+  }
+
+  /**
+   * Planned moves: [{ entry, from, to, files, siblings }] with absolute target paths.
+   * `siblings` are files named after the song that the manifest does not track.
+   * Songs already in place are left out; copies of a song that would land
+   * on the same path are reported as duplicates and not moved.
+   */
+  async plan(template) {
+    validatePathTemplate(template);
+    const songs = await this.manifest.readSongs();
+    const moves = [];
+    const duplicates = [];
+    const claimed = new Map(); // target base path → song ID
+
+    for (const song of songs) {
+      const { entry } = song;
+      let base = this.targetFor(song, template);
+      const owner = claimed.get(base.toLowerCase());
+
+      if (owner === entry.id) {
+        duplicates.push({ entry, to: base });
+        continue;
+      }
+      if (owner || await this.occupiedByOther(base, entry)) {
+        const dir = path.dirname(base);
+        const { name } = await uniqueBaseName(dir, path.basename(base), entry.id, {
+          isClaimed: candidate => {
+            const claimedBy = claimed.get(path.join(dir, candidate).toLowerCase());
+            return !!claimedBy && claimedBy !== entry.id;
+          }
+        });
+        base = path.join(dir, name);
+      }
+      claimed.set(base.toLowerCase(), entry.id);
+
+      const from = this.manifest.resolve(entry.metadata).replace(/\.json$/, '');
+      if (path.resolve(from) === path.resolve(base)) {
+        continue;
+      }
+
+      const files = this.assetMoves(entry, from, base);
+      moves.push({ entry, from, to: base, files, siblings: await this.siblingMoves(from, base, files) });
+    }
+
+    return { moves, duplicates, total: songs.length };
+  }
+
+  targetFor({ entry, metadata }, template) {
+    const title = sanitize(metadata.title || entry.title || entry.id, { replacement: '-' });
+    const { dir, baseName } = renderPathTemplate(template, templateValues({
+      song: { id: entry.id },
+      metadata,
+      title,
+      collection: this.collectionFor(entry)
+    }));
+    return path.join(this.manifest.rootDir, ...dir.split('/').filter(Boolean), baseName);
+  }
+
+  /**
+   * Whether a target name already belongs to a different song on disk
+   */
+  async occupiedByOther(base, entry) {
+    const sidecar = `${base}.json`;
+    if (!await fs.pathExists(sidecar)) {
+      return false;
+    }
+    const existing = await fs.readJson(sidecar).catch(() => null);
+    return existing?.id !== entry.id;
+  }
+
+  /**
+   * Asset renames that keep each file's suffix after the song's base name
+   * (".mp3", "-stems.zip", ".jpg")
+   */
+  assetMoves(entry, from, to) {
+    const moves = {};
+    const fromName = path.basename(from);
+
+    for (const [role, file] of Object.entries(entry.files)) {
+      if (!file) continue;
+      const source = this.manifest.resolve(file.path);
+      const name = path.basename(source);
+      const suffix = name.startsWith(fromName) ? name.slice(fromName.length) : path.extname(name);
+      moves[role] = { source, target: `${to}${suffix}` };
+    }
+
+    return moves;
+  }
+
+  /**
+   * Other files beside the song named "<base>.<ext>", such as .srt and .vtt
+   * lyrics written by `lyrics export`. A file that is another song's (its
+   * name minus the extension has a sidecar of its own) stays.
+   */
+  async siblingMoves(from, to, files) {
+    const dir = path.dirname(from);
+    const fromName = path.basename(from);
+    const tracked = new Set([`${from}.json`, ...Object.values(files).map(({ source }) => source)]);
+    const moves = [];
+
+    const names = await fs.readdir(dir).catch(() => []);
+    for (const name of names) {
+      const source = path.join(dir, name);
+      if (!name.startsWith(`${fromName}.`) || tracked.has(source)) continue;
+      const stem = name.slice(0, name.length - path.extname(name).length);
+      if (stem !== fromName && await fs.pathExists(path.join(dir, `${stem}.json`))) continue;
+      if (!(await fs.lstat(source)).isFile()) continue;
+      moves.push({ source, target: `${to}${name.slice(fromName.length)}` });
+    }
+
+    return moves;
+  }
+
+  /**
+   * Move every planned song, rewrite its sidecar's file names and update the
+   * manifest. Folders left empty are removed. A song whose files cannot all
+   * be moved is put back where it was and reported as failed.
+   */
+  async apply(plan) {
+    const moved = [];
+    const failed = [];
+    const vacated = new Set();
+
+    for (const move of plan.moves) {
+      const done = []; // [{ source, target }] moved so far, to undo on failure
+      let newSidecar = null;
+      try {
+        const newPaths = {};
+        for (const [role, { source, target }] of Object.entries(move.files)) {
+          if (await fs.pathExists(source)) {
+            await this.moveFile(source, target);
+            done.push({ source, target });
+            newPaths[role] = target;
+          }
+        }
+        for (const { source, target } of move.siblings || []) {
+          if (await fs.pathExists(source)) {
+            await this.moveFile(source, target);
+            done.push({ source, target });
+          }
+        }
+
+        const oldSidecar = `${move.from}.json`;
+        const metadata = await fs.readJson(oldSidecar);
+        metadata.files = {
+          ...metadata.files,
+          ...Object.fromEntries(Object.entries(newPaths).map(([role, target]) => [role, path.basename(target)]))
+        };
+
+        // Extracted stems follow their ZIP
+        const stemsFolder = metadata.stemInventory && move.files.stems
+          ? StemExtractor.folderFor(move.files.stems.source)
+          : null;
+        if (stemsFolder && await fs.pathExists(stemsFolder)) {
+          const target = StemExtractor.folderFor(move.files.stems.target);
+          await fs.move(stemsFolder, target, { overwrite: false });
+          done.push({ source: stemsFolder, target });
+          metadata.stemInventory = { ...metadata.stemInventory, folder: path.basename(target) };
+        }
+        await fs.ensureDir(path.dirname(`${move.to}.json`));
+        newSidecar = `${move.to}.json`;
+        await fs.writeJson(newSidecar, metadata, { spaces: 2 });
+        await fs.remove(oldSidecar);
+
+        // Past this point the song has moved; the old sidecar is gone
+        done.forEach(({ source }) => vacated.add(path.dirname(source)));
+        vacated.add(path.dirname(oldSidecar));
+        await this.manifest.move(move.entry, newSidecar, newPaths);
+        moved.push({ id: move.entry.id, from: move.entry.metadata, to: this.manifest.toRelative(newSidecar) });
+      } catch (error) {
+        logger.error(`Could not move ${move.entry.metadata}: ${error.message}`);
+        const restored = await this.undo(done, newSidecar);
+        // Folders created for the song and now empty again
+        done.forEach(({ target }) => vacated.add(path.dirname(target)));
+        failed.push({ id: move.entry.id, from: move.entry.metadata, error: error.message, restored });
+      }
+    }
+
+    await this.manifest.flush();
+    const removedDirs = await this.removeEmptyDirs(vacated);
+    return { moved, failed, removedDirs };
+  }
+
+  /**
+   * Put a song's moved files back, newest first, and drop the sidecar
+   * written at the new path. False if something could not be restored.
+   */
+  async undo(done, newSidecar) {
+    let restored = true;
+    if (newSidecar) {
+      await fs.remove(newSidecar).catch(() => { restored = false; });
+    }
+    for (const { source, target } of [...done].reverse()) {
+      try {
+        await this.moveFile(target, source);
+      } catch (error) {
+        logger.error(`Could not move ${target} back to ${source}: ${error.message}`);
+        restored = false;
+      }
+    }
+    return restored;
+  }
+
+  /**
+   * Move a file; relative symlinks into the content store are re-pointed
+   * from their new folder
+   */
+  async moveFile(source, target) {
+    const stat = await fs.lstat(source);
+    if (!stat.isSymbolicLink()) {
+      await fs.move(source, target, { overwrite: false });
+      return;
+    }
+
+    const linked = path.resolve(path.dirname(source), await fs.readlink(source));
+    await fs.ensureDir(path.dirname(target));
+    await fs.symlink(path.relative(path.dirname(target), linked), target);
+    await fs.remove(source);
+  }
+
+  async removeEmptyDirs(dirs) {
+    const root = this.manifest.rootDir;
+    const removed = [];
+    // Deepest first so parents empty out after their children
+    const sorted = Array.from(dirs).sort((a, b) => b.length - a.length);
+
+    for (let dir of sorted) {
+      while (dir.startsWith(root + path.sep) && path.basename(dir) !== ARCHIVE_DIR) {
+        if (!await fs.pathExists(dir) || (await fs.readdir(dir)).length > 0) break;
+        await fs.remove(dir);
+        removed.push(dir);
+        dir = path.dirname(dir);
+      }
+    }
+
+    return removed;
+  }
+}
+
+export default LibraryReorganizer;
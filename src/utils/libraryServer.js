@@ -0,0 +1,457 @@
+/**
+ * Library Server
+ * Local, read-only web UI over a backed-up output directory: a searchable,
+ * sortable song table, a page per song with cover, lyrics and an audio
+ * player, and JSON API routes. Built from the manifest and sidecars only;
+ * nothing is fetched from the network.
+ */
+
+import http from 'http';
+import path from 'path';
+import fs from 'fs-extra';
+import { logger } from './logger.js';
+import { LibraryManifest, ARCHIVE_DIR } from './libraryManifest.js';
+import { parseDuration } from './audioVerifier.js';
+import scraperConfig from '../../config/scraper.config.js';
+import { escapeMarkup } from './markup.js';
+
+const CONTENT_TYPES = {
+  '.mp3': 'audio/mpeg',
+  '.wav': 'audio/wav',
+  '.m4a': 'audio/mp4',
+  '.flac': 'audio/flac',
+  '.ogg': 'audio/ogg',
+  '.aif': 'audio/aiff',
+  '.aiff': 'audio/aiff',
+  '.zip': 'application/zip',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.webp': 'image/webp',
+  '.json': 'application/json; charset=utf-8',
+  '.m3u8': 'audio/x-mpegurl',
+  '.pls': 'audio/x-scpls',
+  '.xspf': 'application/xspf+xml'
+};
+
+// Columns of the song table and the API's sort keys
+export const SORT_KEYS = ['title', 'artist', 'model', 'key', 'bpm', 'duration', 'collection', 'downloadedAt'];
+
+function formatDuration(seconds) {
+  if (seconds === null || seconds === undefined) return '';
+  return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+}
+
+function fileUrl(relativePath) {
+  return relativePath ? `/files/${relativePath.split('/').map(encodeURIComponent).join('/')}` : null;
+}
+
+export class LibraryServer {
+  constructor(outputDir = './output', options = {}) {
+    this.outputDir = path.resolve(outputDir);
+    const serverConfig = scraperConfig.server || {};
+    this.host = options.host || serverConfig.host || '127.0.0.1';
+    this.port = options.port ?? serverConfig.port ?? 8377;
+    this.server = null;
+    this.cache = { mtimeMs: null, songs: [] };
+  }
+
+  /**
+   * Start listening. Resolves with the server's URL.
+   */
+  async start() {
+    this.server = http.createServer((req, res) => {
+      this.handle(req, res).catch(error => {
+        logger.error(`Request failed: ${req.url}`, error);
+        if (!res.headersSent) {
+          this.send(res, 500, 'text/plain; charset=utf-8', 'Internal server error');
+        } else {
+          res.destroy();
+        }
+      });
+    });
+
+    await new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(this.port, this.host, resolve);
+    });
+
+    const { port } = this.server.address();
+    const host = this.host.includes(':') ? `[${this.host}]` : this.host;
+    return `http://${host}:${port}`;
+  }
+
+  async stop() {
+    if (!this.server) return;
+    const closed = new Promise(resolve => this.server.close(resolve));
+    // Browsers keep idle connections open, which would hold close() up
+    this.server.closeAllConnections();
+    await closed;
+    this.server = null;
+  }
+
+  /**
+   * Song records for the UI, reloaded whenever the manifest changes
+   */
+  async songs() {
+    const manifest = new LibraryManifest(this.outputDir);
+    const stats = await fs.stat(manifest.manifestPath).catch(() => null);
+    if (stats && stats.mtimeMs === this.cache.mtimeMs) {
+      return this.cache.songs;
+    }
+
+    const songs = this.linkVariations((await manifest.readSongs()).map(song => this.songRecord(song)));
+    const refreshed = await fs.stat(manifest.manifestPath).catch(() => null);
+    this.cache = { mtimeMs: refreshed?.mtimeMs ?? null, songs };
+    return songs;
+  }
+
+  songRecord({ entry, metadata }) {
+    const folder = path.posix.dirname(entry.metadata);
+    const stems = metadata.stemInventory?.stems || [];
+
+    return {
+      id: entry.id,
+      title: metadata.title || entry.title,
+      artist: metadata.artist || metadata.author || null,
+      model: metadata.model || null,
+      key: metadata.key || null,
+      bpm: metadata.bpm ? Number(metadata.bpm) || null : null,
+      duration: parseDuration(metadata.duration),
+      collection: this.collectionName(entry),
+      description: metadata.description || null,
+      lyrics: metadata.lyrics || null,
+      url: metadata.url || entry.url || null,
+      downloadedAt: metadata.downloadedAt || entry.downloadedAt || null,
+      formats: entry.formats,
+      audio: fileUrl(entry.files.audio?.path),
+      cover: fileUrl(entry.files.cover?.path),
+      stemsZip: fileUrl(entry.files.stems?.path),
+      stems: stems.map(stem => ({
+        role: stem.role,
+        file: fileUrl(path.posix.join(folder, metadata.stemInventory.folder, stem.file))
+      })),
+      variationGroup: metadata.variationGroup || null,
+      variationIndex: metadata.variationIndex || null,
+      takes: [],
+      firstTake: false,
+      metadata: entry.metadata
+    };
+  }
+
+  /**
+   * List every take of a variation family on each of its songs, and mark the
+   * family's first take, which stands for the family when collapsed
+   */
+  linkVariations(songs) {
+    const families = new Map();
+    for (const song of songs.filter(s => s.variationGroup)) {
+      if (!families.has(song.variationGroup)) families.set(song.variationGroup, new Map());
+      families.get(song.variationGroup).set(song.id, song);
+    }
+
+    for (const song of songs) {
+      const members = Array.from(families.get(song.variationGroup)?.values() || [])
+        .sort((a, b) => (a.variationIndex || 0) - (b.variationIndex || 0));
+      if (members.length < 2) continue;
+      song.takes = members.map(take => ({ id: take.id, title: take.title, take: take.variationIndex }));
+      song.firstTake = members[0].id === song.id;
+    }
+    return songs;
+  }
+
+  collectionName(entry) {
+    const source = entry.collections.find(c => c.type === 'playlist' || c.type === 'project')
+      || entry.collections.find(c => c.type === 'folder');
+    if (!source) return 'Library';
+    return source.type === 'folder' ? path.posix.basename(source.name) : source.name;
+  }
+
+  /**
+   * Filter and sort songs as the API's ?q=, ?collection=, ?sort= and ?order=
+   * ask; ?variations=collapse keeps one song per variation family
+   */
+  query(songs, params) {
+    const collapse = params.get('variations') === 'collapse';
+    const terms = String(params.get('q') || '').toLowerCase().split(/\s+/).filter(Boolean);
+    const collection = params.get('collection');
+    const sort = SORT_KEYS.includes(params.get('sort')) ? params.get('sort') : 'title';
+    const direction = params.get('order') === 'desc' ? -1 : 1;
+
+    return songs
+      .filter(song => !collection || song.collection === collection)
+      .filter(song => !collapse || song.takes.length === 0 || song.firstTake)
+      .filter(song => {
+        if (terms.length === 0) return true;
+        const text = [song.title, song.artist, song.model, song.key, song.collection, song.description, song.lyrics]
+          .filter(Boolean).join(' ').toLowerCase();
+        return terms.every(term => text.includes(term));
+      })
+      .sort((a, b) => {
+        const [x, y] = [a[sort], b[sort]];
+        // Songs without a value sort last either way
+        if (x === null || x === undefined) return y === null || y === undefined ? 0 : 1;
+        if (y === null || y === undefined) return -1;
+        return direction * (typeof x === 'number' && typeof y === 'number' ? x - y : String(x).localeCompare(String(y)));
+      });
+  }
+
+  async handle(req, res) {
+    if (req.method !== 'GET' && req.method !== 'HEAD') {
+      res.setHeader('Allow', 'GET, HEAD');
+      return this.send(res, 405, 'text/plain; charset=utf-8', 'Read-only: only GET and HEAD are supported');
+    }
+
+    const url = new URL(req.url, 'http://localhost');
+    const route = url.pathname;
+
+    if (route === '/') {
+      return this.send(res, 200, 'text/html; charset=utf-8', this.renderIndex(await this.songs()));
+    }
+    if (route === '/api/songs') {
+      const songs = this.query(await this.songs(), url.searchParams);
+      return this.sendJson(res, 200, { total: songs.length, songs: songs.map(({ lyrics, ...song }) => song) });
+    }
+    if (route === '/api/collections') {
+      const counts = new Map();
+      for (const song of await this.songs()) {
+        counts.set(song.collection, (counts.get(song.collection) || 0) + 1);
+      }
+      return this.sendJson(res, 200, { collections: Array.from(counts, ([name, songs]) => ({ name, songs })) });
+    }
+
+    const songRoute = route.match(/^\/(api\/)?songs\/([^/]+)$/);
+    if (songRoute) {
+      const id = decodeURIComponent(songRoute[2]);
+      const song = (await this.songs()).find(candidate => candidate.id === id);
+      if (!song) {
+        return songRoute[1]
+          ? this.sendJson(res, 404, { error: `Song not found: ${id}` })
+          : this.send(res, 404, 'text/html; charset=utf-8', this.renderPage('Not found', '<p>Song not found.</p>'));
+      }
+      return songRoute[1]
+        ? this.sendJson(res, 200, song)
+        : this.send(res, 200, 'text/html; charset=utf-8', this.renderSong(song));
+    }
+
+    if (route.startsWith('/files/')) {
+      return this.sendFile(req, res, route.slice('/files/'.length));
+    }
+
+    return route.startsWith('/api/')
+      ? this.sendJson(res, 404, { error: `No such route: ${route}` })
+      : this.send(res, 404, 'text/html; charset=utf-8', this.renderPage('Not found', '<p>Page not found.</p>'));
+  }
+
+  /**
+   * Serve a file from the output directory, with byte ranges so the audio
+   * player can seek. Paths outside it, hidden files and the archive are refused.
+   */
+  async sendFile(req, res, encodedPath) {
+    let segments;
+    try {
+      segments = encodedPath.split('/').map(decodeURIComponent);
+    } catch (error) {
+      return this.send(res, 400, 'text/plain; charset=utf-8', 'Bad path');
+    }
+    if (segments.some(segment => !segment || segment.startsWith('.') || segment.includes('\0') || segment.includes('\\'))
+      || segments[0] === ARCHIVE_DIR) {
+      return this.send(res, 404, 'text/plain; charset=utf-8', 'Not found');
+    }
+
+    const filePath = path.join(this.outputDir, ...segments);
+    const stats = filePath.startsWith(this.outputDir + path.sep) ? await fs.stat(filePath).catch(() => null) : null;
+    if (!stats?.isFile()) {
+      return this.send(res, 404, 'text/plain; charset=utf-8', 'Not found');
+    }
+
+    const headers = {
+      'Content-Type': CONTENT_TYPES[path.extname(filePath).toLowerCase()] || 'application/octet-stream',
+      'Accept-Ranges': 'bytes',
+      'Last-Modified': stats.mtime.toUTCString()
+    };
+
+    let start = 0;
+    let end = stats.size - 1;
+    let status = 200;
+    const range = req.headers.range?.match(/^bytes=(\d*)-(\d*)$/);
+    if (req.headers.range) {
+      if (!range || (!range[1] && !range[2])) {
+        res.writeHead(416, { 'Content-Range': `bytes */${stats.size}` });
+        return res.end();
+      }
+      if (range[1]) {
+        start = Number(range[1]);
+        end = range[2] ? Math.min(Number(range[2]), stats.size - 1) : end;
+      } else {
+        // "bytes=-500": the last 500 bytes
+        start = Math.max(0, stats.size - Number(range[2]));
+      }
+      if (start > end || start >= stats.size) {
+        res.writeHead(416, { 'Content-Range': `bytes */${stats.size}` });
+        return res.end();
+      }
+      status = 206;
+      headers['Content-Range'] = `bytes ${start}-${end}/${stats.size}`;
+    }
+
+    headers['Content-Length'] = stats.size === 0 ? 0 : end - start + 1;
+    res.writeHead(status, headers);
+    if (req.method === 'HEAD' || stats.size === 0) {
+      return res.end();
+    }
+    fs.createReadStream(filePath, { start, end }).pipe(res);
+  }
+
+  send(res, status, contentType, body) {
+    res.writeHead(status, { 'Content-Type': contentType, 'Content-Length': Buffer.byteLength(body) });
+    res.end(res.req?.method === 'HEAD' ? undefined : body);
+  }
+
+  sendJson(res, status, data) {
+    this.send(res, status, 'application/json; charset=utf-8', JSON.stringify(data, null, 2));
+  }
+
+  renderIndex(songs) {
+    const rows = this.query(songs, new URLSearchParams()).map(song => `
+      <tr${song.takes.length > 0 && !song.firstTake ? ' data-other-take' : ''} data-search="${escapeMarkup([song.title, song.artist, song.model, song.key, song.collection, song.description].filter(Boolean).join(' ').toLowerCase())}">
+        <td data-value="${escapeMarkup(song.title)}"><a href="/songs/${encodeURIComponent(song.id)}">${escapeMarkup(song.title)}</a>${song.firstTake ? ` <span class="muted">${song.takes.length} takes</span>` : ''}</td>
+        <td data-value="${escapeMarkup(song.model)}">${escapeMarkup(song.model)}</td>
+        <td data-value="${escapeMarkup(song.key)}">${escapeMarkup(song.key)}</td>
+        <td data-value="${song.bpm ?? ''}" class="num">${song.bpm ?? ''}</td>
+        <td data-value="${song.duration ?? ''}" class="num">${formatDuration(song.duration)}</td>
+        <td data-value="${escapeMarkup(song.collection)}">${escapeMarkup(song.collection)}</td>
+      </tr>`).join('');
+
+    const columns = [['Title', 'text'], ['Model', 'text'], ['Key', 'text'], ['BPM', 'num'], ['Duration', 'num'], ['Collection', 'text']];
+    const body = `
+      <p class="toolbar">
+        <input id="search" type="search" placeholder="Search title, model, key, collection..." autofocus>
+        <label><input id="collapse" type="checkbox"> Collapse takes</label>
+        <span id="count">${songs.length} song${songs.length === 1 ? '' : 's'}</span>
+      </p>
+      <table id="songs">
+        <thead><tr>${columns.map(([label, type], index) => `<th data-column="${index}" data-type="${type}">${label}</th>`).join('')}</tr></thead>
+        <tbody>${rows}</tbody>
+      </table>
+      <script>${INDEX_SCRIPT}</script>`;
+
+    return this.renderPage('Library', body);
+  }
+
+  renderSong(song) {
+    const details = [
+      ['Artist', song.artist],
+      ['Model', song.model],
+      ['Key', song.key],
+      ['BPM', song.bpm],
+      ['Duration', formatDuration(song.duration)],
+      ['Collection', song.collection],
+      ['Downloaded', song.downloadedAt ? new Date(song.downloadedAt).toLocaleString() : null]
+    ].filter(([, value]) => value !== null && value !== undefined && value !== '');
+
+    const body = `
+      <p><a href="/">← Library</a></p>
+      <div class="song">
+        ${song.cover ? `<img class="cover" src="${escapeMarkup(song.cover)}" alt="Cover art">` : ''}
+        <div>
+          <h1>${escapeMarkup(song.title)}</h1>
+          ${song.audio ? `<audio controls preload="metadata" src="${escapeMarkup(song.audio)}"></audio>` : '<p class="muted">No audio file downloaded.</p>'}
+          <dl>${details.map(([label, value]) => `<dt>${label}</dt><dd>${escapeMarkup(value)}</dd>`).join('')}</dl>
+          <p class="links">
+            ${song.audio ? `<a href="${escapeMarkup(song.audio)}" download>Audio</a>` : ''}
+            ${song.stemsZip ? `<a href="${escapeMarkup(song.stemsZip)}" download>Stems ZIP</a>` : ''}
+            ${song.url ? `<a href="${escapeMarkup(song.url)}" rel="noreferrer">Producer.AI</a>` : ''}
+          </p>
+        </div>
+      </div>
+      ${song.takes.length > 0 ? `<h2>Takes</h2><ol class="takes">${song.takes.map(take => `
+        <li>${take.id === song.id ? `<strong>${escapeMarkup(take.title)}</strong>` : `<a href="/songs/${encodeURIComponent(take.id)}">${escapeMarkup(take.title)}</a>`} <span class="muted">take ${take.take}</span></li>`).join('')}</ol>` : ''}
+      ${song.description ? `<h2>Description</h2><p class="description">${escapeMarkup(song.description)}</p>` : ''}
+      ${song.stems.length > 0 ? `<h2>Stems</h2><ul class="stems">${song.stems.map(stem => `
+        <li><span>${escapeMarkup(stem.role)}</span><audio controls preload="none" src="${escapeMarkup(stem.file)}"></audio></li>`).join('')}</ul>` : ''}
+      ${song.lyrics ? `<h2>Lyrics</h2><pre class="lyrics">${escapeMarkup(song.lyrics)}</pre>` : ''}`;
+
+    return this.renderPage(song.title, body);
+  }
+
+  renderPage(title, body) {
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <title>${escapeMarkup(title)} · Producer.AI Library</title>
+  <style>${STYLE}</style>
+</head>
+<body>
+  <main>${body}</main>
+</body>
+</html>
+`;
+  }
+}
+
+const STYLE = `
+  body { font: 15px/1.5 system-ui, sans-serif; margin: 0; color: #1d1d1f; background: #fafafa; }
+  main { max-width: 1100px; margin: 0 auto; padding: 24px; }
+  a { color: #0a58ca; text-decoration: none; }
+  a:hover { text-decoration: underline; }
+  .toolbar { display: flex; gap: 12px; align-items: center; }
+  #search { flex: 1; padding: 8px 10px; font-size: 15px; border: 1px solid #ccc; border-radius: 6px; }
+  #count, .muted { color: #777; }
+  table { width: 100%; border-collapse: collapse; background: #fff; }
+  th, td { padding: 6px 10px; border-bottom: 1px solid #eee; text-align: left; }
+  th { cursor: pointer; user-select: none; background: #f0f0f0; position: sticky; top: 0; }
+  th.asc::after { content: ' ▲'; } th.desc::after { content: ' ▼'; }
+  .num { text-align: right; font-variant-numeric: tabular-nums; }
+  .song { display: flex; gap: 24px; flex-wrap: wrap; }
+  .cover { width: 280px; height: 280px; object-fit: cover; border-radius: 8px; }
+  audio { width: 100%; max-width: 480px; }
+  dl { display: grid; grid-template-columns: max-content 1fr; gap: 2px 16px; }
+  dt { color: #777; }
+  dd { margin: 0; }
+  .links a { margin-right: 12px; }
+  .stems { list-style: none; padding: 0; }
+  .stems li { display: flex; gap: 12px; align-items: center; }
+  .stems span { width: 120px; }
+  .lyrics, .description { white-space: pre-wrap; font: inherit; }
+`;
+
+// Search and column sorting for the song table
+const INDEX_SCRIPT = `
+  const rows = Array.from(document.querySelectorAll('#songs tbody tr'));
+  const count = document.getElementById('count');
+  const search = document.getElementById('search');
+  const collapse = document.getElementById('collapse');
+  const filter = () => {
+    const terms = search.value.toLowerCase().split(/\\s+/).filter(Boolean);
+    let shown = 0;
+    for (const row of rows) {
+      const match = terms.every(term => row.dataset.search.includes(term))
+        && !(collapse.checked && 'otherTake' in row.dataset);
+      row.hidden = !match;
+      if (match) shown++;
+    }
+    count.textContent = shown + ' of ' + rows.length + ' songs';
+  };
+  search.addEventListener('input', filter);
+  collapse.addEventListener('change', filter);
+  document.querySelectorAll('#songs th').forEach(th => th.addEventListener('click', () => {
+    const column = Number(th.dataset.column);
+    const numeric = th.dataset.type === 'num';
+    const direction = th.classList.contains('asc') ? -1 : 1;
+    document.querySelectorAll('#songs th').forEach(other => other.classList.remove('asc', 'desc'));
+    th.classList.add(direction === 1 ? 'asc' : 'desc');
+    const value = row => row.cells[column].dataset.value;
+    rows.sort((a, b) => {
+      const [x, y] = [value(a), value(b)];
+      if (!x || !y) return !x && !y ? 0 : !x ? 1 : -1;
+      return direction * (numeric ? Number(x) - Number(y) : x.localeCompare(y));
+    });
+    const body = document.querySelector('#songs tbody');
+    rows.forEach(row => body.appendChild(row));
+  }));
+`;
+
+export default LibraryServer;
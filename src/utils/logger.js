@@ -90,6 +90,22 @@ logger.add(new winston.transports.File({
   )
 }));
 
+// Set by --json: stdout is reserved for JSON, so console logs move to stderr
+let machineOutput = false;
+
+/**
+ * Send console log lines to stderr and silence spinners (for --json output)
+ */
+export function setMachineOutput(enabled = true) {
+  machineOutput = enabled;
+  const consoleTransport = logger.transports.find(t => t instanceof winston.transports.Console);
+  if (consoleTransport) {
+    consoleTransport.stderrLevels = enabled
+      ? Object.fromEntries(Object.keys(logger.levels).map(level => [level, true]))
+      : {};
+  }
+}
+
 /**
  * Progress logger for tracking scraping progress
  */
@@ -226,7 +242,8 @@ export function createSpinner(text) {
     return ora({
       text,
       spinner: 'dots',
-      color: 'cyan'
+      color: 'cyan',
+      isSilent: machineOutput
     });
   });
 }
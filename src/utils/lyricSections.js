@@ -0,0 +1,127 @@
+/**
+ * Lyric Sections
+ * Splits lyrics into their labelled parts ("[Verse 1]", "[Chorus]", "Bridge:")
+ * so hook detection, exports and tags can use the structure instead of
+ * filtering header lines out of one flat string.
+ */
+
+export const SECTION_TYPES = [
+  'intro', 'verse', 'pre-chorus', 'chorus', 'post-chorus', 'hook', 'refrain',
+  'bridge', 'breakdown', 'drop', 'interlude', 'instrumental', 'solo', 'outro', 'spoken', 'other'
+];
+
+// Sections that carry a song's hook
+export const CHORUS_TYPES = ['chorus', 'hook', 'refrain', 'post-chorus'];
+
+const TYPE_PATTERNS = [
+  ['pre-chorus', /^pre[\s-]?chorus\b/i],
+  ['post-chorus', /^post[\s-]?chorus\b/i],
+  ['chorus', /^(?:final\s+)?chorus\b/i],
+  ['hook', /^hook\b/i],
+  ['refrain', /^refrain\b/i],
+  ['verse', /^verse\b/i],
+  ['intro', /^intro\b/i],
+  ['outro', /^(?:outro|ending|end)\b/i],
+  ['bridge', /^bridge\b/i],
+  ['breakdown', /^break(?:down)?\b/i],
+  ['drop', /^(?:beat\s+)?drop\b/i],
+  ['interlude', /^interlude\b/i],
+  ['instrumental', /^instrumental\b/i],
+  ['solo', /^(?:\w+\s+)?solo\b/i],
+  ['spoken', /^spoken(?:\s+word)?\b/i]
+];
+
+// A header written without brackets: just the section name, maybe numbered
+const BARE_HEADER = /^(?:final\s+)?(?:intro|verse|pre[\s-]?chorus|post[\s-]?chorus|chorus|hook|refrain|bridge|breakdown|drop|interlude|instrumental|outro|solo|spoken(?:\s+word)?)(?:\s*\d+)?\s*:?$/i;
+
+/**
+ * Section type for a header label: "Verse 2" → verse, "Pre-Chorus" → pre-chorus
+ */
+export function sectionType(label) {
+  const text = String(label ?? '').trim();
+  return TYPE_PATTERNS.find(([, pattern]) => pattern.test(text))?.[0] || 'other';
+}
+
+/**
+ * The label if a line is a section header, else null. Bracketed lines are
+ * always headers; bare or parenthesized ones ("Chorus", "Verse 2:") only
+ * when they are just a section name, so sung lines are not mistaken for one.
+ */
+export function sectionHeader(line) {
+  const text = String(line ?? '').trim();
+  const bracketed = text.match(/^\[([^\]]*)\]$/);
+  if (bracketed) return bracketed[1].trim();
+  // "(Chorus)" is a header, "(ooh, ooh)" a backing vocal
+  const inner = text.match(/^\(([^)]*)\)$/)?.[1].trim() ?? text;
+  return BARE_HEADER.test(inner) ? inner.replace(/\s*:$/, '') : null;
+}
+
+export function isSectionHeader(line) {
+  return sectionHeader(line) !== null;
+}
+
+/**
+ * Ordered sections of a lyrics string: [{ type, label, lines }]. Lines
+ * before the first header, or after a blank line that ends a section, form
+ * unlabelled sections (type "other", label null). Null without lyrics.
+ */
+export function parseLyricSections(lyrics) {
+  if (typeof lyrics !== 'string' || !lyrics.trim()) return null;
+
+  const sections = [];
+  let current = null;
+  for (const raw of lyrics.split(/\r?\n/)) {
+    const line = raw.trim();
+    const label = line ? sectionHeader(line) : null;
+
+    if (label !== null) {
+      current = { type: sectionType(label), label, lines: [] };
+      sections.push(current);
+    } else if (!line) {
+      // A blank line closes a section that has lines; an empty one still waits for its lines
+      if (current?.lines.length > 0) current = null;
+    } else {
+      if (!current) {
+        current = { type: 'other', label: null, lines: [] };
+        sections.push(current);
+      }
+      current.lines.push(line);
+    }
+  }
+
+  return sections.length > 0 ? sections : null;
+}
+
+/**
+ * A song's sections: the stored ones, or parsed from its lyrics for
+ * sidecars saved before sections were
+ */
+export function sectionsFor(metadata = {}) {
+  return Array.isArray(metadata.lyricSections) ? metadata.lyricSections : parseLyricSections(metadata.lyrics);
+}
+
+/**
+ * Lyrics without section headers, one blank line between sections
+ */
+export function lyricsText(sections) {
+  if (!sections) return null;
+  const text = sections
+    .filter(section => section.lines.length > 0)
+    .map(section => section.lines.join('\n'))
+    .join('\n\n');
+  return text || null;
+}
+
+/**
+ * Section labels in order, e.g. "Intro, Verse 1, Chorus, Verse 2, Chorus"
+ */
+export function lyricStructure(sections) {
+  return (sections || []).map(section => section.label).filter(Boolean).join(', ');
+}
+
+/**
+ * Lines of the first chorus-like section
+ */
+export function chorusLines(sections) {
+  return (sections || []).find(section => CHORUS_TYPES.includes(section.type) && section.lines.length > 0)?.lines || [];
+}
@@ -0,0 +1,184 @@
+/**
+ * M4A Tag Writer
+ * Writes iTunes-style metadata (moov/udta/meta/ilst) into M4A files.
+ * When moov sits before mdat, the chunk offsets in stco/co64 are shifted
+ * by the change in moov size so the audio still plays.
+ */
+
+import fs from 'fs-extra';
+
+// Atoms that only hold other atoms, walked to reach stco/co64 and udta
+const CONTAINERS = new Set(['moov', 'trak', 'mdia', 'minf', 'stbl', 'edts', 'dinf', 'udta']);
+
+const DATA_TYPES = { utf8: 1, jpeg: 13, png: 14, int: 21 };
+
+function readAtoms(buffer, start = 0, end = buffer.length) {
+  const atoms = [];
+  let offset = start;
+
+  while (offset + 8 <= end) {
+    let size = buffer.readUInt32BE(offset);
+    const type = buffer.toString('latin1', offset + 4, offset + 8);
+    let headerSize = 8;
+    if (size === 1) {
+      size = Number(buffer.readBigUInt64BE(offset + 8));
+      headerSize = 16;
+    } else if (size === 0) {
+      size = end - offset;
+    }
+    if (size < headerSize || offset + size > end) {
+      throw new Error(`Invalid M4A atom "${type}" at byte ${offset}`);
+    }
+    atoms.push({ type, start: offset, size, headerSize, end: offset + size });
+    offset += size;
+  }
+
+  return atoms;
+}
+
+function atom(type, ...payload) {
+  const body = Buffer.concat(payload);
+  const header = Buffer.alloc(8);
+  header.writeUInt32BE(8 + body.length, 0);
+  header.write(type, 4, 'latin1');
+  return Buffer.concat([header, body]);
+}
+
+function fullAtom(type, ...payload) {
+  return atom(type, Buffer.alloc(4), ...payload);
+}
+
+function dataAtom(typeCode, value) {
+  const header = Buffer.alloc(8);
+  header.writeUInt32BE(typeCode, 0);
+  return atom('data', header, value);
+}
+
+function textItem(type, value) {
+  return atom(type, dataAtom(DATA_TYPES.utf8, Buffer.from(String(value), 'utf8')));
+}
+
+// ----:com.apple.iTunes:<name> free-form item
+function freeformItem(name, value) {
+  return atom('----',
+    fullAtom('mean', Buffer.from('com.apple.iTunes', 'utf8')),
+    fullAtom('name', Buffer.from(name, 'utf8')),
+    dataAtom(DATA_TYPES.utf8, Buffer.from(String(value), 'utf8')));
+}
+
+/**
+ * The ilst item list for a set of tag values
+ */
+function buildIlst(tags) {
+  const items = [];
+  if (tags.title) items.push(textItem('©nam', tags.title));
+  if (tags.artist) items.push(textItem('©ART', tags.artist));
+  if (tags.album) items.push(textItem('©alb', tags.album));
+  if (tags.year) items.push(textItem('©day', tags.year));
+  if (tags.comment) items.push(textItem('©cmt', tags.comment));
+  if (tags.lyrics) items.push(textItem('©lyr', tags.lyrics));
+  if (tags.bpm && Number.isFinite(Number(tags.bpm))) {
+    const bpm = Buffer.alloc(2);
+    bpm.writeUInt16BE(Math.min(0xFFFF, Math.round(Number(tags.bpm))), 0);
+    items.push(atom('tmpo', dataAtom(DATA_TYPES.int, bpm)));
+  }
+  if (tags.cover) {
+    const typeCode = tags.cover.mime === 'image/png' ? DATA_TYPES.png : DATA_TYPES.jpeg;
+    items.push(atom('covr', dataAtom(typeCode, tags.cover.buffer)));
+  }
+  if (tags.key) items.push(freeformItem('initialkey', tags.key));
+  if (tags.model) items.push(freeformItem('MODEL', tags.model));
+  if (tags.songId) items.push(freeformItem('SONG_ID', tags.songId));
+  if (tags.url) items.push(freeformItem('URL', tags.url));
+  if (tags.stem) items.push(freeformItem('STEM', tags.stem));
+
+  return atom('ilst', ...items);
+}
+
+function buildMeta(tags) {
+  // hdlr: pre_defined, handler 'mdir', manufacturer 'appl', reserved, empty name
+  const hdlr = fullAtom('hdlr', Buffer.alloc(4), Buffer.from('mdirappl', 'latin1'), Buffer.alloc(9));
+  return fullAtom('meta', hdlr, buildIlst(tags));
+}
+
+/**
+ * Rebuild moov with new udta/meta, keeping every other atom as it was
+ */
+function rebuildMoov(buffer, moov, tags) {
+  const children = readAtoms(buffer, moov.start + moov.headerSize, moov.end);
+  const parts = [];
+  let udtaWritten = false;
+
+  for (const child of children) {
+    if (child.type !== 'udta') {
+      parts.push(buffer.subarray(child.start, child.end));
+      continue;
+    }
+    // Keep other user data (chapters, encoder info), replace the metadata
+    const kept = readAtoms(buffer, child.start + child.headerSize, child.end)
+      .filter(item => item.type !== 'meta')
+      .map(item => buffer.subarray(item.start, item.end));
+    parts.push(atom('udta', ...kept, buildMeta(tags)));
+    udtaWritten = true;
+  }
+
+  if (!udtaWritten) {
+    parts.push(atom('udta', buildMeta(tags)));
+  }
+  return atom('moov', ...parts);
+}
+
+/**
+ * Add delta to every chunk offset in stco/co64 tables inside a moov buffer
+ */
+function shiftChunkOffsets(moov, delta, start = 8, end = moov.length) {
+  for (const child of readAtoms(moov, start, end)) {
+    if (CONTAINERS.has(child.type)) {
+      shiftChunkOffsets(moov, delta, child.start + child.headerSize, child.end);
+    } else if (child.type === 'stco' || child.type === 'co64') {
+      const body = child.start + child.headerSize;
+      const count = moov.readUInt32BE(body + 4);
+      for (let i = 0; i < count; i++) {
+        if (child.type === 'stco') {
+          const position = body + 8 + i * 4;
+          moov.writeUInt32BE(moov.readUInt32BE(position) + delta, position);
+        } else {
+          const position = body + 8 + i * 8;
+          moov.writeBigUInt64BE(moov.readBigUInt64BE(position) + BigInt(delta), position);
+        }
+      }
+    }
+  }
+}
+
+/**
+ * Write tags into an M4A file in place.
+ * @param {string} filePath
+ * @param {Object} tags - { title, artist, album, year, comment, lyrics, bpm, key, model, songId, url, stem, cover: { buffer, mime } }
+ */
+export async function writeM4aTags(filePath, tags) {
+  const buffer = await fs.readFile(filePath);
+  const atoms = readAtoms(buffer);
+  const moov = atoms.find(a => a.type === 'moov');
+  const mdat = atoms.find(a => a.type === 'mdat');
+  if (atoms[0]?.type !== 'ftyp' || !moov) {
+    throw new Error('Not an M4A file (missing ftyp or moov atom)');
+  }
+
+  const newMoov = rebuildMoov(buffer, moov, tags);
+  const delta = newMoov.length - moov.size;
+  if (delta !== 0 && mdat && moov.start < mdat.start) {
+    shiftChunkOffsets(newMoov, delta);
+  }
+
+  // Written in place (not via a temp file) so hardlinked copies see the tags
+  await fs.writeFile(filePath, Buffer.concat([
+    buffer.subarray(0, moov.start),
+    newMoov,
+    buffer.subarray(moov.end)
+  ]));
+
+  return { itemsWritten: readAtoms(buildIlst(tags), 8).length };
+}
+
+export default writeM4aTags;
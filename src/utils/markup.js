@@ -0,0 +1,19 @@
+/**
+ * Markup
+ * Escaping for text placed in HTML and XML (site pages, feeds, playlists,
+ * GraphML), shared by every exporter that writes markup.
+ */
+
+/**
+ * Text safe inside elements and quoted attributes; null and undefined become ''
+ */
+export function escapeMarkup(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+export default { escapeMarkup };
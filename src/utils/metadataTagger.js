@@ -1,14 +1,22 @@
 /**
- * MP3 Metadata Tagger
- * Writes ID3 tags to MP3 files using metadata from JSON
+ * Metadata Tagger
+ * Writes tags to MP3 (ID3), M4A (iTunes atoms) and WAV (LIST/INFO plus an
+ * ID3 chunk) files using metadata from JSON
  */
 
 import NodeID3 from 'node-id3';
 import fs from 'fs-extra';
 import path from 'path';
 import { logger } from './logger.js';
+import { LibraryManifest } from './libraryManifest.js';
+import { writeM4aTags } from './m4aTagWriter.js';
+import { writeWavTags } from './wavTagWriter.js';
+import { sectionsFor, lyricsText } from './lyricSections.js';
 import scraperConfig from '../../config/scraper.config.js';
 
+// Audio formats with a tag writer
+export const TAG_FORMATS = ['mp3', 'm4a', 'wav'];
+
 export class MetadataTagger {
   /**
    * Write ID3 tags to an MP3 file
@@ -24,84 +32,7 @@ export class MetadataTagger {
 
       logger.debug(`Tagging MP3: ${path.basename(mp3Path)}`);
 
-      // Extract filename without extension as fallback title
-      const fileNameWithoutExt = path.basename(mp3Path, '.mp3');
-
-      // Prepare ID3 tags with sensible defaults for missing fields
-      const defaultYear = scraperConfig.metadata.defaultYear || new Date().getFullYear();
-
-      const tags = {
-        title: metadata.title || metadata.originalTitle || fileNameWithoutExt,
-        artist: metadata.author || metadata.artist || scraperConfig.metadata.defaultArtist,
-        album: metadata.album || scraperConfig.metadata.defaultAlbum,
-        year: metadata.year || (metadata.downloadedAt ? new Date(metadata.downloadedAt).getFullYear().toString() : defaultYear.toString()),
-        comment: {
-          language: 'eng',
-          text: this.buildComment(metadata)
-        },
-        userDefinedText: []
-      };
-
-      // Add BPM if available
-      if (metadata.bpm) {
-        tags.bpm = metadata.bpm.toString();
-      }
-
-      // Add key as user-defined text
-      if (metadata.key) {
-        tags.userDefinedText.push({
-          description: 'KEY',
-          value: metadata.key
-        });
-      }
-
-      // Add model as user-defined text
-      if (metadata.model) {
-        tags.userDefinedText.push({
-          description: 'MODEL',
-          value: metadata.model
-        });
-      }
-
-      // Add song ID as user-defined text
-      if (metadata.id) {
-        tags.userDefinedText.push({
-          description: 'SONG_ID',
-          value: metadata.id
-        });
-      }
-
-      // Add URL as user-defined text
-      if (metadata.url) {
-        tags.userDefinedText.push({
-          description: 'URL',
-          value: metadata.url
-        });
-      }
-
-      // Add unsynchronised lyrics if available
-      if (metadata.lyrics) {
-        tags.unsynchronisedLyrics = {
-          language: 'eng',
-          text: metadata.lyrics
-        };
-      }
-
-      // Add cover art if available
-      if (coverPath && await fs.pathExists(coverPath)) {
-        logger.debug(`Adding cover art: ${path.basename(coverPath)}`);
-        const imageBuffer = await fs.readFile(coverPath);
-
-        tags.image = {
-          mime: this.getMimeType(coverPath),
-          type: {
-            id: 3,
-            name: 'Front cover'
-          },
-          description: 'Cover',
-          imageBuffer
-        };
-      }
+      const tags = await this.buildId3Tags(this.tagValues(metadata, path.basename(mp3Path, '.mp3')), coverPath);
 
       // Write tags to MP3
       const success = NodeID3.write(tags, mp3Path);
@@ -127,6 +58,163 @@ export class MetadataTagger {
     }
   }
 
+  /**
+   * Write tags to an M4A file (©nam, ©ART, ©lyr, tmpo, covr, ...)
+   */
+  static async tagM4a(m4aPath, metadata, coverPath = null) {
+    try {
+      if (!await fs.pathExists(m4aPath)) {
+        throw new Error(`M4A file not found: ${m4aPath}`);
+      }
+
+      logger.debug(`Tagging M4A: ${path.basename(m4aPath)}`);
+      const values = this.tagValues(metadata, path.basename(m4aPath, '.m4a'));
+      values.cover = await this.readCover(coverPath);
+
+      const { itemsWritten } = await writeM4aTags(m4aPath, values);
+      logger.debug(`✓ Tagged: ${path.basename(m4aPath)}`);
+      return { success: true, file: m4aPath, tagsWritten: itemsWritten };
+
+    } catch (error) {
+      logger.error(`Failed to tag M4A: ${path.basename(m4aPath)}`, error);
+      return { success: false, file: m4aPath, error: error.message };
+    }
+  }
+
+  /**
+   * Write tags to a WAV file: LIST/INFO for the basics, plus an ID3 chunk
+   * with the same frames an MP3 gets (BPM, key, lyrics, cover)
+   */
+  static async tagWav(wavPath, metadata, coverPath = null) {
+    try {
+      if (!await fs.pathExists(wavPath)) {
+        throw new Error(`WAV file not found: ${wavPath}`);
+      }
+
+      logger.debug(`Tagging WAV: ${path.basename(wavPath)}`);
+      const values = this.tagValues(metadata, path.basename(wavPath, '.wav'));
+      const id3Tags = await this.buildId3Tags(values, coverPath);
+
+      const { infoFields } = await writeWavTags(wavPath, values, NodeID3.create(id3Tags));
+      logger.debug(`✓ Tagged: ${path.basename(wavPath)}`);
+      return { success: true, file: wavPath, tagsWritten: infoFields + Object.keys(id3Tags).length };
+
+    } catch (error) {
+      logger.error(`Failed to tag WAV: ${path.basename(wavPath)}`, error);
+      return { success: false, file: wavPath, error: error.message };
+    }
+  }
+
+  /**
+   * Tag an audio file with the writer for its format
+   */
+  static async tagFile(audioPath, metadata, coverPath = null) {
+    const ext = path.extname(audioPath).toLowerCase();
+    if (ext === '.mp3') return this.tagMp3(audioPath, metadata, coverPath);
+    if (ext === '.m4a') return this.tagM4a(audioPath, metadata, coverPath);
+    if (ext === '.wav') return this.tagWav(audioPath, metadata, coverPath);
+    return { success: false, file: audioPath, error: `No tag writer for ${ext || 'files without an extension'}` };
+  }
+
+  /**
+   * Format-neutral tag values from a song's metadata, with sensible
+   * defaults for missing fields
+   */
+  static tagValues(metadata, fallbackTitle) {
+    const defaultYear = scraperConfig.metadata.defaultYear || new Date().getFullYear();
+
+    return {
+      title: metadata.title || metadata.originalTitle || fallbackTitle,
+      artist: metadata.author || metadata.artist || scraperConfig.metadata.defaultArtist,
+      album: metadata.album || scraperConfig.metadata.defaultAlbum,
+      year: metadata.year || (metadata.downloadedAt ? new Date(metadata.downloadedAt).getFullYear().toString() : defaultYear.toString()),
+      comment: this.buildComment(metadata),
+      bpm: metadata.bpm || null,
+      key: metadata.key || null,
+      model: metadata.model || null,
+      songId: metadata.id || null,
+      url: metadata.url || null,
+      // Set for extracted stems: vocals, drums, bass, ...
+      stem: metadata.stem || null,
+      // Sung lines only; "[Chorus]" headers are not lyrics to a player
+      lyrics: lyricsText(sectionsFor(metadata)) || metadata.lyrics || null,
+      // Line timing, for the ID3 SYLT frame
+      syncedLyrics: scraperConfig.metadata.syncedLyrics !== false && metadata.syncedLyrics?.length ? metadata.syncedLyrics : null
+    };
+  }
+
+  /**
+   * node-id3 tags for MP3 files and the ID3 chunk of WAV files
+   */
+  static async buildId3Tags(values, coverPath = null) {
+    const tags = {
+      title: values.title,
+      artist: values.artist,
+      album: values.album,
+      year: values.year,
+      comment: {
+        language: 'eng',
+        text: values.comment
+      },
+      userDefinedText: []
+    };
+
+    // Add BPM if available
+    if (values.bpm) {
+      tags.bpm = values.bpm.toString();
+    }
+
+    // Key, model, song ID, URL and stem role as user-defined text
+    for (const [description, value] of [['KEY', values.key], ['MODEL', values.model], ['SONG_ID', values.songId], ['URL', values.url], ['STEM', values.stem]]) {
+      if (value) {
+        tags.userDefinedText.push({ description, value });
+      }
+    }
+
+    // Add unsynchronised lyrics if available
+    if (values.lyrics) {
+      tags.unsynchronisedLyrics = {
+        language: 'eng',
+        text: values.lyrics
+      };
+    }
+
+    // Synchronised lyrics when the lyrics are timed; USLT stays for players without SYLT support
+    if (values.syncedLyrics) {
+      tags.synchronisedLyrics = [{
+        language: 'eng',
+        timeStampFormat: NodeID3.TagConstants.TimeStampFormat.MILLISECONDS,
+        contentType: NodeID3.TagConstants.SynchronisedLyrics.ContentType.LYRICS,
+        shortText: '',
+        synchronisedText: values.syncedLyrics.map(line => ({ text: line.text, timeStamp: Math.round(line.start * 1000) }))
+      }];
+    }
+
+    // Add cover art if available
+    const cover = await this.readCover(coverPath);
+    if (cover) {
+      logger.debug(`Adding cover art: ${path.basename(coverPath)}`);
+      tags.image = {
+        mime: cover.mime,
+        type: {
+          id: 3,
+          name: 'Front cover'
+        },
+        description: 'Cover',
+        imageBuffer: cover.buffer
+      };
+    }
+
+    return tags;
+  }
+
+  static async readCover(coverPath) {
+    if (!coverPath || !await fs.pathExists(coverPath)) {
+      return null;
+    }
+    return { buffer: await fs.readFile(coverPath), mime: this.getMimeType(coverPath) };
+  }
+
   /**
    * Build a descriptive comment from metadata
    */
@@ -160,57 +248,50 @@ export class MetadataTagger {
   }
 
   /**
-   * Tag all MP3s in a directory using their corresponding JSON files
-   * @param {string} dir - Directory containing MP3 and JSON files
+   * Tag every indexed audio file in a library using its JSON sidecar
+   * @param {string} dir - Library output directory (holds the manifest)
+   * @param {Object} options
+   * @param {string[]} options.formats - Audio formats to tag (default: all with a writer)
+   * @param {string[]} options.songIds - Only tag these songs
    */
-  static async tagDirectory(dir) {
+  static async tagDirectory(dir, options = {}) {
+    const { formats = TAG_FORMATS, songIds = null } = options;
+
     try {
-      logger.info(`Scanning directory for MP3 files: ${dir}`);
+      logger.info(`Reading library manifest: ${dir}`);
 
-      const files = await fs.readdir(dir);
-      const mp3Files = files.filter(f => f.endsWith('.mp3'));
+      const manifest = new LibraryManifest(dir);
+      const songs = await manifest.readSongs({
+        filter: entry => entry.files.audio
+          && formats.includes(path.extname(entry.files.audio.path).slice(1).toLowerCase())
+          && (!songIds || songIds.includes(entry.id))
+      });
 
-      logger.info(`Found ${mp3Files.length} MP3 files`);
+      logger.info(`Found ${songs.length} ${formats.map(f => f.toUpperCase()).join('/')} files`);
 
       const results = {
-        total: mp3Files.length,
+        total: songs.length,
         success: 0,
         failed: 0,
         skipped: 0
       };
 
-      for (const mp3File of mp3Files) {
-        const mp3Path = path.join(dir, mp3File);
-        const baseName = mp3File.replace('.mp3', '');
-        const jsonPath = path.join(dir, `${baseName}.json`);
+      for (const { entry, metadata, metadataPath } of songs) {
+        const audioPath = manifest.resolve(entry.files.audio.path);
 
-        // Check if JSON exists
-        if (!await fs.pathExists(jsonPath)) {
-          logger.warn(`No JSON found for: ${mp3File}`);
+        if (!await fs.pathExists(audioPath)) {
+          logger.warn(`Indexed audio missing: ${entry.files.audio.path}`);
           results.skipped++;
           continue;
         }
 
-        // Load metadata
-        const metadata = await fs.readJson(jsonPath);
-
-        // Find cover art
-        const coverExtensions = ['.jpg', '.jpeg', '.png', '.webp'];
-        let coverPath = null;
-        for (const ext of coverExtensions) {
-          const candidatePath = path.join(dir, `${baseName}${ext}`);
-          if (await fs.pathExists(candidatePath)) {
-            coverPath = candidatePath;
-            break;
-          }
-        }
-
-        // Tag the MP3
-        logger.info(`[${results.success + results.failed + 1}/${mp3Files.length}] Tagging: ${mp3File}`);
-        const result = await this.tagMp3(mp3Path, metadata, coverPath);
+        logger.info(`[${results.success + results.failed + 1}/${songs.length}] Tagging: ${entry.files.audio.path}`);
+        const result = await this.tagFile(audioPath, metadata, manifest.resolve(entry.files.cover?.path));
 
         if (result.success) {
           results.success++;
+          // Tagging rewrites the file, so refresh its size and hash
+          await manifest.recordSidecar(metadataPath);
         } else {
           results.failed++;
         }
@@ -0,0 +1,226 @@
+/**
+ * Notifier
+ * Sends structured run events (start/finish, song failures, auth and CAPTCHA
+ * problems, report summaries) to the sinks configured in
+ * scraperConfig.notifications: HTTP webhooks, a local command, or SMTP email.
+ */
+
+import os from 'os';
+import { spawn } from 'child_process';
+import nodemailer from 'nodemailer';
+import { logger } from './logger.js';
+import scraperConfig from '../../config/scraper.config.js';
+
+export const EVENTS = [
+  'run.started',
+  'run.finished',
+  'song.failed',
+  'auth.required',
+  'captcha.detected',
+  'report.generated'
+];
+
+export class Notifier {
+  /**
+   * @param {Object} config - Same shape as scraperConfig.notifications (defaults to it)
+   */
+  constructor(config = null) {
+    this.customConfig = config;
+    this.run = null;
+    this.pending = new Set();
+    this.mailer = null;
+  }
+
+  // Read lazily so config changes made after import are picked up
+  get config() {
+    return this.customConfig || scraperConfig.notifications || {};
+  }
+
+  get enabled() {
+    const { enabled, webhooks = [], command, email } = this.config;
+    return Boolean(enabled && (webhooks.length > 0 || command || email));
+  }
+
+  /**
+   * Begin a run: later events carry its ID and command name
+   */
+  startRun(command, data = {}) {
+    this.run = {
+      id: `${command}-${Date.now().toString(36)}`,
+      command,
+      host: os.hostname(),
+      pid: process.pid,
+      startedAt: new Date().toISOString()
+    };
+    return this.emit('run.started', data);
+  }
+
+  /**
+   * End the run and wait for every delivery, so it is safe to exit afterwards
+   */
+  async finishRun(status, data = {}) {
+    const durationMs = this.run ? Date.now() - Date.parse(this.run.startedAt) : null;
+    const { error, ...rest } = data;
+    this.emit('run.finished', {
+      status,
+      durationMs,
+      ...rest,
+      ...(error && { error: { name: error.name, message: error.message } })
+    });
+    await this.flush();
+  }
+
+  /**
+   * Queue an event for every sink that wants it. Never throws; delivery
+   * failures are logged.
+   */
+  emit(event, data = {}) {
+    if (!this.enabled) {
+      return Promise.resolve([]);
+    }
+
+    const payload = {
+      event,
+      severity: severityFor(event, data),
+      timestamp: new Date().toISOString(),
+      run: this.run,
+      data
+    };
+
+    const { webhooks = [], command, email } = this.config;
+    const deliveries = [
+      ...webhooks.filter(sink => wants(sink, event)).map(sink => this.sendWebhook(sink, payload)),
+      ...(command && wants(command, event) ? [this.runCommand(command, payload)] : []),
+      ...(email && wants(email, event) ? [this.sendEmail(email, payload)] : [])
+    ];
+
+    const delivery = Promise.allSettled(deliveries);
+    this.pending.add(delivery);
+    delivery.finally(() => this.pending.delete(delivery));
+    return delivery;
+  }
+
+  async flush() {
+    await Promise.all(Array.from(this.pending));
+  }
+
+  async sendWebhook(sink, payload) {
+    const target = typeof sink === 'string' ? { url: sink } : sink;
+    try {
+      const response = await fetch(target.url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...(target.headers || {}) },
+        body: JSON.stringify(payload),
+        signal: AbortSignal.timeout(this.config.timeoutMs || 10000)
+      });
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+      }
+    } catch (error) {
+      logger.warn(`Webhook ${target.url} failed for ${payload.event}: ${error.message}`);
+      throw error;
+    }
+  }
+
+  runCommand(sink, payload) {
+    const commandLine = typeof sink === 'string' ? sink : sink.command;
+
+    return new Promise((resolve, reject) => {
+      const child = spawn(commandLine, {
+        shell: true,
+        stdio: ['pipe', 'ignore', 'pipe'],
+        env: { ...process.env, PRODUCER_AI_EVENT: payload.event },
+        timeout: this.config.timeoutMs || 10000
+      });
+
+      let stderr = '';
+      child.stderr.on('data', chunk => { stderr += chunk; });
+      child.stdin.on('error', () => {}); // command may exit without reading stdin
+      child.stdin.end(JSON.stringify(payload));
+
+      child.on('error', error => {
+        logger.warn(`Notification command failed for ${payload.event}: ${error.message}`);
+        reject(error);
+      });
+      child.on('close', code => {
+        if (code === 0) {
+          resolve();
+          return;
+        }
+        const error = new Error(`exited with code ${code}${stderr.trim() ? `: ${stderr.trim()}` : ''}`);
+        logger.warn(`Notification command failed for ${payload.event}: ${error.message}`);
+        reject(error);
+      });
+    });
+  }
+
+  async sendEmail(sink, payload) {
+    try {
+      this.mailer = this.mailer || nodemailer.createTransport({
+        host: sink.host,
+        port: sink.port || 587,
+        secure: sink.secure || false,
+        auth: sink.user ? { user: sink.user, pass: sink.pass } : undefined,
+        connectionTimeout: this.config.timeoutMs || 10000
+      });
+
+      await this.mailer.sendMail({
+        from: sink.from,
+        to: sink.to,
+        subject: `[Producer.AI] ${describe(payload)}`,
+        text: `${describe(payload)}\n\n${JSON.stringify(payload, null, 2)}\n`
+      });
+    } catch (error) {
+      logger.warn(`Notification email failed for ${payload.event}: ${error.message}`);
+      throw error;
+    }
+  }
+}
+
+function wants(sink, event) {
+  return typeof sink === 'string' || !sink.events || sink.events.includes(event);
+}
+
+function severityFor(event, data) {
+  switch (event) {
+    case 'auth.required':
+    case 'captcha.detected':
+      return 'error';
+    case 'song.failed':
+      return 'warning';
+    case 'run.finished':
+      return data.status === 'success' ? 'info' : 'error';
+    case 'report.generated':
+      return data.failed > 0 ? 'warning' : 'info';
+    default:
+      return 'info';
+  }
+}
+
+/**
+ * One-line human summary of an event (email subject)
+ */
+function describe({ event, run, data }) {
+  const command = run?.command ? `${run.command}: ` : '';
+  switch (event) {
+    case 'run.started':
+      return `${command}run started`;
+    case 'run.finished':
+      return `${command}run ${data.status}${data.error ? ` (${data.error.message})` : ''}`;
+    case 'song.failed':
+      return `${command}failed to download "${data.song?.title}"`;
+    case 'auth.required':
+      return `${command}login required`;
+    case 'captcha.detected':
+      return `${command}CAPTCHA detected`;
+    case 'report.generated':
+      return `${command}${data.downloaded} downloaded, ${data.failed} failed, ${data.remaining} remaining`;
+    default:
+      return `${command}${event}`;
+  }
+}
+
+// Shared instance used by the scraper, authenticator and CLI
+export const notifier = new Notifier();
+
+export default notifier;
@@ -0,0 +1,173 @@
+/**
+ * Path Templates
+ * Where a song's files go inside the output directory, e.g.
+ * "{model}/{year}/{title}" or "{collection}/{title} [{songIdShort}]".
+ * The last segment is the file base name; earlier segments are folders.
+ */
+
+import path from 'path';
+import fs from 'fs-extra';
+import sanitize from 'sanitize-filename';
+import scraperConfig from '../../config/scraper.config.js';
+
+// fileOrganization.structure presets (used when no pathTemplate is set)
+export const STRUCTURE_TEMPLATES = {
+  BY_SONG: '{title}',
+  BY_PLAYLIST: '{collection}/{title}',
+  BY_DATE: '{year}/{month}/{title}',
+  BY_MODEL: '{model}/{title}'
+};
+
+export const DEFAULT_TEMPLATE = STRUCTURE_TEMPLATES.BY_SONG;
+
+export const PLACEHOLDERS = [
+  'title', 'originalTitle', 'songId', 'songIdShort', 'artist', 'model',
+  'bpm', 'key', 'year', 'month', 'date', 'collection', 'collectionType'
+];
+
+// Shown for folders whose value is missing, so such songs stay grouped
+const FALLBACKS = {
+  model: 'Unknown Model',
+  artist: 'Unknown Artist',
+  collection: 'Library',
+  collectionType: 'library',
+  bpm: 'Unknown BPM',
+  key: 'Unknown Key'
+};
+
+/**
+ * The template in effect: fileOrganization.pathTemplate, else the structure preset
+ */
+export function activePathTemplate() {
+  const { pathTemplate, structure } = scraperConfig.fileOrganization;
+  if (pathTemplate) {
+    return validatePathTemplate(pathTemplate);
+  }
+  const preset = STRUCTURE_TEMPLATES[String(structure || 'BY_SONG').toUpperCase()];
+  if (!preset) {
+    throw new Error(`Unknown fileOrganization.structure "${structure}". Use: ${Object.keys(STRUCTURE_TEMPLATES).join(', ')}`);
+  }
+  return preset;
+}
+
+/**
+ * Whether downloads are laid out by a template rather than the built-in flat
+ * layout (library in the output root, playlists and projects in their own folder)
+ */
+export function usesPathTemplate() {
+  return activePathTemplate() !== DEFAULT_TEMPLATE;
+}
+
+/**
+ * Throw if a template is empty or uses unknown placeholders
+ */
+export function validatePathTemplate(template) {
+  if (!template || !String(template).trim()) {
+    throw new Error('Path template is empty');
+  }
+  const unknown = (String(template).match(/\{(\w+)\}/g) || [])
+    .map(token => token.slice(1, -1))
+    .filter(name => !PLACEHOLDERS.includes(name));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown placeholder${unknown.length === 1 ? '' : 's'} in path template: ${unknown.map(n => `{${n}}`).join(', ')}. Use: ${PLACEHOLDERS.map(n => `{${n}}`).join(' ')}`);
+  }
+  if (!/\{(title|originalTitle|songId|songIdShort)\}/.test(template.split('/').pop())) {
+    throw new Error('The file name part of a path template must include {title}, {originalTitle}, {songId} or {songIdShort}');
+  }
+  return template;
+}
+
+/**
+ * File title of a take: "Title" for the first, "Title (take 2)" after that
+ */
+export function takeName(title, index) {
+  return index > 1 ? `${title} (take ${index})` : title;
+}
+
+/**
+ * A base name in `dir` for a song whose name belongs to another song: the
+ * next free "Title (take N)", or "Title-<id8>" when take names are turned
+ * off. A name this song was saved under before is reused, with its sidecar
+ * as `existing`. `isClaimed(name)` reports names other songs are about to
+ * take (parallel workers, a reorganize plan).
+ */
+export async function uniqueBaseName(dir, baseTitle, songId, options = {}) {
+  const { isClaimed = () => false } = options;
+  const ownSidecar = async name => {
+    const sidecar = path.join(dir, `${name}.json`);
+    if (!await fs.pathExists(sidecar)) return { taken: false, existing: null };
+    const loaded = await fs.readJson(sidecar).catch(() => null);
+    return loaded?.id === songId ? { taken: false, existing: loaded } : { taken: true, existing: null };
+  };
+
+  const legacy = `${baseTitle}-${songId.substring(0, 8)}`;
+  const legacyState = await ownSidecar(legacy);
+  if (legacyState.existing || scraperConfig.fileOrganization.variations?.nameTakes === false) {
+    return { name: legacy, existing: legacyState.existing };
+  }
+
+  for (let take = 2; ; take++) {
+    const name = takeName(baseTitle, take);
+    const { taken, existing } = await ownSidecar(name);
+    if (existing) return { name, existing };
+    if (!taken && !isClaimed(name)) return { name, existing: null };
+  }
+}
+
+/**
+ * Placeholder values for one song.
+ * `title` is the (enhanced) title the file is named after; later takes of a
+ * variation family get " (take N)" appended.
+ */
+export function templateValues({ song = {}, metadata = {}, title, collection = null, date = null }) {
+  const when = new Date(metadata.createdAt || date || metadata.downloadedAt || Date.now());
+  const id = song.id || metadata.id || '';
+  const fileTitle = title || metadata.title || song.title || id;
+  const nameTakes = scraperConfig.fileOrganization.variations?.nameTakes !== false;
+
+  return {
+    title: nameTakes && metadata.variationGroup ? takeName(fileTitle, metadata.variationIndex) : fileTitle,
+    originalTitle: metadata.originalTitle || metadata.title || song.title || id,
+    songId: id,
+    songIdShort: id.substring(0, 8),
+    artist: metadata.artist || metadata.author,
+    model: metadata.model,
+    bpm: metadata.bpm ? `${metadata.bpm} BPM` : null,
+    key: metadata.key,
+    year: String(when.getFullYear()),
+    month: String(when.getMonth() + 1).padStart(2, '0'),
+    date: when.toISOString().slice(0, 10),
+    collection: collection?.name,
+    collectionType: collection?.type
+  };
+}
+
+/**
+ * Render a template into { dir, baseName }, both relative and sanitized.
+ * dir is a posix path ('' for the output root).
+ */
+export function renderPathTemplate(template, values) {
+  const segments = template.split('/').filter(Boolean).map(segment => {
+    const rendered = segment.replace(/\{(\w+)\}/g, (match, name) => {
+      const value = values[name];
+      return value === null || value === undefined || value === '' ? (FALLBACKS[name] ?? '') : String(value);
+    });
+    return sanitize(rendered, { replacement: '-' });
+  });
+
+  const baseName = segments.pop() || sanitize(values.songId || 'song');
+  return {
+    dir: segments.filter(Boolean).join('/'),
+    baseName
+  };
+}
+
+export default {
+  STRUCTURE_TEMPLATES,
+  PLACEHOLDERS,
+  activePathTemplate,
+  usesPathTemplate,
+  validatePathTemplate,
+  templateValues,
+  renderPathTemplate
+};
@@ -5,6 +5,7 @@
 
 import { logger } from './logger.js';
 import scraperConfig from '../../config/scraper.config.js';
+import { cssSelectors } from './selectorProfile.js';
 
 export class PlaylistManager {
   constructor(page) {
@@ -30,7 +31,7 @@ export class PlaylistManager {
       await this.page.waitForTimeout(300);
 
       // Find and click the RiffOptionsMenu button (... menu)
-      const menuButton = songCard.locator('button[data-sentry-element="MenuTrigger"][data-sentry-source-file="RiffOptionsMenu.tsx"]').first();
+      const menuButton = songCard.locator(scraperConfig.selectors.songCardMenuButton).first();
 
       const buttonExists = await menuButton.count();
       if (buttonExists === 0) {
@@ -64,7 +65,7 @@ export class PlaylistManager {
       logger.debug('Playlist list should be open, finding playlist...');
 
       // Find the playlist and check if it's already selected
-      const playlistOption = this.page.locator(`[role="menuitem"][data-sentry-component="PlaylistItem"]:has-text("${playlistName}")`).first();
+      const playlistOption = this.page.locator(`${scraperConfig.selectors.playlistMenuItem}:has-text("${playlistName}")`).first();
 
       const playlistExists = await playlistOption.count();
       if (playlistExists === 0) {
@@ -72,7 +73,7 @@ export class PlaylistManager {
       }
 
       // Check if song is already in the playlist
-      const isAlreadyInPlaylist = await playlistOption.locator('svg[data-icon="circle-check"]').count() > 0;
+      const isAlreadyInPlaylist = await playlistOption.locator(scraperConfig.selectors.playlistMenuItemChecked).count() > 0;
 
       if (isAlreadyInPlaylist) {
         logger.info(`⊙ Song already in playlist "${playlistName}" - skipping`);
@@ -206,7 +207,7 @@ export class PlaylistManager {
       logger.debug('Hovered over song card');
 
       // Use the correct RiffOptionsMenu button selector
-      const menuButton = songCard.locator('button[data-sentry-element="MenuTrigger"][data-sentry-source-file="RiffOptionsMenu.tsx"]').first();
+      const menuButton = songCard.locator(scraperConfig.selectors.songCardMenuButton).first();
 
       const buttonExists = await menuButton.count();
       if (buttonExists === 0) {
@@ -241,12 +242,12 @@ export class PlaylistManager {
       logger.debug('Extracting playlist names...');
 
       // Get all playlist items
-      const playlists = await this.page.evaluate(() => {
+      const playlists = await this.page.evaluate((selectors) => {
         const items = [];
-        document.querySelectorAll('[role="menuitem"][data-sentry-component="PlaylistItem"]').forEach(el => {
+        document.querySelectorAll(selectors.playlistMenuItem).forEach(el => {
           const rect = el.getBoundingClientRect();
           if (rect.width > 0 && rect.height > 0) {
-            const textDiv = el.querySelector('.line-clamp-2');
+            const textDiv = el.querySelector(selectors.playlistMenuItemName);
             const name = textDiv?.textContent?.trim();
             if (name && name !== '+ Create Playlist') {
               items.push(name);
@@ -254,7 +255,7 @@ export class PlaylistManager {
           }
         });
         return items;
-      });
+      }, cssSelectors());
 
       logger.debug(`Found ${playlists.length} playlists`);
 
@@ -0,0 +1,63 @@
+/**
+ * Rate Limiter
+ * Token bucket shared by every download worker in a run
+ */
+
+import scraperConfig from '../../config/scraper.config.js';
+
+export class RateLimiter {
+  constructor(options = {}) {
+    const config = scraperConfig.rateLimiting;
+    this.enabled = options.enabled ?? config.enabled;
+    this.requestsPerMinute = options.requestsPerMinute || config.requestsPerMinute;
+    this.burstSize = options.burstSize || config.burstSize;
+
+    // Bucket starts full so the first burst goes out immediately
+    this.tokens = this.burstSize;
+    this.lastRefill = Date.now();
+    this.waitChain = Promise.resolve();
+  }
+
+  /**
+   * Add tokens earned since the last refill, capped at the burst size
+   */
+  refill() {
+    const now = Date.now();
+    const earned = ((now - this.lastRefill) / 60000) * this.requestsPerMinute;
+    this.tokens = Math.min(this.burstSize, this.tokens + earned);
+    this.lastRefill = now;
+  }
+
+  /**
+   * Wait until a request slot is available, then consume it.
+   * Callers are served in the order they asked.
+   */
+  acquire() {
+    if (!this.enabled) {
+      return Promise.resolve();
+    }
+
+    const turn = this.waitChain.then(() => this.takeToken());
+    this.waitChain = turn.catch(() => {});
+    return turn;
+  }
+
+  async takeToken() {
+    this.refill();
+
+    if (this.tokens < 1) {
+      const msPerToken = 60000 / this.requestsPerMinute;
+      const waitMs = Math.ceil((1 - this.tokens) * msPerToken);
+      await this.sleep(waitMs);
+      this.refill();
+    }
+
+    this.tokens = Math.max(0, this.tokens - 1);
+  }
+
+  sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+}
+
+export default RateLimiter;
@@ -0,0 +1,173 @@
+/**
+ * Remix Lineage
+ * Builds the library's remix family tree from the `remixOf` and `remixes`
+ * song IDs in each sidecar, and writes it as Graphviz DOT, GraphML or JSON.
+ * Songs referenced but not backed up appear as nodes outside the library.
+ */
+
+import path from 'path';
+import fs from 'fs-extra';
+import { logger } from './logger.js';
+import { LibraryManifest, RESERVED_FILES } from './libraryManifest.js';
+import scraperConfig from '../../config/scraper.config.js';
+import { escapeMarkup } from './markup.js';
+
+export const LINEAGE_FORMATS = ['dot', 'graphml', 'json'];
+export const LINEAGE_FILE_BASE = path.basename(RESERVED_FILES.remixLineage, '.json');
+
+function escapeDot(value) {
+  return String(value ?? '').replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\r?\n/g, ' ');
+}
+
+export class RemixLineage {
+  constructor(outputDir = './output', options = {}) {
+    this.outputDir = path.resolve(outputDir);
+    this.manifest = options.manifest || new LibraryManifest(this.outputDir);
+  }
+
+  /**
+   * The remix graph: one node per song ID, one edge per parent → remix
+   * @returns {{ nodes: Object[], edges: Object[], roots: string[] }}
+   */
+  async build() {
+    const nodes = new Map();
+    const edges = new Map();
+
+    const nodeFor = id => {
+      if (!nodes.has(id)) {
+        nodes.set(id, { id, title: null, model: null, url: `${scraperConfig.urls.base}/song/${id}`, inLibrary: false, metadata: null });
+      }
+      return nodes.get(id);
+    };
+    const addEdge = (parent, child) => {
+      if (parent && child && parent !== child) {
+        nodeFor(parent);
+        nodeFor(child);
+        edges.set(`${parent}>${child}`, { from: parent, to: child });
+      }
+    };
+
+    for (const { entry, metadata } of await this.manifest.readSongs()) {
+      const node = nodeFor(entry.id);
+      if (!node.inLibrary) {
+        Object.assign(node, {
+          title: metadata.title || entry.title,
+          model: metadata.model || null,
+          url: metadata.url || entry.url || node.url,
+          inLibrary: true,
+          metadata: entry.metadata
+        });
+      }
+      addEdge(metadata.remixOf, entry.id);
+      for (const remix of metadata.remixes || []) {
+        addEdge(entry.id, remix);
+      }
+    }
+
+    const edgeList = Array.from(edges.values());
+    const children = new Set(edgeList.map(edge => edge.to));
+    const linked = new Set(edgeList.flatMap(edge => [edge.from, edge.to]));
+
+    return {
+      nodes: Array.from(nodes.values()),
+      edges: edgeList,
+      // Where each family starts: songs with remixes but no known parent
+      roots: Array.from(linked).filter(id => !children.has(id))
+    };
+  }
+
+  /**
+   * Ancestors of backed-up songs that are not backed up themselves
+   */
+  missingAncestors(graph) {
+    const parentOf = new Map(graph.edges.map(edge => [edge.to, edge.from]));
+    const byId = new Map(graph.nodes.map(node => [node.id, node]));
+    const missing = new Set();
+
+    for (const node of graph.nodes.filter(n => n.inLibrary)) {
+      const seen = new Set([node.id]);
+      let parent = parentOf.get(node.id);
+      // Stop at cycles; a chain can only be walked as far as it is known
+      while (parent && !seen.has(parent)) {
+        seen.add(parent);
+        if (!byId.get(parent)?.inLibrary) {
+          missing.add(parent);
+        }
+        parent = parentOf.get(parent);
+      }
+    }
+
+    return Array.from(missing);
+  }
+
+  /**
+   * Write the graph in each format to `${dir}/remix-lineage.<ext>`
+   */
+  async export(graph, options = {}) {
+    const { formats = LINEAGE_FORMATS, dir = this.outputDir } = options;
+    const unknown = formats.filter(format => !LINEAGE_FORMATS.includes(format));
+    if (unknown.length > 0) {
+      throw new Error(`Unknown lineage format: ${unknown.join(', ')}. Use: ${LINEAGE_FORMATS.join(', ')}`);
+    }
+
+    await fs.ensureDir(dir);
+    const files = [];
+    for (const format of formats) {
+      const filePath = path.join(path.resolve(dir), `${LINEAGE_FILE_BASE}.${format}`);
+      await fs.writeFile(filePath, this.render(format, graph), 'utf8');
+      files.push(filePath);
+    }
+
+    logger.info(`Wrote remix lineage (${graph.edges.length} remix links) to ${files.length} file${files.length === 1 ? '' : 's'}`);
+    return files;
+  }
+
+  render(format, graph) {
+    switch (format) {
+      case 'dot':
+        return this.renderDot(graph);
+      case 'graphml':
+        return this.renderGraphML(graph);
+      default:
+        return JSON.stringify({ generatedAt: new Date().toISOString(), ...graph }, null, 2) + '\n';
+    }
+  }
+
+  renderDot(graph) {
+    const linked = new Set(graph.edges.flatMap(edge => [edge.from, edge.to]));
+    const lines = ['digraph remix_lineage {', '  rankdir=LR;', '  node [shape=box, style=rounded];'];
+
+    // Songs that are neither remixed nor remixes would only add clutter
+    for (const node of graph.nodes.filter(n => linked.has(n.id))) {
+      const label = node.title || node.id.slice(0, 8);
+      const style = node.inLibrary ? '' : ', style="rounded,dashed", color=gray';
+      lines.push(`  "${escapeDot(node.id)}" [label="${escapeDot(label)}"${node.model ? `, tooltip="${escapeDot(node.model)}"` : ''}${style}];`);
+    }
+    for (const edge of graph.edges) {
+      lines.push(`  "${escapeDot(edge.from)}" -> "${escapeDot(edge.to)}";`);
+    }
+
+    lines.push('}', '');
+    return lines.join('\n');
+  }
+
+  renderGraphML(graph) {
+    const data = (key, value) => (value === null || value === undefined ? '' : `<data key="${key}">${escapeMarkup(value)}</data>`);
+    return [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      '<graphml xmlns="http://graphml.graphdrawing.org/xmlns">',
+      '  <key id="title" for="node" attr.name="title" attr.type="string"/>',
+      '  <key id="model" for="node" attr.name="model" attr.type="string"/>',
+      '  <key id="url" for="node" attr.name="url" attr.type="string"/>',
+      '  <key id="inLibrary" for="node" attr.name="inLibrary" attr.type="boolean"/>',
+      '  <graph id="remix-lineage" edgedefault="directed">',
+      ...graph.nodes.map(node => `    <node id="${escapeMarkup(node.id)}">${data('title', node.title)}${data('model', node.model)}${data('url', node.url)}${data('inLibrary', node.inLibrary)}</node>`),
+      ...graph.edges.map((edge, index) => `    <edge id="e${index}" source="${escapeMarkup(edge.from)}" target="${escapeMarkup(edge.to)}"/>`),
+      '  </graph>',
+      '</graphml>',
+      ''
+    ].join('\n');
+  }
+}
+
+export default RemixLineage;
@@ -0,0 +1,118 @@
+/**
+ * Run Lock
+ * Exclusive lockfiles that stop two runs from sharing a browser profile or
+ * output directory.
+ */
+
+import os from 'os';
+import path from 'path';
+import fs from 'fs-extra';
+import { logger } from './logger.js';
+
+export const LOCK_FILE = '.producer-ai.lock';
+
+export class LockHeldError extends Error {
+  constructor(lockPath, holder) {
+    super(`${path.dirname(lockPath)} is in use by another run (pid ${holder.pid} on ${holder.host}, started ${holder.startedAt}, ${holder.command})`);
+    this.name = 'LockHeldError';
+    this.lockPath = lockPath;
+    this.holder = holder;
+  }
+}
+
+export class RunLock {
+  /**
+   * @param {string[]} dirs - Directories to lock (e.g. browser profile and output dir)
+   * @param {string} command - What the run is doing, shown to anyone who finds the lock held
+   */
+  constructor(dirs, command = 'run') {
+    this.lockPaths = [...new Set(dirs.map(dir => path.join(path.resolve(dir), LOCK_FILE)))].sort();
+    this.command = command;
+    this.held = [];
+  }
+
+  /**
+   * Take every lock or none. Locks left by a process that no longer exists
+   * on this machine are treated as stale and taken over.
+   */
+  async acquire() {
+    try {
+      for (const lockPath of this.lockPaths) {
+        await this.acquireOne(lockPath);
+        this.held.push(lockPath);
+      }
+    } catch (error) {
+      await this.release();
+      throw error;
+    }
+    return this;
+  }
+
+  async acquireOne(lockPath) {
+    await fs.ensureDir(path.dirname(lockPath));
+    const holder = {
+      pid: process.pid,
+      host: os.hostname(),
+      command: this.command,
+      startedAt: new Date().toISOString()
+    };
+
+    for (let attempt = 0; attempt < 3; attempt++) {
+      try {
+        // 'wx' fails if the file exists, so only one process can create it
+        await fs.writeFile(lockPath, JSON.stringify(holder, null, 2), { flag: 'wx' });
+        return;
+      } catch (error) {
+        if (error.code !== 'EEXIST') throw error;
+      }
+
+      const current = await fs.readJson(lockPath).catch(() => null);
+      if (current && !RunLock.isStale(current)) {
+        throw new LockHeldError(lockPath, current);
+      }
+
+      // Take over by renaming: only one process can move a given lock file
+      // aside, so a run that replaced the stale lock meanwhile is never removed
+      const aside = `${lockPath}.${process.pid}-${Date.now()}.stale`;
+      try {
+        await fs.rename(lockPath, aside);
+      } catch (error) {
+        if (error.code === 'ENOENT') continue;
+        throw error;
+      }
+      const moved = await fs.readJson(aside).catch(() => null);
+      if (moved && !RunLock.isStale(moved)) {
+        // Another run took the lock over between our read and the rename: put it back
+        await fs.link(aside, lockPath).catch(() => {});
+        await fs.remove(aside);
+        throw new LockHeldError(lockPath, moved);
+      }
+      logger.warn(`Removed stale lock ${lockPath}${moved ? ` (pid ${moved.pid} is gone)` : ''}`);
+      await fs.remove(aside);
+    }
+
+    throw new Error(`Could not acquire lock ${lockPath}`);
+  }
+
+  static isStale(holder) {
+    // A lock from another machine (shared disk) cannot be checked; trust it
+    if (holder.host !== os.hostname()) {
+      return false;
+    }
+
+    try {
+      process.kill(holder.pid, 0);
+      return false;
+    } catch (error) {
+      return error.code === 'ESRCH';
+    }
+  }
+
+  async release() {
+    for (const lockPath of this.held.splice(0)) {
+      await fs.remove(lockPath).catch(error => logger.warn(`Could not remove lock ${lockPath}: ${error.message}`));
+    }
+  }
+}
+
+export default RunLock;
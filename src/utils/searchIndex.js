@@ -0,0 +1,215 @@
+/**
+ * Search Index
+ * Offline full-text and faceted search over a backed-up library. An inverted
+ * index of titles, lyrics, descriptions, model, key and BPM is built from the
+ * manifest and sidecars into output/search-index.json and rebuilt whenever
+ * the manifest changes.
+ */
+
+import path from 'path';
+import fs from 'fs-extra';
+import { logger } from './logger.js';
+import { LibraryManifest, RESERVED_FILES } from './libraryManifest.js';
+import { parseDuration } from './audioVerifier.js';
+
+export const SEARCH_INDEX_FILE = RESERVED_FILES.searchIndex;
+
+const INDEX_VERSION = 1;
+
+// How much a match in each field counts towards a song's score
+const FIELD_WEIGHTS = {
+  title: 5,
+  originalTitle: 4,
+  model: 3,
+  key: 3,
+  bpm: 3,
+  description: 2,
+  lyrics: 1
+};
+
+/**
+ * Lowercase words and numbers, accents stripped: "Café Déjà-Vu" → ["cafe", "deja", "vu"]
+ */
+export function tokenize(text) {
+  return String(text ?? '')
+    .normalize('NFKD')
+    .replace(/\p{M}/gu, '')
+    .toLowerCase()
+    .match(/[\p{L}\p{N}]+/gu) || [];
+}
+
+/**
+ * Comparable form of a musical key: "A Minor", "a min" and "Am" → "a minor";
+ * "F# major", "F♯" → "f# major"
+ */
+export function normalizeKey(key) {
+  const match = String(key ?? '').trim().replace(/♯/g, '#').replace(/♭/g, 'b')
+    .match(/^([a-g])\s*([#b]?)\s*(maj(?:or)?|min(?:or)?|m)?$/i);
+  if (!match) {
+    return String(key ?? '').trim().toLowerCase().replace(/\s+/g, ' ');
+  }
+  const mode = match[3] && /^m(in(or)?)?$/i.test(match[3]) && match[3] !== 'M' ? 'minor' : 'major';
+  return `${match[1].toLowerCase()}${match[2]} ${mode}`;
+}
+
+/**
+ * Parse a BPM filter: "120", "120-128", "120-" or "-128"
+ */
+export function parseBpmRange(value) {
+  const match = String(value).trim().match(/^(\d+(?:\.\d+)?)?\s*(-)?\s*(\d+(?:\.\d+)?)?$/);
+  if (!match || (!match[1] && !match[3])) {
+    throw new Error(`Invalid BPM filter "${value}". Use e.g. 120, 120-128, 120- or -128`);
+  }
+  const min = match[1] ? Number(match[1]) : -Infinity;
+  const max = match[2] ? (match[3] ? Number(match[3]) : Infinity) : min;
+  if (min > max) {
+    throw new Error(`Invalid BPM filter "${value}": ${min} is above ${max}`);
+  }
+  return { min, max };
+}
+
+export class SearchIndex {
+  constructor(outputDir = './output', options = {}) {
+    this.outputDir = path.resolve(outputDir);
+    this.manifest = options.manifest || new LibraryManifest(this.outputDir);
+    this.indexPath = path.join(this.outputDir, SEARCH_INDEX_FILE);
+    this.index = null;
+  }
+
+  /**
+   * Load the saved index, rebuilding it when the manifest has changed since
+   * it was built (or when forced)
+   */
+  async load(options = {}) {
+    const { rebuild = false } = options;
+    await this.manifest.load();
+    await this.manifest.flush();
+    const stamp = await this.manifestStamp();
+
+    if (!rebuild) {
+      const saved = await fs.readJson(this.indexPath).catch(() => null);
+      if (saved?.version === INDEX_VERSION && saved.manifest?.size === stamp.size && saved.manifest?.mtimeMs === stamp.mtimeMs) {
+        this.index = saved;
+        return { rebuilt: false, songs: Object.keys(saved.docs).length };
+      }
+    }
+
+    this.index = await this.build(stamp);
+    await fs.writeJson(this.indexPath, this.index);
+    logger.debug(`Search index rebuilt: ${Object.keys(this.index.docs).length} songs, ${Object.keys(this.index.terms).length} terms`);
+    return { rebuilt: true, songs: Object.keys(this.index.docs).length };
+  }
+
+  async manifestStamp() {
+    const stats = await fs.stat(this.manifest.manifestPath).catch(() => null);
+    return { size: stats?.size ?? 0, mtimeMs: stats?.mtimeMs ?? 0 };
+  }
+
+  /**
+   * One document per song (the first indexed copy), with postings
+   * term → { song ID → score }
+   */
+  async build(stamp) {
+    const docs = {};
+    const terms = {};
+
+    for (const { entry, metadata } of await this.manifest.readSongs()) {
+      if (docs[entry.id]) continue;
+
+      docs[entry.id] = {
+        id: entry.id,
+        title: metadata.title || entry.title,
+        originalTitle: metadata.originalTitle || null,
+        artist: metadata.artist || metadata.author || null,
+        model: metadata.model || null,
+        key: metadata.key || null,
+        normalizedKey: metadata.key ? normalizeKey(metadata.key) : null,
+        bpm: Number(metadata.bpm) || null,
+        duration: parseDuration(metadata.duration),
+        url: metadata.url || entry.url || null,
+        metadata: entry.metadata,
+        audio: entry.files.audio?.path || null
+      };
+
+      const fields = {
+        title: metadata.title || entry.title,
+        originalTitle: metadata.originalTitle,
+        model: metadata.model,
+        key: metadata.key,
+        bpm: metadata.bpm,
+        description: metadata.description,
+        lyrics: metadata.lyrics
+      };
+      for (const [field, text] of Object.entries(fields)) {
+        for (const term of tokenize(text)) {
+          terms[term] = terms[term] || {};
+          terms[term][entry.id] = (terms[term][entry.id] || 0) + FIELD_WEIGHTS[field];
+        }
+      }
+    }
+
+    return {
+      version: INDEX_VERSION,
+      builtAt: new Date().toISOString(),
+      manifest: stamp,
+      docs,
+      terms
+    };
+  }
+
+  /**
+   * Search the library.
+   * @param {string} query - Words that must all appear (the last one may be a prefix)
+   * @param {Object} filters
+   * @param {string} filters.bpm - "120" or a range such as "120-128"
+   * @param {string} filters.key - e.g. "A Minor"
+   * @param {string} filters.model - e.g. "FUZZ-2.0"
+   * @param {number} filters.limit - Most matches to return
+   * @returns {Array} Matching songs, best first, each with a `score`
+   */
+  search(query = '', filters = {}) {
+    if (!this.index) {
+      throw new Error('Search index not loaded');
+    }
+
+    const queryTerms = tokenize(query);
+    let scores = null;
+    queryTerms.forEach((term, position) => {
+      // Typing "dre" should find "dream": the last word also matches as a prefix
+      const matching = position === queryTerms.length - 1
+        ? Object.keys(this.index.terms).filter(candidate => candidate === term || candidate.startsWith(term))
+        : (this.index.terms[term] ? [term] : []);
+
+      const termScores = new Map();
+      for (const candidate of matching) {
+        for (const [id, score] of Object.entries(this.index.terms[candidate])) {
+          // Exact matches outrank prefix matches
+          termScores.set(id, (termScores.get(id) || 0) + (candidate === term ? score : score / 2));
+        }
+      }
+
+      scores = scores
+        ? new Map(Array.from(scores).filter(([id]) => termScores.has(id)).map(([id, score]) => [id, score + termScores.get(id)]))
+        : termScores;
+    });
+
+    const bpm = filters.bpm ? parseBpmRange(filters.bpm) : null;
+    const key = filters.key ? normalizeKey(filters.key) : null;
+    const model = filters.model ? String(filters.model).toLowerCase() : null;
+
+    const candidates = scores
+      ? Array.from(scores, ([id, score]) => ({ ...this.index.docs[id], score }))
+      : Object.values(this.index.docs).map(doc => ({ ...doc, score: 0 }));
+
+    const matches = candidates
+      .filter(doc => !bpm || (doc.bpm !== null && doc.bpm >= bpm.min && doc.bpm <= bpm.max))
+      .filter(doc => !key || doc.normalizedKey === key)
+      .filter(doc => !model || String(doc.model || '').toLowerCase() === model)
+      .sort((a, b) => b.score - a.score || String(a.title).localeCompare(String(b.title)))
+      .map(({ normalizedKey, ...doc }) => doc);
+
+    return filters.limit ? matches.slice(0, filters.limit) : matches;
+  }
+}
+
+export default SearchIndex;
@@ -0,0 +1,211 @@
+/**
+ * Selector Doctor
+ * Checks that the selectors and text patterns the scraper depends on still
+ * match Producer.AI's pages, and saves/replays DOM fixtures for offline checks.
+ */
+
+import path from 'path';
+import fs from 'fs-extra';
+import { logger } from './logger.js';
+import scraperConfig from '../../config/scraper.config.js';
+import { FullLibraryScraper } from '../scrapers/fullLibraryScraper.js';
+import { CompleteSongDownloader } from '../downloaders/completeSongDownloader.js';
+import { cssSelectors } from './selectorProfile.js';
+
+export const PAGE_TYPES = ['library', 'song', 'session', 'playlist'];
+
+// Song fields compared against a fixture's expected extraction
+const SONG_FIELDS = ['title', 'author', 'bpm', 'key', 'model', 'lyrics', 'description'];
+
+/**
+ * Selectors each page type depends on. Built on demand so the checks always
+ * reflect the selectors currently loaded into scraperConfig.
+ * `required` checks failing means the scraper cannot work on that page.
+ */
+export function buildPageChecks() {
+  const selectors = cssSelectors();
+
+  return {
+    library: [
+      { name: 'Song card', selector: selectors.songCard, required: true },
+      { name: 'Song link in card', selector: `${selectors.songCard} ${selectors.songLink}`, required: true },
+      { name: 'Title image in card', selector: `${selectors.songCard} ${selectors.songTitle}` },
+      { name: 'Duration in card', selector: `${selectors.songCard} ${selectors.songCardDuration}` },
+      { name: 'Card options menu (PlaylistManager)', selector: `${selectors.songCard} ${selectors.songCardMenuButton}` },
+      { name: 'Session links in sidebar', selector: selectors.sessionLink }
+    ],
+    song: [
+      { name: 'Title heading', selector: `${selectors.songPageTitle}, ${selectors.songPageTitleFallback}`, required: true },
+      { name: 'Author profile link', selector: selectors.authorLink },
+      { name: 'Lyrics container', selector: selectors.lyricsContainer },
+      { name: 'Lyric word spans', selector: selectors.lyricWord },
+      { name: 'Duration', selector: selectors.songDuration },
+      { name: 'Share button (menu anchor)', selector: selectors.shareButton, required: true },
+      { name: 'Options menu trigger', selector: selectors.menuButton }
+    ],
+    session: [
+      { name: 'Session songs toggle', selector: selectors.sessionSongsToggle },
+      { name: 'Song links', selector: selectors.songLink, required: true }
+    ],
+    playlist: [
+      { name: 'Collection heading', selector: selectors.collectionHeading },
+      { name: 'Song links', selector: selectors.songLink, required: true }
+    ]
+  };
+}
+
+export class SelectorDoctor {
+  constructor(page) {
+    this.page = page;
+    this.scraper = new FullLibraryScraper(page, scraperConfig.fileOrganization.outputDir);
+    this.downloader = new CompleteSongDownloader(page, scraperConfig.fileOrganization.outputDir);
+  }
+
+  /**
+   * Navigate to a live page and get it into the state the scraper reads it in
+   */
+  async loadLive(type, url) {
+    await this.page.goto(url, { waitUntil: 'domcontentloaded', timeout: 60000 });
+    await this.page.waitForTimeout(3000);
+
+    if (type === 'session') {
+      await this.scraper.openSessionSongsPanel();
+    }
+  }
+
+  /**
+   * Serve a saved fixture at its original URL with every other request
+   * blocked, so relative links resolve exactly as they did live.
+   */
+  async loadFixture(type, fixtureDir) {
+    const htmlPath = path.join(fixtureDir, `${type}.html`);
+    const expectedPath = path.join(fixtureDir, `${type}.expected.json`);
+    const html = await fs.readFile(htmlPath, 'utf8');
+    const expected = await fs.pathExists(expectedPath) ? await fs.readJson(expectedPath) : null;
+    const url = expected?.url || `${scraperConfig.urls.base}/${type}`;
+
+    await this.page.unrouteAll({ behavior: 'ignoreErrors' }).catch(() => {});
+    await this.page.route('**/*', route => {
+      if (route.request().url() === url) {
+        return route.fulfill({ status: 200, contentType: 'text/html', body: html });
+      }
+      return route.abort();
+    });
+    await this.page.goto(url, { waitUntil: 'domcontentloaded', timeout: 30000 });
+
+    return { url, expected };
+  }
+
+  /**
+   * First link on the current page matching a selector (used to pick default pages)
+   */
+  async findFirstLink(selector) {
+    return this.page.evaluate(sel => document.querySelector(sel)?.href || null, selector);
+  }
+
+  async checkSelectors(type) {
+    const checks = buildPageChecks()[type] || [];
+    const results = [];
+
+    for (const check of checks) {
+      try {
+        const count = await this.page.locator(check.selector).count();
+        results.push({ ...check, count, ok: count > 0 });
+      } catch (error) {
+        results.push({ ...check, count: 0, ok: false, error: error.message.split('\n')[0] });
+      }
+    }
+
+    return results;
+  }
+
+  async checkPatterns(type) {
+    if (type !== 'song') {
+      return [];
+    }
+
+    const pageText = await this.page.evaluate(() => document.body.innerText);
+    return Object.entries(scraperConfig.textPatterns).map(([name, patterns]) => {
+      const match = [].concat(patterns)
+        .map(pattern => pageText.match(new RegExp(pattern, 'i')))
+        .find(Boolean);
+      return {
+        name,
+        ok: !!match,
+        sample: match ? match[1].replace(/\s+/g, ' ').trim().slice(0, 60) : null
+      };
+    });
+  }
+
+  /**
+   * Run the scraper's real extraction code against the loaded page and
+   * reduce it to the fields worth comparing between runs.
+   */
+  async runExtraction(type, url) {
+    if (type === 'song') {
+      const id = url.match(/\/song\/([^/?#]+)/)?.[1] || 'fixture';
+      const metadata = await this.downloader.extractMetadata({ id, url, title: '' });
+      return Object.fromEntries(SONG_FIELDS.map(field => [field, metadata[field] ?? null]));
+    }
+
+    const songs = type === 'library'
+      ? await this.scraper.extractLibraryCards()
+      : await this.scraper.extractSongLinks();
+
+    return {
+      songCount: songs.length,
+      songIds: songs.map(s => s.id)
+    };
+  }
+
+  /**
+   * Check one page: selectors, text patterns, and extraction output
+   */
+  async inspect(type, url) {
+    const checks = await this.checkSelectors(type);
+    const patterns = await this.checkPatterns(type);
+    const extraction = await this.runExtraction(type, url);
+    const ok = checks.every(c => c.ok || !c.required);
+
+    return { type, url, checks, patterns, extraction, ok };
+  }
+
+  async saveFixture(fixtureDir, report) {
+    await fs.ensureDir(fixtureDir);
+    const html = await this.page.content();
+
+    await fs.writeFile(path.join(fixtureDir, `${report.type}.html`), html, 'utf8');
+    await fs.writeJson(path.join(fixtureDir, `${report.type}.expected.json`), {
+      url: report.url,
+      capturedAt: new Date().toISOString(),
+      extraction: report.extraction
+    }, { spaces: 2 });
+
+    logger.debug(`Saved ${report.type} fixture to ${fixtureDir}`);
+  }
+
+  /**
+   * List fields whose extracted value differs from the fixture's saved value
+   */
+  compareExtraction(expected, actual) {
+    if (!expected) {
+      return [];
+    }
+
+    return Object.keys(expected)
+      .filter(field => JSON.stringify(expected[field]) !== JSON.stringify(actual[field]))
+      .map(field => ({ field, expected: expected[field], actual: actual[field] }));
+  }
+
+  async listFixtureTypes(fixtureDir) {
+    const types = [];
+    for (const type of PAGE_TYPES) {
+      if (await fs.pathExists(path.join(fixtureDir, `${type}.html`))) {
+        types.push(type);
+      }
+    }
+    return types;
+  }
+}
+
+export default SelectorDoctor;
@@ -0,0 +1,143 @@
+/**
+ * Selector Profiles
+ * Loads versioned selector and text-pattern overrides from JSON or YAML and
+ * applies them on top of the built-in profile in scraperConfig.
+ */
+
+import path from 'path';
+import fs from 'fs-extra';
+import YAML from 'yaml';
+import { logger } from './logger.js';
+import scraperConfig from '../../config/scraper.config.js';
+
+// Snapshot of the built-in profile so applying a profile is always relative to it
+const BUILT_IN = {
+  ...scraperConfig.selectorProfile,
+  selectors: structuredClone(scraperConfig.selectors),
+  textPatterns: structuredClone(scraperConfig.textPatterns)
+};
+
+let activeProfile = { name: BUILT_IN.name, version: BUILT_IN.version, source: null };
+
+/**
+ * Read a selector profile file (.json, .yaml or .yml).
+ * Profile shape: { name, version, selectors: {...}, textPatterns: {...} }.
+ * Only the keys being overridden need to be present.
+ */
+export async function loadSelectorProfile(filePath) {
+  const resolved = path.resolve(filePath);
+  if (!await fs.pathExists(resolved)) {
+    throw new Error(`Selector profile not found: ${resolved}`);
+  }
+
+  const raw = await fs.readFile(resolved, 'utf8');
+  const ext = path.extname(resolved).toLowerCase();
+
+  let profile;
+  try {
+    profile = ext === '.yaml' || ext === '.yml' ? YAML.parse(raw) : JSON.parse(raw);
+  } catch (error) {
+    throw new Error(`Could not parse selector profile ${path.basename(resolved)}: ${error.message}`);
+  }
+
+  validateSelectorProfile(profile, path.basename(resolved));
+  return { ...profile, source: resolved };
+}
+
+/**
+ * Throw a single error listing every problem in a profile
+ */
+export function validateSelectorProfile(profile, label = 'profile') {
+  const problems = [];
+
+  if (!profile || typeof profile !== 'object' || Array.isArray(profile)) {
+    throw new Error(`Selector profile ${label} must be an object`);
+  }
+
+  if (!profile.version) {
+    problems.push('missing "version"');
+  }
+
+  const isSelectorValue = value =>
+    (typeof value === 'string' && value.trim() !== '') ||
+    (Array.isArray(value) && value.length > 0 && value.every(v => typeof v === 'string' && v.trim() !== ''));
+
+  for (const [key, value] of Object.entries(profile.selectors || {})) {
+    if (!isSelectorValue(value)) {
+      problems.push(`selectors.${key} must be a non-empty string or array of strings`);
+    }
+    if (!(key in BUILT_IN.selectors)) {
+      logger.warn(`Selector profile ${label}: unknown selector "${key}" (not used by the scraper)`);
+    }
+  }
+
+  for (const [key, value] of Object.entries(profile.textPatterns || {})) {
+    if (!isSelectorValue(value)) {
+      problems.push(`textPatterns.${key} must be a non-empty string or array of strings`);
+      continue;
+    }
+    for (const pattern of [].concat(value)) {
+      try {
+        new RegExp(pattern, 'i');
+      } catch (error) {
+        problems.push(`textPatterns.${key} is not a valid regex: ${error.message}`);
+      }
+    }
+  }
+
+  if (problems.length > 0) {
+    throw new Error(`Invalid selector profile ${label}: ${problems.join('; ')}`);
+  }
+}
+
+/**
+ * Make a profile active. Selectors not in the profile keep their built-in value.
+ * scraperConfig is updated in place so every module sees the active profile.
+ */
+export function applySelectorProfile(profile) {
+  for (const key of Object.keys(scraperConfig.selectors)) {
+    delete scraperConfig.selectors[key];
+  }
+  Object.assign(scraperConfig.selectors, structuredClone(BUILT_IN.selectors), profile.selectors || {});
+  Object.assign(scraperConfig.textPatterns, structuredClone(BUILT_IN.textPatterns), profile.textPatterns || {});
+
+  activeProfile = {
+    name: profile.name || path.basename(profile.source || 'custom'),
+    version: profile.version,
+    source: profile.source || null
+  };
+  scraperConfig.selectorProfile = { name: activeProfile.name, version: activeProfile.version };
+
+  logger.debug(`Using selector profile: ${activeProfile.name} (${activeProfile.version})`);
+  return activeProfile;
+}
+
+export function getActiveSelectorProfile() {
+  return { ...activeProfile };
+}
+
+/**
+ * A selector value as an ordered list (for locator fallbacks)
+ */
+export function selectorList(value) {
+  return Array.isArray(value) ? value : [value];
+}
+
+/**
+ * The active selectors with array values joined into one CSS selector list,
+ * for passing into page.evaluate callbacks.
+ */
+export function cssSelectors() {
+  return Object.fromEntries(
+    Object.entries(scraperConfig.selectors).map(([key, value]) => [key, selectorList(value).join(', ')])
+  );
+}
+
+export default {
+  loadSelectorProfile,
+  validateSelectorProfile,
+  applySelectorProfile,
+  getActiveSelectorProfile,
+  selectorList,
+  cssSelectors
+};
@@ -0,0 +1,307 @@
+/**
+ * Stem Extractor
+ * Unpacks a song's stems ZIP into a "<title>-stems/" folder next to it,
+ * renames each stem after its role (vocals, drums, bass, ...) using a
+ * configurable pattern, tags it with the song's metadata and records the
+ * stem inventory in the song's JSON sidecar.
+ */
+
+import path from 'path';
+import zlib from 'zlib';
+import { pipeline } from 'stream/promises';
+import fs from 'fs-extra';
+import sanitize from 'sanitize-filename';
+import { logger } from './logger.js';
+import { LibraryManifest } from './libraryManifest.js';
+import { MetadataTagger, TAG_FORMATS } from './metadataTagger.js';
+import scraperConfig from '../../config/scraper.config.js';
+
+export const DEFAULT_STEM_PATTERN = '{title} - {stem}';
+
+export const STEM_PLACEHOLDERS = ['title', 'stem', 'n', 'original'];
+
+// Checked in order: "no vocals" is an instrumental, "bass drum" is drums
+const STEM_RULES = [
+  ['instrumental', /instrumental|karaoke|accompaniment|no[ _-]?vocals?|minus[ _-]?one/],
+  ['backing_vocals', /backing|bgv|harmon|choir/],
+  ['vocals', /vocal|vox|voice|acapella|a[ _-]?cappella/],
+  ['drums', /drum|kick|snare|hi[ _-]?hat|cymbal|perc/],
+  ['bass', /bass|808/],
+  ['guitar', /guitar|gtr/],
+  ['piano', /piano|keys|organ|rhodes/],
+  ['synth', /synth|pad/],
+  ['strings', /string|violin|cello|orchestra/]
+];
+
+export const STEM_ROLES = [...STEM_RULES.map(([role]) => role), 'other'];
+
+const STEM_AUDIO_EXTENSIONS = ['.wav', '.mp3', '.m4a', '.flac', '.aif', '.aiff', '.ogg'];
+
+/**
+ * The role of a stem from its file name inside the ZIP
+ */
+export function stemRole(fileName) {
+  const name = path.basename(fileName, path.extname(fileName)).toLowerCase();
+  return STEM_RULES.find(([, pattern]) => pattern.test(name))?.[0] || 'other';
+}
+
+/**
+ * Throw if a naming pattern uses unknown placeholders or cannot tell stems apart
+ */
+export function validateStemPattern(pattern) {
+  const unknown = (String(pattern || '').match(/\{(\w+)\}/g) || [])
+    .map(token => token.slice(1, -1))
+    .filter(name => !STEM_PLACEHOLDERS.includes(name));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown placeholder in stem name pattern: ${unknown.map(n => `{${n}}`).join(', ')}. Use: ${STEM_PLACEHOLDERS.map(n => `{${n}}`).join(' ')}`);
+  }
+  if (!/\{(stem|n|original)\}/.test(pattern)) {
+    throw new Error('A stem name pattern must include {stem}, {n} or {original}');
+  }
+  return pattern;
+}
+
+/**
+ * Central directory of a ZIP file: name, compression method, sizes and the
+ * offset of each entry's local header
+ */
+export async function readZipEntries(zipPath) {
+  const handle = await fs.promises.open(zipPath, 'r');
+  try {
+    const { size } = await handle.stat();
+    const read = async (position, length) => {
+      const buffer = Buffer.alloc(length);
+      await handle.read(buffer, 0, length, position);
+      return buffer;
+    };
+
+    // End of central directory: 22 bytes plus a comment of up to 64 KB
+    const tailStart = Math.max(0, size - 22 - 0xFFFF);
+    const tail = await read(tailStart, size - tailStart);
+    let eocd = -1;
+    for (let i = tail.length - 22; i >= 0; i--) {
+      if (tail.readUInt32LE(i) === 0x06054b50) {
+        eocd = i;
+        break;
+      }
+    }
+    if (eocd === -1) {
+      throw new Error('Not a ZIP file (end of central directory not found)');
+    }
+
+    let cdSize = tail.readUInt32LE(eocd + 12);
+    let cdOffset = tail.readUInt32LE(eocd + 16);
+    if (cdOffset === 0xFFFFFFFF && eocd >= 20 && tail.readUInt32LE(eocd - 20) === 0x07064b50) {
+      const zip64 = await read(Number(tail.readBigUInt64LE(eocd - 20 + 8)), 56);
+      cdSize = Number(zip64.readBigUInt64LE(40));
+      cdOffset = Number(zip64.readBigUInt64LE(48));
+    }
+
+    const directory = await read(cdOffset, cdSize);
+    const entries = [];
+    let offset = 0;
+    while (offset + 46 <= directory.length && directory.readUInt32LE(offset) === 0x02014b50) {
+      const nameLength = directory.readUInt16LE(offset + 28);
+      const extraLength = directory.readUInt16LE(offset + 30);
+      const commentLength = directory.readUInt16LE(offset + 32);
+      const entry = {
+        name: directory.toString('utf8', offset + 46, offset + 46 + nameLength),
+        method: directory.readUInt16LE(offset + 10),
+        compressedSize: directory.readUInt32LE(offset + 20),
+        size: directory.readUInt32LE(offset + 24),
+        localHeaderOffset: directory.readUInt32LE(offset + 42)
+      };
+
+      // ZIP64 extra field holds whichever values overflowed, in this order
+      const extra = directory.subarray(offset + 46 + nameLength, offset + 46 + nameLength + extraLength);
+      for (let e = 0; e + 4 <= extra.length;) {
+        const id = extra.readUInt16LE(e);
+        const length = extra.readUInt16LE(e + 2);
+        if (id === 0x0001) {
+          let field = e + 4;
+          for (const key of ['size', 'compressedSize', 'localHeaderOffset']) {
+            if (entry[key] === 0xFFFFFFFF && field + 8 <= e + 4 + length) {
+              entry[key] = Number(extra.readBigUInt64LE(field));
+              field += 8;
+            }
+          }
+        }
+        e += 4 + length;
+      }
+
+      entries.push(entry);
+      offset += 46 + nameLength + extraLength + commentLength;
+    }
+
+    // Data starts after each entry's local header, whose name/extra lengths can differ
+    for (const entry of entries) {
+      const local = await read(entry.localHeaderOffset, 30);
+      if (local.readUInt32LE(0) !== 0x04034b50) {
+        throw new Error(`ZIP entry "${entry.name}" has no local header`);
+      }
+      entry.dataOffset = entry.localHeaderOffset + 30 + local.readUInt16LE(26) + local.readUInt16LE(28);
+    }
+
+    return entries;
+  } finally {
+    await handle.close();
+  }
+}
+
+/**
+ * Stream one ZIP entry to a file (stored or deflated entries only)
+ */
+async function extractEntry(zipPath, entry, targetPath) {
+  if (entry.method !== 0 && entry.method !== 8) {
+    throw new Error(`Unsupported compression method ${entry.method} for "${entry.name}"`);
+  }
+
+  if (entry.compressedSize === 0) {
+    await fs.writeFile(targetPath, Buffer.alloc(0));
+  } else {
+    const steps = [fs.createReadStream(zipPath, { start: entry.dataOffset, end: entry.dataOffset + entry.compressedSize - 1 })];
+    if (entry.method === 8) {
+      steps.push(zlib.createInflateRaw());
+    }
+    await pipeline(...steps, fs.createWriteStream(targetPath));
+  }
+
+  const { size } = await fs.stat(targetPath);
+  if (size !== entry.size) {
+    throw new Error(`"${entry.name}" extracted to ${size} of ${entry.size} bytes`);
+  }
+}
+
+export class StemExtractor {
+  constructor(outputDir = './output', options = {}) {
+    const stemsConfig = scraperConfig.fileOrganization.stems || {};
+    this.outputDir = path.resolve(outputDir);
+    this.manifest = options.manifest || null;
+    this.pattern = validateStemPattern(options.pattern || stemsConfig.namePattern || DEFAULT_STEM_PATTERN);
+    this.tag = options.tag ?? stemsConfig.tag ?? true;
+  }
+
+  /**
+   * The folder a stems ZIP is extracted into: "Song-stems.zip" → "Song-stems/"
+   */
+  static folderFor(zipPath) {
+    return zipPath.replace(/\.zip$/i, '');
+  }
+
+  /**
+   * Extract a stems ZIP next to itself, replacing an earlier extraction.
+   * @param {string} zipPath
+   * @param {Object} metadata - The song's sidecar, used for names and tags
+   * @param {Object} options
+   * @param {string} options.coverPath - Cover art to embed in each stem
+   * @returns {Object} The stem inventory for the sidecar's `stemInventory`
+   */
+  async extract(zipPath, metadata, options = {}) {
+    const { coverPath = null } = options;
+    const folder = StemExtractor.folderFor(zipPath);
+    const title = path.basename(folder).replace(/-stems$/i, '');
+    const entries = (await readZipEntries(zipPath))
+      .filter(entry => !entry.name.endsWith('/') && !entry.name.startsWith('__MACOSX/'))
+      .filter(entry => STEM_AUDIO_EXTENSIONS.includes(path.extname(entry.name).toLowerCase()));
+
+    if (entries.length === 0) {
+      throw new Error(`No audio files in ${path.basename(zipPath)}`);
+    }
+
+    await fs.remove(folder);
+    await fs.ensureDir(folder);
+
+    const stems = [];
+    const used = new Set();
+    for (const [index, entry] of entries.entries()) {
+      const role = stemRole(entry.name);
+      const ext = path.extname(entry.name).toLowerCase();
+      const fileName = this.fileNameFor({ title, role, index, original: entry.name, ext }, used);
+      const filePath = path.join(folder, fileName);
+
+      await extractEntry(zipPath, entry, filePath);
+
+      let tagged = false;
+      if (this.tag && TAG_FORMATS.includes(ext.slice(1))) {
+        const result = await MetadataTagger.tagFile(filePath, { ...metadata, stem: role }, coverPath);
+        tagged = result.success;
+      }
+
+      const { size } = await fs.stat(filePath);
+      stems.push({ role, file: fileName, format: ext.slice(1), size, source: entry.name, tagged });
+    }
+
+    logger.debug(`Extracted ${stems.length} stem${stems.length === 1 ? '' : 's'} to ${path.basename(folder)}/`);
+    return {
+      folder: path.basename(folder),
+      extractedAt: new Date().toISOString(),
+      stems
+    };
+  }
+
+  fileNameFor({ title, role, index, original, ext }, used) {
+    const rendered = this.pattern.replace(/\{(\w+)\}/g, (match, name) => ({
+      title,
+      stem: role,
+      n: String(index + 1).padStart(2, '0'),
+      original: path.basename(original, path.extname(original))
+    })[name]);
+    const base = sanitize(rendered, { replacement: '-' }) || `stem-${index + 1}`;
+
+    // Two stems with the same role ("Vocals 1", "Vocals 2") get numbered
+    let name = `${base}${ext}`;
+    for (let copy = 2; used.has(name.toLowerCase()); copy++) {
+      name = `${base} ${copy}${ext}`;
+    }
+    used.add(name.toLowerCase());
+    return name;
+  }
+
+  /**
+   * Extract the stems of every indexed song that has a stems ZIP
+   * @param {Object} options
+   * @param {string[]} options.songIds - Only these songs
+   * @param {boolean} options.force - Re-extract songs that already have a stem inventory
+   * @param {Function} options.onSong - Called with each song's result
+   */
+  async extractLibrary(options = {}) {
+    const { songIds = null, force = false, onSong = null } = options;
+    const manifest = this.manifest || new LibraryManifest(this.outputDir);
+    const songs = await manifest.readSongs({
+      filter: entry => entry.files.stems && (!songIds || songIds.includes(entry.id))
+    });
+
+    const results = { total: songs.length, extracted: 0, skipped: 0, failed: 0, songs: [] };
+
+    for (const { entry, metadata, metadataPath } of songs) {
+      const zipPath = manifest.resolve(entry.files.stems.path);
+      const folder = StemExtractor.folderFor(zipPath);
+      let result;
+
+      if (!force && metadata.stemInventory && await fs.pathExists(folder)) {
+        results.skipped++;
+        result = { id: entry.id, title: entry.title, status: 'skipped', stems: metadata.stemInventory.stems.length };
+      } else {
+        try {
+          const coverPath = entry.files.cover ? manifest.resolve(entry.files.cover.path) : null;
+          const stemInventory = await this.extract(zipPath, metadata, { coverPath });
+          await fs.writeJson(metadataPath, { ...metadata, stemInventory }, { spaces: 2 });
+          await manifest.recordSidecar(metadataPath);
+          results.extracted++;
+          result = { id: entry.id, title: entry.title, status: 'extracted', stems: stemInventory.stems.length, roles: stemInventory.stems.map(stem => stem.role) };
+        } catch (error) {
+          logger.error(`Could not extract stems for ${entry.title}: ${error.message}`);
+          results.failed++;
+          result = { id: entry.id, title: entry.title, status: 'failed', error: error.message };
+        }
+      }
+
+      results.songs.push(result);
+      onSong?.(result);
+    }
+
+    return results;
+  }
+}
+
+export default StemExtractor;
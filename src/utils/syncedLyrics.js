@@ -0,0 +1,271 @@
+/**
+ * Synced Lyrics
+ * Line and word timing for lyrics, as the song page's karaoke highlighting
+ * uses it. Timing read from the page or the app's data is normalized to
+ * `[{ start, end, text, words: [{ text, start, end }] }]` (seconds) and
+ * rendered as LRC, SRT or WebVTT.
+ */
+
+import { parseLyricSections, isSectionHeader } from './lyricSections.js';
+
+export const LYRICS_FORMATS = ['lrc', 'srt', 'vtt'];
+
+const TEXT_KEYS = ['word', 'text', 'w', 'line', 'content', 'lyric'];
+const START_KEYS = ['start', 'start_s', 'startS', 'start_time', 'startTime', 'begin', 'time', 't'];
+const END_KEYS = ['end', 'end_s', 'endS', 'end_time', 'endTime', 'stop'];
+const START_MS_KEYS = ['start_ms', 'startMs', 'startTimeMs', 'start_time_ms', 'offset_ms', 'offsetMs'];
+const END_MS_KEYS = ['end_ms', 'endMs', 'endTimeMs', 'end_time_ms'];
+const CONTAINER_KEYS = ['lines', 'words', 'aligned_words', 'alignedWords', 'segments', 'items'];
+
+// A cue without an end is shown this long, or until the next line starts
+const DEFAULT_CUE_SECONDS = 4;
+// Without line breaks, a pause this long between words starts a new line
+const LINE_GAP_SECONDS = 1.5;
+
+/**
+ * Seconds from a number or a "m:ss.xx" / "hh:mm:ss,mmm" string
+ */
+export function parseTimestamp(value) {
+  if (typeof value === 'number') {
+    return Number.isFinite(value) && value >= 0 ? value : null;
+  }
+  if (typeof value !== 'string' || !value.trim()) return null;
+
+  const parts = value.trim().replace(',', '.').split(':');
+  if (parts.length > 3 || parts.some(part => !/^\d+(\.\d+)?$/.test(part))) return null;
+  return parts.reduce((total, part) => total * 60 + Number(part), 0);
+}
+
+function normalizeWord(text) {
+  return text.toLowerCase().replace(/[^\p{L}\p{N}']/gu, '');
+}
+
+/**
+ * Words without the section headers sent along with them: a bracketed
+ * word ("[Verse]"), or a line of words that is a header ("Chorus", "Verse 2:")
+ */
+function withoutHeaders(words) {
+  const sung = [];
+  let line = [];
+  const endLine = () => {
+    if (!isSectionHeader(line.map(word => word.text).join(' '))) sung.push(...line);
+    line = [];
+  };
+
+  for (const word of words) {
+    if (word.text.trim().startsWith('[') && isSectionHeader(word.text)) continue;
+    line.push(word);
+    if (word.lineBreak) endLine();
+  }
+  endLine();
+  return sung;
+}
+
+/**
+ * Timed words from raw items ({ text, start, end, lineBreak }). Times are
+ * seconds, or milliseconds when `unit` is 'ms'.
+ */
+export function timedWords(items, unit = 's') {
+  const raw = items
+    .map(item => ({
+      text: String(item.text ?? '').replace(/\s+$/, ''),
+      start: parseTimestamp(item.start),
+      end: parseTimestamp(item.end),
+      // Aligned words often carry the line break they are followed by
+      lineBreak: !!item.lineBreak || /\n\s*$/.test(String(item.text ?? ''))
+    }))
+    .filter(word => word.text.trim() && word.start !== null);
+  if (raw.length === 0) return [];
+
+  const scale = unit === 'ms' ? 1000 : 1;
+  return withoutHeaders(raw).map(word => ({
+    text: word.text.trim(),
+    start: round(word.start / scale),
+    end: word.end === null ? null : round(word.end / scale),
+    lineBreak: word.lineBreak
+  }));
+}
+
+/**
+ * Group timed words into lines: by the plain lyrics when their words match
+ * up, else by the line breaks the words carry, else by pauses
+ */
+export function syncedLines(words, lyrics = null) {
+  if (words.length === 0) return null;
+  const sorted = [...words].sort((a, b) => a.start - b.start);
+
+  const lyricLines = (parseLyricSections(lyrics) || []).flatMap(section => section.lines);
+  const lyricWordCount = lyricLines.reduce((sum, line) => sum + line.split(/\s+/).length, 0);
+
+  const groups = [];
+  if (lyricWordCount === sorted.length) {
+    let cursor = 0;
+    for (const line of lyricLines) {
+      const count = line.split(/\s+/).length;
+      groups.push({ text: line, words: sorted.slice(cursor, cursor + count) });
+      cursor += count;
+    }
+  } else {
+    const byBreaks = sorted.some(word => word.lineBreak);
+    let current = [];
+    sorted.forEach((word, index) => {
+      const previous = sorted[index - 1];
+      const pause = previous && word.start - (previous.end ?? previous.start) >= LINE_GAP_SECONDS;
+      if (current.length > 0 && !byBreaks && pause) {
+        groups.push({ words: current });
+        current = [];
+      }
+      current.push(word);
+      if (byBreaks && word.lineBreak) {
+        groups.push({ words: current });
+        current = [];
+      }
+    });
+    if (current.length > 0) groups.push({ words: current });
+  }
+
+  // Words that match the lyrics keep the lyrics' spelling and punctuation
+  return groups.map(({ text, words: lineWords }) => ({
+    start: lineWords[0].start,
+    end: lineWords[lineWords.length - 1].end,
+    text: text || lineWords.map(word => word.text).join(' '),
+    words: lineWords.map(({ text: wordText, start, end }) => ({ text: wordText, start, end }))
+  }));
+}
+
+/**
+ * Synced lines from timing found in the app's data: a list of timed words
+ * or lines, or an object holding one. Null when nothing is timed.
+ * Times under a millisecond key (`start_ms`, `startMs`, ...) are
+ * milliseconds, under any other key seconds.
+ */
+export function cleanSyncedLyrics(value, lyrics = null) {
+  if (value && typeof value === 'object' && !Array.isArray(value)) {
+    const list = CONTAINER_KEYS.map(key => value[key]).find(Array.isArray);
+    return list ? cleanSyncedLyrics(list, lyrics) : null;
+  }
+  if (!Array.isArray(value) || value.length === 0) return null;
+
+  const items = value.filter(item => item && typeof item === 'object').map(item => {
+    const msStart = START_MS_KEYS.find(key => item[key] !== undefined);
+    const msEnd = END_MS_KEYS.find(key => item[key] !== undefined);
+    const start = msStart ? Number(item[msStart]) / 1000 : item[START_KEYS.find(key => item[key] !== undefined)];
+    const end = msEnd ? Number(item[msEnd]) / 1000 : item[END_KEYS.find(key => item[key] !== undefined)];
+    const text = TEXT_KEYS.map(key => item[key]).find(candidate => typeof candidate === 'string');
+    return { text, start, end, nested: Array.isArray(item.words) ? item.words : null };
+  }).filter(item => item.text !== undefined || item.nested);
+
+  if (items.length === 0) return null;
+
+  // Lines that carry their own words
+  if (items.every(item => item.nested)) {
+    const lines = items.map(item => {
+      const words = cleanSyncedLyrics(item.nested)?.flatMap(line => line.words) || [];
+      const start = parseTimestamp(item.start) ?? words[0]?.start ?? null;
+      return start === null ? null : {
+        start: round(start),
+        end: words[words.length - 1]?.end ?? null,
+        text: item.text ? item.text.trim() : words.map(word => word.text).join(' '),
+        words
+      };
+    }).filter(line => line && line.text && !isSectionHeader(line.text));
+    return lines.length > 0 ? lines : null;
+  }
+
+  // Items with spaces in them are lines, otherwise words
+  const isLines = items.filter(item => /\S\s+\S/.test(item.text || '')).length > items.length / 2;
+  if (isLines) {
+    const lines = timedWords(items)
+      .filter(({ text }) => !isSectionHeader(text))
+      .map(({ text, start, end }) => ({ start, end, text, words: [] }));
+    return lines.length > 0 ? lines : null;
+  }
+  return syncedLines(timedWords(items), lyrics);
+}
+
+/**
+ * Plain lyrics text from synced lines
+ */
+export function plainLyrics(lines) {
+  return lines.map(line => line.text).join('\n');
+}
+
+/**
+ * When each line's cue ends: its own end, else before the next line, else a few seconds on
+ */
+function cueEnd(lines, index) {
+  const line = lines[index];
+  const next = lines[index + 1];
+  const fallback = line.start + DEFAULT_CUE_SECONDS;
+  const end = line.end && line.end > line.start ? line.end : fallback;
+  return next ? Math.min(end, next.start) : end;
+}
+
+function round(seconds) {
+  return Math.round(seconds * 1000) / 1000;
+}
+
+/**
+ * "mm:ss.xx" as LRC tags write it
+ */
+export function formatLrcTime(seconds) {
+  const centis = Math.round(seconds * 100);
+  const minutes = Math.floor(centis / 6000);
+  const secs = Math.floor((centis % 6000) / 100);
+  return `${String(minutes).padStart(2, '0')}:${String(secs).padStart(2, '0')}.${String(centis % 100).padStart(2, '0')}`;
+}
+
+/**
+ * "hh:mm:ss,mmm" (SRT) or "hh:mm:ss.mmm" (WebVTT)
+ */
+export function formatCueTime(seconds, separator = ',') {
+  const millis = Math.round(seconds * 1000);
+  const hours = Math.floor(millis / 3600000);
+  const minutes = Math.floor((millis % 3600000) / 60000);
+  const secs = Math.floor((millis % 60000) / 1000);
+  return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}:${String(secs).padStart(2, '0')}${separator}${String(millis % 1000).padStart(3, '0')}`;
+}
+
+/**
+ * LRC with ti/ar/al/length header tags. With `wordTiming`, lines carry
+ * enhanced-LRC word stamps: [00:12.00]<00:12.00>Hello <00:12.40>world
+ */
+export function renderLrc(lines, tags = {}, options = {}) {
+  const header = [['ti', tags.title], ['ar', tags.artist], ['al', tags.album], ['length', tags.length]]
+    .filter(([, value]) => value)
+    .map(([tag, value]) => `[${tag}:${String(value).replace(/[\r\n\]]/g, ' ')}]`);
+
+  const body = lines.map(line => {
+    const text = options.wordTiming && line.words.length > 0
+      ? line.words.map(word => `<${formatLrcTime(word.start)}>${word.text}`).join(' ')
+      : line.text;
+    return `[${formatLrcTime(line.start)}]${text}`;
+  });
+  return [...header, ...body, ''].join('\n');
+}
+
+export function renderSrt(lines) {
+  return lines.map((line, index) =>
+    `${index + 1}\n${formatCueTime(line.start)} --> ${formatCueTime(cueEnd(lines, index))}\n${line.text}\n`
+  ).join('\n');
+}
+
+export function renderVtt(lines) {
+  const cues = lines.map((line, index) =>
+    `${formatCueTime(line.start, '.')} --> ${formatCueTime(cueEnd(lines, index), '.')}\n${line.text.replace(/-->/g, '->')}\n`
+  );
+  return ['WEBVTT\n', ...cues].join('\n');
+}
+
+export function renderSyncedLyrics(format, lines, tags = {}, options = {}) {
+  switch (format) {
+    case 'lrc':
+      return renderLrc(lines, tags, options);
+    case 'srt':
+      return renderSrt(lines);
+    case 'vtt':
+      return renderVtt(lines);
+    default:
+      throw new Error(`Unknown lyrics format: ${format}. Use: ${LYRICS_FORMATS.join(', ')}`);
+  }
+}
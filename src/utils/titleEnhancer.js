@@ -3,6 +3,8 @@
  * Cleans up and enhances song titles for better file naming
  */
 
+import { parseLyricSections, chorusLines } from './lyricSections.js';
+
 /**
  * Clean up title by removing Producer.AI's automatic key/BPM suffix
  * Preserves the subtitle part (after the dash)
@@ -25,27 +27,36 @@ export function cleanTitle(title) {
 
 /**
  * Find potential hooks in lyrics
- * Looks for repeated phrases, powerful imagery, or memorable lines
+ * Looks for chorus lines, repeated phrases, powerful imagery, or memorable lines
  * Returns multiple candidates for human review
+ * @param {string} lyrics - Raw lyrics text
+ * @param {Object[]} [sections] - The song's lyricSections (parsed from the lyrics if not given)
  */
-export function findPotentialHooks(lyrics) {
+export function findPotentialHooks(lyrics, sections = null) {
   if (!lyrics || lyrics.length < 20) return [];
 
-  const lines = lyrics.split('\n')
-    .map(l => l.trim())
-    .filter(l => {
-      const lower = l.toLowerCase();
-      return l.length > 5 &&
-        !lower.match(/^(intro|verse|chorus|bridge|outro|refrain|pre-chorus|verse \d+)/i) &&
-        !lower.match(/^\[.*\]$/) &&
-        !lower.match(/^[\d\s]+$/);
-    });
+  // Section headers are not part of any section's lines
+  const parsed = sections || parseLyricSections(lyrics) || [];
+  const lines = parsed
+    .flatMap(section => section.lines)
+    .filter(l => l.length > 5 && !l.match(/^[\d\s]+$/));
 
   if (lines.length === 0) return [];
 
   const hooks = [];
   const seenLines = new Map(); // Track repeated lines
 
+  // The chorus is where the hook usually is; its first line most of all
+  chorusLines(parsed)
+    .filter(line => line.length > 10 && line.length < 80)
+    .forEach((line, index) => {
+      hooks.push({
+        text: line,
+        type: 'chorus',
+        score: index === 0 ? 5 : 3
+      });
+    });
+
   // Find repeated lines (likely chorus/hook)
   lines.forEach(line => {
     const normalized = line.toLowerCase().trim();
@@ -166,7 +177,11 @@ export function selectBestHook(hooks, existingTitle, metadata) {
     return hooks[0];
   }
 
-  // Prefer repeated hooks (chorus) over others
+  // Prefer chorus lines, then repeated lines, over others
+  const chorusHooks = distinctHooks.filter(h => h.type === 'chorus');
+  if (chorusHooks.length > 0) {
+    return chorusHooks[0];
+  }
   const repeatedHooks = distinctHooks.filter(h => h.type === 'repeated');
   if (repeatedHooks.length > 0) {
     return repeatedHooks[0];
@@ -181,10 +196,10 @@ export function selectBestHook(hooks, existingTitle, metadata) {
  * Makes intelligent decisions about what makes the best subtitle
  */
 export function generateVariationSuffix(existingTitle, metadata, existingVariations = []) {
-  const { lyrics, description, key, bpm, model } = metadata;
+  const { lyrics, lyricSections, description, key, bpm, model } = metadata;
 
   // Strategy 1: Find the best hook from lyrics
-  const hooks = findPotentialHooks(lyrics);
+  const hooks = findPotentialHooks(lyrics, lyricSections);
   if (hooks.length > 0) {
     const bestHook = selectBestHook(hooks, existingTitle, metadata);
     if (bestHook) {
@@ -0,0 +1,279 @@
+/**
+ * Variation Grouper
+ * Clusters songs into variation families: takes of the same idea that share
+ * a title, a cover, a SOUND description or the session they were made in.
+ * Each member gets a stable `variationGroup` (the song ID of the family's
+ * first take) and `variationIndex` (1 for the first take, then 2, 3...).
+ */
+
+import fs from 'fs-extra';
+import { logger } from './logger.js';
+import { LibraryManifest } from './libraryManifest.js';
+import { LibraryReorganizer } from './libraryReorganizer.js';
+import { activePathTemplate } from './pathTemplate.js';
+import { tokenize } from './searchIndex.js';
+import scraperConfig from '../../config/scraper.config.js';
+
+export const VARIATION_SIGNALS = ['title', 'cover', 'sound', 'session'];
+
+/**
+ * Title with take/version markers, ID suffixes and punctuation removed:
+ * "Night Drive (take 2)", "Night Drive v2" and "night drive-1a2b3c4d" → "night drive"
+ */
+export function normalizeVariationTitle(title) {
+  return tokenize(String(title ?? '')
+    .replace(/\s*[([]\s*(?:take|version|ver|alt|alternate|variation|var|v)\.?\s*\d*\s*[)\]]\s*$/i, '')
+    .replace(/-[0-9a-f]{8}$/i, '')
+    .replace(/\s+(?:v|take\s*)\d+$/i, ''))
+    .join(' ');
+}
+
+/**
+ * Word overlap of two texts (Jaccard index, 0-1)
+ */
+export function soundSimilarity(a, b) {
+  const left = a instanceof Set ? a : new Set(tokenize(a));
+  const right = b instanceof Set ? b : new Set(tokenize(b));
+  if (left.size === 0 || right.size === 0) return 0;
+  let shared = 0;
+  for (const word of left) {
+    if (right.has(word)) shared++;
+  }
+  return shared / (left.size + right.size - shared);
+}
+
+export class VariationGrouper {
+  constructor(outputDir = './output', options = {}) {
+    const config = scraperConfig.fileOrganization.variations || {};
+    this.manifest = options.manifest || new LibraryManifest(outputDir);
+    this.minSignals = options.minSignals ?? config.minSignals ?? 2;
+    this.soundThreshold = options.soundSimilarity ?? config.soundSimilarity ?? 0.6;
+    this.sessionWindowMs = (options.sessionWindowMinutes ?? config.sessionWindowMinutes ?? 30) * 60 * 1000;
+
+    if (!Number.isInteger(this.minSignals) || this.minSignals < 2 || this.minSignals > VARIATION_SIGNALS.length) {
+      throw new Error(`minSignals must be between 2 and ${VARIATION_SIGNALS.length}`);
+    }
+  }
+
+  /**
+   * Cluster the library. Returns the families (two or more takes) with each
+   * member's assigned index, and every song's assignment (null when alone).
+   */
+  async group() {
+    const songs = await this.collectSongs();
+    const parent = new Map(songs.map(song => [song.id, song.id]));
+    const find = id => {
+      while (parent.get(id) !== id) {
+        parent.set(id, parent.get(parent.get(id)));
+        id = parent.get(id);
+      }
+      return id;
+    };
+
+    const links = new Map(); // song ID → signals that linked it
+    for (const [a, b] of this.candidatePairs(songs)) {
+      const signals = this.signalsBetween(a, b);
+      if (signals.length >= this.minSignals) {
+        parent.set(find(a.id), find(b.id));
+        for (const song of [a, b]) {
+          links.set(song.id, [...new Set([...(links.get(song.id) || []), ...signals])]);
+        }
+      }
+    }
+
+    const clusters = new Map();
+    for (const song of songs) {
+      const root = find(song.id);
+      if (!clusters.has(root)) clusters.set(root, []);
+      clusters.get(root).push(song);
+    }
+
+    const families = [];
+    const assignments = new Map();
+    for (const members of clusters.values()) {
+      if (members.length < 2) {
+        assignments.set(members[0].id, null);
+        continue;
+      }
+      const family = this.assign(members);
+      for (const member of family.songs) {
+        member.signals = links.get(member.id) || [];
+        assignments.set(member.id, { variationGroup: family.group, variationIndex: member.index });
+      }
+      families.push(family);
+    }
+
+    families.sort((a, b) => a.title.localeCompare(b.title));
+    return { songs: songs.length, families, assignments };
+  }
+
+  /**
+   * One entry per song ID with what the signals compare
+   */
+  async collectSongs() {
+    const byId = new Map();
+    for (const { entry, metadata } of await this.manifest.readSongs()) {
+      if (!byId.has(entry.id)) {
+        const created = Date.parse(metadata.createdAt || '');
+        byId.set(entry.id, {
+          id: entry.id,
+          title: metadata.title || entry.title,
+          titleKey: normalizeVariationTitle(metadata.originalTitle || metadata.title || entry.title),
+          coverHash: entry.files.cover?.sha256 || null,
+          sound: new Set(tokenize(metadata.description)),
+          sessionId: metadata.sessionId || null,
+          createdAt: Number.isNaN(created) ? null : created,
+          downloadedAt: metadata.downloadedAt || entry.downloadedAt || '',
+          previous: metadata.variationGroup
+            ? { group: metadata.variationGroup, index: metadata.variationIndex }
+            : null,
+          copies: []
+        });
+      }
+      byId.get(entry.id).copies.push(entry);
+    }
+    return Array.from(byId.values());
+  }
+
+  /**
+   * Pairs worth comparing. Any pair with two matching signals shares a
+   * title, a cover or a session, so only those buckets are compared.
+   */
+  candidatePairs(songs) {
+    const pairs = new Map();
+    const addBucket = members => {
+      for (let i = 0; i < members.length; i++) {
+        for (let j = i + 1; j < members.length; j++) {
+          const key = members[i].id < members[j].id ? `${members[i].id}|${members[j].id}` : `${members[j].id}|${members[i].id}`;
+          pairs.set(key, [members[i], members[j]]);
+        }
+      }
+    };
+    const bucketBy = keyOf => {
+      const buckets = new Map();
+      for (const song of songs) {
+        const key = keyOf(song);
+        if (!key) continue;
+        if (!buckets.has(key)) buckets.set(key, []);
+        buckets.get(key).push(song);
+      }
+      buckets.forEach(addBucket);
+    };
+
+    bucketBy(song => song.titleKey);
+    bucketBy(song => song.coverHash);
+    bucketBy(song => song.sessionId);
+
+    // Songs created close together, compared within a sliding window
+    const timed = songs.filter(song => song.createdAt !== null).sort((a, b) => a.createdAt - b.createdAt);
+    for (let i = 0; i < timed.length; i++) {
+      for (let j = i + 1; j < timed.length && timed[j].createdAt - timed[i].createdAt <= this.sessionWindowMs; j++) {
+        addBucket([timed[i], timed[j]]);
+      }
+    }
+
+    return pairs.values();
+  }
+
+  signalsBetween(a, b) {
+    const signals = [];
+    if (a.titleKey && a.titleKey === b.titleKey) signals.push('title');
+    if (a.coverHash && a.coverHash === b.coverHash) signals.push('cover');
+    if (soundSimilarity(a.sound, b.sound) >= this.soundThreshold) signals.push('sound');
+    if ((a.sessionId && a.sessionId === b.sessionId)
+      || (a.createdAt !== null && b.createdAt !== null && Math.abs(a.createdAt - b.createdAt) <= this.sessionWindowMs)) {
+      signals.push('session');
+    }
+    return signals;
+  }
+
+  /**
+   * Group ID and take numbers for one family. Numbers assigned by an earlier
+   * run are kept; new takes get the lowest free numbers in creation order.
+   */
+  assign(members) {
+    const ordered = [...members].sort((a, b) =>
+      (a.createdAt ?? Infinity) - (b.createdAt ?? Infinity)
+      || String(a.downloadedAt).localeCompare(String(b.downloadedAt))
+      || a.id.localeCompare(b.id));
+
+    const previousGroups = new Map();
+    for (const member of ordered) {
+      if (member.previous) {
+        previousGroups.set(member.previous.group, (previousGroups.get(member.previous.group) || 0) + 1);
+      }
+    }
+    const group = Array.from(previousGroups).sort((a, b) => b[1] - a[1])[0]?.[0] || ordered[0].id;
+
+    const used = new Set();
+    const indexes = new Map();
+    for (const member of ordered) {
+      const index = member.previous?.group === group ? member.previous.index : null;
+      if (Number.isInteger(index) && index > 0 && !used.has(index)) {
+        indexes.set(member.id, index);
+        used.add(index);
+      }
+    }
+    let next = 1;
+    for (const member of ordered) {
+      if (indexes.has(member.id)) continue;
+      while (used.has(next)) next++;
+      indexes.set(member.id, next);
+      used.add(next);
+    }
+
+    const songs = ordered
+      .map(member => ({ ...member, index: indexes.get(member.id) }))
+      .sort((a, b) => a.index - b.index);
+    return { group, title: songs[0].title, songs };
+  }
+
+  /**
+   * Write the assignments into every copy's sidecar (and clear them from
+   * songs no longer in a family). With `rename`, move the files of changed
+   * songs to their take names under the active path template.
+   */
+  async apply(result, options = {}) {
+    const { rename = false } = options;
+    let updated = 0;
+    let cleared = 0;
+    const changedIds = new Set();
+
+    for (const { entry } of await this.manifest.readSongs({ filter: entry => result.assignments.has(entry.id) })) {
+      const assignment = result.assignments.get(entry.id);
+      const metadataPath = this.manifest.resolve(entry.metadata);
+      const metadata = await fs.readJson(metadataPath);
+
+      if (assignment) {
+        if (metadata.variationGroup === assignment.variationGroup && metadata.variationIndex === assignment.variationIndex) continue;
+        Object.assign(metadata, assignment);
+        updated++;
+      } else {
+        if (!metadata.variationGroup) continue;
+        delete metadata.variationGroup;
+        delete metadata.variationIndex;
+        cleared++;
+      }
+
+      await fs.writeJson(metadataPath, metadata, { spaces: 2 });
+      await this.manifest.recordSidecar(metadataPath);
+      changedIds.add(entry.id);
+    }
+    await this.manifest.flush();
+
+    let renamed = { moved: [], failed: [] };
+    if (rename) {
+      // Only family members move; other songs stay wherever they are
+      const inFamilies = new Set(result.families.flatMap(family => family.songs.map(song => song.id)));
+      const reorganizer = new LibraryReorganizer(this.manifest);
+      const plan = await reorganizer.plan(activePathTemplate());
+      plan.moves = plan.moves.filter(move => inFamilies.has(move.entry.id) || changedIds.has(move.entry.id));
+      renamed = await reorganizer.apply(plan);
+    }
+
+    logger.info(`Variation families: ${result.families.length}, sidecars updated: ${updated}, cleared: ${cleared}`);
+    return { updated, cleared, renamed: renamed.moved, renameFailed: renamed.failed };
+  }
+}
+
+export default VariationGrouper;
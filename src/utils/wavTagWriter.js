@@ -0,0 +1,87 @@
+/**
+ * WAV Tag Writer
+ * Writes a LIST/INFO chunk (read by most DAWs and Windows) and an "id3 "
+ * chunk (BPM, key, lyrics and cover art, read by media libraries) into WAV
+ * files. Earlier tag chunks are replaced; audio chunks are left untouched.
+ */
+
+import fs from 'fs-extra';
+
+// LIST/INFO fields for the tag values that have one
+const INFO_FIELDS = {
+  title: 'INAM',
+  artist: 'IART',
+  album: 'IPRD',
+  year: 'ICRD',
+  comment: 'ICMT'
+};
+
+function chunk(id, body) {
+  const header = Buffer.alloc(8);
+  header.write(id, 0, 'latin1');
+  header.writeUInt32LE(body.length, 4);
+  // Chunks are padded to an even length
+  return Buffer.concat([header, body, Buffer.alloc(body.length % 2)]);
+}
+
+function buildInfoList(tags) {
+  const fields = Object.entries(INFO_FIELDS)
+    .filter(([name]) => tags[name])
+    .map(([name, id]) => chunk(id, Buffer.concat([Buffer.from(String(tags[name]), 'utf8'), Buffer.alloc(1)])));
+  return fields.length > 0 ? chunk('LIST', Buffer.concat([Buffer.from('INFO', 'latin1'), ...fields])) : null;
+}
+
+function isTagChunk(buffer, id, start) {
+  if (id === 'id3 ' || id === 'ID3 ') return true;
+  return id === 'LIST' && buffer.toString('latin1', start + 8, start + 12) === 'INFO';
+}
+
+/**
+ * Write tags into a WAV file in place.
+ * @param {string} filePath
+ * @param {Object} tags - { title, artist, album, year, comment }
+ * @param {Buffer} [id3] - A complete ID3v2 tag to embed as the "id3 " chunk
+ */
+export async function writeWavTags(filePath, tags, id3 = null) {
+  const buffer = await fs.readFile(filePath);
+  if (buffer.toString('latin1', 0, 4) !== 'RIFF' || buffer.toString('latin1', 8, 12) !== 'WAVE') {
+    throw new Error('Not a WAV file (missing RIFF/WAVE header)');
+  }
+
+  const kept = [];
+  let offset = 12;
+  while (offset + 8 <= buffer.length) {
+    const id = buffer.toString('latin1', offset, offset + 4);
+    const size = buffer.readUInt32LE(offset + 4);
+    // Streaming writers leave the data size at 0 or 0xFFFFFFFF: the audio
+    // runs to the end of the file. It gets its real size so the tag chunks
+    // written after it are not read as audio.
+    if (id === 'data' && (size === 0 || size === 0xFFFFFFFF)) {
+      kept.push(chunk('data', buffer.subarray(offset + 8)));
+      break;
+    }
+    const end = Math.min(buffer.length, offset + 8 + size + (size % 2));
+    if (!isTagChunk(buffer, id, offset)) {
+      kept.push(buffer.subarray(offset, end));
+    }
+    offset = end;
+  }
+
+  const info = buildInfoList(tags);
+  const body = Buffer.concat([
+    Buffer.from('WAVE', 'latin1'),
+    ...kept,
+    ...(info ? [info] : []),
+    ...(id3 ? [chunk('id3 ', id3)] : [])
+  ]);
+
+  const header = Buffer.alloc(8);
+  header.write('RIFF', 0, 'latin1');
+  header.writeUInt32LE(body.length, 4);
+
+  // Written in place (not via a temp file) so hardlinked copies see the tags
+  await fs.writeFile(filePath, Buffer.concat([header, body]));
+  return { infoFields: info ? Object.keys(INFO_FIELDS).filter(name => tags[name]).length : 0, id3: Boolean(id3) };
+}
+
+export default writeWavTags;